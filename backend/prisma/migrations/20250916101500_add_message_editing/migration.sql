@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."message_revisions" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_revisions_messageId_idx" ON "public"."message_revisions"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "public"."message_revisions" ADD CONSTRAINT "message_revisions_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."conversation_participants" ADD COLUMN     "lastReadAt" TIMESTAMP(3),
+ADD COLUMN     "lastReadMessageId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "messages_conversationId_createdAt_idx" ON "public"."messages"("conversationId", "createdAt");
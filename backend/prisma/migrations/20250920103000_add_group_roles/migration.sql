@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "public"."ParticipantRole" AS ENUM ('OWNER', 'ADMIN', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "public"."MessageType" AS ENUM ('TEXT', 'SYSTEM');
+
+-- AlterTable
+ALTER TABLE "public"."conversation_participants" ADD COLUMN     "role" "public"."ParticipantRole" NOT NULL DEFAULT 'MEMBER';
+
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "metadata" JSONB,
+ADD COLUMN     "type" "public"."MessageType" NOT NULL DEFAULT 'TEXT';
+
+-- Existing groups have no owner yet: hand ownership to their earliest member
+UPDATE "public"."conversation_participants" AS cp
+SET "role" = 'OWNER'
+FROM (
+    SELECT DISTINCT ON (p."conversationId") p."id"
+    FROM "public"."conversation_participants" p
+    JOIN "public"."conversations" c ON c."id" = p."conversationId"
+    WHERE c."isGroup" = true
+    ORDER BY p."conversationId", p."joinedAt", p."id"
+) AS first_member
+WHERE cp."id" = first_member."id";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "lastSeenAt" TIMESTAMP(3);
@@ -0,0 +1,6 @@
+-- AlterTable
+-- Kept in sync with content by PostgreSQL; the search query must use the same text search config
+ALTER TABLE "public"."messages" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (to_tsvector('english'::regconfig, COALESCE("content", ''))) STORED;
+
+-- CreateIndex
+CREATE INDEX "messages_searchVector_idx" ON "public"."messages" USING GIN ("searchVector");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "replyToId" TEXT,
+ADD COLUMN     "threadId" TEXT,
+ADD COLUMN     "threadLastReplyAt" TIMESTAMP(3),
+ADD COLUMN     "threadReplyCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "messages_threadId_createdAt_idx" ON "public"."messages"("threadId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_replyToId_fkey" FOREIGN KEY ("replyToId") REFERENCES "public"."messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_threadId_fkey" FOREIGN KEY ("threadId") REFERENCES "public"."messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
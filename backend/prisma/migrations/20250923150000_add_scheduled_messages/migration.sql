@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "public"."ScheduledMessageStatus" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "public"."scheduled_messages" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "senderId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "sendAt" TIMESTAMP(3) NOT NULL,
+    "status" "public"."ScheduledMessageStatus" NOT NULL DEFAULT 'PENDING',
+    "claimedAt" TIMESTAMP(3),
+    "messageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scheduled_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "scheduled_messages_messageId_key" ON "public"."scheduled_messages"("messageId");
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_status_sendAt_idx" ON "public"."scheduled_messages"("status", "sendAt");
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_senderId_status_sendAt_idx" ON "public"."scheduled_messages"("senderId", "status", "sendAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."scheduled_messages" ADD CONSTRAINT "scheduled_messages_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "public"."conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."scheduled_messages" ADD CONSTRAINT "scheduled_messages_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."scheduled_messages" ADD CONSTRAINT "scheduled_messages_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
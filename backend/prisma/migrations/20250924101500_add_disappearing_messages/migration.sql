@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN     "messageTtlSeconds" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "messages_expiresAt_idx" ON "public"."messages"("expiresAt");
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "public"."MessageFormat" AS ENUM ('PLAIN', 'MARKDOWN');
+
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "format" "public"."MessageFormat" NOT NULL DEFAULT 'PLAIN';
+
+-- AlterTable
+ALTER TABLE "public"."scheduled_messages" ADD COLUMN     "format" "public"."MessageFormat" NOT NULL DEFAULT 'PLAIN';
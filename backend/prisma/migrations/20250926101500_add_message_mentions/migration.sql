@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."message_mentions" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "offset" INTEGER NOT NULL,
+    "length" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_mentions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_mentions_userId_createdAt_idx" ON "public"."message_mentions"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_mentions_messageId_offset_key" ON "public"."message_mentions"("messageId", "offset");
+
+-- AddForeignKey
+ALTER TABLE "public"."message_mentions" ADD CONSTRAINT "message_mentions_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."message_mentions" ADD CONSTRAINT "message_mentions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
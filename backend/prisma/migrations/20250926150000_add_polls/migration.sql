@@ -0,0 +1,64 @@
+-- AlterEnum
+ALTER TYPE "public"."MessageType" ADD VALUE 'POLL';
+
+-- CreateTable
+CREATE TABLE "public"."polls" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "allowsMultiple" BOOLEAN NOT NULL DEFAULT false,
+    "isAnonymous" BOOLEAN NOT NULL DEFAULT false,
+    "closesAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "polls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."poll_options" (
+    "id" TEXT NOT NULL,
+    "pollId" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "poll_options_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."poll_votes" (
+    "id" TEXT NOT NULL,
+    "pollId" TEXT NOT NULL,
+    "optionId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "poll_votes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "polls_messageId_key" ON "public"."polls"("messageId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "poll_options_pollId_position_key" ON "public"."poll_options"("pollId", "position");
+
+-- CreateIndex
+CREATE INDEX "poll_votes_pollId_userId_idx" ON "public"."poll_votes"("pollId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "poll_votes_optionId_userId_key" ON "public"."poll_votes"("optionId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."polls" ADD CONSTRAINT "polls_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."poll_options" ADD CONSTRAINT "poll_options_pollId_fkey" FOREIGN KEY ("pollId") REFERENCES "public"."polls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."poll_votes" ADD CONSTRAINT "poll_votes_pollId_fkey" FOREIGN KEY ("pollId") REFERENCES "public"."polls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."poll_votes" ADD CONSTRAINT "poll_votes_optionId_fkey" FOREIGN KEY ("optionId") REFERENCES "public"."poll_options"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."poll_votes" ADD CONSTRAINT "poll_votes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "public"."MessageType" ADD VALUE 'VOICE';
+
+-- AlterTable
+ALTER TABLE "public"."attachments" ADD COLUMN     "durationMs" INTEGER;
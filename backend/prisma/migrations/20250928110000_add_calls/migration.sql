@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "public"."CallMedia" AS ENUM ('AUDIO', 'VIDEO');
+
+-- CreateEnum
+CREATE TYPE "public"."CallStatus" AS ENUM ('INVITED', 'RINGING', 'ACTIVE', 'ENDED');
+
+-- CreateEnum
+CREATE TYPE "public"."CallOutcome" AS ENUM ('COMPLETED', 'MISSED', 'DECLINED', 'CANCELLED', 'BUSY');
+
+-- CreateTable
+CREATE TABLE "public"."calls" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "callerId" TEXT NOT NULL,
+    "calleeId" TEXT NOT NULL,
+    "media" "public"."CallMedia" NOT NULL DEFAULT 'AUDIO',
+    "status" "public"."CallStatus" NOT NULL DEFAULT 'INVITED',
+    "outcome" "public"."CallOutcome",
+    "endedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "answeredAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "durationSeconds" INTEGER,
+
+    CONSTRAINT "calls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "calls_conversationId_createdAt_idx" ON "public"."calls"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "calls_callerId_createdAt_idx" ON "public"."calls"("callerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "calls_calleeId_createdAt_idx" ON "public"."calls"("calleeId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."calls" ADD CONSTRAINT "calls_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "public"."conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."calls" ADD CONSTRAINT "calls_callerId_fkey" FOREIGN KEY ("callerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."calls" ADD CONSTRAINT "calls_calleeId_fkey" FOREIGN KEY ("calleeId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."webhook_deliveries" ADD COLUMN     "messageId" TEXT,
+ADD COLUMN     "redactedAt" TIMESTAMP(3),
+ALTER COLUMN "payload" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_messageId_idx" ON "public"."webhook_deliveries"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "public"."webhook_deliveries" ADD CONSTRAINT "webhook_deliveries_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
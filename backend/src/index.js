@@ -4,6 +4,10 @@ const dotenv = require('dotenv');
 const compression = require('compression');
 const { initializeDatabase, setupDatabaseShutdown } = require('./utils/initDatabase');
 const SocketService = require('./services/socketService');
+const MessageScheduler = require('./services/messageScheduler');
+const MessageExpirySweeper = require('./services/messageExpirySweeper');
+const WebhookDispatcher = require('./services/webhookDispatcher');
+const { createSocketState } = require('./services/socketState');
 const {
   configureCors,
   configureRateLimit,
@@ -19,8 +23,14 @@ dotenv.config();
 const app = express();
 const server = http.createServer(app);
 const socketService = new SocketService();
+const messageScheduler = new MessageScheduler({ socketService });
+const messageExpirySweeper = new MessageExpirySweeper({ socketService });
+const webhookDispatcher = new WebhookDispatcher();
 const PORT = process.env.PORT || 5000;
 
+// Expose the socket service to routes so HTTP actions can broadcast
+app.set('socketService', socketService);
+
 // Configure trust proxy
 configureTrustProxy(app);
 
@@ -45,6 +55,9 @@ const contactRoutes = require('./routes/contacts');
 const chatRoutes = require('./routes/chats');
 const dashboardRoutes = require('./routes/dashboard');
 const friendRequestRoutes = require('./routes/friendRequests');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const callRoutes = require('./routes/calls');
+const webhookRoutes = require('./routes/webhooks');
 
 // Apply stricter rate limiting to auth routes
 app.use('/api/auth', configureAuthRateLimit());
@@ -53,6 +66,9 @@ app.use('/api/contacts', contactRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/friend-requests', friendRequestRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Basic health check route
 app.get('/health', (req, res) => {
@@ -130,11 +146,25 @@ async function startServer() {
     // Initialize database connection
     await initializeDatabase();
 
-    // Initialize Socket.IO
-    socketService.initialize(server);
+    // Initialize Socket.IO, sharing state through Redis when SOCKET_STATE_STORE=redis
+    const socketState = await createSocketState();
+    socketService.initialize(server, { store: socketState.store, adapter: socketState.adapter });
+
+    // Deliver scheduled messages and purge disappearing ones once sockets can broadcast
+    messageScheduler.start();
+    messageExpirySweeper.start();
+
+    // Send queued webhook deliveries, including any left over from before a restart
+    webhookDispatcher.start();
 
     // Setup graceful shutdown handlers
-    setupDatabaseShutdown();
+    setupDatabaseShutdown(async () => {
+      await messageScheduler.stop();
+      await messageExpirySweeper.stop();
+      await webhookDispatcher.stop();
+      await socketService.close();
+      await socketState.close();
+    });
 
     // Start server
     server.listen(PORT, () => {
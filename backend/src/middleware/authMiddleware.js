@@ -1,5 +1,18 @@
 const { verifyToken } = require('../utils/auth');
 const { getUserById } = require('../services/authService');
+const { isSessionActive } = require('../services/sessionService');
+
+/**
+ * Make sure the session an access token was issued for has not been revoked
+ * (e.g. by logout or "sign out other devices") since the token was issued
+ * @param {object} decoded - Verified token payload
+ * @returns {Promise<void>}
+ */
+async function assertSessionActive(decoded) {
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw new Error('Session revoked');
+  }
+}
 
 /**
  * Middleware to authenticate JWT tokens
@@ -25,12 +38,14 @@ async function authenticateToken(req, res, next) {
 
     // Verify token
     const decoded = verifyToken(token);
+    await assertSessionActive(decoded);
     
     // Get user from database to ensure user still exists
     const user = await getUserById(decoded.id);
     
-    // Add user to request object
+    // Add user and the session the token was issued for to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
 
   } catch (error) {
@@ -54,6 +69,16 @@ async function authenticateToken(req, res, next) {
       });
     }
 
+    if (error.message === 'Session revoked') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'SESSION_REVOKED',
+          message: 'This session has been signed out'
+        }
+      });
+    }
+
     if (error.message === 'User not found') {
       return res.status(401).json({
         success: false,
@@ -93,8 +118,10 @@ async function optionalAuth(req, res, next) {
     }
 
     const decoded = verifyToken(token);
+    await assertSessionActive(decoded);
     const user = await getUserById(decoded.id);
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
 
   } catch (error) {
@@ -106,5 +133,6 @@ async function optionalAuth(req, res, next) {
 
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  assertSessionActive
 };
\ No newline at end of file
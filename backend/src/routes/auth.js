@@ -1,9 +1,27 @@
 const express = require('express');
-const { registerUser, loginUser } = require('../services/authService');
+const { registerUser, loginUser, refreshTokens } = require('../services/authService');
+const {
+  revokeSessionByRefreshToken,
+  getActiveSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../services/sessionService');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+/**
+ * Describe the device a session is started from
+ * @param {object} req - Express request object
+ * @returns {object} - { userAgent, ipAddress }
+ */
+function getSessionInfo(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  };
+}
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -12,14 +30,15 @@ router.post('/register', async (req, res) => {
   try {
     const { username, email, password } = req.body;
     
-    const result = await registerUser({ username, email, password });
+    const result = await registerUser({ username, email, password }, getSessionInfo(req));
     
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: result.user,
-        token: result.token
+        token: result.token,
+        refreshToken: result.refreshToken
       }
     });
 
@@ -67,14 +86,15 @@ router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
     
-    const result = await loginUser({ username, password });
+    const result = await loginUser({ username, password }, getSessionInfo(req));
     
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: result.user,
-        token: result.token
+        token: result.token,
+        refreshToken: result.refreshToken
       }
     });
 
@@ -138,4 +158,195 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await refreshTokens(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    if (/refresh token/i.test(error.message) || error.message === 'User not found') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Session has expired, please log in again'
+        }
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REFRESH_ERROR',
+        message: 'Failed to refresh token'
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session a refresh token belongs to and disconnect its sockets.
+ * Works with an expired access token.
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Refresh token is required'
+        }
+      });
+    }
+
+    const sessionId = await revokeSessionByRefreshToken(refreshToken);
+    if (sessionId) {
+      req.app.get('socketService')?.disconnectSessions([sessionId]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_ERROR',
+        message: 'Failed to log out'
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the authenticated user's active sessions (devices)
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to retrieve sessions'
+      }
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke every session except the current one, disconnecting their sockets
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeOtherSessions(req.user.id, req.sessionId);
+    req.app.get('socketService')?.disconnectOtherSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to revoke sessions'
+      }
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the authenticated user's sessions, disconnecting its sockets
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.params.sessionId);
+    req.app.get('socketService')?.disconnectSessions([req.params.sessionId]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId: req.params.sessionId,
+        current: req.params.sessionId === req.sessionId
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        }
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to revoke session'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
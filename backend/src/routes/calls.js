@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const CallService = require('../services/callService');
+const callService = new CallService();
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * GET /api/calls?conversationId=&limit=&before=
+ * Get a page of the user's call history, newest first. Calls are placed and
+ * answered over the socket (see services/callSignaling.js); pass the previous
+ * response's nextCursor as `before` to load older calls.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { conversationId, before } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LIMIT',
+          message: 'Limit must be between 1 and 100'
+        }
+      });
+    }
+
+    const { calls, hasMore, nextCursor } = await callService.getCallHistory(req.user.id, {
+      conversationId: conversationId || null,
+      limit,
+      before: before || null
+    });
+
+    res.json({
+      success: true,
+      data: calls,
+      pagination: {
+        limit,
+        count: calls.length,
+        hasMore,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching call history:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Cursor call not found')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'before must be the ID of one of your calls'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CALL_HISTORY_ERROR',
+        message: 'Failed to fetch call history',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,51 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const ChatService = require('../services/chatService');
+const AttachmentService = require('../services/attachmentService');
 const chatService = new ChatService();
+const attachmentService = new AttachmentService();
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { getMaxAttachmentSize } = require('../utils/fileValidation');
+
+/**
+ * Parse a single multipart `file` field into memory, rejecting oversized uploads
+ * before they are fully buffered
+ */
+function uploadSingleFile(req, res, next) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxAttachmentSize(),
+      files: 1
+    }
+  }).single('file');
+
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: {
+          code: 'FILE_TOO_LARGE',
+          message: `File size must be less than ${Math.round(getMaxAttachmentSize() / 1024 / 1024)}MB`
+        }
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_UPLOAD',
+        message: 'Upload must be a multipart request with a single "file" field',
+        details: err.message
+      }
+    });
+  });
+}
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
@@ -34,17 +77,177 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/chats/:id/messages
- * Get messages for a specific conversation
+ * GET /api/chats/search?q=&conversationId=&senderId=&from=&to=&limit=&before=
+ * Full-text search over messages in the caller's conversations, newest first.
+ * Each result carries a plain-text snippet with the ranges that matched, and
+ * the thread ID of a thread reply, which opens in its thread.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { q, conversationId, senderId, before } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (typeof q !== 'string' || q.trim().length === 0 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SEARCH',
+          message: 'Search query must be between 1 and 200 characters'
+        }
+      });
+    }
+
+    if (limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LIMIT',
+          message: 'Limit must be between 1 and 50'
+        }
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SEARCH',
+          message: 'from and to must be valid dates'
+        }
+      });
+    }
+
+    const { results, hasMore, nextCursor } = await chatService.searchMessages(userId, {
+      query: q,
+      conversationId: conversationId || null,
+      senderId: senderId || null,
+      from,
+      to,
+      limit,
+      before: before || null
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      pagination: {
+        limit,
+        count: results.length,
+        hasMore,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+
+    if (error.message.includes('Cursor message not found')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Cursor does not refer to a message'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SEARCH_ERROR',
+        message: 'Failed to search messages',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/chats/forward
+ * Forward messages into one or more of the user's conversations.
+ * Body: { messageIds: string[], conversationIds: string[] }
+ */
+router.post('/forward', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { messageIds, conversationIds } = req.body;
+
+    const isIdList = (value, max) => Array.isArray(value) &&
+      value.length > 0 &&
+      value.length <= max &&
+      value.every(id => typeof id === 'string' && id.length > 0);
+
+    if (!isIdList(messageIds, 20) || !isIdList(conversationIds, 10)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORWARD',
+          message: 'Forward between 1 and 20 messages to between 1 and 10 conversations'
+        }
+      });
+    }
+
+    const messages = await chatService.forwardMessages(userId, messageIds, conversationIds);
+
+    const socketService = req.app.get('socketService');
+    messages.forEach(message => socketService?.emitMessageReceived(message));
+
+    res.status(201).json({
+      success: true,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Error forwarding messages:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You can only forward between conversations you are a participant in'
+        }
+      });
+    }
+
+    if (error.message.includes('messages not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_NOT_FOUND',
+          message: 'One or more messages could not be forwarded'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FORWARD_ERROR',
+        message: 'Failed to forward messages',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/chats/:id/messages?limit=&before=&after=&around=
+ * Get a page of messages for a specific conversation.
+ * Pass the previous response's nextCursor as `before` to load older messages,
+ * a known message ID as `after` to load newer ones, or a message ID as
+ * `around` to load it with its surrounding context (e.g. from search).
  */
 router.get('/:id/messages', async (req, res) => {
   try {
     const conversationId = req.params.id;
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const { before, after, around } = req.query;
 
-    // Validate limit and offset
+    // Validate limit and cursors
     if (limit < 1 || limit > 100) {
       return res.status(400).json({
         success: false,
@@ -55,25 +258,32 @@ router.get('/:id/messages', async (req, res) => {
       });
     }
 
-    if (offset < 0) {
+    if ([before, after, around].filter(Boolean).length > 1) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_OFFSET',
-          message: 'Offset must be non-negative'
+          code: 'INVALID_CURSOR',
+          message: 'Only one of before, after or around may be given'
         }
       });
     }
 
-    const messages = await chatService.getConversationMessages(conversationId, userId, limit, offset);
+    const { messages, hasMore, nextCursor, hasNewer, newerCursor } = await chatService.getConversationMessages(conversationId, userId, {
+      limit,
+      before: before || null,
+      after: after || null,
+      around: around || null
+    });
     
     res.json({
       success: true,
       data: messages,
       pagination: {
         limit,
-        offset,
-        count: messages.length
+        count: messages.length,
+        hasMore,
+        nextCursor,
+        ...(around ? { hasNewer, newerCursor } : {})
       }
     });
   } catch (error) {
@@ -89,6 +299,16 @@ router.get('/:id/messages', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Cursor message not found')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Cursor does not refer to a message in this conversation'
+        }
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -100,46 +320,173 @@ router.get('/:id/messages', async (req, res) => {
   }
 });
 
+/**
+ * Validate the body of a new message
+ * @param {object} body - Request body ({ content, attachmentIds, replyToId, clientMessageId })
+ * @returns {object|null} { code, message } describing the first problem, or null if valid
+ */
+function getMessageBodyError({ content = '', attachmentIds = [], replyToId = null, clientMessageId = null }) {
+  if (!Array.isArray(attachmentIds) || !attachmentIds.every(id => typeof id === 'string')) {
+    return {
+      code: 'INVALID_ATTACHMENTS',
+      message: 'attachmentIds must be an array of attachment IDs'
+    };
+  }
+
+  // Message content may be empty when files are attached
+  if (typeof content !== 'string' || (content.trim().length === 0 && attachmentIds.length === 0)) {
+    return {
+      code: 'INVALID_MESSAGE_CONTENT',
+      message: 'Message content is required and must be a non-empty string'
+    };
+  }
+
+  if (content.length > 1000) {
+    return {
+      code: 'MESSAGE_TOO_LONG',
+      message: 'Message content cannot exceed 1000 characters'
+    };
+  }
+
+  if (replyToId !== null && typeof replyToId !== 'string') {
+    return {
+      code: 'INVALID_REPLY_TARGET',
+      message: 'replyToId must be a message ID'
+    };
+  }
+
+  if (clientMessageId !== null && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 100)) {
+    return {
+      code: 'INVALID_CLIENT_MESSAGE_ID',
+      message: 'clientMessageId must be a string of at most 100 characters'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Map an error from sending a message to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ChatService
+ */
+function sendMessageError(res, error) {
+  const knownErrors = [
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['attachments not found', 400, 'INVALID_ATTACHMENTS', 'Attachments must be your own unsent uploads to this conversation'],
+    ['Reply target not found', 400, 'INVALID_REPLY_TARGET', 'Replies must quote a message from the same conversation and thread'],
+    ['Thread not found', 404, 'THREAD_NOT_FOUND', 'Thread not found in this conversation'],
+    ['has been deleted', 400, 'MESSAGE_DELETED', 'Deleted messages cannot be replied to'],
+    ['Client message ID already used', 409, 'CLIENT_MESSAGE_ID_CONFLICT', 'clientMessageId was already used for another conversation'],
+    ['Invalid message format', 400, 'INVALID_MESSAGE_FORMAT', 'format must be PLAIN or MARKDOWN'],
+    ['single voice recording', 400, 'INVALID_VOICE_NOTE', 'Voice notes must be sent with their own recording']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'MESSAGE_SEND_ERROR',
+      message: 'Failed to send message',
+      details: error.message
+    }
+  });
+}
+
 /**
  * POST /api/chats/:id/messages
- * Send a message to a conversation
+ * Send a message to a conversation, optionally quoting another (replyToId).
+ * Sending again with the same clientMessageId returns the first message with
+ * 200 instead of creating another.
  */
 router.post('/:id/messages', async (req, res) => {
   try {
     const conversationId = req.params.id;
     const senderId = req.user.id;
-    const { content } = req.body;
+    const { content = '', attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN' } = req.body;
 
-    // Validate message content
-    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    const validationError = getMessageBodyError(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: {
-          code: 'INVALID_MESSAGE_CONTENT',
-          message: 'Message content is required and must be a non-empty string'
-        }
+        error: validationError
       });
     }
 
-    if (content.length > 1000) {
+    const { duplicate, ...message } = await chatService.sendMessage(conversationId, senderId, content.trim(), {
+      attachmentIds,
+      replyToId,
+      clientMessageId,
+      format
+    });
+
+    if (!duplicate) {
+      req.app.get('socketService')?.emitMessageReceived(message);
+    }
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    sendMessageError(res, error);
+  }
+});
+
+/**
+ * GET /api/chats/:id/messages/:messageId/thread?limit=50&before=<replyId>
+ * Get a thread's root message and its replies, newest page first
+ */
+router.get('/:id/messages/:messageId/thread', async (req, res) => {
+  try {
+    const { id: conversationId, messageId: threadId } = req.params;
+    const userId = req.user.id;
+    const limit = parseInt(req.query.limit) || 50;
+    const { before } = req.query;
+
+    if (limit < 1 || limit > 100) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'MESSAGE_TOO_LONG',
-          message: 'Message content cannot exceed 1000 characters'
+          code: 'INVALID_LIMIT',
+          message: 'Limit must be between 1 and 100'
         }
       });
     }
 
-    const message = await chatService.sendMessage(conversationId, senderId, content.trim());
-    
-    res.status(201).json({
+    const { root, messages, hasMore, nextCursor } = await chatService.getThreadMessages(conversationId, threadId, userId, {
+      limit,
+      before: before || null
+    });
+
+    res.json({
       success: true,
-      data: message
+      data: {
+        root,
+        messages
+      },
+      pagination: {
+        limit,
+        count: messages.length,
+        hasMore,
+        nextCursor
+      }
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    
+    console.error('Error getting thread messages:', error);
+
     if (error.message.includes('not a participant')) {
       return res.status(403).json({
         success: false,
@@ -150,17 +497,1442 @@ router.post('/:id/messages', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Thread not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'THREAD_NOT_FOUND',
+          message: 'Thread not found in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Cursor message not found')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Cursor does not refer to a reply in this thread'
+        }
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
-        code: 'MESSAGE_SEND_ERROR',
-        message: 'Failed to send message',
+        code: 'THREAD_FETCH_ERROR',
+        message: 'Failed to retrieve thread',
         details: error.message
       }
     });
   }
 });
 
+/**
+ * POST /api/chats/:id/messages/:messageId/thread
+ * Reply in the thread started by a message, optionally quoting a message of
+ * that thread (replyToId). A repeated clientMessageId returns the first reply
+ * with 200.
+ */
+router.post('/:id/messages/:messageId/thread', async (req, res) => {
+  try {
+    const { id: conversationId, messageId: threadId } = req.params;
+    const senderId = req.user.id;
+    const { content = '', attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN' } = req.body;
+
+    const validationError = getMessageBodyError(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { duplicate, ...message } = await chatService.sendMessage(conversationId, senderId, content.trim(), {
+      attachmentIds,
+      replyToId,
+      threadId,
+      clientMessageId,
+      format
+    });
+
+    if (!duplicate) {
+      req.app.get('socketService')?.emitMessageReceived(message);
+    }
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error sending thread reply:', error);
+    sendMessageError(res, error);
+  }
+});
+
+/**
+ * POST /api/chats/:id/read
+ * Mark a conversation as read up to a message (default: the newest one)
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+    const { messageId } = req.body;
+
+    if (messageId !== undefined && messageId !== null && typeof messageId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_ID',
+          message: 'messageId must be a string'
+        }
+      });
+    }
+
+    const receipt = await chatService.markConversationRead(conversationId, userId, messageId || null);
+
+    req.app.get('socketService')?.emitReadReceipt(receipt, req.user.username);
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    console.error('Error marking conversation as read:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Message not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_NOT_FOUND',
+          message: 'Message not found in this conversation'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MARK_READ_ERROR',
+        message: 'Failed to mark conversation as read',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * PATCH /api/chats/:id/messages/:messageId
+ * Edit a message sent by the authenticated user, optionally changing its
+ * format (PLAIN or MARKDOWN). The text may only be cleared when the message
+ * has attachments.
+ */
+router.patch('/:id/messages/:messageId', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const userId = req.user.id;
+    const { content, format = null } = req.body;
+
+    // Empty content is checked against the stored message's attachments by the service
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_CONTENT',
+          message: 'Message content is required and must be a string'
+        }
+      });
+    }
+
+    if (content.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_TOO_LONG',
+          message: 'Message content cannot exceed 1000 characters'
+        }
+      });
+    }
+
+    const message = await chatService.editMessage(conversationId, messageId, userId, content.trim(), format);
+
+    req.app.get('socketService')?.emitMessageEdited(message);
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error editing message:', error);
+
+    if (error.message.includes('Message not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_NOT_FOUND',
+          message: 'Message not found in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('has been deleted')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_DELETED',
+          message: 'Deleted messages cannot be edited'
+        }
+      });
+    }
+
+    if (error.message.includes('content cannot be empty')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_CONTENT',
+          message: 'Message content is required and must be a non-empty string'
+        }
+      });
+    }
+
+    if (error.message.includes('Only the sender')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'Only the sender can edit this message'
+        }
+      });
+    }
+
+    if (error.message.includes('System messages')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SYSTEM_MESSAGE',
+          message: 'System messages cannot be changed'
+        }
+      });
+    }
+
+    if (error.message.includes('Polls cannot be edited')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'POLL_NOT_EDITABLE',
+          message: 'Polls cannot be edited'
+        }
+      });
+    }
+
+    if (error.message.includes('Voice notes cannot be edited')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VOICE_NOTE_NOT_EDITABLE',
+          message: 'Voice notes cannot be edited'
+        }
+      });
+    }
+
+    if (error.message.includes('Edit window has expired')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'EDIT_WINDOW_EXPIRED',
+          message: 'This message can no longer be edited'
+        }
+      });
+    }
+
+    if (error.message.includes('unchanged')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_UNCHANGED',
+          message: 'Message content is unchanged'
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid message format')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_FORMAT',
+          message: 'format must be PLAIN or MARKDOWN'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MESSAGE_EDIT_ERROR',
+        message: 'Failed to edit message',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * DELETE /api/chats/:id/messages/:messageId?scope=me|everyone
+ * Delete a message for the authenticated user only, or for everyone (sender only)
+ */
+router.delete('/:id/messages/:messageId', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const userId = req.user.id;
+    const scope = req.query.scope || 'me';
+
+    if (scope !== 'me' && scope !== 'everyone') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DELETE_SCOPE',
+          message: 'Scope must be either "me" or "everyone"'
+        }
+      });
+    }
+
+    const message = scope === 'everyone'
+      ? await chatService.deleteMessageForEveryone(conversationId, messageId, userId)
+      : await chatService.deleteMessageForUser(conversationId, messageId, userId);
+
+    req.app.get('socketService')?.emitMessageDeleted(message, scope, userId);
+
+    res.json({
+      success: true,
+      data: {
+        id: message.id,
+        conversationId: message.conversationId,
+        scope,
+        deletedAt: message.deletedAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Message not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_NOT_FOUND',
+          message: 'Message not found in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('already been deleted')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_ALREADY_DELETED',
+          message: 'This message has already been deleted'
+        }
+      });
+    }
+
+    if (error.message.includes('Only the sender')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'Only the sender can delete this message for everyone'
+        }
+      });
+    }
+
+    if (error.message.includes('System messages')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SYSTEM_MESSAGE',
+          message: 'System messages cannot be changed'
+        }
+      });
+    }
+
+    if (error.message.includes('Delete window has expired')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'DELETE_WINDOW_EXPIRED',
+          message: 'This message can no longer be deleted for everyone'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MESSAGE_DELETE_ERROR',
+        message: 'Failed to delete message',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/chats/:id/messages/:messageId/revisions
+ * Get the edit history of a message
+ */
+router.get('/:id/messages/:messageId/revisions', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const userId = req.user.id;
+
+    const revisions = await chatService.getMessageRevisions(conversationId, messageId, userId);
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error getting message revisions:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Message not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MESSAGE_NOT_FOUND',
+          message: 'Message not found in this conversation'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVISION_FETCH_ERROR',
+        message: 'Failed to retrieve message revisions',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * Map a reaction error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ChatService
+ */
+function sendReactionError(res, error) {
+  const knownErrors = [
+    ['Invalid emoji', 400, 'INVALID_EMOJI', 'Reaction must be a single emoji'],
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['Message not found', 404, 'MESSAGE_NOT_FOUND', 'Message not found in this conversation'],
+    ['has been deleted', 400, 'MESSAGE_DELETED', 'Deleted messages cannot be reacted to'],
+    ['System messages', 403, 'SYSTEM_MESSAGE', 'System messages cannot be reacted to']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'REACTION_ERROR',
+      message: 'Failed to update reaction',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * POST /api/chats/:id/messages/:messageId/reactions
+ * Toggle the authenticated user's reaction ({ emoji }) on a message
+ */
+router.post('/:id/messages/:messageId/reactions', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const userId = req.user.id;
+    const { emoji } = req.body;
+
+    const result = await chatService.toggleReaction(conversationId, messageId, userId, emoji);
+
+    req.app.get('socketService')?.emitReactionsUpdated(result);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error toggling reaction:', error);
+    sendReactionError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/chats/:id/messages/:messageId/reactions/:emoji
+ * Remove the authenticated user's reaction from a message
+ */
+router.delete('/:id/messages/:messageId/reactions/:emoji', async (req, res) => {
+  try {
+    const { id: conversationId, messageId, emoji } = req.params;
+    const userId = req.user.id;
+
+    const result = await chatService.removeReaction(conversationId, messageId, userId, emoji);
+
+    req.app.get('socketService')?.emitReactionsUpdated(result);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    sendReactionError(res, error);
+  }
+});
+
+/**
+ * Limits on new polls
+ */
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 100;
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+
+/**
+ * Validate the body of a new poll
+ * @param {object} body - Request body ({ question, options, allowsMultiple?, isAnonymous?, closesAt?, clientMessageId? })
+ * @returns {object|null} { code, message } describing the first problem, or null if valid
+ */
+function getPollBodyError({ question, options, allowsMultiple = false, isAnonymous = false, closesAt = null, clientMessageId = null }) {
+  if (typeof question !== 'string' || question.trim().length === 0 || question.length > POLL_QUESTION_MAX_LENGTH) {
+    return {
+      code: 'INVALID_POLL_QUESTION',
+      message: `question is required and cannot exceed ${POLL_QUESTION_MAX_LENGTH} characters`
+    };
+  }
+
+  const validOptions = Array.isArray(options) &&
+    options.length >= POLL_MIN_OPTIONS &&
+    options.length <= POLL_MAX_OPTIONS &&
+    options.every(option =>
+      typeof option === 'string' && option.trim().length > 0 && option.length <= POLL_OPTION_MAX_LENGTH
+    );
+
+  if (!validOptions) {
+    return {
+      code: 'INVALID_POLL_OPTIONS',
+      message: `options must be ${POLL_MIN_OPTIONS} to ${POLL_MAX_OPTIONS} non-empty strings of at most ${POLL_OPTION_MAX_LENGTH} characters`
+    };
+  }
+
+  if (new Set(options.map(option => option.trim().toLowerCase())).size !== options.length) {
+    return {
+      code: 'INVALID_POLL_OPTIONS',
+      message: 'Poll options must be different from each other'
+    };
+  }
+
+  if (typeof allowsMultiple !== 'boolean' || typeof isAnonymous !== 'boolean') {
+    return {
+      code: 'INVALID_POLL_SETTINGS',
+      message: 'allowsMultiple and isAnonymous must be booleans'
+    };
+  }
+
+  if (closesAt !== null && !(new Date(closesAt).getTime() > Date.now())) {
+    return {
+      code: 'INVALID_CLOSE_TIME',
+      message: 'closesAt must be a date in the future'
+    };
+  }
+
+  if (clientMessageId !== null && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 100)) {
+    return {
+      code: 'INVALID_CLIENT_MESSAGE_ID',
+      message: 'clientMessageId must be a string of at most 100 characters'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/chats/:id/polls
+ * Post a poll ({ question, options, allowsMultiple?, isAnonymous?, closesAt? }) as a
+ * message. Like messages, a repeated clientMessageId returns the first poll with 200.
+ */
+router.post('/:id/polls', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const { question, options, allowsMultiple = false, isAnonymous = false, closesAt = null, clientMessageId = null } = req.body;
+
+    const validationError = getPollBodyError(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { duplicate, ...message } = await chatService.sendMessage(conversationId, req.user.id, question.trim(), {
+      clientMessageId,
+      poll: {
+        question: question.trim(),
+        options: options.map(option => option.trim()),
+        allowsMultiple,
+        isAnonymous,
+        closesAt: closesAt ? new Date(closesAt) : null
+      }
+    });
+
+    if (!duplicate) {
+      req.app.get('socketService')?.emitMessageReceived(message);
+    }
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error creating poll:', error);
+    sendMessageError(res, error);
+  }
+});
+
+/**
+ * Map a poll voting error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ChatService
+ */
+function sendPollError(res, error) {
+  const knownErrors = [
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['Poll not found', 404, 'POLL_NOT_FOUND', 'Poll not found in this conversation'],
+    ['has been deleted', 400, 'MESSAGE_DELETED', 'This poll was deleted'],
+    ['Poll is closed', 409, 'POLL_CLOSED', 'This poll is closed'],
+    ['single choice', 400, 'SINGLE_CHOICE_POLL', 'This poll allows only one choice'],
+    ['Poll option not found', 400, 'INVALID_POLL_OPTION', 'Options must belong to this poll'],
+    ['Only the poll creator', 403, 'ACCESS_DENIED', 'Only the poll creator can close it']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'POLL_ERROR',
+      message: 'Failed to update poll',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * PUT /api/chats/:id/messages/:messageId/poll/votes
+ * Set the authenticated user's votes ({ optionIds }) in a poll; [] takes the vote back
+ */
+router.put('/:id/messages/:messageId/poll/votes', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const { optionIds } = req.body;
+
+    if (!Array.isArray(optionIds) || !optionIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_POLL_OPTION',
+          message: 'optionIds must be an array of option IDs'
+        }
+      });
+    }
+
+    const result = await chatService.votePoll(conversationId, messageId, req.user.id, optionIds);
+
+    req.app.get('socketService')?.emitPollUpdated(result);
+
+    res.json({
+      success: true,
+      data: result.poll
+    });
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    sendPollError(res, error);
+  }
+});
+
+/**
+ * POST /api/chats/:id/messages/:messageId/poll/close
+ * Stop a poll taking votes (poll creator only)
+ */
+router.post('/:id/messages/:messageId/poll/close', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+
+    const result = await chatService.closePoll(conversationId, messageId, req.user.id);
+
+    req.app.get('socketService')?.emitPollUpdated(result);
+
+    res.json({
+      success: true,
+      data: result.poll
+    });
+  } catch (error) {
+    console.error('Error closing poll:', error);
+    sendPollError(res, error);
+  }
+});
+
+/**
+ * Map a pinning error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ChatService
+ */
+function sendPinError(res, error) {
+  const knownErrors = [
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['Message not found', 404, 'MESSAGE_NOT_FOUND', 'Message not found in this conversation'],
+    ['has been deleted', 400, 'MESSAGE_DELETED', 'Deleted messages cannot be pinned'],
+    ['System messages', 403, 'SYSTEM_MESSAGE', 'System messages cannot be pinned'],
+    ['Pin limit reached', 409, 'PIN_LIMIT_REACHED', 'This conversation already has the maximum number of pinned messages'],
+    ['Pin conflicted', 409, 'PIN_CONFLICT', 'The pinned messages changed at the same time, please try again']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'PIN_ERROR',
+      message: 'Failed to update pinned messages',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * GET /api/chats/:id/pins
+ * Get a conversation's pinned messages, most recently pinned first
+ */
+router.get('/:id/pins', async (req, res) => {
+  try {
+    const pins = await chatService.getPinnedMessages(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: pins
+    });
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    sendPinError(res, error);
+  }
+});
+
+/**
+ * POST /api/chats/:id/messages/:messageId/pin
+ * Pin a message for everyone in the conversation
+ */
+router.post('/:id/messages/:messageId/pin', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+
+    const result = await chatService.pinMessage(conversationId, messageId, req.user.id);
+
+    req.app.get('socketService')?.emitPinsUpdated(result);
+
+    res.json({
+      success: true,
+      data: result.pins
+    });
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    sendPinError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/chats/:id/messages/:messageId/pin
+ * Unpin a message
+ */
+router.delete('/:id/messages/:messageId/pin', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+
+    const result = await chatService.unpinMessage(conversationId, messageId, req.user.id);
+
+    req.app.get('socketService')?.emitPinsUpdated(result);
+
+    res.json({
+      success: true,
+      data: result.pins
+    });
+  } catch (error) {
+    console.error('Error unpinning message:', error);
+    sendPinError(res, error);
+  }
+});
+
+/**
+ * Send an attachment's contents as the response body; headers must already be set
+ * @param {object} res - Express response
+ * @param {object} attachment - Attachment including its storage key
+ * @param {object} range - Optional inclusive { start, end } byte offsets
+ */
+function streamAttachment(res, attachment, range = {}) {
+  const stream = attachmentService.openAttachmentStream(attachment, range);
+  stream.on('error', (streamError) => {
+    console.error('Error streaming attachment:', streamError);
+    if (!res.headersSent) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'ATTACHMENT_NOT_FOUND',
+          message: 'Attachment not found'
+        }
+      });
+    } else {
+      res.destroy(streamError);
+    }
+  });
+  stream.pipe(res);
+}
+
+/**
+ * POST /api/chats/:id/attachments
+ * Upload a file (multipart field `file`) to attach to the next message.
+ * Send its ID in `attachmentIds` when posting the message.
+ */
+router.post('/:id/attachments', uploadSingleFile, async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'FILE_REQUIRED',
+          message: 'A file is required'
+        }
+      });
+    }
+
+    const attachment = await attachmentService.uploadAttachment(conversationId, userId, req.file);
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid attachment')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ATTACHMENT',
+          message: error.message.split('Invalid attachment: ')[1]
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ATTACHMENT_UPLOAD_ERROR',
+        message: 'Failed to upload attachment',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/chats/:id/attachments/:attachmentId
+ * Download an attachment (participants of the conversation only)
+ */
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { id: conversationId, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    const attachment = await attachmentService.getAttachment(conversationId, attachmentId, userId);
+
+    // Images may render inline; everything else is always downloaded
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    streamAttachment(res, attachment);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Attachment not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ATTACHMENT_NOT_FOUND',
+          message: 'Attachment not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ATTACHMENT_FETCH_ERROR',
+        message: 'Failed to retrieve attachment',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * Validate the text fields sent with a voice note
+ * @param {object} body - Multipart fields ({ clientMessageId?, replyToId?, threadId? })
+ * @returns {object|null} { code, message } describing the first problem, or null if valid
+ */
+function getVoiceNoteBodyError({ clientMessageId, replyToId, threadId }) {
+  if (clientMessageId !== undefined && (!clientMessageId || clientMessageId.length > 100)) {
+    return {
+      code: 'INVALID_CLIENT_MESSAGE_ID',
+      message: 'clientMessageId must be a string of at most 100 characters'
+    };
+  }
+
+  if ((replyToId !== undefined && !replyToId) || (threadId !== undefined && !threadId)) {
+    return {
+      code: 'INVALID_MESSAGE_REFERENCE',
+      message: 'replyToId and threadId must be message IDs when given'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/chats/:id/voice-notes
+ * Send a recorded voice note (multipart field `file`, with optional
+ * `clientMessageId`, `replyToId` and `threadId` fields) as a VOICE message.
+ * Its length is read from the recording. A repeated clientMessageId returns
+ * the first message with 200.
+ */
+router.post('/:id/voice-notes', uploadSingleFile, async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'FILE_REQUIRED',
+          message: 'A recording is required'
+        }
+      });
+    }
+
+    const validationError = getVoiceNoteBodyError(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { clientMessageId = null, replyToId = null, threadId = null } = req.body;
+    const recording = await attachmentService.uploadVoiceNote(conversationId, userId, req.file);
+
+    let result;
+    try {
+      result = await chatService.sendMessage(conversationId, userId, '', {
+        attachmentIds: [recording.id],
+        replyToId,
+        threadId,
+        clientMessageId,
+        voice: true
+      });
+    } catch (error) {
+      await attachmentService.discardUpload(recording.id)
+        .catch(err => console.error('Failed to remove unsent voice note:', err));
+      throw error;
+    }
+
+    const { duplicate, ...message } = result;
+    if (duplicate) {
+      // The first attempt was delivered with its own copy of the recording
+      await attachmentService.discardUpload(recording.id)
+        .catch(err => console.error('Failed to remove duplicate voice note:', err));
+    } else {
+      req.app.get('socketService')?.emitMessageReceived(message);
+    }
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Error sending voice note:', error);
+
+    if (error.message.includes('Invalid voice note')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_VOICE_NOTE',
+          message: error.message.split('Invalid voice note: ')[1]
+        }
+      });
+    }
+
+    sendMessageError(res, error);
+  }
+});
+
+/**
+ * Parse a Range header asking for one byte range of a file
+ * @param {string|undefined} header - The Range header
+ * @param {number} size - File size in bytes
+ * @returns {object|null} Inclusive { start, end }, { unsatisfiable: true } when the range
+ *   lies outside the file, or null to send the whole file (no, malformed or multi-range header)
+ */
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  // "bytes=-500" asks for the last 500 bytes
+  if (!match[1]) {
+    const suffixLength = parseInt(match[2], 10);
+    return suffixLength === 0
+      ? { unsatisfiable: true }
+      : { start: Math.max(size - suffixLength, 0), end: size - 1 };
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : Infinity;
+  if (end < start) {
+    return null;
+  }
+
+  return start >= size ? { unsatisfiable: true } : { start, end: Math.min(end, size - 1) };
+}
+
+/**
+ * GET /api/chats/:id/messages/:messageId/voice
+ * Stream a voice note's recording for playback (participants of the
+ * conversation only). Supports Range requests so players can seek.
+ */
+router.get('/:id/messages/:messageId/voice', async (req, res) => {
+  try {
+    const { id: conversationId, messageId } = req.params;
+    const recording = await chatService.getVoiceNote(conversationId, messageId, req.user.id);
+    const range = parseByteRange(req.headers.range, recording.size);
+
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${recording.size}`);
+      return res.status(416).json({
+        success: false,
+        error: {
+          code: 'RANGE_NOT_SATISFIABLE',
+          message: 'The requested range is outside the recording'
+        }
+      });
+    }
+
+    res.set({
+      'Content-Type': recording.mimeType,
+      'Content-Length': range ? range.end - range.start + 1 : recording.size,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(recording.fileName)}`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${recording.size}`);
+    }
+
+    streamAttachment(res, recording, range || {});
+  } catch (error) {
+    console.error('Error streaming voice note:', error);
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    if (error.message.includes('Voice note not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'VOICE_NOTE_NOT_FOUND',
+          message: 'Voice note not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VOICE_NOTE_FETCH_ERROR',
+        message: 'Failed to retrieve voice note',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * Map a group administration error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ChatService
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+function sendGroupError(res, error, code, message) {
+  const knownErrors = [
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['not a group', 400, 'NOT_A_GROUP', 'Only group conversations can be managed'],
+    ['Insufficient permissions', 403, 'INSUFFICIENT_PERMISSIONS', 'Your role does not allow this action'],
+    ['Participant not found', 404, 'PARTICIPANT_NOT_FOUND', 'User is not a participant in this conversation'],
+    ['users not found', 400, 'USERS_NOT_FOUND', 'One or more specified users do not exist'],
+    ['already participants', 409, 'ALREADY_PARTICIPANTS', 'All specified users are already participants'],
+    ['already has this role', 409, 'ROLE_UNCHANGED', 'Participant already has this role'],
+    ['Use leave', 400, 'CANNOT_REMOVE_SELF', 'Use the leave endpoint to remove yourself']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, knownCode, knownMessage] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code: knownCode,
+        message: knownMessage
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code,
+      message,
+      details: error.message
+    }
+  });
+}
+
+/**
+ * PATCH /api/chats/:id
+ * Rename a group conversation (owner or admin)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CONVERSATION_NAME',
+          message: 'Conversation name must be a non-empty string of at most 100 characters'
+        }
+      });
+    }
+
+    const { conversation, systemMessage } = await chatService.renameConversation(conversationId, userId, name.trim());
+
+    const socketService = req.app.get('socketService');
+    socketService?.emitMessageReceived(systemMessage);
+    socketService?.emitConversationUpdated(conversation);
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    sendGroupError(res, error, 'CONVERSATION_UPDATE_ERROR', 'Failed to rename conversation');
+  }
+});
+
+/**
+ * PUT /api/chats/:id/message-ttl
+ * Turn disappearing messages on ({ messageTtlSeconds: 3600 | 86400 | 604800 | 7776000 })
+ * or off ({ messageTtlSeconds: null }) for new messages in a conversation
+ */
+router.put('/:id/message-ttl', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+    const { messageTtlSeconds = null } = req.body;
+
+    const { conversation, systemMessage } = await chatService.setMessageTtl(conversationId, userId, messageTtlSeconds);
+
+    if (systemMessage) {
+      const socketService = req.app.get('socketService');
+      socketService?.emitMessageReceived(systemMessage);
+      socketService?.emitConversationUpdated(conversation);
+    }
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error changing disappearing messages:', error);
+
+    if (error.message.includes('Invalid message TTL')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_TTL',
+          message: 'messageTtlSeconds must be null (off) or one of 3600, 86400, 604800, 7776000'
+        }
+      });
+    }
+
+    if (error.message.includes('not a participant')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You are not a participant in this conversation'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CONVERSATION_UPDATE_ERROR',
+        message: 'Failed to change disappearing messages',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/chats/:id/participants
+ * Add users to a group conversation (owner or admin)
+ */
+router.post('/:id/participants', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_USER_IDS',
+          message: 'userIds must be a non-empty array'
+        }
+      });
+    }
+
+    const { conversation, systemMessage, addedUserIds } = await chatService.addParticipants(conversationId, userId, userIds);
+
+    const socketService = req.app.get('socketService');
+    socketService?.emitMessageReceived(systemMessage);
+    socketService?.emitParticipantAdded(conversation, addedUserIds, userId);
+
+    res.status(201).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error adding participants:', error);
+    sendGroupError(res, error, 'PARTICIPANT_ADD_ERROR', 'Failed to add participants');
+  }
+});
+
+/**
+ * DELETE /api/chats/:id/participants/:userId
+ * Remove a participant from a group conversation (owner, or admin for members)
+ */
+router.delete('/:id/participants/:userId', async (req, res) => {
+  try {
+    const { id: conversationId, userId: targetUserId } = req.params;
+    const userId = req.user.id;
+
+    const { conversation, systemMessage } = await chatService.removeParticipant(conversationId, userId, targetUserId);
+
+    const socketService = req.app.get('socketService');
+    socketService?.emitMessageReceived(systemMessage);
+    socketService?.emitParticipantRemoved(conversationId, targetUserId, userId, conversation);
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error removing participant:', error);
+    sendGroupError(res, error, 'PARTICIPANT_REMOVE_ERROR', 'Failed to remove participant');
+  }
+});
+
+/**
+ * PATCH /api/chats/:id/participants/:userId
+ * Promote a member to admin or demote an admin to member (owner only)
+ */
+router.patch('/:id/participants/:userId', async (req, res) => {
+  try {
+    const { id: conversationId, userId: targetUserId } = req.params;
+    const userId = req.user.id;
+    const role = typeof req.body.role === 'string' ? req.body.role.toUpperCase() : null;
+
+    if (!['ADMIN', 'MEMBER'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: 'role must be "ADMIN" or "MEMBER"'
+        }
+      });
+    }
+
+    const { conversation, systemMessage } = await chatService.updateParticipantRole(conversationId, userId, targetUserId, role);
+
+    const socketService = req.app.get('socketService');
+    socketService?.emitMessageReceived(systemMessage);
+    socketService?.emitConversationUpdated(conversation);
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Error updating participant role:', error);
+    sendGroupError(res, error, 'ROLE_UPDATE_ERROR', 'Failed to update participant role');
+  }
+});
+
+/**
+ * POST /api/chats/:id/leave
+ * Leave a group conversation
+ */
+router.post('/:id/leave', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    const { conversation, systemMessage } = await chatService.leaveConversation(conversationId, userId);
+
+    const socketService = req.app.get('socketService');
+    if (systemMessage) {
+      socketService?.emitMessageReceived(systemMessage);
+    }
+    socketService?.emitParticipantRemoved(conversationId, userId, userId, conversation);
+
+    res.json({
+      success: true,
+      data: {
+        conversationId,
+        deleted: !conversation
+      }
+    });
+  } catch (error) {
+    console.error('Error leaving conversation:', error);
+    sendGroupError(res, error, 'CONVERSATION_LEAVE_ERROR', 'Failed to leave conversation');
+  }
+});
+
 /**
  * POST /api/chats
  * Create a new conversation
@@ -205,7 +1977,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const conversation = await chatService.createConversation(allUserIds, name ? name.trim() : null);
+    const conversation = await chatService.createConversation(allUserIds, name ? name.trim() : null, currentUserId);
     
     res.status(201).json({
       success: true,
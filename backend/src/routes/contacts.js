@@ -17,12 +17,22 @@ router.get('/', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     const contacts = await getUserContacts(userId);
+    const socketService = req.app.get('socketService');
+
+    // Presence: lastSeenAt is stored, whether someone is online is only known to the socket layer
+    const contactsWithPresence = await Promise.all(contacts.map(async (contact) => ({
+      ...contact,
+      contact: {
+        ...contact.contact,
+        isOnline: socketService ? await socketService.isUserOnline(contact.contact.id) : false
+      }
+    })));
     
     res.json({
       success: true,
       message: 'Contacts retrieved successfully',
       data: {
-        contacts: contacts
+        contacts: contactsWithPresence
       }
     });
 
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const ScheduledMessageService = require('../services/scheduledMessageService');
+const scheduledMessageService = new ScheduledMessageService();
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Messages can be scheduled up to a year ahead
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * Validate the content, format and send time of a scheduled message
+ * @param {object} body - Request body ({ content, format?, sendAt })
+ * @param {boolean} partial - Whether fields may be left out (for edits)
+ * @returns {object|null} Error details for a 400 response, or null if valid
+ */
+function getScheduleError({ content, format, sendAt }, partial = false) {
+  if (!partial || content !== undefined) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return {
+        code: 'INVALID_MESSAGE_CONTENT',
+        message: 'Message content is required and must be a non-empty string'
+      };
+    }
+
+    if (content.length > 1000) {
+      return {
+        code: 'MESSAGE_TOO_LONG',
+        message: 'Message content cannot exceed 1000 characters'
+      };
+    }
+  }
+
+  if (format !== undefined && format !== 'PLAIN' && format !== 'MARKDOWN') {
+    return {
+      code: 'INVALID_MESSAGE_FORMAT',
+      message: 'format must be PLAIN or MARKDOWN'
+    };
+  }
+
+  if (!partial || sendAt !== undefined) {
+    const time = new Date(sendAt).getTime();
+    if (typeof sendAt !== 'string' || isNaN(time)) {
+      return {
+        code: 'INVALID_SEND_TIME',
+        message: 'sendAt must be a valid date'
+      };
+    }
+
+    if (time <= Date.now() || time > Date.now() + MAX_SCHEDULE_AHEAD_MS) {
+      return {
+        code: 'INVALID_SEND_TIME',
+        message: 'sendAt must be in the future and at most a year ahead'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map a scheduled message error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by ScheduledMessageService
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendScheduleError(res, error, fallback) {
+  const knownErrors = [
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['Scheduled message not found', 404, 'SCHEDULED_MESSAGE_NOT_FOUND', 'Scheduled message not found'],
+    ['has been cancelled', 409, 'SCHEDULED_MESSAGE_CANCELLED', 'This scheduled message has been cancelled'],
+    ['has already been sent', 409, 'SCHEDULED_MESSAGE_SENT', 'This scheduled message is being sent or has been sent']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SCHEDULED_MESSAGE_ERROR',
+      message: fallback,
+      details: error.message
+    }
+  });
+}
+
+/**
+ * GET /api/scheduled-messages?conversationId=
+ * Get the user's scheduled messages that are still to be sent (including
+ * failed ones), soonest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+
+    const scheduledMessages = await scheduledMessageService.getScheduledMessages(req.user.id, {
+      conversationId: conversationId || null
+    });
+
+    res.json({
+      success: true,
+      data: scheduledMessages
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error);
+    sendScheduleError(res, error, 'Failed to fetch scheduled messages');
+  }
+});
+
+/**
+ * POST /api/scheduled-messages
+ * Schedule a message: { conversationId, content, format?, sendAt }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { conversationId, content, format = 'PLAIN', sendAt } = req.body;
+
+    if (typeof conversationId !== 'string' || conversationId.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CONVERSATION',
+          message: 'conversationId is required'
+        }
+      });
+    }
+
+    const validationError = getScheduleError(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const scheduledMessage = await scheduledMessageService.scheduleMessage(
+      req.user.id,
+      conversationId,
+      content.trim(),
+      new Date(sendAt),
+      format
+    );
+
+    req.app.get('socketService')?.emitScheduledMessageUpdated(scheduledMessage);
+
+    res.status(201).json({
+      success: true,
+      data: scheduledMessage
+    });
+  } catch (error) {
+    console.error('Error scheduling message:', error);
+    sendScheduleError(res, error, 'Failed to schedule message');
+  }
+});
+
+/**
+ * PATCH /api/scheduled-messages/:id
+ * Change a scheduled message's content, format and/or send time
+ * ({ content?, format?, sendAt? }). A failed message is queued again.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { content, format, sendAt } = req.body;
+
+    const validationError = getScheduleError(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const scheduledMessage = await scheduledMessageService.updateScheduledMessage(req.user.id, req.params.id, {
+      content: content !== undefined ? content.trim() : undefined,
+      format,
+      sendAt: sendAt !== undefined ? new Date(sendAt) : undefined
+    });
+
+    req.app.get('socketService')?.emitScheduledMessageUpdated(scheduledMessage);
+
+    res.json({
+      success: true,
+      data: scheduledMessage
+    });
+  } catch (error) {
+    console.error('Error updating scheduled message:', error);
+    sendScheduleError(res, error, 'Failed to update scheduled message');
+  }
+});
+
+/**
+ * DELETE /api/scheduled-messages/:id
+ * Cancel a scheduled message that has not been sent yet
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const scheduledMessage = await scheduledMessageService.cancelScheduledMessage(req.user.id, req.params.id);
+
+    req.app.get('socketService')?.emitScheduledMessageUpdated(scheduledMessage);
+
+    res.json({
+      success: true,
+      data: scheduledMessage
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error);
+    sendScheduleError(res, error, 'Failed to cancel scheduled message');
+  }
+});
+
+module.exports = router;
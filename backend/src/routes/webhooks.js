@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const WebhookService = require('../services/webhookService');
+const webhookService = new WebhookService();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERING', 'SUCCEEDED', 'DEAD'];
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * Map a webhook error to an HTTP response
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by WebhookService
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendWebhookError(res, error, fallback) {
+  const knownErrors = [
+    ['Invalid webhook URL', 400, 'INVALID_WEBHOOK_URL', 'url must be an http(s) URL without credentials'],
+    ['could not be resolved', 400, 'WEBHOOK_HOST_UNRESOLVED', 'The webhook URL\'s host could not be resolved'],
+    ['is not a public address', 400, 'WEBHOOK_HOST_NOT_ALLOWED', 'Webhooks can only be sent to public internet addresses'],
+    ['Unknown webhook event', 400, 'INVALID_WEBHOOK_EVENTS', `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`],
+    ['Cursor delivery not found', 400, 'INVALID_CURSOR', 'before must be the ID of one of this webhook\'s deliveries'],
+    ['not a participant', 403, 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+    ['Webhook not found', 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found'],
+    ['Delivery not found', 404, 'DELIVERY_NOT_FOUND', 'Delivery not found'],
+    ['Too many webhooks', 409, 'WEBHOOK_LIMIT_REACHED', 'You have reached the maximum number of webhooks'],
+    ['still being sent', 409, 'DELIVERY_IN_PROGRESS', 'This delivery is still queued or being sent'],
+    ['was redacted', 409, 'DELIVERY_REDACTED', 'This delivery\'s message has been deleted, so it cannot be sent again']
+  ];
+
+  const known = knownErrors.find(([match]) => error.message.includes(match));
+  if (known) {
+    const [, status, code, message] = known;
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'WEBHOOK_ERROR',
+      message: fallback,
+      details: error.message
+    }
+  });
+}
+
+/**
+ * GET /api/webhooks
+ * Get the user's webhooks (without their secrets)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await webhookService.getWebhooks(req.user.id);
+
+    res.json({
+      success: true,
+      data: webhooks
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    sendWebhookError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events: { url, events, conversationId? }. Without a
+ * conversationId the webhook gets events of every conversation the user is in.
+ * The signing secret is only returned here and when it is rotated.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, conversationId } = req.body;
+
+    if (conversationId !== undefined && conversationId !== null &&
+      (typeof conversationId !== 'string' || conversationId.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CONVERSATION',
+          message: 'conversationId must be a conversation ID'
+        }
+      });
+    }
+
+    const webhook = await webhookService.createWebhook(req.user.id, {
+      url,
+      events,
+      conversationId: conversationId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendWebhookError(res, error, 'Failed to create webhook');
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change a webhook's URL, events and/or whether it is active
+ * ({ url?, events?, isActive? })
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { url, events, isActive } = req.body;
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_IS_ACTIVE',
+          message: 'isActive must be a boolean'
+        }
+      });
+    }
+
+    const webhook = await webhookService.updateWebhook(req.user.id, req.params.id, {
+      url,
+      events,
+      isActive
+    });
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendWebhookError(res, error, 'Failed to update webhook');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook along with its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await webhookService.deleteWebhook(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendWebhookError(res, error, 'Failed to delete webhook');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace a webhook's signing secret; later deliveries are signed with the new one
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await webhookService.rotateSecret(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    sendWebhookError(res, error, 'Failed to rotate webhook secret');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries?status=&limit=&before=
+ * Get a webhook's delivery log, newest first. status=DEAD lists the
+ * dead-letter queue: deliveries that ran out of attempts.
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, before } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LIMIT',
+          message: 'Limit must be between 1 and 100'
+        }
+      });
+    }
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `status must be one of ${DELIVERY_STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const { deliveries, hasMore, nextCursor } = await webhookService.getDeliveries(req.user.id, req.params.id, {
+      status: status || null,
+      limit,
+      before: before || null
+    });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        limit,
+        count: deliveries.length,
+        hasMore,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    sendWebhookError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a succeeded or dead-lettered delivery again (unless its message has
+ * since been deleted)
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.user.id, req.params.id, req.params.deliveryId);
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    sendWebhookError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { getStorageAdapter } = require('./storage');
+const { VOICE_NOTE_TYPES, validateAttachment, validateVoiceNote } = require('../utils/fileValidation');
+
+class AttachmentService {
+  constructor(prismaClient = null, storage = null) {
+    this.prisma = prismaClient || new PrismaClient();
+    this.storage = storage || getStorageAdapter();
+  }
+
+  /**
+   * Verify a user is a participant in a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async assertParticipant(conversationId, userId) {
+    const participant = await this.prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId
+        }
+      }
+    });
+
+    if (!participant) {
+      throw new Error('User is not a participant in this conversation');
+    }
+  }
+
+  /**
+   * Store an uploaded file so it can be attached to the uploader's next message
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The uploader's user ID
+   * @param {Object} file - Uploaded file ({ originalname, mimetype, size, buffer })
+   * @returns {Promise<Object>} The created attachment
+   */
+  async uploadAttachment(conversationId, userId, file) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      const validation = validateAttachment(file);
+      if (!validation.isValid) {
+        throw new Error(`Invalid attachment: ${validation.errors.join(', ')}`);
+      }
+
+      // Never trust the client's file name for the storage path
+      const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+
+      return await this.storeUpload(conversationId, userId, file, {
+        fileName: path.basename(file.originalname),
+        extension
+      });
+    } catch (error) {
+      throw new Error(`Failed to upload attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a recorded voice note so it can be sent as a VOICE message
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The uploader's user ID
+   * @param {Object} file - Uploaded file ({ originalname, mimetype, size, buffer })
+   * @returns {Promise<Object>} The created attachment, with the duration read from the recording
+   */
+  async uploadVoiceNote(conversationId, userId, file) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      // Recorders label their output like "audio/webm;codecs=opus"
+      const mimeType = file?.mimetype?.split(';')[0].trim().toLowerCase();
+      const audio = file && { ...file, mimetype: mimeType };
+
+      const validation = validateVoiceNote(audio);
+      if (!validation.isValid) {
+        throw new Error(`Invalid voice note: ${validation.errors.join(', ')}`);
+      }
+
+      const extension = VOICE_NOTE_TYPES[mimeType];
+      return await this.storeUpload(conversationId, userId, audio, {
+        fileName: `voice-note${extension}`,
+        extension,
+        durationMs: validation.durationMs
+      });
+    } catch (error) {
+      throw new Error(`Failed to upload voice note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a validated upload and record it as an unsent attachment
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The uploader's user ID
+   * @param {Object} file - Uploaded file ({ mimetype, size, buffer })
+   * @param {Object} details - { fileName, extension, durationMs? } to store it under
+   * @returns {Promise<Object>} The created attachment
+   */
+  async storeUpload(conversationId, userId, file, { fileName, extension, durationMs = null }) {
+    const storageKey = `${conversationId}/${crypto.randomUUID()}${extension}`;
+
+    await this.storage.save(storageKey, file.buffer, { contentType: file.mimetype });
+
+    try {
+      return await this.prisma.attachment.create({
+        data: {
+          conversationId,
+          uploaderId: userId,
+          fileName,
+          mimeType: file.mimetype,
+          size: file.size,
+          durationMs,
+          storageKey
+        },
+        select: {
+          id: true,
+          fileName: true,
+          mimeType: true,
+          size: true,
+          durationMs: true,
+          createdAt: true
+        }
+      });
+    } catch (error) {
+      await this.storage.delete(storageKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an upload that was never sent, e.g. when sending its message failed
+   * @param {string} attachmentId - The attachment ID
+   * @returns {Promise<void>}
+   */
+  async discardUpload(attachmentId) {
+    const attachment = await this.prisma.attachment.findUnique({
+      where: { id: attachmentId },
+      select: { messageId: true, storageKey: true }
+    });
+
+    if (!attachment || attachment.messageId) {
+      return;
+    }
+
+    // Only delete the file if the upload was still unsent when its row went
+    const { count } = await this.prisma.attachment.deleteMany({
+      where: { id: attachmentId, messageId: null }
+    });
+    if (count > 0) {
+      await this.storage.delete(attachment.storageKey);
+    }
+  }
+
+  /**
+   * Get an attachment the user is allowed to download
+   * @param {string} conversationId - The conversation ID
+   * @param {string} attachmentId - The attachment ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Object>} The attachment including its storage key
+   */
+  async getAttachment(conversationId, attachmentId, userId) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      const attachment = await this.prisma.attachment.findUnique({
+        where: { id: attachmentId },
+        include: {
+          message: {
+            select: {
+              deletedAt: true,
+              hiddenFor: {
+                where: { userId },
+                select: { id: true }
+              }
+            }
+          }
+        }
+      });
+
+      if (!attachment || attachment.conversationId !== conversationId) {
+        throw new Error('Attachment not found');
+      }
+
+      // Unsent uploads are private to the uploader; hidden or deleted messages expose nothing
+      if (!attachment.message) {
+        if (attachment.uploaderId !== userId) {
+          throw new Error('Attachment not found');
+        }
+      } else if (attachment.message.deletedAt || attachment.message.hiddenFor.length > 0) {
+        throw new Error('Attachment not found');
+      }
+
+      const { message: _message, ...rest } = attachment;
+      return rest;
+    } catch (error) {
+      throw new Error(`Failed to get attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open an attachment's contents for streaming
+   * @param {Object} attachment - Attachment returned by getAttachment
+   * @param {Object} range - Optional inclusive { start, end } byte offsets
+   * @returns {ReadableStream} File stream
+   */
+  openAttachmentStream(attachment, range = {}) {
+    return this.storage.createReadStream(attachment.storageKey, range);
+  }
+}
+
+module.exports = AttachmentService;
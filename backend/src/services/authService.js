@@ -6,15 +6,32 @@ const {
   validateRegistrationInput, 
   validateLoginInput 
 } = require('../utils/auth');
+const { createSession, rotateSession } = require('./sessionService');
 
 const prisma = new PrismaClient();
 
+/**
+ * Start a session for a user and issue its tokens
+ * @param {object} user - User object with id, username, email
+ * @param {object} sessionInfo - Optional { userAgent, ipAddress } describing the device
+ * @returns {Promise<object>} - { token, refreshToken }
+ */
+async function issueTokens(user, sessionInfo) {
+  const { session, refreshToken } = await createSession(user.id, sessionInfo);
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken
+  };
+}
+
 /**
  * Register a new user
  * @param {object} userData - User registration data
- * @returns {Promise<object>} - Registration result with user and token
+ * @param {object} sessionInfo - Optional { userAgent, ipAddress } describing the device
+ * @returns {Promise<object>} - Registration result with user, access token and refresh token
  */
-async function registerUser(userData) {
+async function registerUser(userData, sessionInfo = {}) {
   // Validate input
   const validation = validateRegistrationInput(userData);
   if (!validation.isValid) {
@@ -61,13 +78,14 @@ async function registerUser(userData) {
       }
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, sessionInfo);
 
     return {
       success: true,
       user,
-      token
+      token,
+      refreshToken
     };
 
   } catch (error) {
@@ -78,9 +96,10 @@ async function registerUser(userData) {
 /**
  * Login a user
  * @param {object} credentials - User login credentials
- * @returns {Promise<object>} - Login result with user and token
+ * @param {object} sessionInfo - Optional { userAgent, ipAddress } describing the device
+ * @returns {Promise<object>} - Login result with user, access token and refresh token
  */
-async function loginUser(credentials) {
+async function loginUser(credentials, sessionInfo = {}) {
   // Validate input
   const validation = validateLoginInput(credentials);
   if (!validation.isValid) {
@@ -118,13 +137,14 @@ async function loginUser(credentials) {
       createdAt: user.createdAt
     };
 
-    // Generate token
-    const token = generateToken(userResponse);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(userResponse, sessionInfo);
 
     return {
       success: true,
       user: userResponse,
-      token
+      token,
+      refreshToken
     };
 
   } catch (error) {
@@ -160,8 +180,29 @@ async function getUserById(userId) {
   }
 }
 
+/**
+ * Issue a new access token, rotating the session's refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<object>} - New access token and refresh token
+ */
+async function refreshTokens(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new Error('Validation failed: Refresh token is required');
+  }
+
+  const { session, userId, refreshToken: nextRefreshToken } = await rotateSession(refreshToken);
+  const user = await getUserById(userId);
+
+  return {
+    success: true,
+    token: generateToken(user, session.id),
+    refreshToken: nextRefreshToken
+  };
+}
+
 module.exports = {
   registerUser,
   loginUser,
+  refreshTokens,
   getUserById
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { PrismaClient } = require('@prisma/client');
+const ChatService = require('./chatService');
+
+/**
+ * Call fields returned to clients
+ */
+const CALL_SELECT = {
+  id: true,
+  conversationId: true,
+  callerId: true,
+  calleeId: true,
+  media: true,
+  status: true,
+  outcome: true,
+  endedById: true,
+  createdAt: true,
+  answeredAt: true,
+  endedAt: true,
+  durationSeconds: true,
+  caller: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  callee: {
+    select: {
+      id: true,
+      username: true
+    }
+  }
+};
+
+// Statuses of a call that has not ended yet
+const ONGOING_STATUSES = ['INVITED', 'RINGING', 'ACTIVE'];
+
+/**
+ * Stores calls for CallSignaling and serves call history. Status changes are
+ * conditional on the status the caller last saw, so two server instances (or
+ * a hang-up racing an answer) cannot both move the same call.
+ */
+class CallService {
+  constructor(prismaClient = null, chatService = null) {
+    this.prisma = prismaClient || new PrismaClient();
+    this.chatService = chatService || new ChatService(this.prisma);
+  }
+
+  /**
+   * Check that both users of a call belong to the conversation it is made in
+   * @param {string} conversationId - The conversation ID
+   * @param {Array<string>} userIds - Caller and callee
+   * @returns {Promise<void>}
+   */
+  async assertParticipants(conversationId, userIds) {
+    try {
+      for (const userId of userIds) {
+        await this.chatService.assertParticipant(conversationId, userId);
+      }
+    } catch (error) {
+      throw new Error(`Failed to check call participants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a new call
+   * @param {Object} data - { conversationId, callerId, calleeId, media, status?, outcome?, endedAt? }
+   * @returns {Promise<Object>} The call
+   */
+  async createCall(data) {
+    try {
+      return await this.prisma.call.create({
+        data,
+        select: CALL_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to create call: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a call by ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<Object|null>} The call, or null if it does not exist
+   */
+  async getCall(callId) {
+    try {
+      return await this.prisma.call.findUnique({
+        where: { id: callId },
+        select: CALL_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to get call: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a call only if it is still in one of the given statuses
+   * @param {string} callId - The call ID
+   * @param {Array<string>} fromStatuses - Statuses the call may be in
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} The updated call, or null if it had moved on
+   */
+  async updateCall(callId, fromStatuses, changes) {
+    try {
+      const { count } = await this.prisma.call.updateMany({
+        where: {
+          id: callId,
+          status: { in: fromStatuses }
+        },
+        data: changes
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      return await this.prisma.call.findUnique({
+        where: { id: callId },
+        select: CALL_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to update call: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the calls that have not ended yet involving any of the given users
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Array>} Ongoing calls
+   */
+  async findOngoingCalls(userIds) {
+    try {
+      return await this.prisma.call.findMany({
+        where: {
+          status: { in: ONGOING_STATUSES },
+          OR: [
+            { callerId: { in: userIds } },
+            { calleeId: { in: userIds } }
+          ]
+        },
+        select: CALL_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to get ongoing calls: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of a user's calls, newest first
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Optional { conversationId, limit, before }
+   * @param {string} options.conversationId - Only calls made in this conversation
+   * @param {number} options.limit - Most calls to return (default: 50)
+   * @param {string} options.before - Return calls older than this call ID
+   * @returns {Promise<Object>} { calls, hasMore, nextCursor }
+   */
+  async getCallHistory(userId, { conversationId = null, limit = 50, before = null } = {}) {
+    try {
+      if (conversationId) {
+        await this.chatService.assertParticipant(conversationId, userId);
+      }
+
+      const where = {
+        OR: [
+          { callerId: userId },
+          { calleeId: userId }
+        ],
+        ...(conversationId ? { conversationId } : {})
+      };
+
+      if (before) {
+        const cursor = await this.prisma.call.findFirst({
+          where: { id: before, ...where },
+          select: { id: true, createdAt: true }
+        });
+
+        if (!cursor) {
+          throw new Error('Cursor call not found');
+        }
+
+        // Ordered by (createdAt, id) so calls started together are not skipped
+        where.AND = [{
+          OR: [
+            { createdAt: { lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, id: { lt: cursor.id } }
+          ]
+        }];
+      }
+
+      const calls = await this.prisma.call.findMany({
+        where,
+        select: CALL_SELECT,
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' }
+        ],
+        take: limit + 1 // Fetch one extra row to know whether another page exists
+      });
+
+      const hasMore = calls.length > limit;
+      const page = hasMore ? calls.slice(0, limit) : calls;
+
+      return {
+        calls: page,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to get call history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CallService;
@@ -0,0 +1,377 @@
+const CallService = require('./callService');
+
+/**
+ * How long a call rings before it is recorded as missed
+ * @returns {number} Ring timeout in milliseconds (default: 45 seconds)
+ */
+function getRingTimeoutMs() {
+  return parseInt(process.env.CALL_RING_TIMEOUT_MS) || 45 * 1000;
+}
+
+const CALL_MEDIA = ['AUDIO', 'VIDEO'];
+
+// Statuses of a call that has not been answered or ended yet
+const RINGING_STATUSES = ['INVITED', 'RINGING'];
+
+// Events that carry each WebRTC signal to the other end of a call
+const RELAYED_SIGNALS = {
+  offer: 'call_offer',
+  answer: 'call_answer',
+  ice_candidate: 'call_ice_candidate'
+};
+
+/**
+ * Whether a user is the caller or the callee of a call
+ * @param {object} call - Call
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user is on the call
+ */
+function isOnCall(call, userId) {
+  return call.callerId === userId || call.calleeId === userId;
+}
+
+/**
+ * Signaling for one-to-one voice and video calls. Media flows directly between
+ * the browsers; this only moves calls through their states and relays the
+ * WebRTC offer, answer and ICE candidates between the two users:
+ *
+ *   INVITED --ring--> RINGING            (a device of the callee is ringing)
+ *   INVITED/RINGING --accept--> ACTIVE
+ *   INVITED/RINGING --> ENDED            (DECLINED, CANCELLED by the caller or MISSED)
+ *   ACTIVE --hang up--> ENDED            (COMPLETED, with its duration)
+ *
+ * Calls are stored through the call service and events reach users through
+ * `peers` (the SocketService in the app, fakes in tests/unit/callSignaling.test.js).
+ */
+class CallSignaling {
+  /**
+   * @param {object} options
+   * @param {object} options.peers - { emitToUser(userId, event, payload), isUserOnline(userId) }
+   * @param {object} options.callService - Call store (default: CallService)
+   * @param {number} options.ringTimeoutMs - How long an unanswered call rings
+   * @param {object} options.timers - { setTimeout, clearTimeout } for the ring timeout
+   * @param {Function} options.now - Clock returning the current Date
+   */
+  constructor({
+    peers,
+    callService = null,
+    ringTimeoutMs = getRingTimeoutMs(),
+    timers = { setTimeout, clearTimeout },
+    now = () => new Date()
+  }) {
+    this.peers = peers;
+    this.callService = callService || new CallService();
+    this.ringTimeoutMs = ringTimeoutMs;
+    this.timers = timers;
+    this.now = now;
+    this.ringTimers = new Map(); // callId -> timer of calls ringing from this instance
+  }
+
+  /**
+   * Call another participant of a conversation. A callee who is offline or
+   * already in a call gets no invitation; the call is recorded as MISSED or BUSY.
+   * @param {string} callerId - The caller's user ID
+   * @param {object} invitation - { conversationId, calleeId, media ('AUDIO' or 'VIDEO') }
+   * @returns {Promise<object>} The new call
+   */
+  async invite(callerId, { conversationId, calleeId, media = 'AUDIO' }) {
+    if (!CALL_MEDIA.includes(media)) {
+      throw new Error('Invalid call media');
+    }
+
+    if (calleeId === callerId) {
+      throw new Error('Cannot call yourself');
+    }
+
+    await this.callService.assertParticipants(conversationId, [callerId, calleeId]);
+
+    const ongoing = await this.settleOngoingCalls([callerId, calleeId]);
+    if (ongoing.some(call => isOnCall(call, callerId))) {
+      throw new Error('Caller is already in a call');
+    }
+
+    const calleeBusy = ongoing.length > 0;
+    if (calleeBusy || !(await this.peers.isUserOnline(calleeId))) {
+      const call = await this.callService.createCall({
+        conversationId,
+        callerId,
+        calleeId,
+        media,
+        status: 'ENDED',
+        outcome: calleeBusy ? 'BUSY' : 'MISSED',
+        endedAt: this.now()
+      });
+      this.emitToCall(call, 'call_ended');
+      return call;
+    }
+
+    const call = await this.callService.createCall({ conversationId, callerId, calleeId, media });
+    this.startRingTimer(call.id);
+    this.peers.emitToUser(calleeId, 'call_incoming', {
+      call,
+      timestamp: this.now().toISOString()
+    });
+
+    return call;
+  }
+
+  /**
+   * Tell the caller that the callee's device is ringing
+   * @param {string} userId - The callee's user ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The call
+   */
+  async ring(userId, callId) {
+    await this.getCalleeCall(userId, callId);
+
+    // Only the first device to ring moves the call on
+    const ringing = await this.callService.updateCall(callId, ['INVITED'], { status: 'RINGING' });
+    if (!ringing) {
+      return await this.callService.getCall(callId);
+    }
+
+    this.peers.emitToUser(ringing.callerId, 'call_ringing', {
+      call: ringing,
+      timestamp: this.now().toISOString()
+    });
+    return ringing;
+  }
+
+  /**
+   * Answer a ringing call. Both users hear about it, so the callee's other
+   * devices stop ringing.
+   * @param {string} userId - The callee's user ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The active call
+   */
+  async accept(userId, callId) {
+    await this.getCalleeCall(userId, callId);
+
+    const active = await this.callService.updateCall(callId, RINGING_STATUSES, {
+      status: 'ACTIVE',
+      answeredAt: this.now()
+    });
+    if (!active) {
+      throw new Error('Call is no longer ringing');
+    }
+
+    this.clearRingTimer(callId);
+    this.emitToCall(active, 'call_accepted');
+    return active;
+  }
+
+  /**
+   * Turn down a ringing call
+   * @param {string} userId - The callee's user ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The ended call
+   */
+  async decline(userId, callId) {
+    const call = await this.getCalleeCall(userId, callId);
+
+    const declined = await this.endCall(call, RINGING_STATUSES, 'DECLINED', userId);
+    if (!declined) {
+      throw new Error('Call is no longer ringing');
+    }
+    return declined;
+  }
+
+  /**
+   * Leave a call: cancels it while ringing (declines it, for the callee) and
+   * completes it once answered. Hanging up an ended call changes nothing.
+   * @param {string} userId - The user's ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The ended call
+   */
+  async hangup(userId, callId) {
+    let call = await this.getUserCall(userId, callId);
+
+    // The call may be answered or ended while this runs, so try again from the new status
+    while (call.status !== 'ENDED') {
+      const ended = call.status === 'ACTIVE'
+        ? await this.endCall(call, ['ACTIVE'], 'COMPLETED', userId)
+        : await this.endCall(call, RINGING_STATUSES, call.callerId === userId ? 'CANCELLED' : 'DECLINED', userId);
+
+      if (ended) {
+        return ended;
+      }
+      call = await this.getUserCall(userId, callId);
+    }
+
+    return call;
+  }
+
+  /**
+   * Pass a WebRTC signal to the other user of an active call
+   * @param {string} userId - The sending user's ID
+   * @param {string} callId - The call ID
+   * @param {string} kind - 'offer', 'answer' or 'ice_candidate'
+   * @param {object} signal - { sdp } or { candidate }
+   * @returns {Promise<void>}
+   */
+  async relay(userId, callId, kind, signal) {
+    const event = RELAYED_SIGNALS[kind];
+    if (!event) {
+      throw new Error('Unknown call signal');
+    }
+
+    const call = await this.getUserCall(userId, callId);
+    if (call.status !== 'ACTIVE') {
+      throw new Error('Call is not active');
+    }
+
+    const peerId = call.callerId === userId ? call.calleeId : call.callerId;
+    this.peers.emitToUser(peerId, event, {
+      callId,
+      fromUserId: userId,
+      ...signal,
+      timestamp: this.now().toISOString()
+    });
+  }
+
+  /**
+   * Record a call nobody answered in time as missed
+   * @param {string} callId - The call ID
+   * @returns {Promise<object|null>} The ended call, or null if it was answered or ended first
+   */
+  async expire(callId) {
+    const call = await this.callService.getCall(callId);
+    if (!call) {
+      return null;
+    }
+    return await this.endCall(call, RINGING_STATUSES, 'MISSED', null);
+  }
+
+  /**
+   * End the users' calls that can no longer be going on: ones that rang past
+   * the timeout (e.g. the instance timing them stopped) and answered ones
+   * with a user who went offline
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Array>} The calls still going on
+   */
+  async settleOngoingCalls(userIds) {
+    const calls = await this.callService.findOngoingCalls(userIds);
+    const ongoing = [];
+
+    for (const call of calls) {
+      let ended = null;
+
+      if (call.status === 'ACTIVE') {
+        const online = await Promise.all([call.callerId, call.calleeId].map(id => this.peers.isUserOnline(id)));
+        if (!online.every(Boolean)) {
+          ended = await this.endCall(call, ['ACTIVE'], 'COMPLETED', null);
+        }
+      } else if (this.now() - new Date(call.createdAt) > this.ringTimeoutMs) {
+        ended = await this.endCall(call, RINGING_STATUSES, 'MISSED', null);
+      }
+
+      if (!ended) {
+        ongoing.push(call);
+      }
+    }
+
+    return ongoing;
+  }
+
+  /**
+   * Move a call to ENDED if it is still in one of the given statuses, and tell both users
+   * @param {object} call - The call as last read
+   * @param {Array<string>} fromStatuses - Statuses the call may be ended from
+   * @param {string} outcome - How the call ended
+   * @param {string|null} endedById - Who ended it (null when the server did)
+   * @returns {Promise<object|null>} The ended call, or null if it had moved on
+   */
+  async endCall(call, fromStatuses, outcome, endedById) {
+    const endedAt = this.now();
+    const ended = await this.callService.updateCall(call.id, fromStatuses, {
+      status: 'ENDED',
+      outcome,
+      endedById,
+      endedAt,
+      durationSeconds: call.answeredAt
+        ? Math.max(0, Math.round((endedAt - new Date(call.answeredAt)) / 1000))
+        : null
+    });
+
+    if (ended) {
+      this.clearRingTimer(call.id);
+      this.emitToCall(ended, 'call_ended');
+    }
+    return ended;
+  }
+
+  /**
+   * Get a call the user is on
+   * @param {string} userId - User ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The call
+   */
+  async getUserCall(userId, callId) {
+    const call = await this.callService.getCall(callId);
+    if (!call || !isOnCall(call, userId)) {
+      throw new Error('Call not found');
+    }
+    return call;
+  }
+
+  /**
+   * Get a call the user is being called on
+   * @param {string} userId - User ID
+   * @param {string} callId - The call ID
+   * @returns {Promise<object>} The call
+   */
+  async getCalleeCall(userId, callId) {
+    const call = await this.getUserCall(userId, callId);
+    if (call.calleeId !== userId) {
+      throw new Error('Only the callee can answer or decline a call');
+    }
+    return call;
+  }
+
+  /**
+   * Emit a call event to every device of both users
+   * @param {object} call - Call
+   * @param {string} event - Event name
+   */
+  emitToCall(call, event) {
+    const payload = { call, timestamp: this.now().toISOString() };
+    this.peers.emitToUser(call.callerId, event, payload);
+    this.peers.emitToUser(call.calleeId, event, payload);
+  }
+
+  /**
+   * Miss the call if it is still ringing after the ring timeout
+   * @param {string} callId - The call ID
+   */
+  startRingTimer(callId) {
+    const timer = this.timers.setTimeout(() => {
+      this.ringTimers.delete(callId);
+      this.expire(callId).catch(error => console.error('Call ring timeout error:', error));
+    }, this.ringTimeoutMs);
+    // Ringing alone should not keep the process alive
+    timer?.unref?.();
+    this.ringTimers.set(callId, timer);
+  }
+
+  /**
+   * Stop timing a call that was answered or ended
+   * @param {string} callId - The call ID
+   */
+  clearRingTimer(callId) {
+    if (this.ringTimers.has(callId)) {
+      this.timers.clearTimeout(this.ringTimers.get(callId));
+      this.ringTimers.delete(callId);
+    }
+  }
+
+  /**
+   * Stop every ring timeout; calls left ringing are settled by the next invite
+   */
+  close() {
+    for (const callId of [...this.ringTimers.keys()]) {
+      this.clearRingTimer(callId);
+    }
+  }
+}
+
+module.exports = CallSignaling;
@@ -1,8 +1,466 @@
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const path = require('path');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { getStorageAdapter } = require('./storage');
+const WebhookService = require('./webhookService');
+
+/**
+ * Relations loaded with every message returned to clients
+ */
+const MESSAGE_INCLUDE = {
+  sender: {
+    select: {
+      id: true,
+      username: true,
+      email: true
+    }
+  },
+  attachments: {
+    select: {
+      id: true,
+      fileName: true,
+      mimeType: true,
+      size: true,
+      durationMs: true,
+      createdAt: true
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  },
+  replyTo: {
+    select: {
+      id: true,
+      content: true,
+      type: true,
+      senderId: true,
+      threadId: true,
+      deletedAt: true,
+      sender: {
+        select: {
+          id: true,
+          username: true
+        }
+      }
+    }
+  },
+  reactions: {
+    select: {
+      emoji: true,
+      user: {
+        select: {
+          id: true,
+          username: true
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  },
+  mentions: {
+    select: {
+      userId: true,
+      offset: true,
+      length: true
+    },
+    orderBy: {
+      offset: 'asc'
+    }
+  },
+  poll: {
+    include: {
+      options: {
+        select: {
+          id: true,
+          text: true
+        },
+        orderBy: {
+          position: 'asc'
+        }
+      },
+      votes: {
+        select: {
+          optionId: true,
+          userId: true,
+          user: {
+            select: {
+              id: true,
+              username: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'asc'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Thread root fields describing a thread's activity
+ */
+const THREAD_SUMMARY_SELECT = {
+  id: true,
+  threadReplyCount: true,
+  threadLastReplyAt: true
+};
+
+/**
+ * Group a message's reactions by emoji, in the order each emoji was first used
+ * @param {Array<Object>} reactions - Reaction rows with the reacting user
+ * @returns {Array<Object>} [{ emoji, count, users: [{ id, username }] }]
+ */
+function summarizeReactions(reactions = []) {
+  const byEmoji = new Map();
+
+  for (const { emoji, user } of reactions) {
+    if (!byEmoji.has(emoji)) {
+      byEmoji.set(emoji, { emoji, count: 0, users: [] });
+    }
+    const summary = byEmoji.get(emoji);
+    summary.count += 1;
+    summary.users.push(user);
+  }
+
+  return Array.from(byEmoji.values());
+}
+
+/**
+ * Whether a poll no longer takes votes
+ * @param {Object} poll - Poll row
+ * @returns {boolean} True once closed by its creator or past its close time
+ */
+function isPollClosed(poll) {
+  return Boolean(poll.closedAt) || (poll.closesAt !== null && new Date(poll.closesAt) <= new Date());
+}
+
+/**
+ * Tally a poll's votes. Voters are listed unless the poll is anonymous.
+ * @param {Object} poll - Poll row with its options and votes
+ * @param {string|null} viewerId - User the summary is for, who is told their own votes
+ * @returns {Object} { id, question, allowsMultiple, isAnonymous, closesAt, closedAt, isClosed,
+ *   totalVoters, options: [{ id, text, voteCount, voters? }], myVotes? }
+ */
+function summarizePoll(poll, viewerId = null) {
+  return {
+    id: poll.id,
+    question: poll.question,
+    allowsMultiple: poll.allowsMultiple,
+    isAnonymous: poll.isAnonymous,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    isClosed: isPollClosed(poll),
+    totalVoters: new Set(poll.votes.map(vote => vote.userId)).size,
+    options: poll.options.map(option => {
+      const votes = poll.votes.filter(vote => vote.optionId === option.id);
+      return {
+        id: option.id,
+        text: option.text,
+        voteCount: votes.length,
+        ...(poll.isAnonymous ? {} : { voters: votes.map(vote => vote.user) })
+      };
+    }),
+    ...(viewerId
+      ? { myVotes: poll.votes.filter(vote => vote.userId === viewerId).map(vote => vote.optionId) }
+      : {})
+  };
+}
+
+/**
+ * Shape a message loaded with MESSAGE_INCLUDE for clients
+ * @param {Object} message - Message row
+ * @param {string|null} viewerId - User the message is loaded for (poll messages then include their votes)
+ * @returns {Object} The message with its reactions and poll votes summarized
+ */
+function formatMessage(message, viewerId = null) {
+  return {
+    ...message,
+    reactions: summarizeReactions(message.reactions),
+    ...(message.poll ? { poll: summarizePoll(message.poll, viewerId) } : {})
+  };
+}
+
+/**
+ * Message fields sent to webhooks: what was said, by whom and where, without
+ * reactions or anything else that depends on who is looking
+ * @param {Object} message - Message as returned by formatMessage
+ * @returns {Object} Webhook message
+ */
+function formatWebhookMessage(message) {
+  return {
+    id: message.id,
+    conversationId: message.conversationId,
+    threadId: message.threadId,
+    replyToId: message.replyToId,
+    type: message.type,
+    format: message.format,
+    content: message.content,
+    sender: {
+      id: message.sender.id,
+      username: message.sender.username
+    },
+    attachments: message.attachments.map(({ id, fileName, mimeType, size, durationMs }) => ({
+      id,
+      fileName,
+      mimeType,
+      size,
+      durationMs
+    })),
+    mentionedUserIds: message.mentions.map(mention => mention.userId),
+    createdAt: message.createdAt,
+    editedAt: message.editedAt,
+    expiresAt: message.expiresAt
+  };
+}
+
+/**
+ * Whether a string is a single emoji (including skin tones, ZWJ sequences,
+ * flags and keycaps)
+ * @param {string} emoji - Candidate reaction
+ * @returns {boolean} True if it can be used as a reaction
+ */
+function isValidEmoji(emoji) {
+  if (typeof emoji !== 'string' || emoji.length === 0 || emoji.length > 32) {
+    return false;
+  }
+
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  if (Array.from(segmenter.segment(emoji)).length !== 1) {
+    return false;
+  }
+
+  return /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(emoji);
+}
+
+/**
+ * How long after sending a message its sender may still edit it
+ * @returns {number} Edit window in milliseconds (default: 15 minutes)
+ */
+function getEditWindowMs() {
+  return parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 15 * 60 * 1000;
+}
+
+/**
+ * How long after sending a message its sender may still delete it for everyone
+ * @returns {number} Delete window in milliseconds (default: 1 hour)
+ */
+function getDeleteWindowMs() {
+  return parseInt(process.env.MESSAGE_DELETE_WINDOW_MS) || 60 * 60 * 1000;
+}
+
+/**
+ * How many messages a conversation may have pinned at once
+ * @returns {number} Pin limit (default: 10)
+ */
+function getMaxPinnedMessages() {
+  return parseInt(process.env.MAX_PINNED_MESSAGES) || 10;
+}
+
+/**
+ * How many times a pin is attempted when concurrent pins keep failing each
+ * other's serializable transaction (Prisma error P2034)
+ */
+const PIN_ATTEMPTS = 3;
+
+/**
+ * Disappearing message timers participants can choose from, in seconds,
+ * with how they are described in system messages
+ */
+const MESSAGE_TTL_OPTIONS = {
+  3600: '1 hour',
+  86400: '24 hours',
+  604800: '7 days',
+  7776000: '90 days'
+};
+
+/**
+ * Ways message content can be rendered: as typed, or as limited markdown
+ * (bold, italics, code, fenced code blocks and links)
+ */
+const MESSAGE_FORMATS = ['PLAIN', 'MARKDOWN'];
+
+/**
+ * Bring message content into the form it is stored in, so every client
+ * renders the same thing
+ * @param {string} content - Content as sent
+ * @param {string} format - One of MESSAGE_FORMATS
+ * @returns {string} Stored content
+ */
+function normalizeContent(content, format) {
+  if (!MESSAGE_FORMATS.includes(format)) {
+    throw new Error('Invalid message format');
+  }
+
+  // Markdown is parsed line by line
+  return format === 'MARKDOWN' ? content.replace(/\r\n?/g, '\n') : content;
+}
+
+/**
+ * An @ followed by a username (letters, digits and underscores, as allowed at
+ * registration) that is not part of a longer word or email address
+ */
+const MENTION_PATTERN = /(^|[^\w@.])@(\w{3,30})(?!\w)/g;
+
+/**
+ * Code spans and fenced code blocks of markdown content
+ */
+const MARKDOWN_CODE_PATTERN = /^```[^\n]*\n(?:[\s\S]*?\n)?```[ \t]*$|`[^`\n]+`/gm;
+
+/**
+ * Find @username mentions in message content. Code in markdown messages is
+ * skipped, as it is not addressed to anyone.
+ * @param {string} content - Stored message content
+ * @param {string} format - 'PLAIN' or 'MARKDOWN'
+ * @returns {Array<Object>} [{ username, offset, length }], offset pointing at the '@'
+ */
+function findMentions(content, format) {
+  // Blank out code without moving anything after it
+  const text = format === 'MARKDOWN'
+    ? content.replace(MARKDOWN_CODE_PATTERN, code => ' '.repeat(code.length))
+    : content;
+
+  return Array.from(text.matchAll(MENTION_PATTERN), match => ({
+    username: match[2],
+    offset: match.index + match[1].length,
+    length: match[2].length + 1
+  }));
+}
+
+/**
+ * Shape a pin loaded with its message and pinning user for clients
+ * @param {Object} pin - PinnedMessage row
+ * @returns {Object} { id, messageId, pinnedBy, pinnedAt, message }
+ */
+function formatPin(pin) {
+  return {
+    id: pin.id,
+    messageId: pin.messageId,
+    pinnedBy: pin.pinnedBy,
+    pinnedAt: pin.createdAt,
+    message: formatMessage(pin.message)
+  };
+}
+
+/**
+ * Text search configuration; must match the one the messages.searchVector
+ * column is generated with
+ */
+const SEARCH_CONFIG = 'english';
+
+// Private-use characters ts_headline wraps matches in, so snippets can be
+// split into text and highlight ranges without trusting any markup
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+
+/**
+ * Turn a ts_headline result into plain text plus highlighted ranges
+ * @param {string} headline - Headline with HIGHLIGHT_START/HIGHLIGHT_STOP markers
+ * @returns {Object} { snippet, highlights: [{ start, end }] }
+ */
+function parseHeadline(headline) {
+  const highlights = [];
+  let snippet = '';
+  let start = null;
+
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START) {
+      start = snippet.length;
+    } else if (char === HIGHLIGHT_STOP) {
+      if (start !== null && snippet.length > start) {
+        highlights.push({ start, end: snippet.length });
+      }
+      start = null;
+    } else {
+      snippet += char;
+    }
+  }
+
+  return { snippet, highlights };
+}
+
+/**
+ * Keyset condition selecting messages before or after a cursor message,
+ * ordered by (createdAt, id) so equal timestamps never cause gaps or repeats
+ * @param {Object} cursor - Cursor message ({ id, createdAt })
+ * @param {string} comparison - 'lt' for older messages, 'gt' for newer ones
+ * @param {boolean} inclusive - Whether to include the cursor message itself
+ * @returns {Object} Prisma where condition
+ */
+function keysetCondition(cursor, comparison, inclusive = false) {
+  const idComparison = inclusive ? `${comparison}e` : comparison;
+  return {
+    OR: [
+      { createdAt: { [comparison]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [idComparison]: cursor.id } }
+    ]
+  };
+}
+
+/**
+ * Condition leaving out disappearing messages whose time is up but which the
+ * expiry sweeper has not purged yet. Wrapped in AND so it combines with a
+ * keysetCondition's OR.
+ * @param {Date} now - Current time
+ * @returns {Object} Prisma where condition
+ */
+function notExpiredCondition(now = new Date()) {
+  return {
+    AND: [
+      { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] }
+    ]
+  };
+}
+
+/**
+ * Participant include shared by conversation queries
+ */
+const PARTICIPANT_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * Roles allowed to manage a group's name and membership
+ */
+const MANAGER_ROLES = ['OWNER', 'ADMIN'];
+
+/**
+ * Flatten a participant row into the user info clients expect
+ * @param {Object} participant - Participant with included user
+ * @returns {Object} User fields plus role and read state
+ */
+function formatParticipant(participant) {
+  return {
+    ...participant.user,
+    role: participant.role,
+    lastReadMessageId: participant.lastReadMessageId,
+    lastReadAt: participant.lastReadAt
+  };
+}
+
+/**
+ * Join usernames for system message text ("a", "a and b", "a, b and c")
+ * @param {Array<string>} names - Usernames
+ * @returns {string} Readable list
+ */
+function formatNameList(names) {
+  if (names.length <= 1) {
+    return names.join('');
+  }
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
 
 class ChatService {
-  constructor(prismaClient = null) {
+  constructor(prismaClient = null, webhookService = null) {
     this.prisma = prismaClient || new PrismaClient();
+    this.webhookService = webhookService || new WebhookService(this.prisma);
   }
   /**
    * Get all conversations for a user
@@ -21,30 +479,23 @@ class ChatService {
         },
         include: {
           participants: {
-            include: {
-              user: {
-                select: {
-                  id: true,
-                  username: true,
-                  email: true
-                }
-              }
-            }
+            include: PARTICIPANT_INCLUDE
           },
           messages: {
+            where: {
+              threadId: null,
+              hiddenFor: {
+                none: {
+                  userId: userId
+                }
+              },
+              ...notExpiredCondition()
+            },
             orderBy: {
               createdAt: 'desc'
             },
             take: 1,
-            include: {
-              sender: {
-                select: {
-                  id: true,
-                  username: true,
-                  email: true
-                }
-              }
-            }
+            include: MESSAGE_INCLUDE
           }
         },
         orderBy: {
@@ -52,15 +503,20 @@ class ChatService {
         }
       });
 
-      // Format the response to include lastMessage and participant info
+      // One query for every conversation's unread count, however many there are
+      const unreadCounts = await this.countUnreadByConversation(userId);
+
+      // Format the response to include lastMessage, read state and participant info
       return conversations.map(conversation => ({
         id: conversation.id,
         name: conversation.name,
         isGroup: conversation.isGroup,
+        messageTtlSeconds: conversation.messageTtlSeconds,
         createdAt: conversation.createdAt,
         updatedAt: conversation.updatedAt,
-        participants: conversation.participants.map(p => p.user),
-        lastMessage: conversation.messages[0] || null
+        participants: conversation.participants.map(formatParticipant),
+        lastMessage: conversation.messages[0] ? formatMessage(conversation.messages[0], userId) : null,
+        unreadCount: unreadCounts.get(conversation.id) || 0
       }));
     } catch (error) {
       throw new Error(`Failed to get user conversations: ${error.message}`);
@@ -68,15 +524,85 @@ class ChatService {
   }
 
   /**
-   * Get messages for a specific conversation
+   * Count the messages a user has not read yet in each of their conversations,
+   * with the same rules as countUnreadMessages
+   * @param {string} userId - The user ID
+   * @returns {Promise<Map<string, number>>} Unread count by conversation ID
+   *   (conversations without unread messages are left out)
+   */
+  async countUnreadByConversation(userId) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT m."conversationId", COUNT(*)::int AS "count"
+      FROM "messages" m
+      JOIN "conversation_participants" cp
+        ON cp."conversationId" = m."conversationId" AND cp."userId" = ${userId}
+      WHERE m."threadId" IS NULL
+        AND m."senderId" <> ${userId}
+        AND m."deletedAt" IS NULL
+        AND m."type" <> 'SYSTEM'
+        AND (m."expiresAt" IS NULL OR m."expiresAt" > now())
+        AND (cp."lastReadAt" IS NULL OR m."createdAt" > cp."lastReadAt")
+        AND NOT EXISTS (
+          SELECT 1 FROM "message_deletions" d
+          WHERE d."messageId" = m."id" AND d."userId" = ${userId}
+        )
+      GROUP BY m."conversationId"
+    `;
+
+    return new Map(rows.map(row => [row.conversationId, row.count]));
+  }
+
+  /**
+   * Count messages a user has not read yet in a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The user ID
+   * @param {Date|null} lastReadAt - The user's read marker (null if nothing read yet)
+   * @returns {Promise<number>} Number of unread messages
+   */
+  async countUnreadMessages(conversationId, userId, lastReadAt = null) {
+    return await this.prisma.message.count({
+      where: {
+        conversationId,
+        threadId: null,
+        senderId: {
+          not: userId
+        },
+        deletedAt: null,
+        type: {
+          not: 'SYSTEM'
+        },
+        hiddenFor: {
+          none: {
+            userId
+          }
+        },
+        ...notExpiredCondition(),
+        ...(lastReadAt ? { createdAt: { gt: lastReadAt } } : {})
+      }
+    });
+  }
+
+  /**
+   * Get a page of messages for a specific conversation using message-id cursors.
+   * Without a cursor the newest page is returned; `before` walks back through
+   * history, `after` catches up on messages newer than the cursor and `around`
+   * returns the cursor message with its surrounding context.
    * @param {string} conversationId - The conversation ID
    * @param {string} userId - The user ID (for authorization)
-   * @param {number} limit - Number of messages to retrieve (default: 50)
-   * @param {number} offset - Offset for pagination (default: 0)
-   * @returns {Promise<Array>} Array of messages
+   * @param {Object} options - Pagination options
+   * @param {number} options.limit - Number of messages to retrieve (default: 50)
+   * @param {string} options.before - Return messages older than this message ID
+   * @param {string} options.after - Return messages newer than this message ID
+   * @param {string} options.around - Return messages on both sides of this message ID
+   * @returns {Promise<Object>} { messages (chronological), hasMore, nextCursor }, plus
+   *   { hasNewer, newerCursor } for `around`
    */
-  async getConversationMessages(conversationId, userId, limit = 50, offset = 0) {
+  async getConversationMessages(conversationId, userId, { limit = 50, before = null, after = null, around = null } = {}) {
     try {
+      if ([before, after, around].filter(Boolean).length > 1) {
+        throw new Error('Only one of before, after or around may be given');
+      }
+
       // First verify user is participant in the conversation
       const participant = await this.prisma.conversationParticipant.findUnique({
         where: {
@@ -91,203 +617,2318 @@ class ChatService {
         throw new Error('User is not a participant in this conversation');
       }
 
+      const cursorId = before || after || around;
+      let cursor = null;
+
+      if (cursorId) {
+        cursor = await this.prisma.message.findUnique({
+          where: { id: cursorId },
+          select: { id: true, conversationId: true, createdAt: true }
+        });
+
+        if (!cursor || cursor.conversationId !== conversationId) {
+          throw new Error('Cursor message not found');
+        }
+      }
+
+      if (around) {
+        return await this.getMessagesAround(conversationId, userId, cursor, limit);
+      }
+
+      const cursorCondition = cursor ? keysetCondition(cursor, before ? 'lt' : 'gt') : {};
+
+      const direction = after ? 'asc' : 'desc';
+
+      // Messages deleted for everyone stay as tombstones; ones the user
+      // deleted for themselves or that have expired are left out entirely,
+      // and thread replies only appear in their thread
       const messages = await this.prisma.message.findMany({
         where: {
-          conversationId: conversationId
-        },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              username: true,
-              email: true
+          conversationId: conversationId,
+          threadId: null,
+          hiddenFor: {
+            none: {
+              userId: userId
             }
-          }
-        },
-        orderBy: {
-          createdAt: 'desc'
+          },
+          ...notExpiredCondition(),
+          ...cursorCondition
         },
-        take: limit,
-        skip: offset
+        include: MESSAGE_INCLUDE,
+        orderBy: [
+          { createdAt: direction },
+          { id: direction }
+        ],
+        take: limit + 1 // Fetch one extra row to know whether another page exists
       });
 
-      return messages.reverse(); // Return in chronological order
+      const hasMore = messages.length > limit;
+      const page = hasMore ? messages.slice(0, limit) : messages;
+
+      if (!after) {
+        page.reverse(); // Return in chronological order
+      }
+
+      // The cursor for the next page in the same direction
+      const edge = after ? page[page.length - 1] : page[0];
+
+      return {
+        messages: page.map(message => formatMessage(message, userId)),
+        hasMore,
+        nextCursor: hasMore && edge ? edge.id : null
+      };
     } catch (error) {
       throw new Error(`Failed to get conversation messages: ${error.message}`);
     }
   }
 
   /**
-   * Send a message to a conversation
-   * @param {string} conversationId - The conversation ID
-   * @param {string} senderId - The sender's user ID
-   * @param {string} content - The message content
-   * @returns {Promise<Object>} The created message with sender info
+   * Get the messages a user missed since the last ones they saw, e.g. while
+   * their socket was disconnected. Conversations the user is no longer part
+   * of are skipped.
+   * @param {string} userId - The user ID
+   * @param {Array<Object>} cursors - [{ conversationId, lastMessageId?, lastMessageAt? }];
+   *   lastMessageAt is used when the last seen message no longer exists, and
+   *   without either everything is missed
+   * @param {number} limit - Maximum number of messages per conversation
+   * @returns {Promise<Array>} [{ conversationId, messages, hasMore }], messages oldest
+   *   first; hasMore means more was missed than returned
    */
-  async sendMessage(conversationId, senderId, content) {
+  async getMissedMessages(userId, cursors, limit = 100) {
     try {
-      // Verify user is participant in the conversation
-      const participant = await this.prisma.conversationParticipant.findUnique({
+      const participations = await this.prisma.conversationParticipant.findMany({
         where: {
-          conversationId_userId: {
-            conversationId,
-            userId: senderId
-          }
-        }
+          userId,
+          conversationId: { in: cursors.map(cursor => cursor.conversationId) }
+        },
+        select: { conversationId: true }
       });
+      const memberOf = new Set(participations.map(p => p.conversationId));
 
-      if (!participant) {
-        throw new Error('User is not a participant in this conversation');
-      }
+      const results = [];
+      for (const { conversationId, lastMessageId = null, lastMessageAt = null } of cursors) {
+        if (!memberOf.has(conversationId)) {
+          continue;
+        }
 
-      // Create the message and update conversation timestamp
-      const result = await this.prisma.$transaction(async (tx) => {
-        const message = await tx.message.create({
-          data: {
-            content,
-            senderId,
-            conversationId
-          },
-          include: {
-            sender: {
-              select: {
-                id: true,
-                username: true,
-                email: true
+        const lastSeen = lastMessageId
+          ? await this.prisma.message.findUnique({
+            where: { id: lastMessageId },
+            select: { id: true, conversationId: true, createdAt: true }
+          })
+          : null;
+
+        let newerCondition = {};
+        if (lastSeen && lastSeen.conversationId === conversationId) {
+          newerCondition = keysetCondition(lastSeen, 'gt');
+        } else if (lastMessageAt) {
+          newerCondition = { createdAt: { gt: new Date(lastMessageAt) } };
+        }
+
+        const messages = await this.prisma.message.findMany({
+          where: {
+            conversationId,
+            threadId: null,
+            hiddenFor: {
+              none: {
+                userId
               }
-            }
-          }
+            },
+            ...notExpiredCondition(),
+            ...newerCondition
+          },
+          include: MESSAGE_INCLUDE,
+          orderBy: [
+            { createdAt: 'asc' },
+            { id: 'asc' }
+          ],
+          take: limit + 1
         });
 
-        // Update conversation's updatedAt timestamp
-        await tx.conversation.update({
-          where: { id: conversationId },
-          data: { updatedAt: new Date() }
+        const hasMore = messages.length > limit;
+        results.push({
+          conversationId,
+          messages: (hasMore ? messages.slice(0, limit) : messages).map(message => formatMessage(message, userId)),
+          hasMore
         });
+      }
 
-        return message;
-      });
-
-      return result;
+      return results;
     } catch (error) {
-      throw new Error(`Failed to send message: ${error.message}`);
+      throw new Error(`Failed to get missed messages: ${error.message}`);
     }
   }
 
   /**
-   * Create a new conversation between users
-   * @param {Array<string>} userIds - Array of user IDs to include in conversation
-   * @param {string} name - Optional name for group conversations
-   * @returns {Promise<Object>} The created conversation with participants
+   * Get a window of messages centred on a cursor message (which is included
+   * unless the user deleted it for themselves)
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The user ID
+   * @param {Object} cursor - Cursor message ({ id, createdAt })
+   * @param {number} limit - Size of the window
+   * @returns {Promise<Object>} { messages, hasMore, nextCursor, hasNewer, newerCursor }
+   */
+  async getMessagesAround(conversationId, userId, cursor, limit) {
+    const olderLimit = Math.ceil(limit / 2);
+    const newerLimit = limit - olderLimit;
+    const visibleWhere = {
+      conversationId: conversationId,
+      threadId: null,
+      hiddenFor: {
+        none: {
+          userId: userId
+        }
+      },
+      ...notExpiredCondition()
+    };
+
+    const [older, newer] = await Promise.all([
+      this.prisma.message.findMany({
+        where: { ...visibleWhere, ...keysetCondition(cursor, 'lt', true) },
+        include: MESSAGE_INCLUDE,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: olderLimit + 1
+      }),
+      this.prisma.message.findMany({
+        where: { ...visibleWhere, ...keysetCondition(cursor, 'gt') },
+        include: MESSAGE_INCLUDE,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: newerLimit + 1
+      })
+    ]);
+
+    const hasMore = older.length > olderLimit;
+    const hasNewer = newer.length > newerLimit;
+    const messages = [
+      ...older.slice(0, olderLimit).reverse(),
+      ...newer.slice(0, newerLimit)
+    ].map(message => formatMessage(message, userId));
+
+    return {
+      messages,
+      hasMore,
+      nextCursor: hasMore && messages.length > 0 ? messages[0].id : null,
+      hasNewer,
+      newerCursor: hasNewer && messages.length > 0 ? messages[messages.length - 1].id : null
+    };
+  }
+
+  /**
+   * Full-text search over the messages of every conversation the user is in,
+   * newest first
+   * @param {string} userId - The user ID
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search terms (web search syntax: "quoted phrases", -excluded, or)
+   * @param {string} options.conversationId - Only search this conversation
+   * @param {string} options.senderId - Only messages from this user
+   * @param {Date} options.from - Only messages sent at or after this time
+   * @param {Date} options.to - Only messages sent at or before this time
+   * @param {number} options.limit - Number of results (default: 20)
+   * @param {string} options.before - Continue after this result's message ID
+   * @returns {Promise<Object>} { results, hasMore, nextCursor }
    */
-  async createConversation(userIds, name = null) {
+  async searchMessages(userId, { query, conversationId = null, senderId = null, from = null, to = null, limit = 20, before = null } = {}) {
     try {
-      if (!userIds || userIds.length < 2) {
-        throw new Error('At least 2 users are required to create a conversation');
+      const terms = typeof query === 'string' ? query.trim() : '';
+      if (!terms) {
+        throw new Error('Search query is required');
       }
 
-      // Check if all users exist
-      const users = await this.prisma.user.findMany({
-        where: {
-          id: {
-            in: userIds
-          }
-        }
-      });
+      const filters = [
+        Prisma.sql`m."searchVector" @@ q.query`,
+        Prisma.sql`m."deletedAt" IS NULL`,
+        Prisma.sql`(m."expiresAt" IS NULL OR m."expiresAt" > now())`,
+        Prisma.sql`m."type" = 'TEXT'`,
+        Prisma.sql`NOT EXISTS (
+          SELECT 1 FROM "message_deletions" d
+          WHERE d."messageId" = m."id" AND d."userId" = ${userId}
+        )`
+      ];
 
-      if (users.length !== userIds.length) {
-        throw new Error('One or more users not found');
+      if (conversationId) {
+        filters.push(Prisma.sql`m."conversationId" = ${conversationId}`);
+      }
+      if (senderId) {
+        filters.push(Prisma.sql`m."senderId" = ${senderId}`);
+      }
+      if (from) {
+        filters.push(Prisma.sql`m."createdAt" >= ${from}`);
+      }
+      if (to) {
+        filters.push(Prisma.sql`m."createdAt" <= ${to}`);
       }
 
-      // For direct conversations (2 users), check if conversation already exists
-      if (userIds.length === 2 && !name) {
-        const existingConversation = await this.prisma.conversation.findFirst({
-          where: {
-            isGroup: false,
-            participants: {
-              every: {
-                userId: {
-                  in: userIds
-                }
-              }
-            }
-          },
-          include: {
-            participants: {
-              include: {
-                user: {
-                  select: {
-                    id: true,
-                    username: true,
-                    email: true
-                  }
-                }
-              }
-            }
-          }
+      if (before) {
+        const cursor = await this.prisma.message.findUnique({
+          where: { id: before },
+          select: { id: true, createdAt: true }
         });
 
-        if (existingConversation && existingConversation.participants.length === 2) {
-          return {
-            id: existingConversation.id,
-            name: existingConversation.name,
-            isGroup: existingConversation.isGroup,
-            createdAt: existingConversation.createdAt,
-            updatedAt: existingConversation.updatedAt,
-            participants: existingConversation.participants.map(p => p.user)
-          };
+        if (!cursor) {
+          throw new Error('Cursor message not found');
         }
+
+        filters.push(Prisma.sql`(m."createdAt", m."id") < (${cursor.createdAt}, ${cursor.id})`);
       }
 
-      // Create new conversation
-      const conversation = await this.prisma.$transaction(async (tx) => {
-        const newConversation = await tx.conversation.create({
-          data: {
-            name,
-            isGroup: userIds.length > 2 || !!name
-          }
-        });
+      const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
 
-        // Add participants
-        await tx.conversationParticipant.createMany({
-          data: userIds.map(userId => ({
-            conversationId: newConversation.id,
-            userId
-          }))
-        });
+      // Participation is enforced by the join, so only the caller's conversations are searched
+      const rows = await this.prisma.$queryRaw`
+        SELECT m."id", ts_headline(${SEARCH_CONFIG}::regconfig, m."content", q.query, ${headlineOptions}) AS "headline"
+        FROM "messages" m
+        JOIN "conversation_participants" cp
+          ON cp."conversationId" = m."conversationId" AND cp."userId" = ${userId}
+        CROSS JOIN websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${terms}) AS q(query)
+        WHERE ${Prisma.join(filters, ' AND ')}
+        ORDER BY m."createdAt" DESC, m."id" DESC
+        LIMIT ${limit + 1}
+      `;
 
-        // Fetch the complete conversation with participants
-        return await tx.conversation.findUnique({
-          where: { id: newConversation.id },
+      const hasMore = rows.length > limit;
+      const page = hasMore ? rows.slice(0, limit) : rows;
+
+      const messages = await this.prisma.message.findMany({
+        where: {
+          id: { in: page.map(row => row.id) }
+        },
+        include: {
+          ...MESSAGE_INCLUDE,
+          conversation: {
+            select: {
+              id: true,
+              name: true,
+              isGroup: true
+            }
+          }
+        }
+      });
+      const messagesById = new Map(messages.map(message => [message.id, message]));
+
+      const results = page
+        .filter(row => messagesById.has(row.id))
+        .map(row => {
+          const { conversation, ...message } = messagesById.get(row.id);
+          return {
+            message: formatMessage(message),
+            conversation,
+            // Replies are not in the main message list; they open in their thread
+            threadId: message.threadId || null,
+            ...parseHeadline(row.headline)
+          };
+        });
+
+      return {
+        results,
+        hasMore,
+        nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to search messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a user is a participant in a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The participant row
+   */
+  async assertParticipant(conversationId, userId) {
+    const participant = await this.prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId
+        }
+      }
+    });
+
+    if (!participant) {
+      throw new Error('User is not a participant in this conversation');
+    }
+
+    return participant;
+  }
+
+  /**
+   * Send a message to a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} senderId - The sender's user ID
+   * @param {string} content - The message content (may be empty when attachments are given)
+   * @param {Object} options - Optional message extras
+   * @param {Array<string>} options.attachmentIds - Uploaded attachments to link to the message
+   * @param {string} options.replyToId - Message to quote (from the same list: main list or thread)
+   * @param {string} options.threadId - Thread root to reply in; the reply stays out of the main list
+   * @param {Object} options.metadata - Extra structured info, e.g. { forwardedFrom }
+   * @param {string} options.clientMessageId - Sender-chosen ID; sending again with the same ID
+   *   returns the first message instead of creating another
+   * @param {string} options.format - How the content is rendered: 'PLAIN' or 'MARKDOWN'
+   * @param {Object} options.poll - Makes this a POLL message: { question, options, allowsMultiple,
+   *   isAnonymous, closesAt }, with the question as content
+   * @param {boolean} options.voice - Makes this a VOICE message; its only attachment must be a
+   *   voice note upload
+   * @returns {Promise<Object>} The created message with sender, attachment and mention info
+   *   (@usernames of participants, except in forwarded messages); thread
+   *   replies also carry their root's updated `threadRoot` summary. A repeated send is
+   *   flagged with `duplicate: true`.
+   */
+  async sendMessage(conversationId, senderId, content, {
+    attachmentIds = [],
+    replyToId = null,
+    threadId = null,
+    metadata = null,
+    clientMessageId = null,
+    format = 'PLAIN',
+    poll = null,
+    voice = false
+  } = {}) {
+    try {
+      content = normalizeContent(content, format);
+
+      // Verify user is participant in the conversation
+      await this.assertParticipant(conversationId, senderId);
+
+      // A retry must not be validated again: its attachments are already linked
+      if (clientMessageId) {
+        const existing = await this.findClientMessage(conversationId, senderId, clientMessageId);
+        if (existing) {
+          return existing;
+        }
+      }
+
+      if (voice && attachmentIds.length !== 1) {
+        throw new Error('Voice note must be a single voice recording');
+      }
+
+      if (attachmentIds.length > 0) {
+        // Only the sender's own, not yet sent uploads to this conversation can be attached
+        const attachments = await this.prisma.attachment.findMany({
+          where: {
+            id: { in: attachmentIds },
+            conversationId,
+            uploaderId: senderId,
+            messageId: null
+          },
+          select: { id: true, durationMs: true }
+        });
+
+        if (attachments.length !== new Set(attachmentIds).size) {
+          throw new Error('One or more attachments not found');
+        }
+
+        if (voice && attachments[0].durationMs === null) {
+          throw new Error('Voice note must be a single voice recording');
+        }
+      }
+
+      if (threadId) {
+        const root = await this.prisma.message.findUnique({
+          where: { id: threadId },
+          select: { conversationId: true, threadId: true, type: true, deletedAt: true }
+        });
+
+        // Threads are one level deep, and system notices cannot start one
+        if (!root || root.conversationId !== conversationId || root.threadId || root.type === 'SYSTEM') {
+          throw new Error('Thread not found');
+        }
+
+        if (root.deletedAt) {
+          throw new Error('Message has been deleted');
+        }
+      }
+
+      if (replyToId) {
+        const replyTo = await this.prisma.message.findUnique({
+          where: { id: replyToId },
+          select: { conversationId: true, threadId: true, type: true, deletedAt: true }
+        });
+
+        // Quotes stay within one list: the main list, or a thread (its root included)
+        const sameList = threadId
+          ? replyTo?.threadId === threadId || replyToId === threadId
+          : replyTo?.threadId === null;
+
+        if (!replyTo || replyTo.conversationId !== conversationId || !sameList ||
+            replyTo.deletedAt || replyTo.type === 'SYSTEM') {
+          throw new Error('Reply target not found');
+        }
+      }
+
+      // Create the message and update conversation timestamp
+      const result = await this.prisma.$transaction(async (tx) => {
+        // The retention setting at send time decides when the message disappears
+        const conversation = await tx.conversation.update({
+          where: { id: conversationId },
+          data: { updatedAt: new Date() },
+          select: { messageTtlSeconds: true }
+        });
+
+        const message = await tx.message.create({
+          data: {
+            content,
+            format,
+            senderId,
+            conversationId,
+            replyToId,
+            threadId,
+            clientMessageId,
+            ...(metadata ? { metadata } : {}),
+            ...(voice ? { type: 'VOICE' } : {}),
+            ...(poll
+              ? {
+                type: 'POLL',
+                poll: {
+                  create: {
+                    question: poll.question,
+                    allowsMultiple: poll.allowsMultiple,
+                    isAnonymous: poll.isAnonymous,
+                    closesAt: poll.closesAt,
+                    options: {
+                      create: poll.options.map((text, position) => ({ text, position }))
+                    }
+                  }
+                }
+              }
+              : {}),
+            ...(conversation.messageTtlSeconds
+              ? { expiresAt: new Date(Date.now() + conversation.messageTtlSeconds * 1000) }
+              : {})
+          }
+        });
+
+        if (threadId) {
+          await tx.message.update({
+            where: { id: threadId },
+            data: {
+              threadReplyCount: { increment: 1 },
+              threadLastReplyAt: message.createdAt
+            }
+          });
+        }
+
+        if (attachmentIds.length > 0) {
+          await tx.attachment.updateMany({
+            where: {
+              id: { in: attachmentIds },
+              messageId: null
+            },
+            data: { messageId: message.id }
+          });
+        }
+
+        // Forwarding someone's message does not ping the people it named
+        if (!metadata?.forwardedFrom) {
+          await this.createMentions(tx, message);
+        }
+
+        return await tx.message.findUnique({
+          where: { id: message.id },
+          include: threadId
+            ? { ...MESSAGE_INCLUDE, threadRoot: { select: THREAD_SUMMARY_SELECT } }
+            : MESSAGE_INCLUDE
+        });
+      });
+
+      const message = formatMessage(result);
+
+      await this.webhookService.publish('message.created', {
+        message: formatWebhookMessage(message)
+      }, { conversationId, messageId: message.id });
+
+      return message;
+    } catch (error) {
+      // A concurrent retry of the same send got there first
+      if (clientMessageId && error.code === 'P2002') {
+        const existing = await this.findClientMessage(conversationId, senderId, clientMessageId);
+        if (existing) {
+          return existing;
+        }
+      }
+      throw new Error(`Failed to send message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the message a sender already sent with a client message ID
+   * @param {string} conversationId - The conversation the send is for
+   * @param {string} senderId - The sender's user ID
+   * @param {string} clientMessageId - Sender-chosen message ID
+   * @returns {Promise<Object|null>} The message flagged with `duplicate: true`, or null
+   */
+  async findClientMessage(conversationId, senderId, clientMessageId) {
+    const message = await this.prisma.message.findUnique({
+      where: {
+        senderId_clientMessageId: {
+          senderId,
+          clientMessageId
+        }
+      },
+      include: { ...MESSAGE_INCLUDE, threadRoot: { select: THREAD_SUMMARY_SELECT } }
+    });
+
+    if (!message) {
+      return null;
+    }
+
+    // IDs are unique per sender, so reuse for another conversation is a client bug
+    if (message.conversationId !== conversationId) {
+      throw new Error('Client message ID already used');
+    }
+
+    const { threadRoot, ...rest } = message;
+    return {
+      ...formatMessage(message.threadId ? { ...rest, threadRoot } : rest),
+      duplicate: true
+    };
+  }
+
+  /**
+   * Store the mentions of participants in a message's content
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} message - Message row ({ id, conversationId, content, format })
+   * @returns {Promise<void>}
+   */
+  async createMentions(tx, message) {
+    const mentions = findMentions(message.content, message.format);
+    if (mentions.length === 0) {
+      return;
+    }
+
+    const participants = await tx.conversationParticipant.findMany({
+      where: {
+        conversationId: message.conversationId,
+        user: { username: { in: [...new Set(mentions.map(mention => mention.username))] } }
+      },
+      select: {
+        userId: true,
+        user: { select: { username: true } }
+      }
+    });
+
+    const userIds = new Map(participants.map(participant => [participant.user.username, participant.userId]));
+    const data = mentions
+      .filter(mention => userIds.has(mention.username))
+      .map(mention => ({
+        messageId: message.id,
+        userId: userIds.get(mention.username),
+        offset: mention.offset,
+        length: mention.length
+      }));
+
+    if (data.length > 0) {
+      await tx.messageMention.createMany({ data });
+    }
+  }
+
+  /**
+   * Find the message a scheduled message was delivered as, if any
+   * @param {string} conversationId - The conversation ID
+   * @param {string} scheduledMessageId - The scheduled message ID
+   * @returns {Promise<Object|null>} The delivered message
+   */
+  async findScheduledDelivery(conversationId, scheduledMessageId) {
+    const message = await this.prisma.message.findFirst({
+      where: {
+        conversationId,
+        metadata: {
+          path: ['scheduledMessageId'],
+          equals: scheduledMessageId
+        }
+      },
+      include: MESSAGE_INCLUDE
+    });
+
+    return message ? formatMessage(message) : null;
+  }
+
+  /**
+   * Check that a user may follow a thread
+   * @param {string} conversationId - The conversation ID
+   * @param {string} threadId - The thread root's message ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The thread root
+   */
+  async getThreadRoot(conversationId, threadId, userId) {
+    try {
+      const participant = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId
+          }
+        }
+      });
+
+      if (!participant) {
+        throw new Error('User is not a participant in this conversation');
+      }
+
+      const root = await this.prisma.message.findUnique({
+        where: { id: threadId },
+        select: { id: true, conversationId: true, threadId: true, type: true, expiresAt: true }
+      });
+
+      if (!root || root.conversationId !== conversationId || root.threadId || root.type === 'SYSTEM' ||
+        (root.expiresAt && root.expiresAt <= new Date())) {
+        throw new Error('Thread not found');
+      }
+
+      return root;
+    } catch (error) {
+      throw new Error(`Failed to get thread: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a thread's root message and a page of its replies. Without a cursor
+   * the newest replies are returned; `before` walks back through older ones.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} threadId - The thread root's message ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {Object} options - Pagination options
+   * @param {number} options.limit - Number of replies to retrieve (default: 50)
+   * @param {string} options.before - Return replies older than this message ID
+   * @returns {Promise<Object>} { root, messages, hasMore, nextCursor } with replies
+   *   in chronological order
+   */
+  async getThreadMessages(conversationId, threadId, userId, { limit = 50, before = null } = {}) {
+    try {
+      await this.getThreadRoot(conversationId, threadId, userId);
+
+      let cursor = null;
+      if (before) {
+        cursor = await this.prisma.message.findUnique({
+          where: { id: before },
+          select: { id: true, threadId: true, createdAt: true }
+        });
+
+        if (!cursor || cursor.threadId !== threadId) {
+          throw new Error('Cursor message not found');
+        }
+      }
+
+      const [root, replies] = await Promise.all([
+        this.prisma.message.findUnique({
+          where: { id: threadId },
+          include: MESSAGE_INCLUDE
+        }),
+        this.prisma.message.findMany({
+          where: {
+            threadId,
+            hiddenFor: {
+              none: {
+                userId: userId
+              }
+            },
+            ...notExpiredCondition(),
+            ...(cursor ? keysetCondition(cursor, 'lt') : {})
+          },
+          include: MESSAGE_INCLUDE,
+          orderBy: [
+            { createdAt: 'desc' },
+            { id: 'desc' }
+          ],
+          take: limit + 1
+        })
+      ]);
+
+      const hasMore = replies.length > limit;
+      const page = (hasMore ? replies.slice(0, limit) : replies).reverse();
+
+      return {
+        root: formatMessage(root, userId),
+        messages: page.map(message => formatMessage(message, userId)),
+        hasMore,
+        nextCursor: hasMore && page.length > 0 ? page[0].id : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to get thread messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward messages into other conversations. Each copy is sent by the caller
+   * and records who originally wrote it; attachments are duplicated so the
+   * copies do not depend on the originals.
+   * @param {string} userId - The forwarding user's ID
+   * @param {Array<string>} messageIds - Messages to forward (sent in chronological order)
+   * @param {Array<string>} conversationIds - Conversations to forward them to
+   * @returns {Promise<Array>} The created messages
+   */
+  async forwardMessages(userId, messageIds, conversationIds) {
+    try {
+      const targetIds = [...new Set(conversationIds)];
+
+      // Check every target before copying anything
+      for (const conversationId of targetIds) {
+        await this.assertParticipant(conversationId, userId);
+      }
+
+      const sources = await this.prisma.message.findMany({
+        where: {
+          id: { in: messageIds },
+          deletedAt: null,
+          // System notices and polls cannot be forwarded
+          type: { in: ['TEXT', 'VOICE'] },
+          hiddenFor: {
+            none: {
+              userId: userId
+            }
+          }
+        },
+        include: {
+          sender: {
+            select: {
+              id: true,
+              username: true
+            }
+          },
+          attachments: {
+            orderBy: {
+              createdAt: 'asc'
+            }
+          }
+        },
+        orderBy: [
+          { createdAt: 'asc' },
+          { id: 'asc' }
+        ]
+      });
+
+      if (sources.length !== new Set(messageIds).size) {
+        throw new Error('One or more messages not found');
+      }
+
+      // The caller must be able to read every message they forward
+      for (const conversationId of new Set(sources.map(message => message.conversationId))) {
+        await this.assertParticipant(conversationId, userId);
+      }
+
+      const forwarded = [];
+      for (const conversationId of targetIds) {
+        for (const source of sources) {
+          forwarded.push(await this.forwardMessage(source, conversationId, userId));
+        }
+      }
+
+      return forwarded;
+    } catch (error) {
+      throw new Error(`Failed to forward messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a copy of one message to a conversation
+   * @param {Object} source - Message with sender and attachments (including storage keys)
+   * @param {string} conversationId - Target conversation ID
+   * @param {string} userId - The forwarding user's ID
+   * @returns {Promise<Object>} The created message
+   */
+  async forwardMessage(source, conversationId, userId) {
+    const storage = getStorageAdapter();
+    const copiedKeys = [];
+
+    try {
+      const attachmentIds = [];
+      for (const attachment of source.attachments) {
+        const storageKey = `${conversationId}/${crypto.randomUUID()}${path.extname(attachment.storageKey)}`;
+        await storage.copy(attachment.storageKey, storageKey);
+        copiedKeys.push(storageKey);
+
+        const copy = await this.prisma.attachment.create({
+          data: {
+            conversationId,
+            uploaderId: userId,
+            fileName: attachment.fileName,
+            mimeType: attachment.mimeType,
+            size: attachment.size,
+            durationMs: attachment.durationMs,
+            storageKey
+          },
+          select: { id: true }
+        });
+        attachmentIds.push(copy.id);
+      }
+
+      // Forwarding a forward keeps pointing at the original author
+      const forwardedFrom = source.metadata?.forwardedFrom || {
+        messageId: source.id,
+        senderId: source.sender.id,
+        username: source.sender.username,
+        sentAt: source.createdAt
+      };
+
+      return await this.sendMessage(conversationId, userId, source.content, {
+        attachmentIds,
+        metadata: { forwardedFrom },
+        format: source.format,
+        voice: source.type === 'VOICE'
+      });
+    } catch (error) {
+      if (copiedKeys.length > 0) {
+        await this.prisma.attachment.deleteMany({
+          where: { storageKey: { in: copiedKeys }, messageId: null }
+        }).catch(err => console.error('Failed to remove forwarded attachment rows:', err));
+        await Promise.all(copiedKeys.map(key =>
+          storage.delete(key).catch(err => console.error('Failed to remove attachment file:', err))
+        ));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a message, keeping the previous content as a revision
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The user ID (must be the sender)
+   * @param {string} content - The new message content
+   * @param {string|null} format - New format ('PLAIN' or 'MARKDOWN'), or null to keep the current one
+   * @returns {Promise<Object>} The updated message with sender info. Mentions are found
+   *   again in the new content, without notifying anyone.
+   */
+  async editMessage(conversationId, messageId, userId, content, format = null) {
+    try {
+      const existingMessage = await this.prisma.message.findUnique({
+        where: { id: messageId }
+      });
+
+      if (!existingMessage || existingMessage.conversationId !== conversationId) {
+        throw new Error('Message not found');
+      }
+
+      if (existingMessage.deletedAt) {
+        throw new Error('Message has been deleted');
+      }
+
+      if (existingMessage.type === 'SYSTEM') {
+        throw new Error('System messages cannot be changed');
+      }
+
+      if (existingMessage.type === 'POLL') {
+        throw new Error('Polls cannot be edited');
+      }
+
+      if (existingMessage.type === 'VOICE') {
+        throw new Error('Voice notes cannot be edited');
+      }
+
+      if (existingMessage.senderId !== userId) {
+        throw new Error('Only the sender can edit this message');
+      }
+
+      if (Date.now() - new Date(existingMessage.createdAt).getTime() > getEditWindowMs()) {
+        throw new Error('Edit window has expired');
+      }
+
+      const newFormat = format || existingMessage.format;
+      content = normalizeContent(content, newFormat);
+
+      // Only messages with files may be left without text
+      if (content.length === 0) {
+        const attachmentCount = await this.prisma.attachment.count({ where: { messageId } });
+        if (attachmentCount === 0) {
+          throw new Error('Message content cannot be empty');
+        }
+      }
+
+      if (existingMessage.content === content && existingMessage.format === newFormat) {
+        throw new Error('Message content is unchanged');
+      }
+
+      // Store the previous content and apply the edit atomically
+      const result = await this.prisma.$transaction(async (tx) => {
+        await tx.messageRevision.create({
+          data: {
+            messageId,
+            content: existingMessage.content
+          }
+        });
+
+        const message = await tx.message.update({
+          where: { id: messageId },
+          data: {
+            content,
+            format: newFormat,
+            editedAt: new Date()
+          }
+        });
+
+        // Offsets point into the old content
+        await tx.messageMention.deleteMany({ where: { messageId } });
+        if (!message.metadata?.forwardedFrom) {
+          await this.createMentions(tx, message);
+        }
+
+        const edited = await tx.message.findUnique({
+          where: { id: messageId },
+          include: MESSAGE_INCLUDE
+        });
+
+        // Events not sent yet would otherwise deliver the text just replaced
+        await this.webhookService.refreshMessageDeliveries(messageId, formatWebhookMessage(formatMessage(edited)), tx);
+
+        return edited;
+      });
+
+      return formatMessage(result);
+    } catch (error) {
+      throw new Error(`Failed to edit message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the edit history of a message
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Array>} Previous versions of the message, oldest first
+   */
+  async getMessageRevisions(conversationId, messageId, userId) {
+    try {
+      const participant = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId
+          }
+        }
+      });
+
+      if (!participant) {
+        throw new Error('User is not a participant in this conversation');
+      }
+
+      const message = await this.prisma.message.findUnique({
+        where: { id: messageId },
+        include: {
+          revisions: {
+            orderBy: {
+              createdAt: 'asc'
+            }
+          }
+        }
+      });
+
+      if (!message || message.conversationId !== conversationId) {
+        throw new Error('Message not found');
+      }
+
+      return message.revisions;
+    } catch (error) {
+      throw new Error(`Failed to get message revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a message for everyone, leaving a tombstone in its place
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The user ID (must be the sender)
+   * @returns {Promise<Object>} The tombstoned message
+   */
+  async deleteMessageForEveryone(conversationId, messageId, userId) {
+    try {
+      const existingMessage = await this.prisma.message.findUnique({
+        where: { id: messageId }
+      });
+
+      if (!existingMessage || existingMessage.conversationId !== conversationId) {
+        throw new Error('Message not found');
+      }
+
+      if (existingMessage.deletedAt) {
+        throw new Error('Message has already been deleted');
+      }
+
+      if (existingMessage.type === 'SYSTEM') {
+        throw new Error('System messages cannot be changed');
+      }
+
+      if (existingMessage.senderId !== userId) {
+        throw new Error('Only the sender can delete this message for everyone');
+      }
+
+      if (Date.now() - new Date(existingMessage.createdAt).getTime() > getDeleteWindowMs()) {
+        throw new Error('Delete window has expired');
+      }
+
+      const attachments = await this.prisma.attachment.findMany({
+        where: { messageId },
+        select: { storageKey: true }
+      });
+
+      // Clear the content, attachments, poll, edit history, mentions, reactions and webhook payloads so nothing of it remains readable
+      const result = await this.prisma.$transaction(async (tx) => {
+        await tx.messageRevision.deleteMany({
+          where: { messageId }
+        });
+
+        await tx.messageMention.deleteMany({
+          where: { messageId }
+        });
+
+        await tx.reaction.deleteMany({
+          where: { messageId }
+        });
+
+        await tx.pinnedMessage.deleteMany({
+          where: { messageId }
+        });
+
+        await tx.attachment.deleteMany({
+          where: { messageId }
+        });
+
+        // A poll's options and votes go with it
+        await tx.poll.deleteMany({
+          where: { messageId }
+        });
+
+        await this.webhookService.redactMessageDeliveries({ id: messageId }, tx);
+
+        return await tx.message.update({
+          where: { id: messageId },
+          data: {
+            content: '',
+            // Forwarding and scheduling details would otherwise outlive the content
+            metadata: Prisma.DbNull,
+            deletedAt: new Date()
+          },
+          include: MESSAGE_INCLUDE
+        });
+      });
+
+      // Files are removed once the rows are gone; a leftover file is harmless
+      const storage = getStorageAdapter();
+      await Promise.all(attachments.map(attachment =>
+        storage.delete(attachment.storageKey).catch(err =>
+          console.error('Failed to remove attachment file:', err)
+        )
+      ));
+
+      return formatMessage(result);
+    } catch (error) {
+      throw new Error(`Failed to delete message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hide a message for a single participant
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The user ID hiding the message
+   * @returns {Promise<Object>} The hidden message's ID and conversation ID
+   */
+  async deleteMessageForUser(conversationId, messageId, userId) {
+    try {
+      const participant = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId
+          }
+        }
+      });
+
+      if (!participant) {
+        throw new Error('User is not a participant in this conversation');
+      }
+
+      const existingMessage = await this.prisma.message.findUnique({
+        where: { id: messageId }
+      });
+
+      if (!existingMessage || existingMessage.conversationId !== conversationId) {
+        throw new Error('Message not found');
+      }
+
+      await this.prisma.messageDeletion.upsert({
+        where: {
+          messageId_userId: {
+            messageId,
+            userId
+          }
+        },
+        update: {},
+        create: {
+          messageId,
+          userId
+        }
+      });
+
+      return {
+        id: messageId,
+        conversationId
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a message a user may react to
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The reacting user's ID
+   * @returns {Promise<Object>} The message
+   */
+  async getReactableMessage(conversationId, messageId, userId) {
+    const participant = await this.prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId
+        }
+      }
+    });
+
+    if (!participant) {
+      throw new Error('User is not a participant in this conversation');
+    }
+
+    const message = await this.prisma.message.findUnique({
+      where: { id: messageId }
+    });
+
+    if (!message || message.conversationId !== conversationId) {
+      throw new Error('Message not found');
+    }
+
+    if (message.deletedAt) {
+      throw new Error('Message has been deleted');
+    }
+
+    if (message.type === 'SYSTEM') {
+      throw new Error('System messages cannot be changed');
+    }
+
+    return message;
+  }
+
+  /**
+   * Get the current reaction summary of a message
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @returns {Promise<Object>} { conversationId, messageId, reactions }
+   */
+  async getReactionSummary(conversationId, messageId) {
+    const reactions = await this.prisma.reaction.findMany({
+      where: { messageId },
+      ...MESSAGE_INCLUDE.reactions
+    });
+
+    return {
+      conversationId,
+      messageId,
+      reactions: summarizeReactions(reactions)
+    };
+  }
+
+  /**
+   * React to a message with an emoji, or take the reaction back if the user
+   * already reacted with it
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The reacting user's ID
+   * @param {string} emoji - A single emoji
+   * @returns {Promise<Object>} { conversationId, messageId, emoji, reacted, reactions }
+   */
+  async toggleReaction(conversationId, messageId, userId, emoji) {
+    try {
+      if (!isValidEmoji(emoji)) {
+        throw new Error('Invalid emoji');
+      }
+
+      await this.getReactableMessage(conversationId, messageId, userId);
+
+      const { count } = await this.prisma.reaction.deleteMany({
+        where: { messageId, userId, emoji }
+      });
+
+      if (count === 0) {
+        try {
+          await this.prisma.reaction.create({
+            data: { messageId, userId, emoji }
+          });
+        } catch (error) {
+          // A concurrent request added the same reaction; the outcome is identical
+          if (error.code !== 'P2002') {
+            throw error;
+          }
+        }
+      }
+
+      return {
+        ...await this.getReactionSummary(conversationId, messageId),
+        emoji,
+        reacted: count === 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to toggle reaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a user's reaction from a message (no-op if they had not reacted)
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The reacting user's ID
+   * @param {string} emoji - The emoji to remove
+   * @returns {Promise<Object>} { conversationId, messageId, emoji, reacted, reactions }
+   */
+  async removeReaction(conversationId, messageId, userId, emoji) {
+    try {
+      if (!isValidEmoji(emoji)) {
+        throw new Error('Invalid emoji');
+      }
+
+      await this.getReactableMessage(conversationId, messageId, userId);
+
+      await this.prisma.reaction.deleteMany({
+        where: { messageId, userId, emoji }
+      });
+
+      return {
+        ...await this.getReactionSummary(conversationId, messageId),
+        emoji,
+        reacted: false
+      };
+    } catch (error) {
+      throw new Error(`Failed to remove reaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the recording of a VOICE message for playback
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The voice message ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Object>} The recording's attachment, including its storage key
+   */
+  async getVoiceNote(conversationId, messageId, userId) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      const message = await this.prisma.message.findUnique({
+        where: { id: messageId },
+        include: {
+          attachments: true,
+          hiddenFor: {
+            where: { userId },
+            select: { id: true }
+          }
+        }
+      });
+
+      // Deleted and hidden messages expose nothing
+      if (!message || message.conversationId !== conversationId || message.type !== 'VOICE' ||
+          message.deletedAt || message.hiddenFor.length > 0 || message.attachments.length === 0) {
+        throw new Error('Voice note not found');
+      }
+
+      return message.attachments[0];
+    } catch (error) {
+      throw new Error(`Failed to get voice note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a POLL message of a conversation with its poll
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The poll message ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Object>} The message with its poll, options and votes
+   */
+  async getPollMessage(conversationId, messageId, userId) {
+    await this.assertParticipant(conversationId, userId);
+
+    const message = await this.prisma.message.findUnique({
+      where: { id: messageId },
+      include: { poll: MESSAGE_INCLUDE.poll }
+    });
+
+    if (!message || message.conversationId !== conversationId) {
+      throw new Error('Poll not found');
+    }
+
+    // Deleting a poll message deletes the poll, so check this first
+    if (message.deletedAt) {
+      throw new Error('Message has been deleted');
+    }
+
+    if (!message.poll) {
+      throw new Error('Poll not found');
+    }
+
+    return message;
+  }
+
+  /**
+   * Get a poll's current tallies
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The poll message ID
+   * @param {string} userId - The user the summary is for
+   * @returns {Promise<Object>} { conversationId, messageId, poll }
+   */
+  async getPollSummary(conversationId, messageId, userId) {
+    const message = await this.getPollMessage(conversationId, messageId, userId);
+
+    return {
+      conversationId,
+      messageId,
+      poll: summarizePoll(message.poll, userId)
+    };
+  }
+
+  /**
+   * Set a user's votes in a poll, replacing earlier ones; an empty choice
+   * takes the vote back
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The poll message ID
+   * @param {string} userId - The voting user's ID
+   * @param {Array<string>} optionIds - Chosen options (one at most unless the poll allows multiple)
+   * @returns {Promise<Object>} { conversationId, messageId, poll } summarized for the voter
+   */
+  async votePoll(conversationId, messageId, userId, optionIds) {
+    try {
+      const { poll } = await this.getPollMessage(conversationId, messageId, userId);
+
+      if (isPollClosed(poll)) {
+        throw new Error('Poll is closed');
+      }
+
+      const chosen = [...new Set(optionIds)];
+      if (!poll.allowsMultiple && chosen.length > 1) {
+        throw new Error('Poll allows a single choice');
+      }
+
+      if (!chosen.every(optionId => poll.options.some(option => option.id === optionId))) {
+        throw new Error('Poll option not found');
+      }
+
+      await this.prisma.$transaction([
+        this.prisma.pollVote.deleteMany({
+          where: { pollId: poll.id, userId }
+        }),
+        this.prisma.pollVote.createMany({
+          data: chosen.map(optionId => ({ pollId: poll.id, optionId, userId })),
+          skipDuplicates: true
+        })
+      ]);
+
+      return await this.getPollSummary(conversationId, messageId, userId);
+    } catch (error) {
+      throw new Error(`Failed to vote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close a poll before its close time
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The poll message ID
+   * @param {string} userId - The user ID (must be the poll's creator)
+   * @returns {Promise<Object>} { conversationId, messageId, poll } summarized for the creator
+   */
+  async closePoll(conversationId, messageId, userId) {
+    try {
+      const { senderId, poll } = await this.getPollMessage(conversationId, messageId, userId);
+
+      if (senderId !== userId) {
+        throw new Error('Only the poll creator can close it');
+      }
+
+      if (isPollClosed(poll)) {
+        throw new Error('Poll is closed');
+      }
+
+      await this.prisma.poll.update({
+        where: { id: poll.id },
+        data: { closedAt: new Date() }
+      });
+
+      return await this.getPollSummary(conversationId, messageId, userId);
+    } catch (error) {
+      throw new Error(`Failed to close poll: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a conversation's pinned messages, most recently pinned first
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} { conversationId, pins }
+   */
+  async getPinSummary(conversationId) {
+    const pins = await this.prisma.pinnedMessage.findMany({
+      where: { conversationId },
+      include: {
+        pinnedBy: {
+          select: {
+            id: true,
+            username: true
+          }
+        },
+        message: {
+          include: MESSAGE_INCLUDE
+        }
+      },
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ]
+    });
+
+    return {
+      conversationId,
+      pins: pins.map(formatPin)
+    };
+  }
+
+  /**
+   * Get the pinned messages of a conversation the user is in
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The requesting user's ID
+   * @returns {Promise<Array>} Pins, most recently pinned first
+   */
+  async getPinnedMessages(conversationId, userId) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      const { pins } = await this.getPinSummary(conversationId);
+      return pins;
+    } catch (error) {
+      throw new Error(`Failed to get pinned messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pin a message for everyone in its conversation (no-op if already pinned)
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The pinning user's ID
+   * @returns {Promise<Object>} { conversationId, pins }
+   */
+  async pinMessage(conversationId, messageId, userId) {
+    try {
+      await this.getReactableMessage(conversationId, messageId, userId);
+
+      const maxPins = getMaxPinnedMessages();
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          // Serializable so concurrent pins cannot both fit under the limit
+          await this.prisma.$transaction(async (tx) => {
+            const existing = await tx.pinnedMessage.findUnique({
+              where: { messageId }
+            });
+
+            if (existing) {
+              return;
+            }
+
+            const count = await tx.pinnedMessage.count({
+              where: { conversationId }
+            });
+
+            if (count >= maxPins) {
+              throw new Error(`Pin limit reached (${maxPins} per conversation)`);
+            }
+
+            await tx.pinnedMessage.create({
+              data: {
+                conversationId,
+                messageId,
+                pinnedById: userId
+              }
+            });
+          }, {
+            isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+          });
+          break;
+        } catch (error) {
+          // A concurrent request pinned the same message; the outcome is identical
+          if (error.code === 'P2002') {
+            break;
+          }
+
+          // A concurrent pin won the serialization conflict; recount and try again
+          if (error.code === 'P2034') {
+            if (attempt < PIN_ATTEMPTS) {
+              continue;
+            }
+            throw new Error('Pin conflicted with concurrent changes, try again');
+          }
+
+          throw error;
+        }
+      }
+
+      return await this.getPinSummary(conversationId);
+    } catch (error) {
+      throw new Error(`Failed to pin message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unpin a message (no-op if it was not pinned)
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - The message ID
+   * @param {string} userId - The unpinning user's ID
+   * @returns {Promise<Object>} { conversationId, pins }
+   */
+  async unpinMessage(conversationId, messageId, userId) {
+    try {
+      await this.assertParticipant(conversationId, userId);
+
+      await this.prisma.pinnedMessage.deleteMany({
+        where: {
+          conversationId,
+          messageId
+        }
+      });
+
+      return await this.getPinSummary(conversationId);
+    } catch (error) {
+      throw new Error(`Failed to unpin message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a participant's read marker forward
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The user ID
+   * @param {string} messageId - Last message read (default: the newest message)
+   * @returns {Promise<Object>} The participant's read state and remaining unread count
+   */
+  async markConversationRead(conversationId, userId, messageId = null) {
+    try {
+      const participant = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId
+          }
+        }
+      });
+
+      if (!participant) {
+        throw new Error('User is not a participant in this conversation');
+      }
+
+      let message;
+      if (messageId) {
+        message = await this.prisma.message.findUnique({
+          where: { id: messageId }
+        });
+
+        if (!message || message.conversationId !== conversationId) {
+          throw new Error('Message not found');
+        }
+      } else {
+        message = await this.prisma.message.findFirst({
+          where: { conversationId, threadId: null },
+          orderBy: { createdAt: 'desc' }
+        });
+      }
+
+      let { lastReadMessageId, lastReadAt } = participant;
+
+      // Never move the marker backwards, e.g. when an older page is acknowledged late
+      if (message && (!lastReadAt || message.createdAt > lastReadAt)) {
+        const updated = await this.prisma.conversationParticipant.update({
+          where: { id: participant.id },
+          data: {
+            lastReadMessageId: message.id,
+            lastReadAt: message.createdAt
+          }
+        });
+        ({ lastReadMessageId, lastReadAt } = updated);
+      }
+
+      const unreadCount = await this.countUnreadMessages(conversationId, userId, lastReadAt);
+
+      return {
+        conversationId,
+        userId,
+        lastReadMessageId,
+        lastReadAt,
+        unreadCount
+      };
+    } catch (error) {
+      throw new Error(`Failed to mark conversation as read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new conversation between users
+   * @param {Array<string>} userIds - Array of user IDs to include in conversation
+   * @param {string} name - Optional name for group conversations
+   * @param {string} creatorId - User who becomes owner of a new group (default: first user)
+   * @returns {Promise<Object>} The created conversation with participants
+   */
+  async createConversation(userIds, name = null, creatorId = null) {
+    try {
+      if (!userIds || userIds.length < 2) {
+        throw new Error('At least 2 users are required to create a conversation');
+      }
+
+      // Check if all users exist
+      const users = await this.prisma.user.findMany({
+        where: {
+          id: {
+            in: userIds
+          }
+        }
+      });
+
+      if (users.length !== userIds.length) {
+        throw new Error('One or more users not found');
+      }
+
+      // For direct conversations (2 users), check if conversation already exists
+      if (userIds.length === 2 && !name) {
+        const existingConversation = await this.prisma.conversation.findFirst({
+          where: {
+            isGroup: false,
+            participants: {
+              every: {
+                userId: {
+                  in: userIds
+                }
+              }
+            }
+          },
+          include: {
+            participants: {
+              include: PARTICIPANT_INCLUDE
+            }
+          }
+        });
+
+        if (existingConversation && existingConversation.participants.length === 2) {
+          return {
+            id: existingConversation.id,
+            name: existingConversation.name,
+            isGroup: existingConversation.isGroup,
+            messageTtlSeconds: existingConversation.messageTtlSeconds,
+            createdAt: existingConversation.createdAt,
+            updatedAt: existingConversation.updatedAt,
+            participants: existingConversation.participants.map(formatParticipant)
+          };
+        }
+      }
+
+      // Create new conversation
+      const isGroup = userIds.length > 2 || !!name;
+      const ownerId = creatorId || userIds[0];
+
+      const conversation = await this.prisma.$transaction(async (tx) => {
+        const newConversation = await tx.conversation.create({
+          data: {
+            name,
+            isGroup
+          }
+        });
+
+        // Add participants; the creator owns a group
+        await tx.conversationParticipant.createMany({
+          data: userIds.map(userId => ({
+            conversationId: newConversation.id,
+            userId,
+            role: isGroup && userId === ownerId ? 'OWNER' : 'MEMBER'
+          }))
+        });
+
+        // Fetch the complete conversation with participants
+        return await tx.conversation.findUnique({
+          where: { id: newConversation.id },
           include: {
             participants: {
-              include: {
-                user: {
-                  select: {
-                    id: true,
-                    username: true,
-                    email: true
-                  }
-                }
-              }
+              include: PARTICIPANT_INCLUDE
             }
           }
         });
       });
 
-      return {
+      const created = {
         id: conversation.id,
         name: conversation.name,
         isGroup: conversation.isGroup,
+        messageTtlSeconds: conversation.messageTtlSeconds,
         createdAt: conversation.createdAt,
         updatedAt: conversation.updatedAt,
-        participants: conversation.participants.map(p => p.user)
+        participants: conversation.participants.map(formatParticipant)
       };
+
+      await this.webhookService.publish('conversation.created', {
+        conversation: {
+          id: created.id,
+          name: created.name,
+          isGroup: created.isGroup,
+          createdById: creatorId,
+          participants: created.participants.map(({ id, username }) => ({ id, username })),
+          createdAt: created.createdAt
+        }
+      }, { conversationId: created.id });
+
+      return created;
     } catch (error) {
       throw new Error(`Failed to create conversation: ${error.message}`);
     }
   }
 
+  /**
+   * Load a group and the acting user's membership in it
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID
+   * @param {Array<string>} allowedRoles - Roles allowed to perform the action (default: any)
+   * @returns {Promise<Object>} The acting participant with user info
+   */
+  async getGroupMembership(conversationId, userId, allowedRoles = null) {
+    const participant = await this.prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId
+        }
+      },
+      include: {
+        ...PARTICIPANT_INCLUDE,
+        conversation: {
+          select: {
+            isGroup: true
+          }
+        }
+      }
+    });
+
+    if (!participant) {
+      throw new Error('User is not a participant in this conversation');
+    }
+
+    if (!participant.conversation.isGroup) {
+      throw new Error('Conversation is not a group');
+    }
+
+    if (allowedRoles && !allowedRoles.includes(participant.role)) {
+      throw new Error('Insufficient permissions');
+    }
+
+    return participant;
+  }
+
+  /**
+   * Get a conversation with its participants and their roles
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} The formatted conversation
+   */
+  async getConversationDetails(client, conversationId) {
+    const conversation = await client.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        participants: {
+          include: PARTICIPANT_INCLUDE,
+          orderBy: {
+            joinedAt: 'asc'
+          }
+        }
+      }
+    });
+
+    return {
+      id: conversation.id,
+      name: conversation.name,
+      isGroup: conversation.isGroup,
+      messageTtlSeconds: conversation.messageTtlSeconds,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      participants: conversation.participants.map(formatParticipant)
+    };
+  }
+
+  /**
+   * Record a membership change as a system message in the conversation
+   * @param {Object} tx - Prisma transaction
+   * @param {string} conversationId - The conversation ID
+   * @param {string} actorId - User who made the change
+   * @param {string} content - Human readable description
+   * @param {Object} metadata - Structured description ({ action, ... })
+   * @returns {Promise<Object>} The created system message
+   */
+  async createSystemMessage(tx, conversationId, actorId, content, metadata) {
+    const message = await tx.message.create({
+      data: {
+        content,
+        type: 'SYSTEM',
+        metadata,
+        senderId: actorId,
+        conversationId
+      },
+      include: MESSAGE_INCLUDE
+    });
+
+    await tx.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() }
+    });
+
+    return formatMessage(message);
+  }
+
+  /**
+   * Rename a group conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID (owner or admin)
+   * @param {string} name - The new name
+   * @returns {Promise<Object>} { conversation, systemMessage }
+   */
+  async renameConversation(conversationId, userId, name) {
+    try {
+      const actor = await this.getGroupMembership(conversationId, userId, MANAGER_ROLES);
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversation.update({
+          where: { id: conversationId },
+          data: { name }
+        });
+
+        const systemMessage = await this.createSystemMessage(
+          tx,
+          conversationId,
+          userId,
+          `${actor.user.username} renamed the group to "${name}"`,
+          { action: 'renamed', name }
+        );
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to rename conversation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change how long new messages in a conversation are kept. Any participant
+   * may change it; the change is recorded as a system message.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID
+   * @param {number|null} messageTtlSeconds - One of MESSAGE_TTL_OPTIONS, or null to keep messages
+   * @returns {Promise<Object>} { conversation, systemMessage }; systemMessage is null if nothing changed
+   */
+  async setMessageTtl(conversationId, userId, messageTtlSeconds) {
+    try {
+      if (messageTtlSeconds !== null && !MESSAGE_TTL_OPTIONS[messageTtlSeconds]) {
+        throw new Error('Invalid message TTL');
+      }
+
+      const participant = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId
+          }
+        },
+        include: {
+          user: { select: { username: true } },
+          conversation: { select: { messageTtlSeconds: true } }
+        }
+      });
+
+      if (!participant) {
+        throw new Error('User is not a participant in this conversation');
+      }
+
+      if (participant.conversation.messageTtlSeconds === messageTtlSeconds) {
+        return {
+          conversation: await this.getConversationDetails(this.prisma, conversationId),
+          systemMessage: null
+        };
+      }
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversation.update({
+          where: { id: conversationId },
+          data: { messageTtlSeconds }
+        });
+
+        const content = messageTtlSeconds
+          ? `${participant.user.username} set messages to disappear after ${MESSAGE_TTL_OPTIONS[messageTtlSeconds]}`
+          : `${participant.user.username} turned off disappearing messages`;
+
+        const systemMessage = await this.createSystemMessage(
+          tx,
+          conversationId,
+          userId,
+          content,
+          { action: 'message_ttl_changed', messageTtlSeconds }
+        );
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to change disappearing messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently delete messages whose disappearing timer has run out, with
+   * everything attached to them (a thread root takes its replies along)
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of expired messages to purge in one call
+   * @returns {Promise<Object>} { messages: [{ id, conversationId, threadId }], threads: [{ conversationId, threadId, replyCount, lastReplyAt }] }
+   *   where threads are surviving thread roots that lost replies
+   */
+  async purgeExpiredMessages(now = new Date(), limit = 500) {
+    try {
+      const expired = await this.prisma.message.findMany({
+        where: {
+          expiresAt: { lte: now }
+        },
+        select: { id: true, conversationId: true, threadId: true },
+        orderBy: { expiresAt: 'asc' },
+        take: limit
+      });
+
+      if (expired.length === 0) {
+        return { messages: [], threads: [] };
+      }
+
+      const expiredIds = expired.map(message => message.id);
+
+      // Replies of expiring thread roots are removed by the cascade; report them too
+      const cascaded = await this.prisma.message.findMany({
+        where: {
+          threadId: { in: expiredIds },
+          id: { notIn: expiredIds }
+        },
+        select: { id: true, conversationId: true, threadId: true }
+      });
+
+      const messages = [...expired, ...cascaded];
+      const messageIds = messages.map(message => message.id);
+
+      const attachments = await this.prisma.attachment.findMany({
+        where: { messageId: { in: messageIds } },
+        select: { storageKey: true }
+      });
+
+      const threads = await this.prisma.$transaction(async (tx) => {
+        await this.webhookService.redactMessageDeliveries({ id: { in: messageIds } }, tx);
+
+        await tx.message.deleteMany({
+          where: { id: { in: expiredIds } }
+        });
+
+        // Thread roots that are kept but lost replies
+        const threadRoots = new Map();
+        expired
+          .filter(message => message.threadId && !expiredIds.includes(message.threadId))
+          .forEach(message => threadRoots.set(message.threadId, message.conversationId));
+
+        const updated = [];
+        for (const [threadId, conversationId] of threadRoots) {
+          const replies = await tx.message.aggregate({
+            where: { threadId },
+            _count: { _all: true },
+            _max: { createdAt: true }
+          });
+
+          await tx.message.updateMany({
+            where: { id: threadId },
+            data: {
+              threadReplyCount: replies._count._all,
+              threadLastReplyAt: replies._max.createdAt
+            }
+          });
+
+          updated.push({
+            conversationId,
+            threadId,
+            replyCount: replies._count._all,
+            lastReplyAt: replies._max.createdAt
+          });
+        }
+
+        return updated;
+      });
+
+      // Files are removed once the rows are gone; a leftover file is harmless
+      const storage = getStorageAdapter();
+      await Promise.all(attachments.map(attachment =>
+        storage.delete(attachment.storageKey).catch(err =>
+          console.error('Failed to remove attachment file:', err)
+        )
+      ));
+
+      return { messages, threads };
+    } catch (error) {
+      throw new Error(`Failed to purge expired messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add users to a group conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID (owner or admin)
+   * @param {Array<string>} userIds - Users to add
+   * @returns {Promise<Object>} { conversation, systemMessage, addedUserIds }
+   */
+  async addParticipants(conversationId, userId, userIds) {
+    try {
+      const actor = await this.getGroupMembership(conversationId, userId, MANAGER_ROLES);
+      const uniqueUserIds = [...new Set(userIds)];
+
+      const users = await this.prisma.user.findMany({
+        where: {
+          id: {
+            in: uniqueUserIds
+          }
+        },
+        select: {
+          id: true,
+          username: true
+        }
+      });
+
+      if (users.length !== uniqueUserIds.length) {
+        throw new Error('One or more users not found');
+      }
+
+      const existing = await this.prisma.conversationParticipant.findMany({
+        where: {
+          conversationId,
+          userId: {
+            in: uniqueUserIds
+          }
+        },
+        select: {
+          userId: true
+        }
+      });
+      const existingIds = new Set(existing.map(p => p.userId));
+      const newUsers = users.filter(user => !existingIds.has(user.id));
+
+      if (newUsers.length === 0) {
+        throw new Error('Users are already participants');
+      }
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversationParticipant.createMany({
+          data: newUsers.map(user => ({
+            conversationId,
+            userId: user.id,
+            role: 'MEMBER'
+          }))
+        });
+
+        const systemMessage = await this.createSystemMessage(
+          tx,
+          conversationId,
+          userId,
+          `${actor.user.username} added ${formatNameList(newUsers.map(user => user.username))}`,
+          { action: 'participants_added', userIds: newUsers.map(user => user.id) }
+        );
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage,
+          addedUserIds: newUsers.map(user => user.id)
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to add participants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove another participant from a group conversation.
+   * The owner can remove anyone; admins can only remove members.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID (owner or admin)
+   * @param {string} targetUserId - The participant to remove
+   * @returns {Promise<Object>} { conversation, systemMessage }
+   */
+  async removeParticipant(conversationId, userId, targetUserId) {
+    try {
+      if (userId === targetUserId) {
+        throw new Error('Use leave to remove yourself');
+      }
+
+      const actor = await this.getGroupMembership(conversationId, userId, MANAGER_ROLES);
+
+      const target = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId: targetUserId
+          }
+        },
+        include: PARTICIPANT_INCLUDE
+      });
+
+      if (!target) {
+        throw new Error('Participant not found');
+      }
+
+      if (target.role === 'OWNER' || (actor.role === 'ADMIN' && target.role !== 'MEMBER')) {
+        throw new Error('Insufficient permissions');
+      }
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversationParticipant.delete({
+          where: { id: target.id }
+        });
+
+        const systemMessage = await this.createSystemMessage(
+          tx,
+          conversationId,
+          userId,
+          `${actor.user.username} removed ${target.user.username}`,
+          { action: 'participant_removed', userId: targetUserId }
+        );
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to remove participant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Promote a member to admin or demote an admin to member (owner only)
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The acting user ID (owner)
+   * @param {string} targetUserId - The participant whose role changes
+   * @param {string} role - The new role (ADMIN or MEMBER)
+   * @returns {Promise<Object>} { conversation, systemMessage }
+   */
+  async updateParticipantRole(conversationId, userId, targetUserId, role) {
+    try {
+      if (!['ADMIN', 'MEMBER'].includes(role)) {
+        throw new Error('Invalid role');
+      }
+
+      const actor = await this.getGroupMembership(conversationId, userId, ['OWNER']);
+
+      const target = await this.prisma.conversationParticipant.findUnique({
+        where: {
+          conversationId_userId: {
+            conversationId,
+            userId: targetUserId
+          }
+        },
+        include: PARTICIPANT_INCLUDE
+      });
+
+      if (!target) {
+        throw new Error('Participant not found');
+      }
+
+      if (target.role === 'OWNER') {
+        throw new Error('Insufficient permissions');
+      }
+
+      if (target.role === role) {
+        throw new Error('Participant already has this role');
+      }
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversationParticipant.update({
+          where: { id: target.id },
+          data: { role }
+        });
+
+        const content = role === 'ADMIN'
+          ? `${actor.user.username} made ${target.user.username} an admin`
+          : `${actor.user.username} removed ${target.user.username} as admin`;
+
+        const systemMessage = await this.createSystemMessage(
+          tx,
+          conversationId,
+          userId,
+          content,
+          { action: 'role_changed', userId: targetUserId, role }
+        );
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to update participant role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Leave a group conversation. When the owner leaves, ownership passes to
+   * the longest-standing admin (or member); the last one out deletes the group.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - The leaving user ID
+   * @returns {Promise<Object>} { conversation, systemMessage } (both null if the group was deleted)
+   */
+  async leaveConversation(conversationId, userId) {
+    try {
+      const participant = await this.getGroupMembership(conversationId, userId);
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.conversationParticipant.delete({
+          where: { id: participant.id }
+        });
+
+        const remaining = await tx.conversationParticipant.findMany({
+          where: { conversationId },
+          include: PARTICIPANT_INCLUDE,
+          orderBy: {
+            joinedAt: 'asc'
+          }
+        });
+
+        if (remaining.length === 0) {
+          await this.webhookService.redactMessageDeliveries({ conversationId }, tx);
+          await tx.conversation.delete({
+            where: { id: conversationId }
+          });
+          return { conversation: null, systemMessage: null };
+        }
+
+        let content = `${participant.user.username} left the group`;
+        const metadata = { action: 'participant_left', userId };
+
+        if (participant.role === 'OWNER') {
+          const newOwner = remaining.find(p => p.role === 'ADMIN') || remaining[0];
+          await tx.conversationParticipant.update({
+            where: { id: newOwner.id },
+            data: { role: 'OWNER' }
+          });
+          content += `; ${newOwner.user.username} is now the owner`;
+          metadata.newOwnerId = newOwner.userId;
+        }
+
+        // The departed user remains the sender so the message keeps a valid author
+        const systemMessage = await this.createSystemMessage(tx, conversationId, userId, content, metadata);
+
+        return {
+          conversation: await this.getConversationDetails(tx, conversationId),
+          systemMessage
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to leave conversation: ${error.message}`);
+    }
+  }
+
   /**
    * Find or create a direct conversation between two users
    * @param {string} userId1 - First user ID
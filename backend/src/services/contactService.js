@@ -18,6 +18,7 @@ async function getUserContacts(userId) {
             id: true,
             username: true,
             email: true,
+            lastSeenAt: true,
             createdAt: true
           }
         }
@@ -114,6 +115,7 @@ async function addContact(userId, contactData) {
             id: true,
             username: true,
             email: true,
+            lastSeenAt: true,
             createdAt: true
           }
         }
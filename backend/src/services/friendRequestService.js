@@ -1,4 +1,5 @@
 const { ensureConnection } = require('../utils/database');
+const WebhookService = require('./webhookService');
 
 /**
  * Search for users by username or email
@@ -335,6 +336,21 @@ async function acceptFriendRequest(requestId, userId) {
       return { contact1, contact2 };
     });
 
+    await new WebhookService(prisma).publish('friend_request.accepted', {
+      friendRequest: {
+        id: friendRequest.id,
+        sender: {
+          id: friendRequest.sender.id,
+          username: friendRequest.sender.username
+        },
+        receiver: {
+          id: friendRequest.receiver.id,
+          username: friendRequest.receiver.username
+        },
+        acceptedAt: new Date()
+      }
+    }, { userIds: [friendRequest.senderId, friendRequest.receiverId] });
+
     return {
       success: true,
       message: 'Friend request accepted successfully',
@@ -0,0 +1,85 @@
+const ChatService = require('./chatService');
+
+/**
+ * How often expired disappearing messages are purged
+ * @returns {number} Sweep interval in milliseconds (default: 30 seconds)
+ */
+function getSweepIntervalMs() {
+  return parseInt(process.env.MESSAGE_EXPIRY_SWEEP_MS) || 30 * 1000;
+}
+
+/**
+ * Periodically purges messages whose disappearing timer ran out and tells
+ * the affected conversations, so clients drop them without reloading
+ */
+class MessageExpirySweeper {
+  constructor({ socketService, chatService = null, intervalMs = getSweepIntervalMs() }) {
+    this.socketService = socketService;
+    this.chatService = chatService || new ChatService();
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start sweeping, purging anything that expired while the server was down
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Sweeping alone should not keep the process alive
+    this.timer.unref();
+    this.runOnce();
+
+    console.log(`🧹 Message expiry sweeper running every ${this.intervalMs}ms`);
+  }
+
+  /**
+   * Stop sweeping and wait for a sweep in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.currentRun;
+  }
+
+  /**
+   * Purge expired messages, unless a previous sweep is still going
+   * @returns {Promise<void>}
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.purgeExpiredMessages().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * Purge expired messages in batches and broadcast what was removed; errors
+   * are logged so sweeping carries on
+   * @returns {Promise<void>}
+   */
+  async purgeExpiredMessages() {
+    try {
+      let purged;
+      do {
+        purged = await this.chatService.purgeExpiredMessages();
+
+        if (purged.messages.length > 0) {
+          this.socketService.emitMessagesExpired(purged.messages);
+          purged.threads.forEach(thread => this.socketService.emitThreadUpdated(thread));
+        }
+      } while (purged.messages.length > 0 && this.timer);
+    } catch (error) {
+      console.error('Message expiry sweep error:', error);
+    }
+  }
+}
+
+module.exports = MessageExpirySweeper;
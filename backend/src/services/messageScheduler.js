@@ -0,0 +1,85 @@
+const ScheduledMessageService = require('./scheduledMessageService');
+
+/**
+ * How often due scheduled messages are looked for
+ * @returns {number} Poll interval in milliseconds (default: 10 seconds)
+ */
+function getSchedulerIntervalMs() {
+  return parseInt(process.env.SCHEDULED_MESSAGE_POLL_MS) || 10 * 1000;
+}
+
+/**
+ * Periodically delivers due scheduled messages and broadcasts them like
+ * messages sent live. Delivery state lives in the database, so nothing is
+ * lost or sent twice when the server restarts.
+ */
+class MessageScheduler {
+  constructor({ socketService, scheduledMessageService = null, intervalMs = getSchedulerIntervalMs() }) {
+    this.socketService = socketService;
+    this.scheduledMessageService = scheduledMessageService || new ScheduledMessageService();
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start polling, delivering anything that fell due while the server was down
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Polling alone should not keep the process alive
+    this.timer.unref();
+    this.runOnce();
+
+    console.log(`⏰ Message scheduler polling every ${this.intervalMs}ms`);
+  }
+
+  /**
+   * Stop polling and wait for a delivery in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.currentRun;
+  }
+
+  /**
+   * Deliver due messages, unless a previous run is still going
+   * @returns {Promise<void>}
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.deliverDueMessages().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * Deliver due messages and broadcast the results; errors are logged so
+   * polling carries on
+   * @returns {Promise<void>}
+   */
+  async deliverDueMessages() {
+    try {
+      const results = await this.scheduledMessageService.deliverDueMessages();
+
+      for (const { scheduledMessage, message } of results) {
+        if (message) {
+          this.socketService.emitMessageReceived(message);
+        }
+        this.socketService.emitScheduledMessageUpdated(scheduledMessage);
+      }
+    } catch (error) {
+      console.error('Scheduled message delivery error:', error);
+    }
+  }
+}
+
+module.exports = MessageScheduler;
@@ -0,0 +1,74 @@
+const { getPrismaClient } = require('../utils/database');
+
+/**
+ * Get the users who have a user in their contacts, i.e. who may see their presence
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - IDs of the watching users
+ */
+async function getPresenceWatcherIds(userId) {
+  const prisma = getPrismaClient();
+  const watchers = await prisma.contact.findMany({
+    where: {
+      contactId: userId
+    },
+    select: {
+      userId: true
+    }
+  });
+
+  return watchers.map(watcher => watcher.userId);
+}
+
+/**
+ * Get a user's contacts with their last-seen timestamps
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Contacts' id, username and lastSeenAt
+ */
+async function getContactPresence(userId) {
+  const prisma = getPrismaClient();
+  const contacts = await prisma.contact.findMany({
+    where: {
+      userId: userId
+    },
+    select: {
+      contact: {
+        select: {
+          id: true,
+          username: true,
+          lastSeenAt: true
+        }
+      }
+    }
+  });
+
+  return contacts.map(contact => contact.contact);
+}
+
+/**
+ * Record when a user was last connected
+ * @param {string} userId - User ID
+ * @param {Date} lastSeenAt - Time the last socket disconnected
+ * @returns {Promise<Date>} - The stored timestamp
+ */
+async function recordLastSeen(userId, lastSeenAt = new Date()) {
+  const prisma = getPrismaClient();
+  const user = await prisma.user.update({
+    where: {
+      id: userId
+    },
+    data: {
+      lastSeenAt
+    },
+    select: {
+      lastSeenAt: true
+    }
+  });
+
+  return user.lastSeenAt;
+}
+
+module.exports = {
+  getPresenceWatcherIds,
+  getContactPresence,
+  recordLastSeen
+};
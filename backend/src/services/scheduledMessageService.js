@@ -0,0 +1,290 @@
+const { PrismaClient } = require('@prisma/client');
+const ChatService = require('./chatService');
+
+/**
+ * Scheduled message fields returned to clients
+ */
+const SCHEDULED_MESSAGE_SELECT = {
+  id: true,
+  conversationId: true,
+  senderId: true,
+  content: true,
+  format: true,
+  sendAt: true,
+  status: true,
+  error: true,
+  messageId: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Statuses in which a scheduled message can still be changed by its sender
+const EDITABLE_STATUSES = ['PENDING', 'FAILED'];
+
+/**
+ * How long a delivery may stay claimed before another run takes it over,
+ * e.g. after the server stopped mid-delivery
+ * @returns {number} Claim timeout in milliseconds (default: 5 minutes)
+ */
+function getClaimTimeoutMs() {
+  return parseInt(process.env.SCHEDULED_MESSAGE_CLAIM_TIMEOUT_MS) || 5 * 60 * 1000;
+}
+
+class ScheduledMessageService {
+  constructor(prismaClient = null, chatService = null) {
+    this.prisma = prismaClient || new PrismaClient();
+    this.chatService = chatService || new ChatService(this.prisma);
+  }
+
+  /**
+   * Schedule a message to be sent to a conversation later
+   * @param {string} userId - The sender's user ID
+   * @param {string} conversationId - The conversation ID
+   * @param {string} content - Message content
+   * @param {Date} sendAt - When to send it
+   * @param {string} format - How the content is rendered: 'PLAIN' or 'MARKDOWN'
+   * @returns {Promise<Object>} The scheduled message
+   */
+  async scheduleMessage(userId, conversationId, content, sendAt, format = 'PLAIN') {
+    try {
+      await this.chatService.assertParticipant(conversationId, userId);
+
+      return await this.prisma.scheduledMessage.create({
+        data: {
+          conversationId,
+          senderId: userId,
+          content,
+          format,
+          sendAt
+        },
+        select: SCHEDULED_MESSAGE_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to schedule message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's scheduled messages that have not been sent or cancelled
+   * @param {string} userId - The sender's user ID
+   * @param {Object} options - Filters
+   * @param {string} options.conversationId - Only list messages for this conversation
+   * @returns {Promise<Array>} Scheduled messages, soonest first
+   */
+  async getScheduledMessages(userId, { conversationId = null } = {}) {
+    try {
+      return await this.prisma.scheduledMessage.findMany({
+        where: {
+          senderId: userId,
+          status: { in: [...EDITABLE_STATUSES, 'SENDING'] },
+          ...(conversationId ? { conversationId } : {})
+        },
+        select: SCHEDULED_MESSAGE_SELECT,
+        orderBy: [
+          { sendAt: 'asc' },
+          { id: 'asc' }
+        ]
+      });
+    } catch (error) {
+      throw new Error(`Failed to get scheduled messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the content, format or send time of a scheduled message. A failed
+   * message is queued again.
+   * @param {string} userId - The sender's user ID
+   * @param {string} scheduledMessageId - The scheduled message ID
+   * @param {Object} changes - { content?, format?, sendAt? }
+   * @returns {Promise<Object>} The updated scheduled message
+   */
+  async updateScheduledMessage(userId, scheduledMessageId, { content, format, sendAt }) {
+    try {
+      // Conditional update so a message the scheduler has claimed is never changed
+      const { count } = await this.prisma.scheduledMessage.updateMany({
+        where: {
+          id: scheduledMessageId,
+          senderId: userId,
+          status: { in: EDITABLE_STATUSES }
+        },
+        data: {
+          ...(content !== undefined ? { content } : {}),
+          ...(format !== undefined ? { format } : {}),
+          ...(sendAt !== undefined ? { sendAt } : {}),
+          status: 'PENDING',
+          error: null
+        }
+      });
+
+      if (count === 0) {
+        await this.assertEditable(userId, scheduledMessageId);
+      }
+
+      return await this.prisma.scheduledMessage.findUnique({
+        where: { id: scheduledMessageId },
+        select: SCHEDULED_MESSAGE_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to update scheduled message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a scheduled message that has not been sent yet
+   * @param {string} userId - The sender's user ID
+   * @param {string} scheduledMessageId - The scheduled message ID
+   * @returns {Promise<Object>} The cancelled scheduled message
+   */
+  async cancelScheduledMessage(userId, scheduledMessageId) {
+    try {
+      const { count } = await this.prisma.scheduledMessage.updateMany({
+        where: {
+          id: scheduledMessageId,
+          senderId: userId,
+          status: { in: EDITABLE_STATUSES }
+        },
+        data: {
+          status: 'CANCELLED'
+        }
+      });
+
+      if (count === 0) {
+        await this.assertEditable(userId, scheduledMessageId);
+      }
+
+      return await this.prisma.scheduledMessage.findUnique({
+        where: { id: scheduledMessageId },
+        select: SCHEDULED_MESSAGE_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to cancel scheduled message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Explain why a scheduled message could not be changed
+   * @param {string} userId - The sender's user ID
+   * @param {string} scheduledMessageId - The scheduled message ID
+   * @returns {Promise<void>} Always throws
+   */
+  async assertEditable(userId, scheduledMessageId) {
+    const scheduled = await this.prisma.scheduledMessage.findUnique({
+      where: { id: scheduledMessageId },
+      select: { senderId: true, status: true }
+    });
+
+    if (!scheduled || scheduled.senderId !== userId) {
+      throw new Error('Scheduled message not found');
+    }
+
+    if (scheduled.status === 'CANCELLED') {
+      throw new Error('Scheduled message has been cancelled');
+    }
+
+    throw new Error('Scheduled message has already been sent');
+  }
+
+  /**
+   * Send every scheduled message that is due. Each message is claimed before
+   * it is sent, so concurrent runs (or servers) never deliver it twice, and the
+   * delivered message records its scheduled message ID so a delivery cut
+   * short by a restart is completed rather than repeated.
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of messages to handle in this run
+   * @returns {Promise<Array>} [{ scheduledMessage, message }]; message is null if sending failed
+   */
+  async deliverDueMessages(now = new Date(), limit = 50) {
+    const staleBefore = new Date(now.getTime() - getClaimTimeoutMs());
+
+    const due = await this.prisma.scheduledMessage.findMany({
+      where: {
+        OR: [
+          { status: 'PENDING', sendAt: { lte: now } },
+          // Claimed by a run that never finished
+          { status: 'SENDING', claimedAt: { lt: staleBefore } }
+        ]
+      },
+      orderBy: [
+        { sendAt: 'asc' },
+        { id: 'asc' }
+      ],
+      take: limit
+    });
+
+    const results = [];
+    for (const scheduled of due) {
+      const result = await this.deliver(scheduled, now);
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Claim and send one scheduled message
+   * @param {Object} scheduled - ScheduledMessage row as it was read
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} { scheduledMessage, message }, or null if another run claimed it
+   */
+  async deliver(scheduled, now) {
+    // Only succeeds if nobody changed or claimed the row since it was read
+    const { count } = await this.prisma.scheduledMessage.updateMany({
+      where: {
+        id: scheduled.id,
+        status: scheduled.status,
+        claimedAt: scheduled.claimedAt
+      },
+      data: {
+        status: 'SENDING',
+        claimedAt: now
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    let message = scheduled.status === 'SENDING'
+      ? await this.chatService.findScheduledDelivery(scheduled.conversationId, scheduled.id)
+      : null;
+
+    if (!message) {
+      try {
+        message = await this.chatService.sendMessage(scheduled.conversationId, scheduled.senderId, scheduled.content, {
+          metadata: { scheduledMessageId: scheduled.id },
+          format: scheduled.format
+        });
+      } catch (error) {
+        console.error(`Failed to deliver scheduled message ${scheduled.id}:`, error);
+        const failed = await this.prisma.scheduledMessage.update({
+          where: { id: scheduled.id },
+          data: {
+            status: 'FAILED',
+            error: error.message,
+            claimedAt: null
+          },
+          select: SCHEDULED_MESSAGE_SELECT
+        });
+        return { scheduledMessage: failed, message: null };
+      }
+    }
+
+    const sent = await this.prisma.scheduledMessage.update({
+      where: { id: scheduled.id },
+      data: {
+        status: 'SENT',
+        messageId: message.id,
+        sentAt: message.createdAt,
+        claimedAt: null
+      },
+      select: SCHEDULED_MESSAGE_SELECT
+    });
+
+    return { scheduledMessage: sent, message };
+  }
+}
+
+module.exports = ScheduledMessageService;
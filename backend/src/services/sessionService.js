@@ -0,0 +1,232 @@
+const { getPrismaClient } = require('../utils/database');
+const {
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenTtlMs
+} = require('../utils/auth');
+
+const SESSION_SELECT = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+/**
+ * Start a session for a user, e.g. on login
+ * @param {string} userId - User ID
+ * @param {object} sessionInfo - Optional { userAgent, ipAddress } describing the device
+ * @returns {Promise<object>} - { session, refreshToken }; only the token's hash is stored
+ */
+async function createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+  const prisma = getPrismaClient();
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Drop the user's expired and revoked sessions while we are here
+  await prisma.session.deleteMany({
+    where: {
+      userId: userId,
+      OR: [
+        { expiresAt: { lt: now } },
+        { revokedAt: { not: null } }
+      ]
+    }
+  });
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      ipAddress,
+      expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs())
+    },
+    select: SESSION_SELECT
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new one. The old token stops working, so a
+ * token can only ever be used once.
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<object>} - { session, userId, refreshToken }
+ */
+async function rotateSession(refreshToken) {
+  const prisma = getPrismaClient();
+  const refreshTokenHash = hashRefreshToken(refreshToken);
+  const now = new Date();
+
+  const session = await prisma.session.findUnique({
+    where: {
+      refreshTokenHash
+    }
+  });
+
+  if (!session || session.revokedAt) {
+    throw new Error('Invalid refresh token');
+  }
+
+  if (session.expiresAt < now) {
+    throw new Error('Refresh token expired');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  // Only rotate if nobody rotated or revoked the session in the meantime
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash,
+      revokedAt: null
+    },
+    data: {
+      refreshTokenHash: hashRefreshToken(nextRefreshToken),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs())
+    }
+  });
+
+  if (count === 0) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return {
+    session: { id: session.id },
+    userId: session.userId,
+    refreshToken: nextRefreshToken
+  };
+}
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<string|null>} - ID of the revoked session, or null if it was not active
+ */
+async function revokeSessionByRefreshToken(refreshToken) {
+  const prisma = getPrismaClient();
+  const session = await prisma.session.findUnique({
+    where: {
+      refreshTokenHash: hashRefreshToken(refreshToken)
+    },
+    select: {
+      id: true
+    }
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      revokedAt: null
+    },
+    data: {
+      revokedAt: new Date()
+    }
+  });
+
+  return count > 0 ? session.id : null;
+}
+
+/**
+ * Check whether the session an access token was issued for may still be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - False once the session is revoked or expired
+ */
+async function isSessionActive(sessionId) {
+  const prisma = getPrismaClient();
+  const session = await prisma.session.findUnique({
+    where: {
+      id: sessionId
+    },
+    select: {
+      revokedAt: true,
+      expiresAt: true
+    }
+  });
+
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Sessions (without token hashes)
+ */
+async function getActiveSessions(userId) {
+  const prisma = getPrismaClient();
+  return await prisma.session.findMany({
+    where: {
+      userId: userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: SESSION_SELECT,
+    orderBy: {
+      lastUsedAt: 'desc'
+    }
+  });
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function revokeSession(userId, sessionId) {
+  const prisma = getPrismaClient();
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      userId: userId,
+      revokedAt: null
+    },
+    data: {
+      revokedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw new Error('Session not found');
+  }
+}
+
+/**
+ * Revoke every session of a user except one (sign out other devices)
+ * @param {string} userId - User ID
+ * @param {string|null} keepSessionId - Session to keep, usually the caller's
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+async function revokeOtherSessions(userId, keepSessionId) {
+  const prisma = getPrismaClient();
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId: userId,
+      revokedAt: null,
+      ...(keepSessionId ? { id: { not: keepSessionId } } : {})
+    },
+    data: {
+      revokedAt: new Date()
+    }
+  });
+
+  return count;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  isSessionActive,
+  getActiveSessions,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -1,28 +1,163 @@
 const { Server } = require('socket.io');
 const { verifyToken } = require('../utils/auth');
 const { getUserById } = require('./authService');
+const { isSessionActive } = require('./sessionService');
 const ChatService = require('./chatService');
+const CallService = require('./callService');
+const CallSignaling = require('./callSignaling');
+const presenceService = require('./presenceService');
+const { MemorySocketStateStore } = require('./socketState');
+
+/**
+ * Room every socket of a user joins, so events reach the user whichever
+ * server instance they are connected to
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Room every socket of a login session joins, so revoking the session can
+ * disconnect it on every server instance
+ * @param {string} sessionId - Session ID
+ * @returns {string} Room name
+ */
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Room of the sockets that have a thread open. It names the conversation too,
+ * so a user removed from the conversation can be taken out of its threads.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} threadId - Thread root message ID
+ * @returns {string} Room name
+ */
+function threadRoom(conversationId, threadId) {
+  return `thread:${conversationId}:${threadId}`;
+}
+
+/**
+ * Errors from sending a message that are reported to the sender by code,
+ * matching the HTTP API: [text to match, code, message]
+ */
+const SEND_MESSAGE_ERRORS = [
+  ['not a participant', 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+  ['attachments not found', 'INVALID_ATTACHMENTS', 'Attachments must be your own unsent uploads to this conversation'],
+  ['Reply target not found', 'INVALID_REPLY_TARGET', 'Replies must quote a message from the same conversation and thread'],
+  ['Thread not found', 'THREAD_NOT_FOUND', 'Thread not found in this conversation'],
+  ['has been deleted', 'MESSAGE_DELETED', 'Deleted messages cannot be replied to'],
+  ['Client message ID already used', 'CLIENT_MESSAGE_ID_CONFLICT', 'clientMessageId was already used for another conversation'],
+  ['Invalid message format', 'INVALID_MESSAGE_FORMAT', 'Message format must be PLAIN or MARKDOWN']
+];
+
+/**
+ * Errors from voting in a poll reported to the voter by code, matching the
+ * HTTP API: [text to match, code, message]
+ */
+const POLL_VOTE_ERRORS = [
+  ['not a participant', 'ACCESS_DENIED', 'You are not a participant in this conversation'],
+  ['Poll not found', 'POLL_NOT_FOUND', 'Poll not found in this conversation'],
+  ['has been deleted', 'MESSAGE_DELETED', 'This poll was deleted'],
+  ['Poll is closed', 'POLL_CLOSED', 'This poll is closed'],
+  ['single choice', 'SINGLE_CHOICE_POLL', 'This poll allows only one choice'],
+  ['Poll option not found', 'INVALID_POLL_OPTION', 'Options must belong to this poll']
+];
+
+/**
+ * Errors from call signaling reported to the user by code:
+ * [text to match, code, message]
+ */
+const CALL_ERRORS = [
+  ['not a participant', 'ACCESS_DENIED', 'Calls can only be made between participants of this conversation'],
+  ['Invalid call media', 'INVALID_CALL_MEDIA', 'Call media must be AUDIO or VIDEO'],
+  ['Cannot call yourself', 'INVALID_CALLEE', 'You cannot call yourself'],
+  ['already in a call', 'ALREADY_IN_CALL', 'You are already in a call'],
+  ['Call not found', 'CALL_NOT_FOUND', 'Call not found'],
+  ['Only the callee', 'NOT_CALLEE', 'Only the user being called can answer or decline'],
+  ['no longer ringing', 'CALL_NOT_RINGING', 'This call is no longer ringing'],
+  ['Call is not active', 'CALL_NOT_ACTIVE', 'This call is not active']
+];
+
+// Longest session description or ICE candidate relayed for a call
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_ICE_CANDIDATE_LENGTH = 2048;
+
+/**
+ * Pick a WebRTC signal out of a call event
+ * @param {string} kind - 'offer', 'answer' or 'ice_candidate'
+ * @param {object} data - Event data
+ * @returns {object|null} { sdp } or { candidate }, or null if it is malformed
+ */
+function getCallSignal(kind, data) {
+  if (kind === 'ice_candidate') {
+    const { candidate } = data;
+    // A null candidate marks the end of the candidates
+    if (candidate === null) {
+      return { candidate };
+    }
+    if (!candidate || typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_ICE_CANDIDATE_LENGTH) {
+      return null;
+    }
+    return {
+      candidate: {
+        candidate: candidate.candidate,
+        sdpMid: candidate.sdpMid ?? null,
+        sdpMLineIndex: candidate.sdpMLineIndex ?? null
+      }
+    };
+  }
+
+  const { sdp } = data;
+  if (!sdp || sdp.type !== kind || typeof sdp.sdp !== 'string' || sdp.sdp.length > MAX_SDP_LENGTH) {
+    return null;
+  }
+  return { sdp: { type: sdp.type, sdp: sdp.sdp } };
+}
+
+// Most conversations a client can catch up on in one sync
+const MAX_SYNC_CONVERSATIONS = 200;
 
 class SocketService {
-  constructor() {
+  /**
+   * @param {object} options - Optional overrides: store (socket state store),
+   *   chatService, getUser (user lookup for authentication), isSessionActive
+   *   (revoked session check for authentication), presence (presence
+   *   persistence functions) and callSignaling
+   */
+  constructor(options = {}) {
     this.io = null;
-    this.chatService = new ChatService();
-    this.connectedUsers = new Map(); // userId -> Set of socketIds
-    this.userRooms = new Map(); // socketId -> Set of roomIds
-    this.typingUsers = new Map(); // roomId -> Set of userIds
+    this.store = options.store || new MemorySocketStateStore();
+    this.chatService = options.chatService || new ChatService();
+    this.getUser = options.getUser || getUserById;
+    this.isSessionActive = options.isSessionActive || isSessionActive;
+    this.presence = options.presence || presenceService;
+    this.callSignaling = options.callSignaling || new CallSignaling({
+      peers: this,
+      callService: new CallService(null, this.chatService)
+    });
   }
 
   /**
    * Initialize Socket.IO server
    * @param {object} server - HTTP server instance
+   * @param {object} options - Optional { store, adapter } shared between server
+   *   instances (see services/socketState)
    */
-  initialize(server) {
+  initialize(server, { store, adapter } = {}) {
+    if (store) {
+      this.store = store;
+    }
+
     this.io = new Server(server, {
       cors: {
         origin: process.env.FRONTEND_URL || "http://localhost:3000",
         methods: ["GET", "POST"],
         credentials: true
-      }
+      },
+      ...(adapter ? { adapter } : {})
     });
 
     // Authentication middleware
@@ -36,7 +171,13 @@ class SocketService {
         }
 
         const decoded = verifyToken(token);
-        const user = await getUserById(decoded.id);
+
+        if (decoded.sid && !(await this.isSessionActive(decoded.sid))) {
+          console.log('Socket connection rejected: Session revoked');
+          return next(new Error('Session revoked'));
+        }
+
+        const user = await this.getUser(decoded.id);
         
         if (!user) {
           console.log('Socket connection rejected: User not found');
@@ -45,6 +186,7 @@ class SocketService {
         
         socket.userId = user.id;
         socket.user = user;
+        socket.sessionId = decoded.sid || null;
         
         next();
       } catch (error) {
@@ -77,12 +219,10 @@ class SocketService {
 
     console.log(`👤 User ${socket.user.username} connected (${socketId})`);
 
-    // Track connected user
-    if (!this.connectedUsers.has(userId)) {
-      this.connectedUsers.set(userId, new Set());
+    socket.join(userRoom(userId));
+    if (socket.sessionId) {
+      socket.join(sessionRoom(socket.sessionId));
     }
-    this.connectedUsers.get(userId).add(socketId);
-    this.userRooms.set(socketId, new Set());
 
     // Emit connection status to user
     socket.emit('connection_status', { 
@@ -91,17 +231,56 @@ class SocketService {
       timestamp: new Date().toISOString()
     });
 
+    // Track connected user; disconnection waits for this to finish
+    socket.registration = this.registerSocket(socket);
+
     // Socket event handlers
     socket.on('join_room', (data) => this.handleJoinRoom(socket, data));
     socket.on('leave_room', (data) => this.handleLeaveRoom(socket, data));
-    socket.on('send_message', (data) => this.handleSendMessage(socket, data));
+    socket.on('join_thread', (data) => this.handleJoinThread(socket, data));
+    socket.on('leave_thread', (data) => this.handleLeaveThread(socket, data));
+    socket.on('send_message', (data, ack) => this.handleSendMessage(socket, data, ack));
+    socket.on('sync', (data, ack) => this.handleSync(socket, data, ack));
+    socket.on('edit_message', (data) => this.handleEditMessage(socket, data));
+    socket.on('delete_message', (data) => this.handleDeleteMessage(socket, data));
+    socket.on('react_message', (data) => this.handleReactMessage(socket, data));
+    socket.on('poll_vote', (data, ack) => this.handlePollVote(socket, data, ack));
+    socket.on('mark_read', (data) => this.handleMarkRead(socket, data));
     socket.on('typing_start', (data) => this.handleTypingStart(socket, data));
     socket.on('typing_stop', (data) => this.handleTypingStop(socket, data));
+    socket.on('call_invite', (data, ack) => this.handleCallInvite(socket, data, ack));
+    socket.on('call_ring', (data, ack) => this.handleCallAction(socket, 'ring', data, ack));
+    socket.on('call_accept', (data, ack) => this.handleCallAction(socket, 'accept', data, ack));
+    socket.on('call_decline', (data, ack) => this.handleCallAction(socket, 'decline', data, ack));
+    socket.on('call_hangup', (data, ack) => this.handleCallAction(socket, 'hangup', data, ack));
+    socket.on('call_offer', (data, ack) => this.handleCallSignal(socket, 'offer', data, ack));
+    socket.on('call_answer', (data, ack) => this.handleCallSignal(socket, 'answer', data, ack));
+    socket.on('call_ice_candidate', (data, ack) => this.handleCallSignal(socket, 'ice_candidate', data, ack));
 
     // Handle disconnection
     socket.on('disconnect', () => this.handleDisconnection(socket));
   }
 
+  /**
+   * Record a new socket in the state store and announce the user's presence
+   * @param {object} socket - Socket instance
+   */
+  async registerSocket(socket) {
+    const userId = socket.userId;
+
+    try {
+      const socketCount = await this.store.addUserSocket(userId, socket.id);
+
+      // Tell the user which contacts are online, and their contacts that they are
+      await this.sendOnlineContacts(socket);
+      if (socketCount === 1) {
+        await this.broadcastPresence(userId, true, null);
+      }
+    } catch (error) {
+      console.error('Register socket error:', error);
+    }
+  }
+
   /**
    * Handle user joining a conversation room
    * @param {object} socket - Socket instance
@@ -118,17 +297,16 @@ class SocketService {
       }
 
       // Verify user is participant in the conversation
-      const conversations = await this.chatService.getUserConversations(userId);
-      const conversation = conversations.find(c => c.id === conversationId);
-
-      if (!conversation) {
+      try {
+        await this.chatService.assertParticipant(conversationId, userId);
+      } catch (error) {
         socket.emit('error', { message: 'Access denied to conversation' });
         return;
       }
 
       // Join the room
       socket.join(conversationId);
-      this.userRooms.get(socket.id).add(conversationId);
+      await this.store.addSocketRoom(socket.id, conversationId);
 
       // Notify other participants
       socket.to(conversationId).emit('user_joined', {
@@ -157,7 +335,7 @@ class SocketService {
    * @param {object} socket - Socket instance
    * @param {object} data - Room data
    */
-  handleLeaveRoom(socket, data) {
+  async handleLeaveRoom(socket, data) {
     try {
       const { conversationId } = data;
       const userId = socket.userId;
@@ -169,10 +347,10 @@ class SocketService {
 
       // Leave the room
       socket.leave(conversationId);
-      this.userRooms.get(socket.id)?.delete(conversationId);
+      await this.store.removeSocketRoom(socket.id, conversationId);
 
       // Stop typing if user was typing
-      this.stopTyping(conversationId, userId);
+      await this.stopTyping(conversationId, userId);
 
       // Notify other participants
       socket.to(conversationId).emit('user_left', {
@@ -197,61 +375,686 @@ class SocketService {
   }
 
   /**
-   * Handle sending a message
+   * Handle a user opening a thread, so they receive its replies
+   * @param {object} socket - Socket instance
+   * @param {object} data - Thread data ({ conversationId, threadId })
+   */
+  async handleJoinThread(socket, data) {
+    try {
+      const { conversationId, threadId } = data;
+
+      if (!conversationId || !threadId) {
+        socket.emit('error', { message: 'Conversation ID and thread ID are required' });
+        return;
+      }
+
+      await this.chatService.getThreadRoot(conversationId, threadId, socket.userId);
+
+      socket.join(threadRoom(conversationId, threadId));
+
+      socket.emit('thread_joined', {
+        conversationId,
+        threadId,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Join thread error:', error);
+      socket.emit('error', { message: 'Failed to open thread' });
+    }
+  }
+
+  /**
+   * Handle a user closing a thread
    * @param {object} socket - Socket instance
-   * @param {object} data - Message data
+   * @param {object} data - Thread data ({ conversationId, threadId })
    */
-  async handleSendMessage(socket, data) {
+  handleLeaveThread(socket, data) {
+    const { conversationId, threadId } = data || {};
+
+    if (!conversationId || !threadId) {
+      socket.emit('error', { message: 'Conversation ID and thread ID are required' });
+      return;
+    }
+
+    socket.leave(threadRoom(conversationId, threadId));
+  }
+
+  /**
+   * Handle sending a message. With an acknowledgement callback the sender gets
+   * { success: true, data: message } or { success: false, error: { code, message } };
+   * without one, failures are reported with an error event. Sending again with
+   * the same clientMessageId acknowledges the first message without
+   * broadcasting it twice.
+   * @param {object} socket - Socket instance
+   * @param {object} data - Message data ({ conversationId, content, attachmentIds?, replyToId?, threadId?, clientMessageId?, format? })
+   * @param {Function} [ack] - Acknowledgement callback
+   */
+  async handleSendMessage(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : null;
+    const fail = (code, message) => {
+      if (reply) {
+        reply({ success: false, error: { code, message } });
+      } else {
+        socket.emit('error', { message });
+      }
+    };
+
     try {
-      const { conversationId, content } = data;
+      const {
+        conversationId,
+        content = '',
+        attachmentIds = [],
+        replyToId = null,
+        threadId = null,
+        clientMessageId = null,
+        format = 'PLAIN'
+      } = data || {};
       const userId = socket.userId;
 
-      if (!conversationId || !content) {
-        socket.emit('error', { message: 'Conversation ID and content are required' });
+      if (!conversationId || typeof content !== 'string') {
+        fail('INVALID_MESSAGE_CONTENT', 'Conversation ID and content are required');
         return;
       }
 
-      if (content.trim().length === 0) {
-        socket.emit('error', { message: 'Message content cannot be empty' });
+      if (!Array.isArray(attachmentIds)) {
+        fail('INVALID_ATTACHMENTS', 'Attachment IDs must be an array');
+        return;
+      }
+
+      if ((replyToId !== null && typeof replyToId !== 'string') || (threadId !== null && typeof threadId !== 'string')) {
+        fail('INVALID_REPLY_TARGET', 'Reply and thread IDs must be strings');
+        return;
+      }
+
+      if (clientMessageId !== null && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 100)) {
+        fail('INVALID_CLIENT_MESSAGE_ID', 'Client message ID must be a string of at most 100 characters');
+        return;
+      }
+
+      if (content.trim().length === 0 && attachmentIds.length === 0) {
+        fail('INVALID_MESSAGE_CONTENT', 'Message content cannot be empty');
         return;
       }
 
       if (content.length > 1000) {
-        socket.emit('error', { message: 'Message content too long (max 1000 characters)' });
+        fail('MESSAGE_TOO_LONG', 'Message content too long (max 1000 characters)');
         return;
       }
 
       // Save message to database
-      const message = await this.chatService.sendMessage(conversationId, userId, content.trim());
-
-      // Stop typing indicator for this user
-      this.stopTyping(conversationId, userId);
-
-      // Broadcast message to all participants in the room
-      this.io.to(conversationId).emit('message_received', {
-        id: message.id,
-        content: message.content,
-        senderId: message.senderId,
-        sender: message.sender,
-        conversationId: message.conversationId,
-        createdAt: message.createdAt,
-        timestamp: new Date().toISOString()
+      const { duplicate, ...message } = await this.chatService.sendMessage(conversationId, userId, content.trim(), {
+        attachmentIds,
+        replyToId,
+        threadId,
+        clientMessageId,
+        format
       });
 
-      console.log(`💬 Message sent in room ${conversationId} by ${socket.user.username}`);
+      // A retry of a message that was already sent and broadcast
+      if (!duplicate) {
+        // Stop typing indicator for this user
+        await this.stopTyping(conversationId, userId);
+
+        // Broadcast message to all participants in the room
+        this.emitMessageReceived(message);
+
+        console.log(`💬 Message sent in room ${conversationId} by ${socket.user.username}`);
+      }
+
+      reply?.({ success: true, data: message });
 
     } catch (error) {
       console.error('Send message error:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      const known = SEND_MESSAGE_ERRORS.find(([match]) => error.message.includes(match));
+      if (known) {
+        fail(known[1], known[2]);
+      } else {
+        fail('MESSAGE_SEND_ERROR', 'Failed to send message');
+      }
+    }
+  }
+
+  /**
+   * Handle a client catching up after reconnecting: replies with the user's
+   * conversations and the messages sent since the last one the client has for
+   * each conversation it holds messages of
+   * @param {object} socket - Socket instance
+   * @param {object} data - { conversations: [{ conversationId, lastMessageId?, lastMessageAt? }] }
+   * @param {Function} ack - Acknowledgement callback, given { success, data: { conversations, missed, syncedAt } }
+   */
+  async handleSync(socket, data, ack) {
+    if (typeof ack !== 'function') {
+      return;
+    }
+
+    try {
+      const cursors = Array.isArray(data?.conversations) ? data.conversations : [];
+      const validCursors = cursors.every(cursor =>
+        typeof cursor?.conversationId === 'string' &&
+        (cursor.lastMessageId == null || typeof cursor.lastMessageId === 'string') &&
+        (cursor.lastMessageAt == null || !isNaN(new Date(cursor.lastMessageAt).getTime()))
+      );
+
+      if (!validCursors || cursors.length > MAX_SYNC_CONVERSATIONS) {
+        ack({
+          success: false,
+          error: {
+            code: 'INVALID_SYNC',
+            message: `Sync takes up to ${MAX_SYNC_CONVERSATIONS} conversations with optional lastMessageId and lastMessageAt`
+          }
+        });
+        return;
+      }
+
+      const syncedAt = new Date().toISOString();
+      const [conversations, missed] = await Promise.all([
+        this.chatService.getUserConversations(socket.userId),
+        this.chatService.getMissedMessages(socket.userId, cursors)
+      ]);
+
+      ack({ success: true, data: { conversations, missed, syncedAt } });
+    } catch (error) {
+      console.error('Sync error:', error);
+      ack({ success: false, error: { code: 'SYNC_ERROR', message: 'Failed to sync' } });
+    }
+  }
+
+  /**
+   * Broadcast a new message to its conversation room. Thread replies go to
+   * the thread's room instead, and the conversation only hears that the
+   * thread changed. Mentioned participants are also sent a `mentioned` event,
+   * whether or not they have joined the room.
+   * @param {object} message - Message with sender, attachments and mentions
+   */
+  emitMessageReceived(message) {
+    const payload = {
+      id: message.id,
+      content: message.content,
+      senderId: message.senderId,
+      sender: message.sender,
+      conversationId: message.conversationId,
+      type: message.type,
+      format: message.format,
+      metadata: message.metadata,
+      attachments: message.attachments || [],
+      reactions: message.reactions || [],
+      mentions: message.mentions || [],
+      poll: message.poll || null,
+      replyToId: message.replyToId || null,
+      replyTo: message.replyTo || null,
+      threadId: message.threadId || null,
+      clientMessageId: message.clientMessageId || null,
+      createdAt: message.createdAt,
+      timestamp: new Date().toISOString()
+    };
+
+    const mentionedIds = new Set((message.mentions || []).map(mention => mention.userId));
+    mentionedIds.delete(message.senderId);
+    mentionedIds.forEach(userId => this.emitToUser(userId, 'mentioned', payload));
+
+    if (!message.threadId) {
+      this.emitToConversation(message.conversationId, 'message_received', payload);
+      return;
+    }
+
+    if (this.io) {
+      this.io.to(threadRoom(message.conversationId, message.threadId)).emit('thread_message_received', payload);
+    }
+
+    this.emitThreadUpdated({
+      conversationId: message.conversationId,
+      threadId: message.threadId,
+      replyCount: message.threadRoot?.threadReplyCount,
+      lastReplyAt: message.threadRoot?.threadLastReplyAt
+    });
+  }
+
+  /**
+   * Tell a conversation that one of its threads has a new reply count
+   * @param {object} update - { conversationId, threadId, replyCount, lastReplyAt }
+   */
+  emitThreadUpdated(update) {
+    this.emitToConversation(update.conversationId, 'thread_updated', {
+      ...update,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Tell conversations which of their messages disappeared
+   * @param {Array<object>} messages - Purged messages ({ id, conversationId, threadId })
+   */
+  emitMessagesExpired(messages) {
+    const byConversation = new Map();
+    for (const message of messages) {
+      if (!byConversation.has(message.conversationId)) {
+        byConversation.set(message.conversationId, []);
+      }
+      byConversation.get(message.conversationId).push(message.id);
+    }
+
+    for (const [conversationId, messageIds] of byConversation) {
+      this.emitToConversation(conversationId, 'messages_expired', {
+        conversationId,
+        messageIds,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Handle editing a message
+   * @param {object} socket - Socket instance
+   * @param {object} data - Edit data ({ conversationId, messageId, content, format? })
+   */
+  async handleEditMessage(socket, data) {
+    try {
+      const { conversationId, messageId, content, format = null } = data;
+      const userId = socket.userId;
+
+      if (!conversationId || !messageId || typeof content !== 'string') {
+        socket.emit('error', { message: 'Conversation ID, message ID and content are required' });
+        return;
+      }
+
+      if (content.length > 1000) {
+        socket.emit('error', { message: 'Message content too long (max 1000 characters)' });
+        return;
+      }
+
+      const message = await this.chatService.editMessage(conversationId, messageId, userId, content.trim(), format);
+
+      this.emitMessageEdited(message);
+
+      console.log(`✏️  Message ${messageId} edited in room ${conversationId} by ${socket.user.username}`);
+
+    } catch (error) {
+      console.error('Edit message error:', error);
+      socket.emit('error', {
+        message: error.message.includes('content cannot be empty')
+          ? 'Message content cannot be empty'
+          : 'Failed to edit message'
+      });
+    }
+  }
+
+  /**
+   * Broadcast an edited message to everyone in its conversation room
+   * @param {object} message - The updated message
+   */
+  emitMessageEdited(message) {
+    this.emitToConversation(message.conversationId, 'message_edited', {
+      id: message.id,
+      content: message.content,
+      format: message.format,
+      mentions: message.mentions || [],
+      senderId: message.senderId,
+      conversationId: message.conversationId,
+      editedAt: message.editedAt,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle deleting a message, either for everyone or only for the caller
+   * @param {object} socket - Socket instance
+   * @param {object} data - Delete data
+   */
+  async handleDeleteMessage(socket, data) {
+    try {
+      const { conversationId, messageId, scope = 'me' } = data;
+      const userId = socket.userId;
+
+      if (!conversationId || !messageId) {
+        socket.emit('error', { message: 'Conversation ID and message ID are required' });
+        return;
+      }
+
+      if (scope !== 'me' && scope !== 'everyone') {
+        socket.emit('error', { message: 'Delete scope must be "me" or "everyone"' });
+        return;
+      }
+
+      if (scope === 'everyone') {
+        const message = await this.chatService.deleteMessageForEveryone(conversationId, messageId, userId);
+        this.emitMessageDeleted(message, 'everyone', userId);
+      } else {
+        const message = await this.chatService.deleteMessageForUser(conversationId, messageId, userId);
+        this.emitMessageDeleted(message, 'me', userId);
+      }
+
+      console.log(`🗑️  Message ${messageId} deleted (${scope}) in room ${conversationId} by ${socket.user.username}`);
+
+    } catch (error) {
+      console.error('Delete message error:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  }
+
+  /**
+   * Broadcast a message deletion. Deletions for everyone go to the whole room;
+   * deletions for one user only go to that user's own sockets.
+   * @param {object} message - The deleted message (at least id and conversationId)
+   * @param {string} scope - 'everyone' or 'me'
+   * @param {string} userId - The user who deleted the message
+   */
+  emitMessageDeleted(message, scope, userId) {
+    const payload = {
+      id: message.id,
+      conversationId: message.conversationId,
+      scope,
+      deletedAt: message.deletedAt || new Date().toISOString(),
+      timestamp: new Date().toISOString()
+    };
+
+    if (scope === 'everyone') {
+      this.emitToConversation(message.conversationId, 'message_deleted', payload);
+    } else {
+      this.emitToUser(userId, 'message_deleted', payload);
+    }
+  }
+
+  /**
+   * Handle toggling a reaction on a message
+   * @param {object} socket - Socket instance
+   * @param {object} data - Reaction data ({ conversationId, messageId, emoji })
+   */
+  async handleReactMessage(socket, data) {
+    try {
+      const { conversationId, messageId, emoji } = data;
+      const userId = socket.userId;
+
+      if (!conversationId || !messageId || !emoji) {
+        socket.emit('error', { message: 'Conversation ID, message ID and emoji are required' });
+        return;
+      }
+
+      const result = await this.chatService.toggleReaction(conversationId, messageId, userId, emoji);
+
+      this.emitReactionsUpdated(result);
+
+    } catch (error) {
+      console.error('React message error:', error);
+      socket.emit('error', {
+        message: error.message.includes('Invalid emoji') ? 'Reaction must be a single emoji' : 'Failed to react to message'
+      });
     }
   }
 
+  /**
+   * Handle a poll vote. The voter is acknowledged with the poll (including
+   * their own votes) and the room gets the new tallies.
+   * @param {object} socket - Socket instance
+   * @param {object} data - { conversationId, messageId, optionIds }; [] takes the vote back
+   * @param {Function} ack - Optional acknowledgement callback, given { success, data | error }
+   */
+  async handlePollVote(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : null;
+    const fail = (code, message) => {
+      if (reply) {
+        reply({ success: false, error: { code, message } });
+      } else {
+        socket.emit('error', { message });
+      }
+    };
+
+    try {
+      const { conversationId, messageId, optionIds } = data || {};
+
+      if (!conversationId || !messageId || !Array.isArray(optionIds) || !optionIds.every(id => typeof id === 'string')) {
+        fail('INVALID_POLL_OPTION', 'Conversation ID, message ID and an array of option IDs are required');
+        return;
+      }
+
+      const result = await this.chatService.votePoll(conversationId, messageId, socket.userId, optionIds);
+
+      this.emitPollUpdated(result);
+
+      reply?.({ success: true, data: result.poll });
+
+    } catch (error) {
+      console.error('Poll vote error:', error);
+      const known = POLL_VOTE_ERRORS.find(([match]) => error.message.includes(match));
+      if (known) {
+        fail(known[1], known[2]);
+      } else {
+        fail('POLL_ERROR', 'Failed to vote');
+      }
+    }
+  }
+
+  /**
+   * Handle a user calling another participant of a conversation
+   * @param {object} socket - Socket instance
+   * @param {object} data - { conversationId, calleeId, media ('AUDIO' or 'VIDEO') }
+   * @param {Function} ack - Optional acknowledgement callback, given { success, data | error }
+   */
+  async handleCallInvite(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : null;
+    const fail = (code, message) => {
+      if (reply) {
+        reply({ success: false, error: { code, message } });
+      } else {
+        socket.emit('error', { message });
+      }
+    };
+
+    try {
+      const { conversationId, calleeId, media = 'AUDIO' } = data || {};
+
+      if (!conversationId || !calleeId) {
+        fail('INVALID_CALL', 'Conversation ID and callee ID are required');
+        return;
+      }
+
+      const call = await this.callSignaling.invite(socket.userId, { conversationId, calleeId, media });
+
+      // The call's media runs through this socket, so it hangs up if the socket goes away
+      if (call.status !== 'ENDED') {
+        socket.callId = call.id;
+      }
+
+      reply?.({ success: true, data: call });
+
+    } catch (error) {
+      this.failCallRequest(error, fail);
+    }
+  }
+
+  /**
+   * Handle ringing, answering, declining or hanging up a call
+   * @param {object} socket - Socket instance
+   * @param {string} action - 'ring', 'accept', 'decline' or 'hangup'
+   * @param {object} data - { callId }
+   * @param {Function} ack - Optional acknowledgement callback, given { success, data | error }
+   */
+  async handleCallAction(socket, action, data, ack) {
+    const reply = typeof ack === 'function' ? ack : null;
+    const fail = (code, message) => {
+      if (reply) {
+        reply({ success: false, error: { code, message } });
+      } else {
+        socket.emit('error', { message });
+      }
+    };
+
+    try {
+      const { callId } = data || {};
+
+      if (!callId) {
+        fail('INVALID_CALL', 'Call ID is required');
+        return;
+      }
+
+      const call = await this.callSignaling[action](socket.userId, callId);
+
+      if (action === 'accept') {
+        socket.callId = call.id;
+      } else if (call.status === 'ENDED' && socket.callId === call.id) {
+        delete socket.callId;
+      }
+
+      reply?.({ success: true, data: call });
+
+    } catch (error) {
+      this.failCallRequest(error, fail);
+    }
+  }
+
+  /**
+   * Handle a WebRTC offer, answer or ICE candidate for the other user of a call
+   * @param {object} socket - Socket instance
+   * @param {string} kind - 'offer', 'answer' or 'ice_candidate'
+   * @param {object} data - { callId, sdp } or { callId, candidate }
+   * @param {Function} ack - Optional acknowledgement callback, given { success, error? }
+   */
+  async handleCallSignal(socket, kind, data, ack) {
+    const reply = typeof ack === 'function' ? ack : null;
+    const fail = (code, message) => {
+      if (reply) {
+        reply({ success: false, error: { code, message } });
+      } else {
+        socket.emit('error', { message });
+      }
+    };
+
+    try {
+      const { callId } = data || {};
+      const signal = callId ? getCallSignal(kind, data) : null;
+
+      if (!signal) {
+        fail('INVALID_CALL_SIGNAL', 'Call ID and a valid session description or ICE candidate are required');
+        return;
+      }
+
+      await this.callSignaling.relay(socket.userId, callId, kind, signal);
+
+      reply?.({ success: true });
+
+    } catch (error) {
+      this.failCallRequest(error, fail);
+    }
+  }
+
+  /**
+   * Report a failed call request by code
+   * @param {Error} error - Error from CallSignaling
+   * @param {Function} fail - (code, message) reporter of the request
+   */
+  failCallRequest(error, fail) {
+    console.error('Call signaling error:', error);
+    const known = CALL_ERRORS.find(([match]) => error.message.includes(match));
+    if (known) {
+      fail(known[1], known[2]);
+    } else {
+      fail('CALL_ERROR', 'Call signaling failed');
+    }
+  }
+
+  /**
+   * Broadcast a poll's new tallies to its conversation room
+   * @param {object} summary - Result of ChatService.votePoll/closePoll
+   */
+  emitPollUpdated(summary) {
+    // Votes of the user the summary was made for are theirs alone
+    const { myVotes, ...poll } = summary.poll;
+
+    this.emitToConversation(summary.conversationId, 'poll_updated', {
+      conversationId: summary.conversationId,
+      messageId: summary.messageId,
+      poll,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Broadcast a message's updated reaction summary to its conversation room
+   * @param {object} summary - Result of ChatService.toggleReaction/removeReaction
+   */
+  emitReactionsUpdated(summary) {
+    this.emitToConversation(summary.conversationId, 'reactions_updated', {
+      conversationId: summary.conversationId,
+      messageId: summary.messageId,
+      reactions: summary.reactions,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Tell the sender's devices that one of their scheduled messages changed
+   * (edited, cancelled, sent or failed)
+   * @param {object} scheduledMessage - Scheduled message as returned by ScheduledMessageService
+   */
+  emitScheduledMessageUpdated(scheduledMessage) {
+    this.emitToUser(scheduledMessage.senderId, 'scheduled_message_updated', scheduledMessage);
+  }
+
+  /**
+   * Broadcast a conversation's current pinned messages to its room
+   * @param {object} summary - Result of ChatService.pinMessage/unpinMessage
+   */
+  emitPinsUpdated(summary) {
+    this.emitToConversation(summary.conversationId, 'pins_updated', {
+      conversationId: summary.conversationId,
+      pins: summary.pins,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle a participant marking a conversation as read
+   * @param {object} socket - Socket instance
+   * @param {object} data - Read data ({ conversationId, messageId? })
+   */
+  async handleMarkRead(socket, data) {
+    try {
+      const { conversationId, messageId } = data;
+      const userId = socket.userId;
+
+      if (!conversationId) {
+        socket.emit('error', { message: 'Conversation ID is required' });
+        return;
+      }
+
+      const receipt = await this.chatService.markConversationRead(conversationId, userId, messageId || null);
+
+      this.emitReadReceipt(receipt, socket.user.username);
+
+    } catch (error) {
+      console.error('Mark read error:', error);
+      socket.emit('error', { message: 'Failed to mark conversation as read' });
+    }
+  }
+
+  /**
+   * Broadcast a read receipt to the conversation room and to the reader's
+   * other sockets, so their unread badges clear on every device
+   * @param {object} receipt - Read state returned by ChatService.markConversationRead
+   * @param {string} username - Username of the reader
+   */
+  emitReadReceipt(receipt, username) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(receipt.conversationId).to(userRoom(receipt.userId)).emit('read_receipt', {
+      conversationId: receipt.conversationId,
+      userId: receipt.userId,
+      username,
+      lastReadMessageId: receipt.lastReadMessageId,
+      lastReadAt: receipt.lastReadAt,
+      unreadCount: receipt.unreadCount,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Handle typing start indicator
    * @param {object} socket - Socket instance
    * @param {object} data - Typing data
    */
-  handleTypingStart(socket, data) {
+  async handleTypingStart(socket, data) {
     try {
       const { conversationId } = data;
       const userId = socket.userId;
@@ -262,10 +1065,7 @@ class SocketService {
       }
 
       // Add user to typing users for this room
-      if (!this.typingUsers.has(conversationId)) {
-        this.typingUsers.set(conversationId, new Set());
-      }
-      this.typingUsers.get(conversationId).add(userId);
+      await this.store.addTypingUser(conversationId, userId);
 
       // Notify other participants (exclude sender)
       socket.to(conversationId).emit('typing_indicator', {
@@ -286,7 +1086,7 @@ class SocketService {
    * @param {object} socket - Socket instance
    * @param {object} data - Typing data
    */
-  handleTypingStop(socket, data) {
+  async handleTypingStop(socket, data) {
     try {
       const { conversationId } = data;
       const userId = socket.userId;
@@ -295,7 +1095,7 @@ class SocketService {
         return;
       }
 
-      this.stopTyping(conversationId, userId);
+      await this.stopTyping(conversationId, userId);
 
     } catch (error) {
       console.error('Typing stop error:', error);
@@ -307,16 +1107,9 @@ class SocketService {
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID
    */
-  stopTyping(conversationId, userId) {
-    const typingSet = this.typingUsers.get(conversationId);
-    if (typingSet && typingSet.has(userId)) {
-      typingSet.delete(userId);
-      
-      // If no one is typing, clean up the set
-      if (typingSet.size === 0) {
-        this.typingUsers.delete(conversationId);
-      }
-
+  async stopTyping(conversationId, userId) {
+    const wasTyping = await this.store.removeTypingUser(conversationId, userId);
+    if (wasTyping) {
       // Notify other participants (only if io is initialized)
       if (this.io) {
         this.io.to(conversationId).emit('typing_indicator', {
@@ -333,37 +1126,254 @@ class SocketService {
    * Handle socket disconnection
    * @param {object} socket - Socket instance
    */
-  handleDisconnection(socket) {
+  async handleDisconnection(socket) {
     const userId = socket.userId;
     const socketId = socket.id;
 
     console.log(`👤 User ${socket.user?.username || 'Unknown'} disconnected (${socketId})`);
 
-    // Clean up user tracking
-    const userSockets = this.connectedUsers.get(userId);
-    if (userSockets) {
-      userSockets.delete(socketId);
-      if (userSockets.size === 0) {
-        this.connectedUsers.delete(userId);
+    try {
+      await socket.registration;
+
+      // A call loses its media with the socket that placed or answered it
+      if (socket.callId) {
+        await this.callSignaling.hangup(userId, socket.callId)
+          .catch(error => console.error('Call hang-up on disconnect error:', error));
       }
-    }
 
-    // Clean up typing indicators for all rooms this user was in
-    const userRooms = this.userRooms.get(socketId);
-    if (userRooms) {
-      userRooms.forEach(conversationId => {
-        this.stopTyping(conversationId, userId);
-        
+      // Clean up user tracking
+      const remainingSockets = await this.store.removeUserSocket(userId, socketId);
+      if (remainingSockets === 0) {
+        this.handleUserOffline(userId);
+      }
+
+      // Clean up typing indicators for all rooms this user was in
+      const userRooms = await this.store.removeSocket(socketId);
+      for (const conversationId of userRooms) {
+        await this.stopTyping(conversationId, userId);
+
         // Notify other participants about user leaving
-        socket.to(conversationId).emit('user_left', {
+        this.emitToConversation(conversationId, 'user_left', {
           userId: userId,
           username: socket.user?.username || 'Unknown',
           conversationId: conversationId,
           timestamp: new Date().toISOString()
         });
+      }
+    } catch (error) {
+      console.error('Disconnection cleanup error:', error);
+    }
+  }
+
+  /**
+   * Send a newly connected socket the list of the user's contacts who are online
+   * @param {object} socket - Socket instance
+   */
+  async sendOnlineContacts(socket) {
+    try {
+      const contacts = await this.presence.getContactPresence(socket.userId);
+      const onlineFlags = await Promise.all(contacts.map(contact => this.isUserOnline(contact.id)));
+      const onlineContacts = contacts
+        .filter((contact, index) => onlineFlags[index])
+        .map(contact => ({ ...contact, isOnline: true }));
+
+      socket.emit('online_users', onlineContacts);
+    } catch (error) {
+      console.error('Send online contacts error:', error);
+    }
+  }
+
+  /**
+   * Persist when a user's last socket went away and tell their contacts
+   * @param {string} userId - User ID
+   */
+  async handleUserOffline(userId) {
+    try {
+      const lastSeenAt = await this.presence.recordLastSeen(userId, new Date());
+
+      // The user may have reconnected while the timestamp was being written
+      if (!(await this.isUserOnline(userId))) {
+        await this.broadcastPresence(userId, false, lastSeenAt);
+      }
+    } catch (error) {
+      console.error('Presence offline error:', error);
+    }
+  }
+
+  /**
+   * Emit an online/offline transition to the users who have this user as a contact
+   * @param {string} userId - User whose presence changed
+   * @param {boolean} isOnline - Whether the user is now online
+   * @param {Date|null} lastSeenAt - When the user was last connected (null while online)
+   */
+  async broadcastPresence(userId, isOnline, lastSeenAt) {
+    try {
+      const watcherIds = await this.presence.getPresenceWatcherIds(userId);
+      const payload = {
+        userId,
+        isOnline,
+        lastSeenAt,
+        timestamp: new Date().toISOString()
+      };
+
+      // Offline watchers have no sockets in their room, so no lookup is needed
+      watcherIds.forEach(watcherId => this.emitToUser(watcherId, 'presence_update', payload));
+
+      console.log(`🟢 Presence of ${userId}: ${isOnline ? 'online' : 'offline'} (${watcherIds.length} watchers)`);
+    } catch (error) {
+      console.error('Broadcast presence error:', error);
+    }
+  }
+
+  /**
+   * Emit an event to a conversation room (no-op until Socket.IO is initialized)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} event - Event name
+   * @param {object} payload - Event payload
+   */
+  emitToConversation(conversationId, event, payload) {
+    if (this.io) {
+      this.io.to(conversationId).emit(event, payload);
+    }
+  }
+
+  /**
+   * Emit an event to every socket a user has open
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {object} payload - Event payload
+   */
+  emitToUser(userId, event, payload) {
+    if (this.io) {
+      this.io.to(userRoom(userId)).emit(event, payload);
+    }
+  }
+
+  /**
+   * Emit an event to a conversation room and to every socket of the given
+   * users, so members who do not have the conversation open hear about it too
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<string>} userIds - Users to reach outside the room
+   * @param {string} event - Event name
+   * @param {object} payload - Event payload
+   */
+  emitToConversationMembers(conversationId, userIds, event, payload) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(conversationId).to(userIds.map(userRoom)).emit(event, payload);
+  }
+
+  /**
+   * Broadcast a group's new name, participants or roles
+   * @param {object} conversation - Conversation returned by ChatService
+   */
+  emitConversationUpdated(conversation) {
+    this.emitToConversationMembers(
+      conversation.id,
+      conversation.participants.map(p => p.id),
+      'conversation_updated',
+      {
+        conversation,
+        timestamp: new Date().toISOString()
+      }
+    );
+  }
+
+  /**
+   * Announce participants added to a group
+   * @param {object} conversation - Conversation returned by ChatService
+   * @param {Array<string>} userIds - IDs of the added users
+   * @param {string} addedBy - ID of the user who added them
+   */
+  emitParticipantAdded(conversation, userIds, addedBy) {
+    this.emitToConversationMembers(
+      conversation.id,
+      conversation.participants.map(p => p.id),
+      'participant_added',
+      {
+        conversationId: conversation.id,
+        userIds,
+        addedBy,
+        conversation,
+        timestamp: new Date().toISOString()
+      }
+    );
+  }
+
+  /**
+   * Announce a participant leaving or being removed from a group, and take
+   * their sockets out of the conversation room and its thread rooms
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - ID of the departed user
+   * @param {string} removedBy - ID of the user who removed them (their own ID when leaving)
+   * @param {object|null} conversation - Updated conversation, or null if it was deleted
+   */
+  async emitParticipantRemoved(conversationId, userId, removedBy, conversation) {
+    const remainingIds = conversation ? conversation.participants.map(p => p.id) : [];
+
+    this.emitToConversationMembers(
+      conversationId,
+      [...remainingIds, userId],
+      'participant_removed',
+      {
+        conversationId,
+        userId,
+        removedBy,
+        conversation,
+        timestamp: new Date().toISOString()
+      }
+    );
+
+    if (!this.io) {
+      return;
+    }
+
+    try {
+      this.io.in(userRoom(userId)).socketsLeave(conversationId);
+
+      // Open threads would otherwise keep delivering the conversation's replies
+      const threadRoomPrefix = threadRoom(conversationId, '');
+      const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+      sockets.forEach(userSocket => {
+        [...userSocket.rooms]
+          .filter(room => room.startsWith(threadRoomPrefix))
+          .forEach(room => userSocket.leave(room));
       });
-      this.userRooms.delete(socketId);
+
+      const userSockets = await this.store.getUserSocketIds(userId);
+      await Promise.all(userSockets.map(socketId => this.store.removeSocketRoom(socketId, conversationId)));
+    } catch (error) {
+      console.error('Remove participant sockets error:', error);
+    }
+  }
+
+  /**
+   * Disconnect the sockets of revoked sessions, on every server instance
+   * @param {Array<string>} sessionIds - Revoked session IDs
+   */
+  disconnectSessions(sessionIds) {
+    if (!this.io || sessionIds.length === 0) {
+      return;
+    }
+
+    this.io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+  }
+
+  /**
+   * Disconnect a user's sockets except those of one session, after the
+   * user's other sessions were revoked
+   * @param {string} userId - User ID
+   * @param {string|null} keepSessionId - Session that stays signed in
+   */
+  disconnectOtherSessions(userId, keepSessionId) {
+    if (!this.io) {
+      return;
     }
+
+    const sockets = this.io.in(userRoom(userId));
+    (keepSessionId ? sockets.except(sessionRoom(keepSessionId)) : sockets).disconnectSockets(true);
   }
 
   /**
@@ -375,30 +1385,43 @@ class SocketService {
   }
 
   /**
-   * Check if user is online
+   * Check if user is online on any server instance
    * @param {string} userId - User ID
-   * @returns {boolean} True if user is online
+   * @returns {Promise<boolean>} True if user is online
    */
-  isUserOnline(userId) {
-    return this.connectedUsers.has(userId) && this.connectedUsers.get(userId).size > 0;
+  async isUserOnline(userId) {
+    return await this.store.isUserOnline(userId);
   }
 
   /**
    * Get online users count
-   * @returns {number} Number of online users
+   * @returns {Promise<number>} Number of online users
    */
-  getOnlineUsersCount() {
-    return this.connectedUsers.size;
+  async getOnlineUsersCount() {
+    return await this.store.getOnlineUserCount();
   }
 
   /**
    * Get typing users for a conversation
    * @param {string} conversationId - Conversation ID
-   * @returns {Array} Array of user IDs who are typing
+   * @returns {Promise<Array>} Array of user IDs who are typing
    */
-  getTypingUsers(conversationId) {
-    const typingSet = this.typingUsers.get(conversationId);
-    return typingSet ? Array.from(typingSet) : [];
+  async getTypingUsers(conversationId) {
+    return await this.store.getTypingUsers(conversationId);
+  }
+
+  /**
+   * Disconnect every socket, stop call ring timeouts and close the Socket.IO
+   * server (and the HTTP server it is attached to). The state store is owned
+   * by whoever created it.
+   */
+  async close() {
+    this.callSignaling.close();
+
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
   }
 }
 
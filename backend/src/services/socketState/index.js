@@ -0,0 +1,55 @@
+const MemorySocketStateStore = require('./memoryStateStore');
+const RedisSocketStateStore = require('./redisStateStore');
+
+/**
+ * Create the socket state store and matching Socket.IO adapter selected with
+ * SOCKET_STATE_STORE ("memory" for a single instance, "redis" to share state
+ * and broadcasts between instances through REDIS_URL)
+ * @returns {Promise<object>} { store, adapter, close }
+ */
+async function createSocketState() {
+  const driver = process.env.SOCKET_STATE_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory': {
+      const store = new MemorySocketStateStore();
+      return {
+        store,
+        adapter: undefined, // Socket.IO's default in-memory adapter
+        close: () => store.close()
+      };
+    }
+    case 'redis': {
+      // Only needed when running several instances
+      const { createClient } = require('redis');
+      const { createAdapter } = require('@socket.io/redis-adapter');
+
+      const keyPrefix = process.env.REDIS_KEY_PREFIX || 'chat:';
+      const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+      const subClient = pubClient.duplicate();
+
+      pubClient.on('error', (error) => console.error('Redis client error:', error));
+      subClient.on('error', (error) => console.error('Redis subscriber error:', error));
+
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+
+      const store = new RedisSocketStateStore(pubClient, { keyPrefix });
+      return {
+        store,
+        adapter: createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }),
+        close: async () => {
+          await store.close();
+          await Promise.all([pubClient.quit(), subClient.quit()]);
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown socket state store: ${driver}`);
+  }
+}
+
+module.exports = {
+  MemorySocketStateStore,
+  RedisSocketStateStore,
+  createSocketState
+};
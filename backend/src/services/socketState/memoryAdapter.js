@@ -0,0 +1,61 @@
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * Socket.IO cluster adapter whose "network" is an EventEmitter, letting several
+ * Socket.IO servers in one process broadcast to each other exactly as they
+ * would through the Redis adapter. Meant for local multi-instance checks.
+ */
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {object} nsp - Socket.IO namespace
+   * @param {EventEmitter} bus - Bus shared by every server of the cluster
+   * @param {object} opts - Heartbeat options
+   */
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.handleBusMessage = (message) => this.onMessage(message);
+    this.handleBusResponse = (requesterUid, response) => {
+      if (requesterUid === this.uid) {
+        this.onResponse(response);
+      }
+    };
+    this.bus.on('message', this.handleBusMessage);
+    this.bus.on('response', this.handleBusResponse);
+  }
+
+  doPublish(message) {
+    // Deliver asynchronously, like a real network hop
+    setImmediate(() => this.bus.emit('message', message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.bus.emit('response', requesterUid, response));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.bus.off('message', this.handleBusMessage);
+    this.bus.off('response', this.handleBusResponse);
+  }
+}
+
+/**
+ * Create a Socket.IO adapter factory bound to an in-process bus
+ * @param {EventEmitter} bus - Bus to share between servers (default: a new one)
+ * @param {object} opts - Heartbeat options
+ * @returns {Function} Adapter factory for the Server `adapter` option
+ */
+function createMemoryAdapter(bus = new EventEmitter(), opts = {}) {
+  return function (nsp) {
+    return new MemoryClusterAdapter(nsp, bus, opts);
+  };
+}
+
+module.exports = {
+  MemoryClusterAdapter,
+  createMemoryAdapter
+};
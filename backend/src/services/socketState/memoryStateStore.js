@@ -0,0 +1,122 @@
+/**
+ * Socket state kept in the memory of a single process.
+ *
+ * Every store exposes the same async interface so SocketService does not care
+ * whether its state is local or shared between several server instances:
+ *   addUserSocket(userId, socketId)     -> number of sockets the user now has
+ *   removeUserSocket(userId, socketId)  -> number of sockets the user has left
+ *   getUserSocketIds(userId)            -> socket IDs
+ *   isUserOnline(userId)                -> boolean
+ *   getOnlineUserCount()                -> number
+ *   addSocketRoom(socketId, roomId) / removeSocketRoom(socketId, roomId)
+ *   getSocketRooms(socketId)            -> room IDs
+ *   removeSocket(socketId)              -> room IDs the socket was in
+ *   addTypingUser(roomId, userId)
+ *   removeTypingUser(roomId, userId)    -> whether the user was typing
+ *   getTypingUsers(roomId)              -> user IDs
+ *   close()
+ *
+ * One instance may be shared by several SocketService instances in the same
+ * process (see tests/integration/socket/socketCluster.test.js).
+ */
+class MemorySocketStateStore {
+  constructor() {
+    this.connectedUsers = new Map(); // userId -> Set of socketIds
+    this.userRooms = new Map(); // socketId -> Set of roomIds
+    this.typingUsers = new Map(); // roomId -> Set of userIds
+  }
+
+  /**
+   * Add a value to a Set stored in a Map, creating the Set if needed
+   * @param {Map} map - Map of Sets
+   * @param {string} key - Map key
+   * @param {string} value - Value to add
+   * @returns {Set} The updated Set
+   */
+  addToSet(map, key, value) {
+    if (!map.has(key)) {
+      map.set(key, new Set());
+    }
+    const set = map.get(key);
+    set.add(value);
+    return set;
+  }
+
+  /**
+   * Remove a value from a Set stored in a Map, dropping the Set once empty
+   * @param {Map} map - Map of Sets
+   * @param {string} key - Map key
+   * @param {string} value - Value to remove
+   * @returns {boolean} Whether the value was present
+   */
+  removeFromSet(map, key, value) {
+    const set = map.get(key);
+    if (!set || !set.delete(value)) {
+      return false;
+    }
+    if (set.size === 0) {
+      map.delete(key);
+    }
+    return true;
+  }
+
+  async addUserSocket(userId, socketId) {
+    this.userRooms.set(socketId, this.userRooms.get(socketId) || new Set());
+    return this.addToSet(this.connectedUsers, userId, socketId).size;
+  }
+
+  async removeUserSocket(userId, socketId) {
+    this.removeFromSet(this.connectedUsers, userId, socketId);
+    return this.connectedUsers.get(userId)?.size || 0;
+  }
+
+  async getUserSocketIds(userId) {
+    return Array.from(this.connectedUsers.get(userId) || []);
+  }
+
+  async isUserOnline(userId) {
+    return this.connectedUsers.has(userId);
+  }
+
+  async getOnlineUserCount() {
+    return this.connectedUsers.size;
+  }
+
+  async addSocketRoom(socketId, roomId) {
+    this.addToSet(this.userRooms, socketId, roomId);
+  }
+
+  async removeSocketRoom(socketId, roomId) {
+    this.removeFromSet(this.userRooms, socketId, roomId);
+  }
+
+  async getSocketRooms(socketId) {
+    return Array.from(this.userRooms.get(socketId) || []);
+  }
+
+  async removeSocket(socketId) {
+    const rooms = Array.from(this.userRooms.get(socketId) || []);
+    this.userRooms.delete(socketId);
+    return rooms;
+  }
+
+  async addTypingUser(roomId, userId) {
+    this.addToSet(this.typingUsers, roomId, userId);
+  }
+
+  async removeTypingUser(roomId, userId) {
+    return this.removeFromSet(this.typingUsers, roomId, userId);
+  }
+
+  async getTypingUsers(roomId) {
+    return Array.from(this.typingUsers.get(roomId) || []);
+  }
+
+  async close() {
+    this.connectedUsers.clear();
+    this.userRooms.clear();
+    this.typingUsers.clear();
+  }
+}
+
+module.exports = MemorySocketStateStore;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+/**
+ * Seconds a typing indicator survives without being refreshed, so a crashed
+ * instance cannot leave someone "typing" forever
+ */
+const TYPING_TTL_SECONDS = 30;
+
+// Remove a socket from a user's set and drop the user from the online set once
+// their last socket is gone, atomically so concurrent connects on other
+// instances cannot be lost
+const REMOVE_USER_SOCKET_SCRIPT = `
+redis.call('SREM', KEYS[1], ARGV[1])
+local remaining = redis.call('SCARD', KEYS[1])
+if remaining == 0 then
+  redis.call('SREM', KEYS[2], ARGV[2])
+end
+return remaining
+`;
+
+/**
+ * Socket state shared between server instances through Redis (or any server
+ * speaking the Redis protocol). Implements the interface documented in
+ * memoryStateStore.js.
+ *
+ * Each instance also records the sockets it owns, so a graceful shutdown can
+ * remove them instead of leaving their users online.
+ */
+class RedisSocketStateStore {
+  /**
+   * @param {object} client - Connected node-redis client
+   * @param {object} options - Optional { keyPrefix, nodeId }
+   */
+  constructor(client, { keyPrefix = 'chat:', nodeId = crypto.randomUUID() } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.nodeId = nodeId;
+  }
+
+  userSocketsKey(userId) {
+    return `${this.keyPrefix}user:${userId}:sockets`;
+  }
+
+  onlineUsersKey() {
+    return `${this.keyPrefix}online`;
+  }
+
+  socketRoomsKey(socketId) {
+    return `${this.keyPrefix}socket:${socketId}:rooms`;
+  }
+
+  typingUsersKey(roomId) {
+    return `${this.keyPrefix}typing:${roomId}`;
+  }
+
+  nodeSocketsKey() {
+    return `${this.keyPrefix}node:${this.nodeId}:sockets`;
+  }
+
+  async addUserSocket(userId, socketId) {
+    const [, , , count] = await this.client.multi()
+      .sAdd(this.userSocketsKey(userId), socketId)
+      .sAdd(this.onlineUsersKey(), userId)
+      .sAdd(this.nodeSocketsKey(), `${userId}|${socketId}`)
+      .sCard(this.userSocketsKey(userId))
+      .exec();
+    return Number(count);
+  }
+
+  async removeUserSocket(userId, socketId) {
+    const [remaining] = await Promise.all([
+      this.client.eval(REMOVE_USER_SOCKET_SCRIPT, {
+        keys: [this.userSocketsKey(userId), this.onlineUsersKey()],
+        arguments: [socketId, userId]
+      }),
+      this.client.sRem(this.nodeSocketsKey(), `${userId}|${socketId}`)
+    ]);
+    return Number(remaining);
+  }
+
+  async getUserSocketIds(userId) {
+    return await this.client.sMembers(this.userSocketsKey(userId));
+  }
+
+  async isUserOnline(userId) {
+    return Boolean(await this.client.sIsMember(this.onlineUsersKey(), userId));
+  }
+
+  async getOnlineUserCount() {
+    return Number(await this.client.sCard(this.onlineUsersKey()));
+  }
+
+  async addSocketRoom(socketId, roomId) {
+    await this.client.sAdd(this.socketRoomsKey(socketId), roomId);
+  }
+
+  async removeSocketRoom(socketId, roomId) {
+    await this.client.sRem(this.socketRoomsKey(socketId), roomId);
+  }
+
+  async getSocketRooms(socketId) {
+    return await this.client.sMembers(this.socketRoomsKey(socketId));
+  }
+
+  async removeSocket(socketId) {
+    const [rooms] = await this.client.multi()
+      .sMembers(this.socketRoomsKey(socketId))
+      .del(this.socketRoomsKey(socketId))
+      .exec();
+    return rooms;
+  }
+
+  async addTypingUser(roomId, userId) {
+    await this.client.multi()
+      .sAdd(this.typingUsersKey(roomId), userId)
+      .expire(this.typingUsersKey(roomId), TYPING_TTL_SECONDS)
+      .exec();
+  }
+
+  async removeTypingUser(roomId, userId) {
+    return Boolean(await this.client.sRem(this.typingUsersKey(roomId), userId));
+  }
+
+  async getTypingUsers(roomId) {
+    return await this.client.sMembers(this.typingUsersKey(roomId));
+  }
+
+  /**
+   * Forget every socket owned by this instance (the Redis client is left open)
+   */
+  async close() {
+    const entries = await this.client.sMembers(this.nodeSocketsKey());
+
+    await Promise.all(entries.map(async (entry) => {
+      const [userId, socketId] = entry.split('|');
+      await this.removeUserSocket(userId, socketId);
+      await this.removeSocket(socketId);
+    }));
+
+    await this.client.del(this.nodeSocketsKey());
+  }
+}
+
+module.exports = RedisSocketStateStore;
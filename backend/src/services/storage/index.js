@@ -0,0 +1,29 @@
+const path = require('path');
+const LocalStorageAdapter = require('./localStorageAdapter');
+
+let storageAdapter;
+
+/**
+ * Get the configured storage adapter (selected with STORAGE_DRIVER)
+ * @returns {object} Storage adapter instance
+ */
+function getStorageAdapter() {
+  if (!storageAdapter) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    switch (driver) {
+      case 'local':
+        storageAdapter = new LocalStorageAdapter(
+          process.env.UPLOAD_DIR || path.join(__dirname, '../../../uploads')
+        );
+        break;
+      default:
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+  }
+  return storageAdapter;
+}
+
+module.exports = {
+  getStorageAdapter
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter that keeps files on the local disk.
+ *
+ * Every adapter exposes the same async interface so the backing store can be
+ * swapped (e.g. for an object store) without touching the services using it:
+ *   save(key, buffer, { contentType })  -> { key, size }
+ *   stat(key)                           -> { size } or null when missing
+ *   createReadStream(key, { start, end })
+ *   copy(sourceKey, targetKey)          -> { key }
+ *   delete(key)
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {string} rootDir - Directory files are stored under
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a storage key to a path, refusing keys that escape the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<object>} The stored key and size
+   */
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Get file metadata
+   * @param {string} key - Storage key
+   * @returns {Promise<object|null>} File size, or null if the file does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a file for reading, optionally a byte range of it
+   * @param {string} key - Storage key
+   * @param {object} range - Optional inclusive { start, end } byte offsets
+   * @returns {ReadableStream} File stream
+   */
+  createReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolvePath(key), range);
+  }
+
+  /**
+   * Duplicate a file under a new key
+   * @param {string} sourceKey - Storage key of the existing file
+   * @param {string} targetKey - Storage key for the copy (must not exist yet)
+   * @returns {Promise<object>} The copy's key
+   */
+  async copy(sourceKey, targetKey) {
+    const targetPath = this.resolvePath(targetKey);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.promises.copyFile(this.resolvePath(sourceKey), targetPath, fs.constants.COPYFILE_EXCL);
+    return { key: targetKey };
+  }
+
+  /**
+   * Remove a file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
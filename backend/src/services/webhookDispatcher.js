@@ -0,0 +1,209 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const WebhookService = require('./webhookService');
+const { signWebhookPayload, resolveWebhookAddress } = require('../utils/webhooks');
+
+// Most of a failed response's body kept for the delivery log
+const MAX_RESPONSE_TEXT_LENGTH = 1000;
+
+/**
+ * How often due webhook deliveries are looked for
+ * @returns {number} Poll interval in milliseconds (default: 5 seconds)
+ */
+function getDispatcherIntervalMs() {
+  return parseInt(process.env.WEBHOOK_POLL_MS) || 5 * 1000;
+}
+
+/**
+ * How long a receiver has to answer a delivery
+ * @returns {number} Request timeout in milliseconds (default: 10 seconds)
+ */
+function getDeliveryTimeoutMs() {
+  return parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+}
+
+/**
+ * POST a body to a URL, connecting only to the given address. The URL's host
+ * name is still used for the Host header and TLS certificate checks.
+ * Redirects are not followed.
+ * @param {string} url - Target URL
+ * @param {Object} options - { address, family, headers, body, timeoutMs }
+ * @returns {Promise<Object>} { statusCode, text }
+ */
+function postToAddress(url, { address, family, headers, body, timeoutMs }) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': Buffer.byteLength(body)
+      },
+      lookup: (hostname, options, callback) => {
+        if (options.all) {
+          callback(null, [{ address, family }]);
+        } else {
+          callback(null, address, family);
+        }
+      }
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+        // The status is all that matters; stop reading long answers early
+        if (text.length >= MAX_RESPONSE_TEXT_LENGTH) {
+          response.destroy();
+        }
+      });
+      response.on('close', () => {
+        clearTimeout(timer);
+        resolve({ statusCode: response.statusCode, text: text.slice(0, MAX_RESPONSE_TEXT_LENGTH) });
+      });
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Periodically sends queued webhook deliveries as signed POST requests.
+ * Anything but a 2xx answer is retried with backoff and eventually
+ * dead-lettered (see WebhookService.recordAttempt). Delivery state lives in
+ * the database, so nothing is lost when the server restarts.
+ */
+class WebhookDispatcher {
+  constructor({
+    webhookService = null,
+    intervalMs = getDispatcherIntervalMs(),
+    timeoutMs = getDeliveryTimeoutMs(),
+    lookup = dns.promises.lookup
+  } = {}) {
+    this.webhookService = webhookService || new WebhookService();
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.lookup = lookup;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start polling, sending anything that fell due while the server was down
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Polling alone should not keep the process alive
+    this.timer.unref();
+    this.runOnce();
+
+    console.log(`🪝 Webhook dispatcher polling every ${this.intervalMs}ms`);
+  }
+
+  /**
+   * Stop polling and wait for deliveries in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.currentRun;
+  }
+
+  /**
+   * Send due deliveries, unless a previous run is still going
+   * @returns {Promise<void>}
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.dispatchDueDeliveries().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * Send every due delivery and log the outcome; errors are logged so
+   * polling carries on
+   * @returns {Promise<void>}
+   */
+  async dispatchDueDeliveries() {
+    try {
+      const deliveries = await this.webhookService.claimDueDeliveries(new Date());
+
+      // Receivers are independent, so a slow one does not hold up the others
+      await Promise.all(deliveries.map(async (delivery) => {
+        const result = await this.send(delivery);
+        const logged = await this.webhookService.recordAttempt(delivery, result, new Date());
+
+        if (logged?.status === 'DEAD') {
+          console.warn(`🪝 Webhook delivery ${delivery.id} dead-lettered after ${logged.attempts} attempts`);
+        }
+      }));
+    } catch (error) {
+      console.error('Webhook dispatch error:', error);
+    }
+  }
+
+  /**
+   * POST one delivery to its webhook. The host is resolved and checked again
+   * first, as it may have been re-pointed at an internal address since the
+   * webhook was saved, and the request is pinned to the checked address.
+   * @param {Object} delivery - Claimed delivery with its webhook's { url, secret }
+   * @returns {Promise<Object>} { ok, statusCode, error }
+   */
+  async send(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const { address, family } = await resolveWebhookAddress(delivery.webhook.url, this.lookup);
+
+      const response = await postToAddress(delivery.webhook.url, {
+        address,
+        family,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'real-time-chat-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload(delivery.webhook.secret, timestamp, body)
+        },
+        body,
+        timeoutMs: this.timeoutMs
+      });
+
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        return { ok: true, statusCode: response.statusCode };
+      }
+
+      return {
+        ok: false,
+        statusCode: response.statusCode,
+        error: `HTTP ${response.statusCode}${response.text ? `: ${response.text}` : ''}`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = WebhookDispatcher;
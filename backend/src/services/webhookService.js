@@ -0,0 +1,599 @@
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const {
+  WEBHOOK_EVENTS,
+  getMaxDeliveryAttempts,
+  getRetryDelayMs,
+  generateWebhookSecret,
+  isValidWebhookUrl,
+  resolveWebhookAddress
+} = require('../utils/webhooks');
+
+/**
+ * Webhook fields returned to clients; the secret is only shown when it is created
+ */
+const WEBHOOK_SELECT = {
+  id: true,
+  conversationId: true,
+  url: true,
+  events: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Delivery log fields returned to clients
+ */
+const DELIVERY_SELECT = {
+  id: true,
+  webhookId: true,
+  eventId: true,
+  event: true,
+  payload: true,
+  redactedAt: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastStatusCode: true,
+  lastError: true,
+  deliveredAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Most webhooks one user can have
+const MAX_WEBHOOKS_PER_USER = 20;
+
+// Longest error kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * How long a delivery may stay claimed before another run takes it over,
+ * e.g. after the server stopped mid-delivery
+ * @returns {number} Claim timeout in milliseconds (default: 2 minutes)
+ */
+function getClaimTimeoutMs() {
+  return parseInt(process.env.WEBHOOK_CLAIM_TIMEOUT_MS) || 2 * 60 * 1000;
+}
+
+/**
+ * Check a list of event names to subscribe to
+ * @param {Array<string>} events - Event names
+ */
+function assertValidEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`Unknown webhook event: events must be some of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+}
+
+/**
+ * Outgoing webhooks: users subscribe a URL to events of every conversation
+ * they are in, or of one conversation. Published events are queued as one
+ * delivery per matching webhook, which WebhookDispatcher sends, retries and
+ * dead-letters.
+ */
+class WebhookService {
+  constructor(prismaClient = null) {
+    this.prisma = prismaClient || new PrismaClient();
+  }
+
+  /**
+   * Get a user's webhooks
+   * @param {string} userId - The user's ID
+   * @returns {Promise<Array>} Webhooks, newest first
+   */
+  async getWebhooks(userId) {
+    try {
+      return await this.prisma.webhook.findMany({
+        where: { userId },
+        select: WEBHOOK_SELECT,
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      throw new Error(`Failed to get webhooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Subscribe a URL to events
+   * @param {string} userId - The user's ID
+   * @param {Object} webhook - { url, events, conversationId? }
+   * @returns {Promise<Object>} The webhook, with its signing secret
+   */
+  async createWebhook(userId, { url, events, conversationId = null }) {
+    try {
+      if (!isValidWebhookUrl(url)) {
+        throw new Error('Invalid webhook URL');
+      }
+      assertValidEvents(events);
+      // Checked again before every delivery, as the name may be re-pointed later
+      await resolveWebhookAddress(url);
+
+      if (conversationId) {
+        await this.assertParticipant(conversationId, userId);
+      }
+
+      const count = await this.prisma.webhook.count({ where: { userId } });
+      if (count >= MAX_WEBHOOKS_PER_USER) {
+        throw new Error(`Too many webhooks: at most ${MAX_WEBHOOKS_PER_USER} per user`);
+      }
+
+      return await this.prisma.webhook.create({
+        data: {
+          userId,
+          conversationId,
+          url,
+          events: [...new Set(events)],
+          secret: generateWebhookSecret()
+        },
+        select: { ...WEBHOOK_SELECT, secret: true }
+      });
+    } catch (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a webhook's URL, events or whether it is active. Deliveries of a
+   * paused webhook wait until it is active again.
+   * @param {string} userId - The owner's user ID
+   * @param {string} webhookId - The webhook ID
+   * @param {Object} changes - { url?, events?, isActive? }
+   * @returns {Promise<Object>} The updated webhook
+   */
+  async updateWebhook(userId, webhookId, { url, events, isActive }) {
+    try {
+      if (url !== undefined && !isValidWebhookUrl(url)) {
+        throw new Error('Invalid webhook URL');
+      }
+      if (events !== undefined) {
+        assertValidEvents(events);
+      }
+      if (url !== undefined) {
+        await resolveWebhookAddress(url);
+      }
+
+      await this.getOwnWebhook(userId, webhookId);
+
+      return await this.prisma.webhook.update({
+        where: { id: webhookId },
+        data: {
+          ...(url !== undefined ? { url } : {}),
+          ...(events !== undefined ? { events: [...new Set(events)] } : {}),
+          ...(isActive !== undefined ? { isActive } : {})
+        },
+        select: WEBHOOK_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {string} userId - The owner's user ID
+   * @param {string} webhookId - The webhook ID
+   * @returns {Promise<Object>} The webhook, with its new secret
+   */
+  async rotateSecret(userId, webhookId) {
+    try {
+      await this.getOwnWebhook(userId, webhookId);
+
+      return await this.prisma.webhook.update({
+        where: { id: webhookId },
+        data: { secret: generateWebhookSecret() },
+        select: { ...WEBHOOK_SELECT, secret: true }
+      });
+    } catch (error) {
+      throw new Error(`Failed to rotate webhook secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} userId - The owner's user ID
+   * @param {string} webhookId - The webhook ID
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(userId, webhookId) {
+    try {
+      await this.getOwnWebhook(userId, webhookId);
+      await this.prisma.webhook.delete({ where: { id: webhookId } });
+    } catch (error) {
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of a webhook's delivery log, newest first
+   * @param {string} userId - The owner's user ID
+   * @param {string} webhookId - The webhook ID
+   * @param {Object} options - Optional { status, limit, before }
+   * @param {string} options.status - Only deliveries in this status (e.g. 'DEAD' for the dead-letter queue)
+   * @param {number} options.limit - Most deliveries to return (default: 50)
+   * @param {string} options.before - Return deliveries older than this delivery ID
+   * @returns {Promise<Object>} { deliveries, hasMore, nextCursor }
+   */
+  async getDeliveries(userId, webhookId, { status = null, limit = 50, before = null } = {}) {
+    try {
+      await this.getOwnWebhook(userId, webhookId);
+
+      const where = {
+        webhookId,
+        ...(status ? { status } : {})
+      };
+
+      if (before) {
+        const cursor = await this.prisma.webhookDelivery.findFirst({
+          where: { id: before, webhookId },
+          select: { id: true, createdAt: true }
+        });
+
+        if (!cursor) {
+          throw new Error('Cursor delivery not found');
+        }
+
+        // Ordered by (createdAt, id) so deliveries queued together are not skipped
+        where.OR = [
+          { createdAt: { lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { lt: cursor.id } }
+        ];
+      }
+
+      const deliveries = await this.prisma.webhookDelivery.findMany({
+        where,
+        select: DELIVERY_SELECT,
+        orderBy: [
+          { createdAt: 'desc' },
+          { id: 'desc' }
+        ],
+        take: limit + 1 // Fetch one extra row to know whether another page exists
+      });
+
+      const hasMore = deliveries.length > limit;
+      const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+      return {
+        deliveries: page,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to get webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a finished delivery to be sent again, e.g. from the dead-letter
+   * queue once the receiver is fixed. It gets a fresh set of attempts.
+   * @param {string} userId - The owner's user ID
+   * @param {string} webhookId - The webhook ID
+   * @param {string} deliveryId - The delivery ID
+   * @returns {Promise<Object>} The queued delivery
+   */
+  async redeliver(userId, webhookId, deliveryId) {
+    try {
+      await this.getOwnWebhook(userId, webhookId);
+
+      const { count } = await this.prisma.webhookDelivery.updateMany({
+        where: {
+          id: deliveryId,
+          webhookId,
+          status: { in: ['SUCCEEDED', 'DEAD'] },
+          redactedAt: null
+        },
+        data: {
+          status: 'PENDING',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          claimedAt: null
+        }
+      });
+
+      if (count === 0) {
+        const delivery = await this.prisma.webhookDelivery.findFirst({
+          where: { id: deliveryId, webhookId },
+          select: { id: true, redactedAt: true }
+        });
+        if (!delivery) {
+          throw new Error('Delivery not found');
+        }
+        throw new Error(delivery.redactedAt
+          ? 'Delivery was redacted: its message has been deleted'
+          : 'Delivery is still being sent');
+      }
+
+      return await this.prisma.webhookDelivery.findUnique({
+        where: { id: deliveryId },
+        select: DELIVERY_SELECT
+      });
+    } catch (error) {
+      throw new Error(`Failed to redeliver webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue an event for the webhooks subscribed to it: those of the given
+   * users that cover all their conversations, and those of the event's
+   * conversation. A webhook only hears about conversations its owner is in.
+   * Failures are logged, not thrown, so they never undo the action that
+   * raised the event.
+   * @param {string} event - Event name (one of WEBHOOK_EVENTS)
+   * @param {Object} data - Event data sent to the receivers
+   * @param {Object} audience - { conversationId?, userIds? }
+   * @param {string} audience.conversationId - Conversation the event happened in; its
+   *   participants' webhooks match it
+   * @param {Array<string>} audience.userIds - Users the event concerns outside any conversation
+   * @param {string} audience.messageId - Message the event is about, whose deletion redacts it
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async publish(event, data, { conversationId = null, userIds = [], messageId = null } = {}) {
+    try {
+      const scopes = [];
+      if (userIds.length > 0) {
+        scopes.push({ conversationId: null, userId: { in: userIds } });
+      }
+      if (conversationId) {
+        const isParticipant = { user: { conversations: { some: { conversationId } } } };
+        scopes.push({ conversationId: null, ...isParticipant });
+        scopes.push({ conversationId, ...isParticipant });
+      }
+
+      if (scopes.length === 0) {
+        return 0;
+      }
+
+      const webhooks = await this.prisma.webhook.findMany({
+        where: {
+          isActive: true,
+          events: { has: event },
+          OR: scopes
+        },
+        select: { id: true }
+      });
+
+      if (webhooks.length === 0) {
+        return 0;
+      }
+
+      const eventId = crypto.randomUUID();
+      const payload = {
+        id: eventId,
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const { count } = await this.prisma.webhookDelivery.createMany({
+        data: webhooks.map(webhook => ({
+          webhookId: webhook.id,
+          eventId,
+          event,
+          messageId,
+          payload
+        }))
+      });
+      return count;
+    } catch (error) {
+      console.error(`Failed to publish ${event} webhook event:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Claim the deliveries that are due to be tried, so concurrent runs (or
+   * servers) never send the same attempt twice. Deliveries of paused
+   * webhooks are left waiting.
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of deliveries to claim
+   * @returns {Promise<Array>} Claimed deliveries with their webhook's { url, secret }
+   */
+  async claimDueDeliveries(now = new Date(), limit = 50) {
+    const staleBefore = new Date(now.getTime() - getClaimTimeoutMs());
+
+    const due = await this.prisma.webhookDelivery.findMany({
+      where: {
+        webhook: { isActive: true },
+        redactedAt: null,
+        OR: [
+          { status: 'PENDING', nextAttemptAt: { lte: now } },
+          // Claimed by a run that never finished
+          { status: 'DELIVERING', claimedAt: { lt: staleBefore } }
+        ]
+      },
+      include: {
+        webhook: {
+          select: { url: true, secret: true }
+        }
+      },
+      orderBy: [
+        { nextAttemptAt: 'asc' },
+        { id: 'asc' }
+      ],
+      take: limit
+    });
+
+    const claimed = [];
+    for (const delivery of due) {
+      // Only succeeds if nobody changed or claimed the row since it was read
+      const { count } = await this.prisma.webhookDelivery.updateMany({
+        where: {
+          id: delivery.id,
+          status: delivery.status,
+          claimedAt: delivery.claimedAt
+        },
+        data: {
+          status: 'DELIVERING',
+          claimedAt: now
+        }
+      });
+
+      if (count > 0) {
+        claimed.push({ ...delivery, status: 'DELIVERING', claimedAt: now });
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Record how an attempt at a claimed delivery went. A failed delivery is
+   * retried with exponential backoff until its attempts run out, then
+   * dead-lettered.
+   * @param {Object} delivery - Claimed delivery
+   * @param {Object} result - { ok, statusCode?, error? }
+   * @param {Date} now - When the attempt finished
+   * @returns {Promise<Object|null>} The delivery as logged, or null if it was
+   *   redacted or taken over by another run while it was being sent
+   */
+  async recordAttempt(delivery, { ok, statusCode = null, error = null }, now = new Date()) {
+    const attempts = delivery.attempts + 1;
+    const isDead = !ok && attempts >= getMaxDeliveryAttempts();
+
+    // Only while this run's claim still holds
+    const { count } = await this.prisma.webhookDelivery.updateMany({
+      where: {
+        id: delivery.id,
+        status: 'DELIVERING',
+        claimedAt: delivery.claimedAt
+      },
+      data: {
+        attempts,
+        claimedAt: null,
+        lastStatusCode: statusCode,
+        lastError: error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+        ...(ok
+          ? { status: 'SUCCEEDED', deliveredAt: now }
+          : {
+            status: isDead ? 'DEAD' : 'PENDING',
+            nextAttemptAt: isDead ? now : new Date(now.getTime() + getRetryDelayMs(attempts))
+          })
+      }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return await this.prisma.webhookDelivery.findUnique({
+      where: { id: delivery.id },
+      select: DELIVERY_SELECT
+    });
+  }
+
+  /**
+   * Remove the content of deliveries about deleted messages, so it does not
+   * live on in the delivery log. Deliveries not sent yet are dead-lettered
+   * instead of sent. Call it in the transaction that deletes the messages,
+   * before they are gone.
+   * @param {Object} messageWhere - Which messages (a Prisma Message filter)
+   * @param {Object} client - Prisma client or transaction to run in
+   * @returns {Promise<void>}
+   */
+  async redactMessageDeliveries(messageWhere, client = this.prisma) {
+    const where = {
+      message: { is: messageWhere },
+      redactedAt: null
+    };
+
+    await client.webhookDelivery.updateMany({
+      where: {
+        ...where,
+        status: { in: ['PENDING', 'DELIVERING'] }
+      },
+      data: {
+        status: 'DEAD',
+        claimedAt: null,
+        lastError: 'Message was deleted before the event was delivered'
+      }
+    });
+
+    await client.webhookDelivery.updateMany({
+      where,
+      data: {
+        payload: Prisma.DbNull,
+        redactedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Bring the queued deliveries about an edited message up to date, so a
+   * receiver that has not been sent the event yet gets the message as it now
+   * reads instead of the text it replaced. An attempt already in flight goes
+   * out as it was. Call it in the transaction that edits the message.
+   * @param {string} messageId - The edited message's ID
+   * @param {Object} message - The edited message, as sent to webhooks
+   * @param {Object} client - Prisma client or transaction to run in
+   * @returns {Promise<void>}
+   */
+  async refreshMessageDeliveries(messageId, message, client = this.prisma) {
+    const where = {
+      messageId,
+      redactedAt: null,
+      status: { in: ['PENDING', 'DELIVERING'] }
+    };
+
+    // The deliveries of one event share its payload
+    const events = await client.webhookDelivery.findMany({
+      where,
+      select: { eventId: true, payload: true },
+      distinct: ['eventId']
+    });
+
+    for (const { eventId, payload } of events) {
+      if (!payload?.data?.message) {
+        continue;
+      }
+
+      await client.webhookDelivery.updateMany({
+        where: { ...where, eventId },
+        data: {
+          payload: { ...payload, data: { ...payload.data, message } }
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a webhook owned by the user
+   * @param {string} userId - User ID
+   * @param {string} webhookId - The webhook ID
+   * @returns {Promise<Object>} The webhook
+   */
+  async getOwnWebhook(userId, webhookId) {
+    const webhook = await this.prisma.webhook.findUnique({
+      where: { id: webhookId },
+      select: { id: true, userId: true }
+    });
+
+    if (!webhook || webhook.userId !== userId) {
+      throw new Error('Webhook not found');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Check that a user is in a conversation they want events of
+   * @param {string} conversationId - The conversation ID
+   * @param {string} userId - User ID
+   */
+  async assertParticipant(conversationId, userId) {
+    const participant = await this.prisma.conversationParticipant.findUnique({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId
+        }
+      }
+    });
+
+    if (!participant) {
+      throw new Error('User is not a participant in this conversation');
+    }
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,381 @@
+/**
+ * Read the length of a voice note from its container, so the server never
+ * has to trust the length a client reports. Covers the containers browsers
+ * record into with MediaRecorder: WebM (Matroska), Ogg (Opus or Vorbis) and
+ * MP4, including the fragmented MP4 and duration-less WebM that recorders
+ * stream out.
+ */
+
+// Matroska element IDs (with their length marker bits, as they appear in the file)
+const EBML_IDS = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  CLUSTER: 0x1f43b675,
+  CLUSTER_TIMECODE: 0xe7,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_DURATION: 0x9b
+};
+
+// Elements read through rather than skipped: the duration and block times live inside them
+const EBML_CONTAINERS = new Set([
+  EBML_IDS.SEGMENT,
+  EBML_IDS.INFO,
+  EBML_IDS.CLUSTER,
+  EBML_IDS.BLOCK_GROUP
+]);
+
+const DEFAULT_TIMECODE_SCALE_NS = 1000000;
+const OPUS_GRANULE_RATE = 48000;
+
+/**
+ * Read a Matroska variable-length integer
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Where the integer starts
+ * @param {boolean} keepMarker - True for element IDs, which keep their length marker
+ * @returns {object|null} { value, length }, value null for an "unknown" size, or null if unreadable
+ */
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) {
+    return null;
+  }
+
+  const length = Math.clz32(first) - 23;
+  if (length > 8 || offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xff;
+  }
+
+  return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+/**
+ * Read a big-endian unsigned integer of up to 6 bytes
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Where the integer starts
+ * @param {number} length - Its size in bytes
+ * @returns {number} The integer
+ */
+function readUInt(buffer, offset, length) {
+  return length > 0 && length <= 6 ? buffer.readUIntBE(offset, length) : 0;
+}
+
+/**
+ * Read a WebM recording's length: the Duration from its Info when the
+ * recorder wrote one, otherwise the end of its last block
+ * @param {Buffer} buffer - File contents
+ * @returns {number|null} Length in milliseconds, or null if it cannot be read
+ */
+function getWebmDurationMs(buffer) {
+  let timecodeScale = DEFAULT_TIMECODE_SCALE_NS;
+  let duration = null;
+  let clusterTimecode = 0;
+  let lastBlockTime = null;
+  let lastBlockEnd = null;
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) {
+      break;
+    }
+
+    const dataStart = offset + id.length + size.length;
+    if (EBML_CONTAINERS.has(id.value)) {
+      // Recorders stream with unknown sizes, so read the children in place
+      offset = dataStart;
+      continue;
+    }
+
+    if (size.value === null || dataStart + size.value > buffer.length) {
+      break;
+    }
+
+    switch (id.value) {
+      case EBML_IDS.TIMECODE_SCALE:
+        timecodeScale = readUInt(buffer, dataStart, size.value) || DEFAULT_TIMECODE_SCALE_NS;
+        break;
+      case EBML_IDS.DURATION:
+        if (size.value === 4) {
+          duration = buffer.readFloatBE(dataStart);
+        } else if (size.value === 8) {
+          duration = buffer.readDoubleBE(dataStart);
+        }
+        break;
+      case EBML_IDS.CLUSTER_TIMECODE:
+        clusterTimecode = readUInt(buffer, dataStart, size.value);
+        break;
+      case EBML_IDS.SIMPLE_BLOCK:
+      case EBML_IDS.BLOCK: {
+        // A block starts with its track number, then its time relative to the cluster
+        const track = readVint(buffer, dataStart, false);
+        if (track && track.length + 2 <= size.value) {
+          const blockTime = clusterTimecode + buffer.readInt16BE(dataStart + track.length);
+          lastBlockTime = Math.max(lastBlockTime ?? blockTime, blockTime);
+        }
+        break;
+      }
+      case EBML_IDS.BLOCK_DURATION:
+        if (lastBlockTime !== null) {
+          lastBlockEnd = Math.max(lastBlockEnd ?? 0, lastBlockTime + readUInt(buffer, dataStart, size.value));
+        }
+        break;
+      default:
+        break;
+    }
+
+    offset = dataStart + size.value;
+  }
+
+  const length = duration > 0 ? duration : Math.max(lastBlockTime ?? 0, lastBlockEnd ?? 0);
+  return length > 0 ? Math.round(length * timecodeScale / 1000000) : null;
+}
+
+/**
+ * Read an Ogg recording's length from the granule position of its last page
+ * @param {Buffer} buffer - File contents
+ * @returns {number|null} Length in milliseconds, or null if it cannot be read
+ */
+function getOggDurationMs(buffer) {
+  let sampleRate = null;
+  let preSkip = 0;
+  let lastGranule = null;
+  let offset = 0;
+
+  while (offset + 27 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === 'OggS') {
+    const segmentCount = buffer[offset + 26];
+    const dataStart = offset + 27 + segmentCount;
+    if (dataStart > buffer.length) {
+      break;
+    }
+
+    let dataLength = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      dataLength += buffer[offset + 27 + i];
+    }
+
+    if (sampleRate === null) {
+      // The first page holds the codec's identification header
+      if (buffer.toString('latin1', dataStart, dataStart + 8) === 'OpusHead' && dataStart + 12 <= buffer.length) {
+        sampleRate = OPUS_GRANULE_RATE;
+        preSkip = buffer.readUInt16LE(dataStart + 10);
+      } else if (buffer.toString('latin1', dataStart, dataStart + 7) === '\x01vorbis' && dataStart + 16 <= buffer.length) {
+        sampleRate = buffer.readUInt32LE(dataStart + 12);
+      } else {
+        return null;
+      }
+    }
+
+    // -1 marks a page on which no packet ends
+    const granule = buffer.readBigInt64LE(offset + 6);
+    if (granule >= 0n) {
+      lastGranule = granule;
+    }
+
+    offset = dataStart + dataLength;
+  }
+
+  if (!sampleRate || lastGranule === null) {
+    return null;
+  }
+
+  const samples = Number(lastGranule) - preSkip;
+  return samples > 0 ? Math.round(samples * 1000 / sampleRate) : null;
+}
+
+/**
+ * List the boxes of an MP4 file, or of one box's contents
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Where the first box starts
+ * @param {number} end - Where the last box must end
+ * @returns {Array<object>} { type, start, end } of each box, with start past its header
+ */
+function readMp4Boxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerLength = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) {
+        break;
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerLength || offset + size > end) {
+      break;
+    }
+
+    boxes.push({ type, start: offset + headerLength, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Find the first box along a path of box types
+ * @param {Buffer} buffer - File contents
+ * @param {Array<object>} boxes - Boxes to search
+ * @param {Array<string>} path - Box types, outermost first
+ * @returns {object|null} The box, or null if there is none
+ */
+function findMp4Box(buffer, boxes, path) {
+  const [type, ...rest] = path;
+  const box = boxes.find(b => b.type === type);
+  if (!box || rest.length === 0) {
+    return box || null;
+  }
+
+  return findMp4Box(buffer, readMp4Boxes(buffer, box.start, box.end), rest);
+}
+
+/**
+ * Read the timescale and duration from a full box laid out like mvhd and
+ * mdhd (version, flags, creation and modification times, timescale, duration)
+ * @param {Buffer} buffer - File contents
+ * @param {object} box - The mvhd or mdhd box
+ * @returns {object|null} { timescale, duration }, or null if the box is too short
+ */
+function readMp4Header(buffer, box) {
+  const version = buffer[box.start];
+  const fieldsStart = box.start + (version === 1 ? 20 : 12);
+  if (fieldsStart + (version === 1 ? 12 : 8) > box.end) {
+    return null;
+  }
+
+  return {
+    timescale: buffer.readUInt32BE(fieldsStart),
+    duration: version === 1
+      ? Number(buffer.readBigUInt64BE(fieldsStart + 4))
+      : buffer.readUInt32BE(fieldsStart + 4)
+  };
+}
+
+/**
+ * Add up the sample durations of a fragmented MP4's fragments
+ * @param {Buffer} buffer - File contents
+ * @param {Array<object>} boxes - The file's top-level boxes
+ * @returns {number} Total duration, in the track's timescale
+ */
+function getMp4FragmentsDuration(buffer, boxes) {
+  let total = 0;
+
+  for (const moof of boxes.filter(b => b.type === 'moof')) {
+    for (const traf of readMp4Boxes(buffer, moof.start, moof.end).filter(b => b.type === 'traf')) {
+      const children = readMp4Boxes(buffer, traf.start, traf.end);
+      let defaultDuration = 0;
+
+      const tfhd = children.find(b => b.type === 'tfhd');
+      if (tfhd && tfhd.start + 8 <= tfhd.end) {
+        // Optional fields follow the track ID in flag order; the default duration is the third
+        const flags = buffer.readUIntBE(tfhd.start + 1, 3);
+        let fieldOffset = tfhd.start + 8;
+        if (flags & 0x1) fieldOffset += 8;
+        if (flags & 0x2) fieldOffset += 4;
+        if (flags & 0x8 && fieldOffset + 4 <= tfhd.end) {
+          defaultDuration = buffer.readUInt32BE(fieldOffset);
+        }
+      }
+
+      for (const trun of children.filter(b => b.type === 'trun')) {
+        if (trun.start + 8 > trun.end) {
+          continue;
+        }
+
+        const flags = buffer.readUIntBE(trun.start + 1, 3);
+        const sampleCount = buffer.readUInt32BE(trun.start + 4);
+        if (!(flags & 0x100)) {
+          total += sampleCount * defaultDuration;
+          continue;
+        }
+
+        let fieldOffset = trun.start + 8;
+        if (flags & 0x1) fieldOffset += 4;
+        if (flags & 0x4) fieldOffset += 4;
+        // Each sample lists its duration first, then whichever of size, flags and offset are present
+        const sampleLength = 4 * [0x100, 0x200, 0x400, 0x800].filter(flag => flags & flag).length;
+        for (let i = 0; i < sampleCount && fieldOffset + 4 <= trun.end; i++) {
+          total += buffer.readUInt32BE(fieldOffset);
+          fieldOffset += sampleLength;
+        }
+      }
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Read an MP4 recording's length from its movie header, or from its
+ * fragments when the recorder streamed it out without one
+ * @param {Buffer} buffer - File contents
+ * @returns {number|null} Length in milliseconds, or null if it cannot be read
+ */
+function getMp4DurationMs(buffer) {
+  const boxes = readMp4Boxes(buffer, 0, buffer.length);
+  const mvhd = findMp4Box(buffer, boxes, ['moov', 'mvhd']);
+  const movie = mvhd && readMp4Header(buffer, mvhd);
+
+  if (movie?.timescale && movie.duration > 0 && movie.duration < 0xffffffff) {
+    return Math.round(movie.duration * 1000 / movie.timescale);
+  }
+
+  // Fragment sample durations are in the media timescale, not the movie's
+  const mdhd = findMp4Box(buffer, boxes, ['moov', 'trak', 'mdia', 'mdhd']);
+  const media = mdhd && readMp4Header(buffer, mdhd);
+  const fragmentsDuration = media?.timescale ? getMp4FragmentsDuration(buffer, boxes) : 0;
+
+  return fragmentsDuration > 0 ? Math.round(fragmentsDuration * 1000 / media.timescale) : null;
+}
+
+/**
+ * Read a recording's length from its container
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Container type, stripped of parameters such as codecs
+ * @returns {number|null} Length in milliseconds, or null if the type is not
+ *   supported or the file does not say
+ */
+function getAudioDurationMs(buffer, mimeType) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  try {
+    switch (mimeType) {
+      case 'audio/webm':
+        return getWebmDurationMs(buffer);
+      case 'audio/ogg':
+        return getOggDurationMs(buffer);
+      case 'audio/mp4':
+        return getMp4DurationMs(buffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // A truncated or malformed file can make a read run past its end
+    return null;
+  }
+}
+
+module.exports = {
+  getAudioDurationMs
+};
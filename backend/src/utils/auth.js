@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -22,22 +23,51 @@ async function comparePassword(password, hashedPassword) {
 }
 
 /**
- * Generate a JWT token for a user
+ * Generate a short-lived JWT access token for a user
  * @param {object} user - User object with id, username, email
+ * @param {string|null} sessionId - Session the token was issued for
  * @returns {string} - JWT token
  */
-function generateToken(user) {
+function generateToken(user, sessionId = null) {
   const payload = {
     id: user.id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    ...(sessionId ? { sid: sessionId } : {})
   };
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 }
 
+/**
+ * Generate an opaque refresh token
+ * @returns {string} - Random URL-safe token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hash a refresh token for storage. Refresh tokens are long random strings,
+ * so a fast hash is enough and lets sessions be looked up by token.
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get how long a refresh token (and so a session) stays valid without being used
+ * @returns {number} - Lifetime in milliseconds (REFRESH_TOKEN_TTL_DAYS, default 30 days)
+ */
+function getRefreshTokenTtlMs() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
 /**
  * Verify and decode a JWT token
  * @param {string} token - JWT token
@@ -118,6 +148,9 @@ module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenTtlMs,
   verifyToken,
   validateRegistrationInput,
   validateLoginInput
@@ -0,0 +1,177 @@
+const { getAudioDurationMs } = require('./audioDuration');
+
+/**
+ * MIME types accepted for message attachments
+ */
+const ALLOWED_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+/**
+ * MIME types accepted for voice notes: the containers browsers record into
+ * with MediaRecorder, with the file extension they are stored under
+ */
+const VOICE_NOTE_TYPES = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a'
+};
+
+/**
+ * Shortest voice note accepted, in milliseconds
+ */
+const MIN_VOICE_NOTE_DURATION_MS = 500;
+
+/**
+ * Highest average bitrate a voice note may have, in bytes per second, plus
+ * room for container headers. Recordings far larger than their length allows
+ * are rejected.
+ */
+const MAX_VOICE_NOTE_BYTES_PER_SECOND = 32 * 1024;
+const VOICE_NOTE_HEADER_ALLOWANCE = 64 * 1024;
+
+/**
+ * Leading bytes of formats we can recognise, used to reject files whose
+ * declared type does not match their contents
+ */
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'audio/webm', offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mimeType: 'audio/ogg', offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'audio/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] }
+];
+
+/**
+ * Maximum attachment size
+ * @returns {number} Size limit in bytes (default: 10MB)
+ */
+function getMaxAttachmentSize() {
+  return parseInt(process.env.ATTACHMENT_MAX_SIZE_BYTES) || 10 * 1024 * 1024;
+}
+
+/**
+ * Maximum voice note size
+ * @returns {number} Size limit in bytes (default: 5MB, never more than the attachment limit)
+ */
+function getMaxVoiceNoteSize() {
+  const size = parseInt(process.env.VOICE_NOTE_MAX_SIZE_BYTES) || 5 * 1024 * 1024;
+  return Math.min(size, getMaxAttachmentSize());
+}
+
+/**
+ * Maximum voice note length
+ * @returns {number} Duration limit in milliseconds (default: 5 minutes)
+ */
+function getMaxVoiceNoteDuration() {
+  return (parseInt(process.env.VOICE_NOTE_MAX_DURATION_SECONDS) || 5 * 60) * 1000;
+}
+
+/**
+ * Check whether a buffer starts with the signature of a MIME type
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} False only if the type has a known signature that does not match
+ */
+function matchesSignature(buffer, mimeType) {
+  const signature = FILE_SIGNATURES.find(s => s.mimeType === mimeType);
+  if (!signature) {
+    return true;
+  }
+
+  return signature.bytes.every((byte, index) => buffer[signature.offset + index] === byte);
+}
+
+/**
+ * Validate an uploaded attachment
+ * @param {object} file - Uploaded file ({ originalname, mimetype, size, buffer })
+ * @param {object} options - Optional { allowedTypes, maxSize } overrides
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateAttachment(file, options = {}) {
+  const errors = [];
+  const allowedTypes = options.allowedTypes || ALLOWED_ATTACHMENT_TYPES;
+  const maxSize = options.maxSize || getMaxAttachmentSize();
+
+  if (!file) {
+    errors.push('File is required');
+    return { isValid: false, errors };
+  }
+
+  if (!file.originalname || file.originalname.length > 255) {
+    errors.push('File name must be between 1 and 255 characters');
+  }
+
+  if (file.size === 0) {
+    errors.push('File is empty');
+  } else if (file.size > maxSize) {
+    errors.push(`File size must be less than ${Math.round(maxSize / 1024 / 1024)}MB`);
+  }
+
+  if (!allowedTypes.includes(file.mimetype)) {
+    errors.push(`File type ${file.mimetype} is not allowed`);
+  } else if (file.buffer && !matchesSignature(file.buffer, file.mimetype)) {
+    errors.push('File contents do not match its type');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate an uploaded voice note, reading its length from the recording
+ * itself rather than trusting the client's
+ * @param {object} file - Uploaded file ({ originalname, mimetype, size, buffer }), with the
+ *   MIME type stripped of parameters such as codecs
+ * @returns {object} - Validation result with isValid, errors and the recording's durationMs
+ */
+function validateVoiceNote(file) {
+  const maxDuration = getMaxVoiceNoteDuration();
+  const { errors } = validateAttachment(file, {
+    allowedTypes: Object.keys(VOICE_NOTE_TYPES),
+    maxSize: getMaxVoiceNoteSize()
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, durationMs: null };
+  }
+
+  const durationMs = getAudioDurationMs(file.buffer, file.mimetype);
+  if (durationMs === null) {
+    errors.push('Could not read the recording\'s length');
+  } else if (durationMs < MIN_VOICE_NOTE_DURATION_MS || durationMs > maxDuration) {
+    errors.push(`Duration must be between ${MIN_VOICE_NOTE_DURATION_MS / 1000} and ${maxDuration / 1000} seconds`);
+  } else if (file.size > Math.ceil(durationMs / 1000) * MAX_VOICE_NOTE_BYTES_PER_SECOND + VOICE_NOTE_HEADER_ALLOWANCE) {
+    errors.push('File is too large for its duration');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    durationMs
+  };
+}
+
+module.exports = {
+  ALLOWED_ATTACHMENT_TYPES,
+  VOICE_NOTE_TYPES,
+  getMaxAttachmentSize,
+  getMaxVoiceNoteDuration,
+  validateAttachment,
+  validateVoiceNote
+};
@@ -38,14 +38,16 @@ async function initializeDatabase() {
 
 /**
  * Graceful shutdown handler for database
+ * @param {Function} beforeDisconnect - Optional async cleanup run before the database disconnects
  */
-function setupDatabaseShutdown() {
+function setupDatabaseShutdown(beforeDisconnect = async () => {}) {
   const { disconnectDatabase } = require('./database');
   
   const gracefulShutdown = async (signal) => {
     console.log(`\n🔄 Received ${signal}. Shutting down gracefully...`);
     
     try {
+      await beforeDisconnect();
       await disconnectDatabase();
       console.log('✅ Database disconnected successfully');
       process.exit(0);
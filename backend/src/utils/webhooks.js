@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Events webhooks can subscribe to
+ */
+const WEBHOOK_EVENTS = ['message.created', 'friend_request.accepted', 'conversation.created'];
+
+/**
+ * How many times a delivery is tried before it is dead-lettered
+ * @returns {number} Attempt limit (default: 8)
+ */
+function getMaxDeliveryAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+}
+
+/**
+ * Wait before retrying a failed delivery: doubles with every attempt from
+ * WEBHOOK_RETRY_BASE_MS (default: 30 seconds) up to an hour, give or take
+ * a fifth so failed deliveries do not all retry at once
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts, random = Math.random) {
+  const baseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+  const delayMs = Math.min(baseMs * 2 ** (attempts - 1), 60 * 60 * 1000);
+  return Math.round(delayMs * (0.8 + random() * 0.4));
+}
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Secret (hex)
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a delivery. Receivers recompute the HMAC-SHA256 of
+ * `${timestamp}.${body}` with the webhook's secret and compare it to the
+ * X-Webhook-Signature header; the timestamp lets them reject old replays.
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a webhook target URL
+ * @param {string} url - Candidate URL
+ * @returns {boolean} True for an absolute http(s) URL without credentials
+ */
+function isValidWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') &&
+      !parsed.username && !parsed.password;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Addresses webhooks may not be sent to: this network, private, shared (CGNAT),
+ * loopback, link-local, benchmarking, multicast and reserved IPv4 ranges, and
+ * unspecified, loopback, IPv4-compatible, unique-local, link-local and
+ * multicast IPv6 ranges
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address in their last 32 bits (IPv4-mapped and NAT64)
+const EMBEDDED_IPV4_PREFIXES = ['::ffff:', '64:ff9b::'];
+
+/**
+ * Hosts that may resolve to private addresses anyway, from the comma-separated
+ * WEBHOOK_ALLOWED_HOSTS (e.g. an internal service the operator trusts)
+ * @returns {Array<string>} Lower-case host names or IP addresses
+ */
+function getAllowedPrivateHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * The IPv4 address inside an IPv4-mapped or NAT64 IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Dotted IPv4 address, or null if none is embedded
+ */
+function getEmbeddedIPv4(address) {
+  // The URL parser writes IPv6 addresses in canonical form, hex groups only
+  const canonical = new URL(`http://[${address}]`).hostname.slice(1, -1);
+  const prefix = EMBEDDED_IPV4_PREFIXES.find(candidate => canonical.startsWith(candidate));
+  if (!prefix) {
+    return null;
+  }
+
+  const groups = canonical.slice(prefix.length).split(':');
+  if (groups.length > 2 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+    return null;
+  }
+
+  const value = groups.reduce((total, group) => total * 0x10000 + parseInt(group, 16), 0);
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Whether webhooks may be sent to an IP address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for a public unicast address
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !BLOCKED_ADDRESSES.check(address, 'ipv4');
+  }
+  if (family !== 6) {
+    return false;
+  }
+
+  try {
+    const embedded = getEmbeddedIPv4(address);
+    if (embedded) {
+      return isPublicAddress(embedded);
+    }
+  } catch (error) {
+    // Zone IDs and other addresses URL cannot hold are not sent to
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * Resolve a webhook URL's host to the address it will be sent to. Every
+ * address the name resolves to must be public (unless the host is in
+ * WEBHOOK_ALLOWED_HOSTS), so a name cannot smuggle in an internal address
+ * next to a public one. Requests are then pinned to the returned address, so
+ * the name cannot be re-pointed between this check and the connection.
+ * @param {string} url - Webhook URL
+ * @param {Function} lookup - dns.promises.lookup, or a stand-in for it
+ * @returns {Promise<Object>} { address, family }
+ */
+async function resolveWebhookAddress(url, lookup = dns.promises.lookup) {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`Webhook host could not be resolved: ${hostname}`);
+    }
+  }
+
+  if (addresses.length === 0) {
+    throw new Error(`Webhook host could not be resolved: ${hostname}`);
+  }
+
+  if (!getAllowedPrivateHosts().includes(hostname) &&
+    addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new Error(`Webhook host is not a public address: ${hostname}`);
+  }
+
+  return addresses[0];
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getMaxDeliveryAttempts,
+  getRetryDelayMs,
+  generateWebhookSecret,
+  signWebhookPayload,
+  isValidWebhookUrl,
+  isPublicAddress,
+  resolveWebhookAddress
+};
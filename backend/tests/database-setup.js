@@ -0,0 +1,2 @@
+// Setup for database tests (tests/database); they need DATABASE_URL pointing at a test database
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,7 @@
+/**
+ * Runs once before all test projects. Unit tests need nothing external;
+ * integration and database tests set up their own servers and data.
+ */
+module.exports = async () => {
+  process.env.NODE_ENV = 'test';
+};
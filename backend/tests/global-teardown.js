@@ -0,0 +1,4 @@
+/**
+ * Runs once after all test projects
+ */
+module.exports = async () => {};
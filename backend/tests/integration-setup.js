@@ -0,0 +1,3 @@
+// Setup for integration tests (tests/integration)
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
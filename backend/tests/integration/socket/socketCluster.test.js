@@ -0,0 +1,247 @@
+/**
+ * Runs two SocketService instances side by side and checks that users
+ * connected to different instances can reach each other.
+ *
+ * By default both instances share an in-process state store and broadcast bus.
+ * Set REDIS_URL to run the same tests through Redis instead.
+ * No database is needed: users, sessions, conversations and presence are stubbed.
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { io: connectClient } = require('socket.io-client');
+
+const SocketService = require('../../../src/services/socketService');
+const { MemorySocketStateStore, createSocketState } = require('../../../src/services/socketState');
+const { createMemoryAdapter } = require('../../../src/services/socketState/memoryAdapter');
+const { generateToken } = require('../../../src/utils/auth');
+
+const CONVERSATION_ID = 'cluster-conversation';
+
+const users = {
+  alice: { id: 'cluster-alice', username: 'alice', email: 'alice@example.com' },
+  bob: { id: 'cluster-bob', username: 'bob', email: 'bob@example.com' }
+};
+const allUsers = Object.values(users);
+
+// Sessions signed out during the tests
+const revokedSessions = new Set();
+
+// Alice and Bob are each other's contacts
+const presence = {
+  getPresenceWatcherIds: async (userId) => allUsers.filter(u => u.id !== userId).map(u => u.id),
+  getContactPresence: async (userId) => allUsers
+    .filter(u => u.id !== userId)
+    .map(u => ({ id: u.id, username: u.username, lastSeenAt: null })),
+  recordLastSeen: async (userId, lastSeenAt) => lastSeenAt
+};
+
+const chatService = {
+  getUserConversations: async () => [{ id: CONVERSATION_ID }],
+  assertParticipant: async (conversationId) => {
+    if (conversationId !== CONVERSATION_ID) {
+      throw new Error('User is not a participant in this conversation');
+    }
+  },
+  sendMessage: async (conversationId, senderId, content) => ({
+    id: `message-${Date.now()}`,
+    conversationId,
+    senderId,
+    sender: allUsers.find(u => u.id === senderId),
+    content,
+    type: 'TEXT',
+    metadata: null,
+    attachments: [],
+    createdAt: new Date().toISOString()
+  })
+};
+
+/**
+ * Create the shared state for both instances
+ * @returns {Promise<Array<object>>} Two { store, adapter, close } objects
+ */
+async function createClusterState() {
+  if (process.env.REDIS_URL) {
+    process.env.SOCKET_STATE_STORE = 'redis';
+    process.env.REDIS_KEY_PREFIX = `cluster-test:${process.pid}:`;
+    return await Promise.all([createSocketState(), createSocketState()]);
+  }
+
+  const store = new MemorySocketStateStore();
+  const bus = new EventEmitter();
+  const nodeState = () => ({
+    store,
+    adapter: createMemoryAdapter(bus),
+    close: () => store.close()
+  });
+  return [nodeState(), nodeState()];
+}
+
+/**
+ * Start an HTTP server with its own SocketService on a random port
+ * @param {object} state - { store, adapter } for this instance
+ * @returns {Promise<object>} { socketService, url }
+ */
+async function startNode(state) {
+  const server = http.createServer();
+  const socketService = new SocketService({
+    store: state.store,
+    chatService,
+    presence,
+    getUser: async (id) => allUsers.find(u => u.id === id) || null,
+    isSessionActive: async (sessionId) => !revokedSessions.has(sessionId)
+  });
+  socketService.initialize(server, { adapter: state.adapter });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { socketService, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Connect a client for a user
+ * @param {string} url - Server URL
+ * @param {object} user - User to authenticate as
+ * @param {string|null} sessionId - Session the token is issued for
+ * @returns {Promise<object>} Connected client socket
+ */
+function connectUser(url, user, sessionId = null) {
+  return new Promise((resolve, reject) => {
+    const client = connectClient(url, {
+      auth: { token: generateToken(user, sessionId) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    client.once('connection_status', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+}
+
+/**
+ * Wait for the first event matching a predicate
+ * @param {object} client - Client socket
+ * @param {string} event - Event name
+ * @param {Function} predicate - Payload filter
+ * @returns {Promise<object>} Event payload
+ */
+function waitFor(client, event, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, 3000);
+    const listener = (payload) => {
+      if (predicate(payload)) {
+        clearTimeout(timer);
+        client.off(event, listener);
+        resolve(payload);
+      }
+    };
+    client.on(event, listener);
+  });
+}
+
+// Each test carries on from the state the previous one left
+describe(`SocketService across two instances (${process.env.REDIS_URL ? 'redis' : 'memory'})`, () => {
+  let states;
+  let nodeA;
+  let nodeB;
+  let alice;
+  let bob;
+  const clients = [];
+
+  beforeAll(async () => {
+    states = await createClusterState();
+    [nodeA, nodeB] = await Promise.all(states.map(startNode));
+  });
+
+  afterAll(async () => {
+    clients.forEach(client => client.disconnect());
+    await Promise.all([nodeA, nodeB].map(node => node.socketService.close()));
+    await Promise.all(states.map(state => state.close()));
+  });
+
+  test('should share presence between instances', async () => {
+    alice = await connectUser(nodeA.url, users.alice, 'alice-phone');
+    clients.push(alice);
+
+    const bobOnline = waitFor(alice, 'presence_update', p => p.userId === users.bob.id && p.isOnline);
+    bob = await connectUser(nodeB.url, users.bob);
+    clients.push(bob);
+
+    await expect(bobOnline).resolves.toBeDefined();
+    expect(await nodeA.socketService.isUserOnline(users.bob.id)).toBe(true);
+    expect(await nodeB.socketService.getOnlineUsersCount()).toBe(2);
+  });
+
+  test('should share typing state between instances', async () => {
+    await Promise.all([alice, bob].map((client) => {
+      const joined = waitFor(client, 'room_joined');
+      client.emit('join_room', { conversationId: CONVERSATION_ID });
+      return joined;
+    }));
+
+    const typing = waitFor(bob, 'typing_indicator', p => p.userId === users.alice.id && p.isTyping);
+    alice.emit('typing_start', { conversationId: CONVERSATION_ID });
+    await typing;
+
+    expect(await nodeB.socketService.getTypingUsers(CONVERSATION_ID)).toContain(users.alice.id);
+  });
+
+  test('should deliver room messages to members on other instances and clear typing', async () => {
+    const received = waitFor(bob, 'message_received');
+    alice.emit('send_message', { conversationId: CONVERSATION_ID, content: 'Hello from instance A' });
+
+    expect((await received).content).toBe('Hello from instance A');
+    expect(await nodeA.socketService.getTypingUsers(CONVERSATION_ID)).toHaveLength(0);
+  });
+
+  test('should reach a user connected to another instance with emitToUser', async () => {
+    const direct = waitFor(alice, 'cluster_check');
+    nodeB.socketService.emitToUser(users.alice.id, 'cluster_check', { from: 'B' });
+
+    expect((await direct).from).toBe('B');
+  });
+
+  test('should disconnect a revoked session on other instances and keep it out', async () => {
+    const laptop = await connectUser(nodeB.url, users.alice, 'alice-laptop');
+    const tablet = await connectUser(nodeB.url, users.alice, 'alice-tablet');
+    clients.push(laptop, tablet);
+
+    const laptopDisconnected = waitFor(laptop, 'disconnect');
+    revokedSessions.add('alice-laptop');
+    nodeA.socketService.disconnectSessions(['alice-laptop']);
+
+    expect(await laptopDisconnected).toBe('io server disconnect');
+    expect(alice.connected && tablet.connected).toBe(true);
+
+    const rejected = await connectUser(nodeA.url, users.alice, 'alice-laptop').then(
+      (client) => {
+        clients.push(client);
+        return null;
+      },
+      error => error
+    );
+    expect(rejected?.message).toBe('Session revoked');
+
+    const tabletDisconnected = waitFor(tablet, 'disconnect');
+    revokedSessions.add('alice-tablet');
+    nodeA.socketService.disconnectOtherSessions(users.alice.id, 'alice-phone');
+    await tabletDisconnected;
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(alice.connected && bob.connected).toBe(true);
+  });
+
+  test('should update other instances when a user disconnects', async () => {
+    const bobOffline = waitFor(alice, 'presence_update', p => p.userId === users.bob.id && !p.isOnline);
+    bob.disconnect();
+    await bobOffline;
+
+    expect(await nodeA.socketService.isUserOnline(users.bob.id)).toBe(false);
+  });
+});
@@ -0,0 +1,3 @@
+// Shared setup for every backend test file
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
@@ -0,0 +1,37 @@
+/**
+ * Runs the backend test projects (see jest.config.js).
+ *
+ *   node tests/test-runner.js                   unit and integration tests
+ *   node tests/test-runner.js --unit-only
+ *   node tests/test-runner.js --integration-only
+ *   node tests/test-runner.js --database-only   needs a test database (DATABASE_URL)
+ *   node tests/test-runner.js --socket-only
+ */
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const args = process.argv.slice(2);
+
+function getJestArgs() {
+  if (args.includes('--unit-only')) {
+    return ['--selectProjects', 'unit'];
+  }
+  if (args.includes('--integration-only')) {
+    return ['--selectProjects', 'integration'];
+  }
+  if (args.includes('--database-only')) {
+    return ['--selectProjects', 'database'];
+  }
+  if (args.includes('--socket-only')) {
+    return ['--selectProjects', 'integration', '--testPathPatterns', 'socket'];
+  }
+  return ['--selectProjects', 'unit', 'integration'];
+}
+
+const result = spawnSync('npx', ['jest', ...getJestArgs(), '--passWithNoTests'], {
+  cwd: path.join(__dirname, '..'),
+  stdio: 'inherit',
+  shell: process.platform === 'win32'
+});
+
+process.exit(result.status === null ? 1 : result.status);
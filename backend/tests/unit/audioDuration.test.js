@@ -0,0 +1,235 @@
+const { getAudioDurationMs } = require('../../src/utils/audioDuration');
+
+// Matroska element with an 8-byte size, or the "unknown" size recorders stream with
+const ebml = (id, payload = Buffer.alloc(0), unknownSize = false) => {
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  if (unknownSize) {
+    size.fill(0xff, 1);
+  } else {
+    size.writeUIntBE(payload.length, 2, 6);
+  }
+  return Buffer.concat([Buffer.from(id), size, payload]);
+};
+
+const uint = (value, length) => {
+  const buffer = Buffer.alloc(length);
+  buffer.writeUIntBE(value, 0, length);
+  return buffer;
+};
+
+const float64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return buffer;
+};
+
+// SimpleBlock on track 1 at a time relative to its cluster
+const simpleBlock = (relativeTime) => {
+  const header = Buffer.alloc(4);
+  header[0] = 0x81;
+  header.writeInt16BE(relativeTime, 1);
+  header[3] = 0x80;
+  return ebml([0xa3], Buffer.concat([header, Buffer.alloc(20)]));
+};
+
+const webmHeader = ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x82], Buffer.from('webm')));
+const timecodeScale = ebml([0x2a, 0xd7, 0xb1], uint(1000000, 3));
+
+const oggPage = (granule, data) => {
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header.writeBigInt64LE(BigInt(granule), 6);
+  const lacing = [];
+  let remaining = data.length;
+  while (remaining >= 255) {
+    lacing.push(255);
+    remaining -= 255;
+  }
+  lacing.push(remaining);
+  header[26] = lacing.length;
+  return Buffer.concat([header, Buffer.from(lacing), data]);
+};
+
+const opusHead = (preSkip) => {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(48000, 12);
+  return head;
+};
+
+const vorbisHead = (sampleRate) => {
+  const head = Buffer.alloc(30);
+  head.write('\x01vorbis', 0, 'latin1');
+  head[11] = 1;
+  head.writeUInt32LE(sampleRate, 12);
+  return head;
+};
+
+const box = (type, ...children) => {
+  const payload = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(payload.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+
+// Full box: version and 24-bit flags, then 32-bit fields
+const fullBox = (type, version, flags, ...fields) => {
+  const head = Buffer.alloc(4);
+  head[0] = version;
+  head.writeUIntBE(flags, 1, 3);
+  return box(type, head, ...fields.map(field => uint(field, 4)));
+};
+
+const ftyp = box('ftyp', Buffer.from('isom'), uint(0, 4), Buffer.from('isomiso2mp41'));
+
+// mvhd and mdhd share their leading fields: creation, modification, timescale, duration
+const movieHeader = (type, timescale, duration) => fullBox(type, 0, 0, 0, 0, timescale, duration);
+
+describe('getAudioDurationMs', () => {
+  describe('WebM', () => {
+    test('should read the Duration from the segment info', () => {
+      const file = Buffer.concat([
+        webmHeader,
+        ebml([0x18, 0x53, 0x80, 0x67], ebml([0x15, 0x49, 0xa9, 0x66], Buffer.concat([
+          timecodeScale,
+          ebml([0x44, 0x89], float64(3456.7))
+        ])))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/webm')).toBe(3457);
+    });
+
+    test('should scale the Duration by the timecode scale', () => {
+      const file = Buffer.concat([
+        webmHeader,
+        ebml([0x18, 0x53, 0x80, 0x67], ebml([0x15, 0x49, 0xa9, 0x66], Buffer.concat([
+          ebml([0x2a, 0xd7, 0xb1], uint(100000, 3)),
+          ebml([0x44, 0x89], float64(25000))
+        ])))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/webm')).toBe(2500);
+    });
+
+    test('should fall back to the last block of a streamed recording without a Duration', () => {
+      const file = Buffer.concat([
+        webmHeader,
+        ebml([0x18, 0x53, 0x80, 0x67], Buffer.concat([
+          ebml([0x15, 0x49, 0xa9, 0x66], timecodeScale),
+          ebml([0x16, 0x54, 0xae, 0x6b], Buffer.alloc(12)),
+          ebml([0x1f, 0x43, 0xb6, 0x75], Buffer.concat([
+            ebml([0xe7], uint(0, 1)),
+            simpleBlock(0),
+            simpleBlock(980)
+          ]), true),
+          ebml([0x1f, 0x43, 0xb6, 0x75], Buffer.concat([
+            ebml([0xe7], uint(1000, 2)),
+            simpleBlock(0),
+            simpleBlock(1500)
+          ]), true)
+        ]), true)
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/webm')).toBe(2500);
+    });
+
+    test('should return null when neither a Duration nor blocks are present', () => {
+      const file = Buffer.concat([
+        webmHeader,
+        ebml([0x18, 0x53, 0x80, 0x67], ebml([0x15, 0x49, 0xa9, 0x66], timecodeScale), true)
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/webm')).toBeNull();
+    });
+  });
+
+  describe('Ogg', () => {
+    test('should read an Opus stream from its last granule position, less the pre-skip', () => {
+      const file = Buffer.concat([
+        oggPage(0, opusHead(312)),
+        oggPage(0, Buffer.from('OpusTags')),
+        oggPage(-1, Buffer.alloc(300)),
+        oggPage(48000 * 2 + 312, Buffer.alloc(100))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/ogg')).toBe(2000);
+    });
+
+    test('should read a Vorbis stream at its own sample rate', () => {
+      const file = Buffer.concat([
+        oggPage(0, vorbisHead(44100)),
+        oggPage(44100 * 3, Buffer.alloc(100))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/ogg')).toBe(3000);
+    });
+
+    test('should return null for other codecs', () => {
+      const file = Buffer.concat([
+        oggPage(0, Buffer.from('\x80theora', 'latin1')),
+        oggPage(90000, Buffer.alloc(100))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/ogg')).toBeNull();
+    });
+  });
+
+  describe('MP4', () => {
+    test('should read the movie header duration', () => {
+      const file = Buffer.concat([
+        ftyp,
+        box('moov', movieHeader('mvhd', 1000, 4200))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/mp4')).toBe(4200);
+    });
+
+    test('should read a version 1 movie header', () => {
+      const head = Buffer.alloc(32);
+      head[0] = 1;
+      head.writeUInt32BE(600, 20);
+      head.writeBigUInt64BE(900n, 24);
+      const file = Buffer.concat([ftyp, box('moov', box('mvhd', head))]);
+
+      expect(getAudioDurationMs(file, 'audio/mp4')).toBe(1500);
+    });
+
+    test('should add up the fragments of a streamed recording', () => {
+      const file = Buffer.concat([
+        ftyp,
+        box('moov',
+          movieHeader('mvhd', 1000, 0),
+          box('trak', box('mdia', movieHeader('mdhd', 48000, 0)))),
+        // 50 samples at the default duration
+        box('moof', box('traf',
+          fullBox('tfhd', 0, 0x08, 1, 1024),
+          fullBox('trun', 0, 0, 50))),
+        box('mdat', Buffer.alloc(64)),
+        // 3 samples, each listing its duration and size
+        box('moof', box('traf',
+          fullBox('tfhd', 0, 0, 1),
+          fullBox('trun', 0, 0x300, 3, 1024, 10, 1024, 10, 512, 10))),
+        box('mdat', Buffer.alloc(30))
+      ]);
+
+      expect(getAudioDurationMs(file, 'audio/mp4')).toBe(Math.round((50 * 1024 + 2560) * 1000 / 48000));
+    });
+
+    test('should return null without a movie header', () => {
+      expect(getAudioDurationMs(Buffer.concat([ftyp, box('mdat', Buffer.alloc(64))]), 'audio/mp4')).toBeNull();
+    });
+  });
+
+  test('should return null for truncated files and unsupported types', () => {
+    const file = Buffer.concat([ftyp, box('moov', movieHeader('mvhd', 1000, 4200))]);
+
+    expect(getAudioDurationMs(file.subarray(0, file.length - 6), 'audio/mp4')).toBeNull();
+    expect(getAudioDurationMs(file, 'audio/wav')).toBeNull();
+    expect(getAudioDurationMs(null, 'audio/mp4')).toBeNull();
+  });
+});
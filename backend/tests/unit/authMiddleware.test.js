@@ -0,0 +1,82 @@
+// Unit tests run without the shared setup file, so sign tokens with a test secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { authenticateToken, optionalAuth } = require('../../src/middleware/authMiddleware');
+const { getUserById } = require('../../src/services/authService');
+const { isSessionActive } = require('../../src/services/sessionService');
+const { generateToken } = require('../../src/utils/auth');
+
+jest.mock('../../src/services/authService', () => ({ getUserById: jest.fn() }));
+jest.mock('../../src/services/sessionService', () => ({ isSessionActive: jest.fn() }));
+
+const user = { id: 'user-1', username: 'alice', email: 'alice@example.com' };
+
+const request = (token) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {}
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Auth middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserById.mockResolvedValue(user);
+    isSessionActive.mockResolvedValue(true);
+  });
+
+  describe('authenticateToken', () => {
+    test('should accept a token whose session is active', async () => {
+      const req = request(generateToken(user, 'session-1'));
+      const next = jest.fn();
+
+      await authenticateToken(req, response(), next);
+
+      expect(isSessionActive).toHaveBeenCalledWith('session-1');
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual(user);
+      expect(req.sessionId).toBe('session-1');
+    });
+
+    test('should reject a token whose session has been revoked', async () => {
+      isSessionActive.mockResolvedValue(false);
+      const req = request(generateToken(user, 'session-1'));
+      const res = response();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('SESSION_REVOKED');
+      expect(getUserById).not.toHaveBeenCalled();
+    });
+
+    test('should reject missing and invalid tokens', async () => {
+      const missing = response();
+      await authenticateToken(request(null), missing, jest.fn());
+      expect(missing.json.mock.calls[0][0].error.code).toBe('MISSING_TOKEN');
+
+      const invalid = response();
+      await authenticateToken(request('not-a-token'), invalid, jest.fn());
+      expect(invalid.json.mock.calls[0][0].error.code).toBe('INVALID_TOKEN');
+    });
+  });
+
+  describe('optionalAuth', () => {
+    test('should treat a token of a revoked session as no token', async () => {
+      isSessionActive.mockResolvedValue(false);
+      const req = request(generateToken(user, 'session-1'));
+      const next = jest.fn();
+
+      await optionalAuth(req, response(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeNull();
+    });
+  });
+});
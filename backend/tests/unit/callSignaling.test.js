@@ -0,0 +1,308 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+const CallSignaling = require('../../src/services/callSignaling');
+
+const RING_TIMEOUT_MS = 30000;
+const CONVERSATION_ID = 'conversation-1';
+const OTHER_CONVERSATION_ID = 'conversation-2';
+
+const users = {
+  alice: 'user-alice',
+  bob: 'user-bob',
+  carol: 'user-carol',
+  dave: 'user-dave'
+};
+
+// Dave is only in the other conversation
+const participants = {
+  [CONVERSATION_ID]: [users.alice, users.bob, users.carol],
+  [OTHER_CONVERSATION_ID]: [users.alice, users.dave]
+};
+
+/**
+ * In-memory stand-in for CallService
+ */
+class MemoryCallStore {
+  constructor() {
+    this.calls = new Map();
+    this.nextId = 1;
+  }
+
+  async assertParticipants(conversationId, userIds) {
+    const members = participants[conversationId] || [];
+    if (!userIds.every(userId => members.includes(userId))) {
+      throw new Error('Failed to check call participants: User is not a participant in this conversation');
+    }
+  }
+
+  async createCall(data) {
+    const call = {
+      id: `call-${this.nextId++}`,
+      status: 'INVITED',
+      outcome: null,
+      endedById: null,
+      createdAt: new Date(),
+      answeredAt: null,
+      endedAt: null,
+      durationSeconds: null,
+      ...data
+    };
+    this.calls.set(call.id, call);
+    return { ...call };
+  }
+
+  async getCall(callId) {
+    const call = this.calls.get(callId);
+    return call ? { ...call } : null;
+  }
+
+  async updateCall(callId, fromStatuses, changes) {
+    const call = this.calls.get(callId);
+    if (!call || !fromStatuses.includes(call.status)) {
+      return null;
+    }
+    Object.assign(call, changes);
+    return { ...call };
+  }
+
+  async findOngoingCalls(userIds) {
+    return [...this.calls.values()]
+      .filter(call => call.status !== 'ENDED')
+      .filter(call => userIds.includes(call.callerId) || userIds.includes(call.calleeId))
+      .map(call => ({ ...call }));
+  }
+}
+
+/**
+ * Fake peers: users online or not, and the events each one was sent
+ */
+class FakePeers {
+  constructor() {
+    this.online = new Set(Object.values(users));
+    this.events = [];
+  }
+
+  emitToUser(userId, event, payload) {
+    this.events.push({ userId, event, payload });
+  }
+
+  async isUserOnline(userId) {
+    return this.online.has(userId);
+  }
+
+  /**
+   * Take the events sent so far
+   * @returns {Array<object>} { userId, event, payload } in the order they were sent
+   */
+  drain() {
+    return this.events.splice(0);
+  }
+}
+
+/**
+ * The payload of the event a user was sent, if any
+ * @param {Array<object>} events - Drained events
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @returns {object|undefined} The event's payload
+ */
+function sentTo(events, userId, event) {
+  return events.find(e => e.userId === userId && e.event === event)?.payload;
+}
+
+describe('CallSignaling', () => {
+  let peers;
+  let signaling;
+
+  const invite = (callerId, calleeId, media) =>
+    signaling.invite(callerId, { conversationId: CONVERSATION_ID, calleeId, media });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2025-01-01T12:00:00Z') });
+    peers = new FakePeers();
+    signaling = new CallSignaling({
+      peers,
+      callService: new MemoryCallStore(),
+      ringTimeoutMs: RING_TIMEOUT_MS,
+      timers: { setTimeout, clearTimeout },
+      now: () => new Date()
+    });
+  });
+
+  afterEach(() => {
+    signaling.close();
+    jest.useRealTimers();
+  });
+
+  describe('answered calls', () => {
+    let call;
+
+    beforeEach(async () => {
+      call = await invite(users.alice, users.bob, 'VIDEO');
+    });
+
+    test('should create an INVITED call and tell the callee', () => {
+      expect(call).toMatchObject({ status: 'INVITED', media: 'VIDEO' });
+      expect(sentTo(peers.drain(), users.bob, 'call_incoming')?.call.id).toBe(call.id);
+    });
+
+    test('should only let the callee answer', async () => {
+      await expect(signaling.accept(users.alice, call.id)).rejects.toThrow('Only the callee');
+      await expect(signaling.accept(users.carol, call.id)).rejects.toThrow('Call not found');
+    });
+
+    test('should not relay signals before the call is answered', async () => {
+      await expect(signaling.relay(users.alice, call.id, 'offer', { sdp: {} })).rejects.toThrow('not active');
+    });
+
+    test('should tell the caller once that the callee is ringing', async () => {
+      peers.drain();
+
+      call = await signaling.ring(users.bob, call.id);
+      expect(call.status).toBe('RINGING');
+      expect(sentTo(peers.drain(), users.alice, 'call_ringing')).toBeDefined();
+
+      // A second ringing device
+      await signaling.ring(users.bob, call.id);
+      expect(peers.drain()).toHaveLength(0);
+    });
+
+    test('should tell both users the call was answered, so other devices stop ringing', async () => {
+      peers.drain();
+
+      call = await signaling.accept(users.bob, call.id);
+      const events = peers.drain();
+
+      expect(call.status).toBe('ACTIVE');
+      expect(sentTo(events, users.alice, 'call_accepted')).toBeDefined();
+      expect(sentTo(events, users.bob, 'call_accepted')).toBeDefined();
+      await expect(signaling.accept(users.bob, call.id)).rejects.toThrow('no longer ringing');
+    });
+
+    test('should relay offer, answer and ICE candidates to the other user only', async () => {
+      await signaling.accept(users.bob, call.id);
+      peers.drain();
+
+      const offer = { sdp: { type: 'offer', sdp: 'v=0' } };
+      await signaling.relay(users.alice, call.id, 'offer', offer);
+      await signaling.relay(users.bob, call.id, 'answer', { sdp: { type: 'answer', sdp: 'v=0' } });
+      await signaling.relay(users.bob, call.id, 'ice_candidate', { candidate: { candidate: 'candidate:1' } });
+      const events = peers.drain();
+
+      expect(sentTo(events, users.bob, 'call_offer')?.sdp).toEqual(offer.sdp);
+      expect(sentTo(events, users.alice, 'call_answer')).toBeDefined();
+      expect(sentTo(events, users.alice, 'call_ice_candidate')?.fromUserId).toBe(users.bob);
+      expect(events).toHaveLength(3);
+    });
+
+    test('should not end an answered call when the ring timeout passes', async () => {
+      await signaling.accept(users.bob, call.id);
+      peers.drain();
+
+      await jest.advanceTimersByTimeAsync(RING_TIMEOUT_MS);
+
+      expect(peers.drain()).toHaveLength(0);
+      expect((await signaling.callService.getCall(call.id)).status).toBe('ACTIVE');
+    });
+
+    test('should complete the call on hang up, counting from the answer', async () => {
+      await jest.advanceTimersByTimeAsync(5000);
+      await signaling.accept(users.bob, call.id);
+      await jest.advanceTimersByTimeAsync(42000);
+      peers.drain();
+
+      call = await signaling.hangup(users.bob, call.id);
+      const events = peers.drain();
+
+      expect(call).toMatchObject({ outcome: 'COMPLETED', endedById: users.bob, durationSeconds: 42 });
+      expect(sentTo(events, users.alice, 'call_ended')).toBeDefined();
+      expect(sentTo(events, users.bob, 'call_ended')).toBeDefined();
+
+      // Hanging up an ended call changes nothing
+      expect((await signaling.hangup(users.alice, call.id)).outcome).toBe('COMPLETED');
+      expect(peers.drain()).toHaveLength(0);
+    });
+  });
+
+  describe('unanswered calls', () => {
+    test('should end as DECLINED when the callee declines', async () => {
+      const call = await invite(users.alice, users.bob);
+
+      expect(await signaling.decline(users.bob, call.id)).toMatchObject({ outcome: 'DECLINED', durationSeconds: null });
+    });
+
+    test('should end as CANCELLED when the caller hangs up first', async () => {
+      const call = await invite(users.alice, users.bob);
+
+      expect((await signaling.hangup(users.alice, call.id)).outcome).toBe('CANCELLED');
+    });
+
+    test('should be missed after the ring timeout', async () => {
+      let call = await invite(users.alice, users.bob);
+      peers.drain();
+
+      await jest.advanceTimersByTimeAsync(RING_TIMEOUT_MS);
+      call = await signaling.callService.getCall(call.id);
+
+      expect(call.outcome).toBe('MISSED');
+      expect(sentTo(peers.drain(), users.alice, 'call_ended')).toBeDefined();
+      await expect(signaling.accept(users.bob, call.id)).rejects.toThrow('no longer ringing');
+    });
+  });
+
+  describe('busy and offline callees', () => {
+    let ongoing;
+
+    beforeEach(async () => {
+      ongoing = await invite(users.alice, users.bob);
+      await signaling.accept(users.bob, ongoing.id);
+      peers.drain();
+    });
+
+    test('should end a call to a user in another call as BUSY', async () => {
+      const call = await invite(users.carol, users.bob);
+
+      expect(call).toMatchObject({ status: 'ENDED', outcome: 'BUSY' });
+    });
+
+    test('should not let a user in a call place another one', async () => {
+      await expect(invite(users.alice, users.carol)).rejects.toThrow('already in a call');
+    });
+
+    test('should end a call left going by a user who went offline when it is found', async () => {
+      peers.online.delete(users.bob);
+
+      const call = await invite(users.alice, users.carol);
+
+      expect(call.status).toBe('INVITED');
+      expect((await signaling.callService.getCall(ongoing.id)).status).toBe('ENDED');
+    });
+
+    test('should record a call to an offline user as missed without ringing them', async () => {
+      peers.online.delete(users.bob);
+
+      const call = await invite(users.carol, users.bob);
+
+      expect(call.outcome).toBe('MISSED');
+      expect(sentTo(peers.drain(), users.bob, 'call_incoming')).toBeUndefined();
+    });
+  });
+
+  describe('who may call', () => {
+    test('should only call participants of the conversation', async () => {
+      await expect(invite(users.alice, users.dave)).rejects.toThrow('not a participant');
+      await expect(invite(users.dave, users.alice)).rejects.toThrow('not a participant');
+    });
+
+    test('should not let users call themselves', async () => {
+      await expect(invite(users.alice, users.alice)).rejects.toThrow('Cannot call yourself');
+    });
+
+    test('should only place audio and video calls', async () => {
+      await expect(invite(users.alice, users.bob, 'SCREEN')).rejects.toThrow('Invalid call media');
+    });
+  });
+});
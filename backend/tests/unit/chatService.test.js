@@ -0,0 +1,242 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(),
+  Prisma: {
+    DbNull: 'DbNull',
+    TransactionIsolationLevel: { Serializable: 'Serializable' },
+    sql: (strings, ...values) => ({ text: strings.join('?'), values }),
+    join: (fragments) => ({ text: fragments.map(fragment => fragment.text).join(' AND ') })
+  }
+}));
+
+jest.mock('../../src/services/storage', () => ({
+  getStorageAdapter: () => ({ delete: jest.fn(async () => {}) })
+}));
+
+const ChatService = require('../../src/services/chatService');
+
+const NOT_EXPIRED = expect.objectContaining({
+  AND: [{ OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }] }]
+});
+
+const createPrisma = () => ({
+  conversation: {
+    findMany: jest.fn(async () => [])
+  },
+  conversationParticipant: {
+    findUnique: jest.fn(async () => ({ conversationId: 'conversation-1', userId: 'user-1' })),
+    findMany: jest.fn(async () => [{ conversationId: 'conversation-1' }])
+  },
+  message: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(async () => []),
+    count: jest.fn(async () => 0),
+    update: jest.fn(async ({ data }) => ({ ...sentMessage(), ...data, reactions: [] }))
+  },
+  attachment: {
+    findMany: jest.fn(async () => []),
+    deleteMany: jest.fn(async () => ({ count: 0 }))
+  },
+  messageRevision: {
+    create: jest.fn(async ({ data }) => data),
+    deleteMany: jest.fn(async () => ({ count: 0 }))
+  },
+  messageMention: { deleteMany: jest.fn(async () => ({ count: 0 })) },
+  reaction: { deleteMany: jest.fn(async () => ({ count: 0 })) },
+  pinnedMessage: {
+    findUnique: jest.fn(async () => null),
+    findMany: jest.fn(async () => []),
+    count: jest.fn(async () => 0),
+    create: jest.fn(async ({ data }) => data),
+    deleteMany: jest.fn(async () => ({ count: 0 }))
+  },
+  poll: { deleteMany: jest.fn(async () => ({ count: 0 })) },
+  $queryRaw: jest.fn(async () => []),
+  $transaction: jest.fn(async function (callback) {
+    return callback(this);
+  })
+});
+
+const sentMessage = () => ({
+  id: 'message-1',
+  conversationId: 'conversation-1',
+  senderId: 'user-1',
+  type: 'TEXT',
+  format: 'PLAIN',
+  content: 'Hello @bob',
+  metadata: { forwardedFrom: { messageId: 'message-0' } },
+  createdAt: new Date(),
+  deletedAt: null
+});
+
+describe('ChatService', () => {
+  let prisma;
+  let webhookService;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    webhookService = { publish: jest.fn(), redactMessageDeliveries: jest.fn(), refreshMessageDeliveries: jest.fn() };
+    service = new ChatService(prisma, webhookService);
+  });
+
+  describe('expired messages', () => {
+    test('should leave them out of the conversation preview and unread counts', async () => {
+      await service.getUserConversations('user-1');
+      await service.countUnreadMessages('conversation-1', 'user-1');
+
+      const [{ include }] = prisma.conversation.findMany.mock.calls[0];
+      expect(include.messages.where).toEqual(NOT_EXPIRED);
+      expect(prisma.message.count.mock.calls[0][0].where).toEqual(NOT_EXPIRED);
+      expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('m."expiresAt" > now()');
+    });
+
+    test('should leave them out of message pages, around a cursor too', async () => {
+      const cursor = { id: 'message-5', conversationId: 'conversation-1', createdAt: new Date() };
+      prisma.message.findUnique.mockResolvedValue(cursor);
+
+      await service.getConversationMessages('conversation-1', 'user-1', { before: 'message-5' });
+      await service.getConversationMessages('conversation-1', 'user-1', { around: 'message-5' });
+
+      const wheres = prisma.message.findMany.mock.calls.map(([{ where }]) => where);
+      expect(wheres).toHaveLength(3);
+      wheres.forEach(where => {
+        expect(where).toEqual(NOT_EXPIRED);
+        // The keyset condition is kept alongside it
+        expect(where.OR).toHaveLength(2);
+      });
+    });
+
+    test('should leave them out of missed messages and thread replies', async () => {
+      await service.getMissedMessages('user-1', [{ conversationId: 'conversation-1' }]);
+      prisma.message.findUnique.mockResolvedValue({ id: 'root-1', conversationId: 'conversation-1', threadId: null, type: 'TEXT', expiresAt: null, reactions: [] });
+      await service.getThreadMessages('conversation-1', 'root-1', 'user-1');
+
+      prisma.message.findMany.mock.calls.forEach(([{ where }]) => expect(where).toEqual(NOT_EXPIRED));
+    });
+
+    test('should treat an expired thread root as not found', async () => {
+      prisma.message.findUnique.mockResolvedValue({
+        id: 'root-1',
+        conversationId: 'conversation-1',
+        threadId: null,
+        type: 'TEXT',
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      await expect(service.getThreadRoot('conversation-1', 'root-1', 'user-1')).rejects.toThrow('Thread not found');
+    });
+
+    test('should leave them out of search results', async () => {
+      await service.searchMessages('user-1', { query: 'hello' });
+
+      const [, ...values] = prisma.$queryRaw.mock.calls[0];
+      const filters = values.find(value => value && typeof value.text === 'string');
+      expect(filters.text).toContain('(m."expiresAt" IS NULL OR m."expiresAt" > now())');
+    });
+  });
+
+  describe('searchMessages', () => {
+    test('should say which thread a matching reply belongs to', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { id: 'reply-1', headline: 'hello there' },
+        { id: 'message-1', headline: 'hello' }
+      ]);
+      prisma.message.findMany.mockResolvedValue([
+        { ...sentMessage(), id: 'reply-1', threadId: 'message-0', reactions: [], conversation: { id: 'conversation-1' } },
+        { ...sentMessage(), threadId: null, reactions: [], conversation: { id: 'conversation-1' } }
+      ]);
+
+      const { results } = await service.searchMessages('user-1', { query: 'hello' });
+
+      expect(results.map(({ message, threadId }) => [message.id, threadId])).toEqual([
+        ['reply-1', 'message-0'],
+        ['message-1', null]
+      ]);
+    });
+  });
+
+  describe('editMessage', () => {
+    test('should put the edited text into webhook events not sent yet', async () => {
+      const editedAt = new Date();
+      prisma.message.findUnique
+        .mockResolvedValueOnce(sentMessage())
+        .mockResolvedValueOnce({
+          ...sentMessage(),
+          content: 'Hello @carol',
+          editedAt,
+          sender: { id: 'user-1', username: 'alice' },
+          attachments: [],
+          mentions: [],
+          reactions: []
+        });
+
+      await service.editMessage('conversation-1', 'message-1', 'user-1', 'Hello @carol');
+
+      expect(webhookService.refreshMessageDeliveries).toHaveBeenCalledWith('message-1', expect.objectContaining({
+        id: 'message-1',
+        content: 'Hello @carol',
+        editedAt
+      }), prisma);
+    });
+  });
+
+  describe('deleteMessageForEveryone', () => {
+    test('should remove the message\'s mentions with the rest of it', async () => {
+      prisma.message.findUnique.mockResolvedValue(sentMessage());
+
+      await service.deleteMessageForEveryone('conversation-1', 'message-1', 'user-1');
+
+      expect(prisma.messageMention.deleteMany).toHaveBeenCalledWith({ where: { messageId: 'message-1' } });
+      expect(webhookService.redactMessageDeliveries).toHaveBeenCalledWith({ id: 'message-1' }, prisma);
+    });
+
+    test('should clear the metadata along with the content', async () => {
+      prisma.message.findUnique.mockResolvedValue(sentMessage());
+
+      await service.deleteMessageForEveryone('conversation-1', 'message-1', 'user-1');
+
+      expect(prisma.message.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ content: '', metadata: 'DbNull' })
+      }));
+    });
+  });
+
+  describe('pinMessage', () => {
+    const serializationFailure = () => Object.assign(new Error('Transaction failed due to a write conflict'), { code: 'P2034' });
+
+    beforeEach(() => {
+      prisma.message.findUnique.mockResolvedValue(sentMessage());
+    });
+
+    test('should retry when a concurrent pin wins the serialization conflict', async () => {
+      prisma.pinnedMessage.count
+        .mockRejectedValueOnce(serializationFailure())
+        .mockResolvedValueOnce(1);
+
+      const summary = await service.pinMessage('conversation-1', 'message-1', 'user-1');
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+      expect(prisma.pinnedMessage.create).toHaveBeenCalledTimes(1);
+      expect(summary).toEqual({ conversationId: 'conversation-1', pins: [] });
+    });
+
+    test('should give up with a conflict once its attempts run out', async () => {
+      prisma.pinnedMessage.count.mockRejectedValue(serializationFailure());
+
+      await expect(service.pinMessage('conversation-1', 'message-1', 'user-1'))
+        .rejects.toThrow('Pin conflicted with concurrent changes, try again');
+      expect(prisma.$transaction).toHaveBeenCalledTimes(3);
+      expect(prisma.pinnedMessage.create).not.toHaveBeenCalled();
+    });
+
+    test('should treat a concurrent pin of the same message as success', async () => {
+      prisma.pinnedMessage.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(service.pinMessage('conversation-1', 'message-1', 'user-1')).resolves.toEqual({
+        conversationId: 'conversation-1',
+        pins: []
+      });
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { validateAttachment, validateVoiceNote } = require('../../src/utils/fileValidation');
+
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const jpegSignature = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+const upload = (mimetype, buffer, overrides = {}) => ({
+  originalname: 'file',
+  mimetype,
+  size: buffer.length,
+  buffer,
+  ...overrides
+});
+
+// MP4 with only a movie header stating its length, padded to a given size
+const mp4Recording = (durationMs, size = 1024) => {
+  const mvhd = Buffer.alloc(28);
+  mvhd.writeUInt32BE(28);
+  mvhd.write('mvhd', 4, 'latin1');
+  mvhd.writeUInt32BE(1000, 20);
+  mvhd.writeUInt32BE(durationMs, 24);
+
+  const moov = Buffer.concat([Buffer.alloc(8), mvhd]);
+  moov.writeUInt32BE(moov.length);
+  moov.write('moov', 4, 'latin1');
+
+  const ftyp = Buffer.from('00000010667479706d703432', 'hex');
+  const header = Buffer.concat([ftyp, Buffer.alloc(4), moov]);
+  const mdat = Buffer.alloc(Math.max(size - header.length, 8));
+  mdat.writeUInt32BE(mdat.length);
+  mdat.write('mdat', 4, 'latin1');
+
+  return Buffer.concat([header, mdat]);
+};
+
+describe('File validation', () => {
+  const originalMaxDuration = process.env.VOICE_NOTE_MAX_DURATION_SECONDS;
+
+  afterEach(() => {
+    if (originalMaxDuration === undefined) {
+      delete process.env.VOICE_NOTE_MAX_DURATION_SECONDS;
+    } else {
+      process.env.VOICE_NOTE_MAX_DURATION_SECONDS = originalMaxDuration;
+    }
+  });
+
+  describe('validateAttachment', () => {
+    test('should accept an allowed type whose contents match it', () => {
+      expect(validateAttachment(upload('image/png', pngSignature))).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should accept types without a known signature', () => {
+      expect(validateAttachment(upload('text/plain', Buffer.from('hello'))).isValid).toBe(true);
+    });
+
+    test('should reject contents that do not match the declared type', () => {
+      const result = validateAttachment(upload('image/png', jpegSignature));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('File contents do not match its type');
+    });
+
+    test('should reject types that are not allowed', () => {
+      const result = validateAttachment(upload('text/html', Buffer.from('<script>')));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('File type text/html is not allowed');
+    });
+
+    test('should reject missing, empty, oversized and unnamed files', () => {
+      expect(validateAttachment(null).errors).toEqual(['File is required']);
+      expect(validateAttachment(upload('text/plain', Buffer.alloc(0))).errors).toContain('File is empty');
+      expect(validateAttachment(upload('text/plain', Buffer.from('hi')), { maxSize: 1 }).isValid).toBe(false);
+      expect(validateAttachment(upload('text/plain', Buffer.from('hi'), { originalname: '' })).isValid).toBe(false);
+    });
+  });
+
+  describe('validateVoiceNote', () => {
+    test('should return the length read from the recording', () => {
+      expect(validateVoiceNote(upload('audio/mp4', mp4Recording(4200)))).toEqual({
+        isValid: true,
+        errors: [],
+        durationMs: 4200
+      });
+    });
+
+    test('should reject recordings whose length cannot be read', () => {
+      const recording = Buffer.concat([Buffer.from('1a45dfa3', 'hex'), Buffer.alloc(60)]);
+      const result = validateVoiceNote(upload('audio/webm', recording));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Could not read the recording\'s length');
+    });
+
+    test('should reject recordings that are too short or too long', () => {
+      process.env.VOICE_NOTE_MAX_DURATION_SECONDS = '60';
+
+      expect(validateVoiceNote(upload('audio/mp4', mp4Recording(200))).errors)
+        .toEqual(['Duration must be between 0.5 and 60 seconds']);
+      expect(validateVoiceNote(upload('audio/mp4', mp4Recording(61000))).errors)
+        .toEqual(['Duration must be between 0.5 and 60 seconds']);
+    });
+
+    test('should reject recordings far larger than their length allows', () => {
+      const result = validateVoiceNote(upload('audio/mp4', mp4Recording(1000, 200 * 1024)));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('File is too large for its duration');
+    });
+
+    test('should not read a length from files that fail the basic checks', () => {
+      const result = validateVoiceNote(upload('audio/mpeg', mp4Recording(4200)));
+
+      expect(result).toEqual({
+        isValid: false,
+        errors: ['File type audio/mpeg is not allowed'],
+        durationMs: null
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+const ScheduledMessageService = require('../../src/services/scheduledMessageService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const createPrisma = () => ({
+  scheduledMessage: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+    update: jest.fn(async ({ data }) => ({ id: 'scheduled-1', ...data }))
+  }
+});
+
+const createChatService = () => ({
+  sendMessage: jest.fn(async () => ({ id: 'message-1', createdAt: NOW })),
+  findScheduledDelivery: jest.fn(async () => null)
+});
+
+const scheduled = (changes = {}) => ({
+  id: 'scheduled-1',
+  conversationId: 'conversation-1',
+  senderId: 'user-1',
+  content: 'Good morning',
+  format: 'PLAIN',
+  status: 'PENDING',
+  claimedAt: null,
+  sendAt: new Date('2026-03-01T11:59:00Z'),
+  ...changes
+});
+
+describe('ScheduledMessageService', () => {
+  let prisma;
+  let chatService;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    chatService = createChatService();
+    service = new ScheduledMessageService(prisma, chatService);
+  });
+
+  describe('deliverDueMessages', () => {
+    test('should pick up due messages and deliveries whose claim went stale', async () => {
+      prisma.scheduledMessage.findMany.mockResolvedValue([]);
+
+      await service.deliverDueMessages(NOW, 10);
+
+      const [{ where, take }] = prisma.scheduledMessage.findMany.mock.calls[0];
+      expect(take).toBe(10);
+      expect(where.OR).toEqual([
+        { status: 'PENDING', sendAt: { lte: NOW } },
+        { status: 'SENDING', claimedAt: { lt: new Date(NOW.getTime() - 5 * 60 * 1000) } }
+      ]);
+    });
+
+    test('should send a message only once when two runs race for it', async () => {
+      const row = scheduled();
+      prisma.scheduledMessage.findMany.mockResolvedValue([row]);
+      // The row only matches the conditional claim until the first run has taken it
+      prisma.scheduledMessage.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      const [first, second] = await Promise.all([
+        service.deliverDueMessages(NOW),
+        service.deliverDueMessages(NOW)
+      ]);
+
+      expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+      expect([...first, ...second]).toHaveLength(1);
+    });
+  });
+
+  describe('deliver', () => {
+    test('should claim the row as it was read before sending', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+
+      await service.deliver(scheduled(), NOW);
+
+      expect(prisma.scheduledMessage.updateMany).toHaveBeenCalledWith({
+        where: { id: 'scheduled-1', status: 'PENDING', claimedAt: null },
+        data: { status: 'SENDING', claimedAt: NOW }
+      });
+    });
+
+    test('should do nothing when another run claimed the message', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(service.deliver(scheduled(), NOW)).resolves.toBeNull();
+      expect(chatService.sendMessage).not.toHaveBeenCalled();
+      expect(prisma.scheduledMessage.update).not.toHaveBeenCalled();
+    });
+
+    test('should send the message tagged with its scheduled message and mark it sent', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await service.deliver(scheduled({ format: 'MARKDOWN' }), NOW);
+
+      expect(chatService.sendMessage).toHaveBeenCalledWith('conversation-1', 'user-1', 'Good morning', {
+        metadata: { scheduledMessageId: 'scheduled-1' },
+        format: 'MARKDOWN'
+      });
+      expect(prisma.scheduledMessage.update.mock.calls[0][0].data).toEqual({
+        status: 'SENT',
+        messageId: 'message-1',
+        sentAt: NOW,
+        claimedAt: null
+      });
+      expect(result.message.id).toBe('message-1');
+    });
+
+    test('should complete a stale delivery whose message was already sent instead of repeating it', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+      chatService.findScheduledDelivery.mockResolvedValue({ id: 'message-0', createdAt: NOW });
+      const stale = scheduled({ status: 'SENDING', claimedAt: new Date('2026-03-01T11:00:00Z') });
+
+      const result = await service.deliver(stale, NOW);
+
+      expect(chatService.findScheduledDelivery).toHaveBeenCalledWith('conversation-1', 'scheduled-1');
+      expect(chatService.sendMessage).not.toHaveBeenCalled();
+      expect(prisma.scheduledMessage.updateMany.mock.calls[0][0].where.claimedAt).toBe(stale.claimedAt);
+      expect(result.scheduledMessage).toMatchObject({ status: 'SENT', messageId: 'message-0' });
+    });
+
+    test('should send a stale delivery whose message never went out', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+
+      await service.deliver(scheduled({ status: 'SENDING', claimedAt: new Date('2026-03-01T11:00:00Z') }), NOW);
+
+      expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should mark the message failed and release its claim when sending fails', async () => {
+      prisma.scheduledMessage.updateMany.mockResolvedValue({ count: 1 });
+      chatService.sendMessage.mockRejectedValue(new Error('User is not a participant in this conversation'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await service.deliver(scheduled(), NOW);
+
+      expect(result.message).toBeNull();
+      expect(prisma.scheduledMessage.update.mock.calls[0][0].data).toEqual({
+        status: 'FAILED',
+        error: 'User is not a participant in this conversation',
+        claimedAt: null
+      });
+    });
+  });
+});
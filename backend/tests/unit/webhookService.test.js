@@ -0,0 +1,142 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+const WebhookService = require('../../src/services/webhookService');
+
+const createPrisma = () => ({
+  webhook: {
+    findMany: jest.fn()
+  },
+  webhookDelivery: {
+    createMany: jest.fn(),
+    updateMany: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn()
+  }
+});
+
+describe('WebhookService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    service = new WebhookService(prisma);
+  });
+
+  describe('publish', () => {
+    test('should queue one delivery per matching webhook, linked to the message', async () => {
+      prisma.webhook.findMany.mockResolvedValue([{ id: 'webhook-1' }, { id: 'webhook-2' }]);
+      prisma.webhookDelivery.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+
+      const count = await service.publish('message.created', { message: { id: 'message-1' } }, {
+        conversationId: 'conversation-1',
+        messageId: 'message-1'
+      });
+
+      expect(count).toBe(2);
+      const [{ data }] = prisma.webhookDelivery.createMany.mock.calls[0];
+      expect(data.map(delivery => delivery.webhookId)).toEqual(['webhook-1', 'webhook-2']);
+      expect(data.every(delivery => delivery.messageId === 'message-1')).toBe(true);
+      expect(data[0].eventId).toBe(data[1].eventId);
+      expect(data[0].payload).toMatchObject({ event: 'message.created', data: { message: { id: 'message-1' } } });
+    });
+
+    test('should not throw when queueing fails', async () => {
+      prisma.webhook.findMany.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(service.publish('message.created', {}, { conversationId: 'conversation-1' })).resolves.toBe(0);
+    });
+  });
+
+  describe('recordAttempt', () => {
+    const delivery = { id: 'delivery-1', attempts: 0, claimedAt: new Date('2025-01-01T00:00:00Z') };
+
+    test('should only update the delivery while the claim holds', async () => {
+      prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+      prisma.webhookDelivery.findUnique.mockResolvedValue({ id: 'delivery-1', status: 'SUCCEEDED' });
+
+      await expect(service.recordAttempt(delivery, { ok: true, statusCode: 204 }))
+        .resolves.toEqual({ id: 'delivery-1', status: 'SUCCEEDED' });
+
+      const [{ where, data }] = prisma.webhookDelivery.updateMany.mock.calls[0];
+      expect(where).toEqual({ id: 'delivery-1', status: 'DELIVERING', claimedAt: delivery.claimedAt });
+      expect(data).toMatchObject({ status: 'SUCCEEDED', attempts: 1, lastStatusCode: 204 });
+    });
+
+    test('should leave a delivery redacted while it was being sent alone', async () => {
+      prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(service.recordAttempt(delivery, { ok: false, error: 'HTTP 500' })).resolves.toBeNull();
+      expect(prisma.webhookDelivery.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redactMessageDeliveries', () => {
+    test('should dead-letter unsent deliveries and clear every payload of the messages', async () => {
+      const tx = createPrisma();
+      tx.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+
+      await service.redactMessageDeliveries({ id: { in: ['message-1', 'message-2'] } }, tx);
+
+      expect(prisma.webhookDelivery.updateMany).not.toHaveBeenCalled();
+      const [[unsent], [all]] = tx.webhookDelivery.updateMany.mock.calls;
+
+      expect(unsent.where).toEqual({
+        message: { is: { id: { in: ['message-1', 'message-2'] } } },
+        redactedAt: null,
+        status: { in: ['PENDING', 'DELIVERING'] }
+      });
+      expect(unsent.data).toMatchObject({ status: 'DEAD', claimedAt: null });
+
+      expect(all.where).toEqual({
+        message: { is: { id: { in: ['message-1', 'message-2'] } } },
+        redactedAt: null
+      });
+      expect(all.data).toEqual({ payload: 'DbNull', redactedAt: expect.any(Date) });
+    });
+  });
+
+  describe('refreshMessageDeliveries', () => {
+    test('should put the edited message into every queued event about it', async () => {
+      const tx = createPrisma();
+      const payload = { id: 'event-1', event: 'message.created', createdAt: '2026-01-01T00:00:00.000Z', data: { message: { id: 'message-1', content: 'Old' } } };
+      tx.webhookDelivery.findMany.mockResolvedValue([{ eventId: 'event-1', payload }]);
+      tx.webhookDelivery.updateMany.mockResolvedValue({ count: 2 });
+
+      await service.refreshMessageDeliveries('message-1', { id: 'message-1', content: 'New' }, tx);
+
+      const queued = { messageId: 'message-1', redactedAt: null, status: { in: ['PENDING', 'DELIVERING'] } };
+      expect(tx.webhookDelivery.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: queued }));
+      expect(tx.webhookDelivery.updateMany).toHaveBeenCalledWith({
+        where: { ...queued, eventId: 'event-1' },
+        data: { payload: { ...payload, data: { message: { id: 'message-1', content: 'New' } } } }
+      });
+      expect(prisma.webhookDelivery.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should leave events without a message alone', async () => {
+      const tx = createPrisma();
+      tx.webhookDelivery.findMany.mockResolvedValue([{ eventId: 'event-1', payload: { data: { conversation: {} } } }]);
+
+      await service.refreshMessageDeliveries('message-1', { id: 'message-1' }, tx);
+
+      expect(tx.webhookDelivery.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeliver', () => {
+    test('should refuse to send a redacted delivery again', async () => {
+      jest.spyOn(service, 'getOwnWebhook').mockResolvedValue({ id: 'webhook-1', userId: 'user-1' });
+      prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+      prisma.webhookDelivery.findFirst.mockResolvedValue({ id: 'delivery-1', redactedAt: new Date() });
+
+      await expect(service.redeliver('user-1', 'webhook-1', 'delivery-1')).rejects.toThrow('was redacted');
+      expect(prisma.webhookDelivery.updateMany.mock.calls[0][0].where).toMatchObject({ redactedAt: null });
+    });
+  });
+});
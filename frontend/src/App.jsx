@@ -9,6 +9,7 @@ import ChatPage from './pages/ChatPage';
 import DashboardPage from './pages/DashboardPage';
 import Contacts from './pages/Contacts';
 import useSocket from './hooks/useSocket';
+import useOutbox from './hooks/useOutbox';
 import ErrorBoundary from './components/ErrorBoundary';
 import NetworkStatus from './components/NetworkStatus';
 
@@ -22,6 +23,9 @@ function App() {
   // Initialize socket connection
   useSocket();
 
+  // Send messages written while offline
+  useOutbox();
+
   useEffect(() => {
     console.log('App useEffect - token:', token, 'isAuthenticated:', isAuthenticated);
     // Check if user is authenticated on app load
@@ -0,0 +1,85 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchSessions, revokeSession, revokeOtherSessions } from '../store/slices/authSlice';
+
+// Short, readable name for the browser and OS in a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari']
+    .find(name => userAgent.includes(`${name}/`));
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+  return [browserName, os?.[1]].filter(Boolean).join(' on ') || 'Unknown device';
+};
+
+const ActiveSessions = () => {
+  const dispatch = useDispatch();
+  const { sessions, isLoadingSessions, sessionsError } = useSelector(state => state.auth);
+
+  useEffect(() => {
+    dispatch(fetchSessions());
+  }, [dispatch]);
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="card mt-8">
+      <div className="card-header flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Active Sessions</h2>
+        {otherSessions.length > 0 && (
+          <button
+            onClick={() => dispatch(revokeOtherSessions())}
+            className="btn-danger text-xs px-3 py-1"
+          >
+            Sign out other devices
+          </button>
+        )}
+      </div>
+      <div className="card-body">
+        {sessionsError && (
+          <p className="mb-3 text-sm text-red-600">{sessionsError}</p>
+        )}
+        {isLoadingSessions && sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading sessions...</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <span className="ml-2 text-xs text-green-600">This device</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => dispatch(revokeSession(session.id))}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
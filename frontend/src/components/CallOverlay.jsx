@@ -0,0 +1,213 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  acceptCall,
+  declineCall,
+  hangUpCall,
+  setCallMuted,
+  setCallCameraOff,
+  callDismissed
+} from '../store/slices/callSlice';
+import callManager from '../services/callManager';
+import { formatDuration } from '../utils/voiceNotes';
+import { getCallPeer, isCallRinging, describeCallOutcome } from '../utils/calls';
+
+// How long the outcome of an ended call stays on screen
+const ENDED_DISMISS_DELAY = 4000;
+
+const roundButton = 'w-12 h-12 rounded-full flex items-center justify-center text-white shadow-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Plays a media stream in a <video> or <audio> element
+const StreamPlayer = ({ stream, audioOnly = false, ...props }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (ref.current && ref.current.srcObject !== stream) {
+      ref.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  return audioOnly
+    ? <audio ref={ref} autoPlay {...props} />
+    : <video ref={ref} autoPlay playsInline {...props} />;
+};
+
+// Time since a call was answered, ticking every second
+const CallTimer = ({ since }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return <span className="tabular-nums">{formatDuration(now - new Date(since).getTime())}</span>;
+};
+
+// Incoming, outgoing and ongoing call screen, shown over the whole app
+const CallOverlay = () => {
+  const dispatch = useDispatch();
+  const { current: call, role, isStarting, isAnswering, connectionState, isMuted, isCameraOff, error } = useSelector(
+    (state) => state.call
+  );
+  const { user } = useSelector((state) => state.auth);
+  const [{ localStream, remoteStream }, setStreams] = useState(callManager.getStreams());
+
+  useEffect(() => callManager.subscribe(setStreams), []);
+
+  const isEnded = call?.status === 'ENDED' || (!call && !isStarting && Boolean(error));
+
+  // Ended calls (and calls that could not start) clear themselves after a moment
+  useEffect(() => {
+    if (!isEnded) {
+      return;
+    }
+    const timer = setTimeout(() => dispatch(callDismissed()), ENDED_DISMISS_DELAY);
+    return () => clearTimeout(timer);
+  }, [dispatch, isEnded]);
+
+  if (!call && !isStarting && !error) {
+    return null;
+  }
+
+  const peer = call ? getCallPeer(call, user?.id) : null;
+  const peerName = peer?.username || 'Unknown';
+  const isVideo = call?.media === 'VIDEO';
+  const isIncoming = role === 'callee' && call && isCallRinging(call);
+  const isActive = call?.status === 'ACTIVE';
+
+  const handleToggleMute = () => {
+    callManager.setMuted(!isMuted);
+    dispatch(setCallMuted(!isMuted));
+  };
+
+  const handleToggleCamera = () => {
+    callManager.setCameraOff(!isCameraOff);
+    dispatch(setCallCameraOff(!isCameraOff));
+  };
+
+  let status;
+  if (isStarting) {
+    status = 'Starting call...';
+  } else if (!call || isEnded) {
+    status = error || describeCallOutcome(call, user?.id);
+  } else if (isIncoming) {
+    status = isAnswering ? 'Connecting...' : `Incoming ${isVideo ? 'video' : 'voice'} call`;
+  } else if (call.status === 'INVITED') {
+    status = 'Calling...';
+  } else if (call.status === 'RINGING') {
+    status = 'Ringing...';
+  } else if (connectionState !== 'connected') {
+    status = connectionState === 'disconnected' ? 'Reconnecting...' : 'Connecting...';
+  } else {
+    status = <CallTimer since={call.answeredAt} />;
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-75"
+      role="dialog"
+      aria-label={isIncoming ? `Incoming call from ${peerName}` : `Call with ${peerName}`}
+    >
+      <div className="relative w-full max-w-2xl mx-4 overflow-hidden rounded-2xl bg-gray-800 text-white shadow-2xl">
+        {isActive && isVideo && remoteStream ? (
+          <StreamPlayer stream={remoteStream} className="w-full aspect-video bg-black object-cover" />
+        ) : (
+          <div className="flex flex-col items-center justify-center py-12">
+            <div className="avatar avatar-lg bg-blue-600 mb-4">
+              {peerName.charAt(0).toUpperCase()}
+            </div>
+            {/* Voice calls still need somewhere to play the other user's audio */}
+            {isActive && remoteStream && <StreamPlayer stream={remoteStream} audioOnly />}
+          </div>
+        )}
+
+        {isVideo && localStream && !isEnded && (
+          <StreamPlayer
+            stream={localStream}
+            muted
+            className={`absolute top-4 right-4 w-32 rounded-lg bg-black object-cover shadow-lg ${isCameraOff ? 'opacity-25' : ''}`}
+          />
+        )}
+
+        <div className="px-6 py-5 text-center">
+          {call && <h3 className="text-xl font-semibold">{peerName}</h3>}
+          <p className={`mt-1 text-sm ${error && !isActive ? 'text-red-300' : 'text-gray-300'}`}>{status}</p>
+          {error && isIncoming && <p className="mt-1 text-sm text-red-300">{error}</p>}
+        </div>
+
+        <div className="flex items-center justify-center gap-6 pb-6">
+          {isIncoming ? (
+            <>
+              <button
+                type="button"
+                onClick={() => dispatch(declineCall())}
+                className={`${roundButton} bg-red-600 hover:bg-red-700`}
+                disabled={isAnswering}
+                title="Decline"
+                aria-label="Decline call"
+              >
+                ✕
+              </button>
+              <button
+                type="button"
+                onClick={() => dispatch(acceptCall())}
+                className={`${roundButton} bg-green-600 hover:bg-green-700`}
+                disabled={isAnswering}
+                title="Answer"
+                aria-label="Answer call"
+              >
+                {isVideo ? '📹' : '📞'}
+              </button>
+            </>
+          ) : isEnded ? (
+            <button
+              type="button"
+              onClick={() => dispatch(callDismissed())}
+              className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm"
+            >
+              Close
+            </button>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={handleToggleMute}
+                className={`${roundButton} ${isMuted ? 'bg-white text-gray-900 hover:bg-gray-200' : 'bg-gray-600 hover:bg-gray-500'}`}
+                disabled={!localStream}
+                title={isMuted ? 'Unmute' : 'Mute'}
+                aria-pressed={isMuted}
+              >
+                {isMuted ? '🔇' : '🎤'}
+              </button>
+              {isVideo && (
+                <button
+                  type="button"
+                  onClick={handleToggleCamera}
+                  className={`${roundButton} ${isCameraOff ? 'bg-white text-gray-900 hover:bg-gray-200' : 'bg-gray-600 hover:bg-gray-500'}`}
+                  disabled={!localStream}
+                  title={isCameraOff ? 'Turn camera on' : 'Turn camera off'}
+                  aria-pressed={isCameraOff}
+                >
+                  📷
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => dispatch(hangUpCall())}
+                className={`${roundButton} bg-red-600 hover:bg-red-700`}
+                disabled={isStarting}
+                title="Hang up"
+                aria-label="Hang up"
+              >
+                ✕
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CallOverlay;
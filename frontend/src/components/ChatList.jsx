@@ -1,12 +1,15 @@
 import React, { useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchConversations, setActiveConversation } from '../store/slices/chatSlice';
+import { describeVoiceNote } from '../utils/voiceNotes';
 
-const ChatList = () => {
+const ChatList = ({ onOpenSearch }) => {
   const dispatch = useDispatch();
   const { conversations, activeConversationId, isLoading, error } = useSelector(
     (state) => state.chat
   );
+  const { user } = useSelector((state) => state.auth);
+  const presence = useSelector((state) => state.presence.users);
 
   useEffect(() => {
     dispatch(fetchConversations());
@@ -16,8 +19,22 @@ const ChatList = () => {
     dispatch(setActiveConversation(conversationId));
   };
 
+  const getOtherParticipant = (conversation) => {
+    return conversation.participants?.find(p => p.id !== user?.id);
+  };
+
   const formatLastMessage = (message) => {
     if (!message) return 'No messages yet';
+    if (message.deletedAt) return 'This message was deleted';
+    if (message.type === 'VOICE') return describeVoiceNote(message);
+    if (!message.content && message.attachments?.length > 0) {
+      return message.attachments.length > 1
+        ? `📎 ${message.attachments.length} attachments`
+        : `📎 ${message.attachments[0].fileName}`;
+    }
+    if (message.type === 'POLL') {
+      return `📊 ${message.content}`;
+    }
     return message.content.length > 50 
       ? `${message.content.substring(0, 50)}...` 
       : message.content;
@@ -56,6 +73,16 @@ const ChatList = () => {
     <div className="chat-list">
       <div className="chat-list-header">
         <h3>Conversations</h3>
+        {onOpenSearch && (
+          <button
+            type="button"
+            className="chat-list-search-button"
+            onClick={onOpenSearch}
+            title="Search messages"
+          >
+            🔍
+          </button>
+        )}
       </div>
       <div className="conversations">
         {conversations.length === 0 ? (
@@ -77,10 +104,12 @@ const ChatList = () => {
                   <div className="group-avatar">G</div>
                 ) : (
                   <div className="user-avatar">
-                    {conversation.participants
-                      ?.find(p => p.id !== conversation.currentUserId)
+                    {getOtherParticipant(conversation)
                       ?.username?.charAt(0)
                       ?.toUpperCase() || 'U'}
+                    {presence[getOtherParticipant(conversation)?.id]?.isOnline && (
+                      <span className="presence-dot" title="Online" />
+                    )}
                   </div>
                 )}
               </div>
@@ -88,9 +117,7 @@ const ChatList = () => {
                 <div className="conversation-header">
                   <span className="conversation-name">
                     {conversation.name || 
-                     conversation.participants
-                       ?.find(p => p.id !== conversation.currentUserId)
-                       ?.username || 
+                     getOtherParticipant(conversation)?.username || 
                      'Unknown'}
                   </span>
                   {conversation.lastMessage && (
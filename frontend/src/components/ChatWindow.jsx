@@ -1,32 +1,68 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { fetchMessages } from '../store/slices/chatSlice';
+import { fetchMessages, markConversationRead, setMessageTtl } from '../store/slices/chatSlice';
+import { startCall } from '../store/slices/callSlice';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
 import TypingIndicator from './TypingIndicator';
 import ConnectionStatus from './ConnectionStatus';
+import GroupSettings from './GroupSettings';
+import PinnedBanner from './PinnedBanner';
+import ScheduledMessages from './ScheduledMessages';
 import useSocket from '../hooks/useSocket';
+import { formatLastSeen } from '../utils/presence';
+import { canMakeCalls } from '../utils/calls';
+
+// Disappearing message timers offered to participants (seconds; '' = off)
+const MESSAGE_TTL_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: 3600, label: '1 hour' },
+  { value: 86400, label: '24 hours' },
+  { value: 604800, label: '7 days' },
+  { value: 7776000, label: '90 days' }
+];
 
 const ChatWindow = () => {
   const dispatch = useDispatch();
   const { 
     activeConversationId, 
     conversations, 
-    onlineUsers,
+    messages,
     error 
   } = useSelector((state) => state.chat);
+  const { user } = useSelector((state) => state.auth);
+  const presence = useSelector((state) => state.presence.users);
+  const isInCall = useSelector((state) =>
+    state.call.isStarting || Boolean(state.call.current && state.call.current.status !== 'ENDED')
+  );
   const { isConnected } = useSocket();
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
 
   const activeConversation = conversations.find(
     (conv) => conv.id === activeConversationId
   );
 
   useEffect(() => {
+    setShowGroupSettings(false);
     if (activeConversationId) {
       dispatch(fetchMessages(activeConversationId));
     }
   }, [dispatch, activeConversationId]);
 
+  // Mark the conversation read whenever a message from someone else becomes visible
+  const activeMessages = messages[activeConversationId];
+  const lastMessage = activeMessages?.[activeMessages.length - 1];
+  const lastIncomingMessageId = lastMessage && lastMessage.senderId !== user?.id ? lastMessage.id : null;
+
+  useEffect(() => {
+    if (activeConversationId && lastIncomingMessageId) {
+      dispatch(markConversationRead({
+        conversationId: activeConversationId,
+        messageId: lastIncomingMessageId
+      }));
+    }
+  }, [dispatch, activeConversationId, lastIncomingMessageId]);
+
   const getConversationName = () => {
     if (!activeConversation) return '';
     
@@ -36,24 +72,39 @@ const ChatWindow = () => {
     
     // For direct messages, show the other participant's name
     const otherParticipant = activeConversation.participants?.find(
-      (p) => p.id !== activeConversation.currentUserId
+      (p) => p.id !== user?.id
     );
     
     return otherParticipant?.username || 'Unknown User';
   };
 
+  const handleMessageTtlChange = (e) => {
+    dispatch(setMessageTtl({
+      conversationId: activeConversationId,
+      messageTtlSeconds: e.target.value ? Number(e.target.value) : null
+    }));
+  };
+
+  const handleStartCall = (media) => {
+    const otherParticipant = activeConversation.participants?.find(
+      (p) => p.id !== user?.id
+    );
+    if (otherParticipant) {
+      dispatch(startCall({ conversationId: activeConversationId, calleeId: otherParticipant.id, media }));
+    }
+  };
+
   const getOnlineStatus = () => {
     if (!activeConversation || activeConversation.isGroup) return null;
     
     const otherParticipant = activeConversation.participants?.find(
-      (p) => p.id !== activeConversation.currentUserId
+      (p) => p.id !== user?.id
     );
     
     if (!otherParticipant) return 'Offline';
     
-    // Check if user is in online users list
-    const isOnline = onlineUsers.some(user => user.id === otherParticipant.id);
-    return isOnline ? 'Online' : 'Offline';
+    // Presence is only shared between contacts
+    return formatLastSeen(presence[otherParticipant.id]);
   };
 
 
@@ -73,7 +124,7 @@ const ChatWindow = () => {
   }
 
   return (
-    <div className="flex-1 flex flex-col bg-white">
+    <div className="relative flex-1 flex flex-col bg-white">
       {/* Chat Header */}
       <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 bg-white">
         <div className="flex items-center space-x-3">
@@ -106,9 +157,73 @@ const ChatWindow = () => {
         </div>
         <div className="flex items-center space-x-2">
           <ConnectionStatus />
+          {!activeConversation?.isGroup && canMakeCalls() && (
+            <>
+              <button
+                type="button"
+                onClick={() => handleStartCall('AUDIO')}
+                className="p-2 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={!isConnected || isInCall}
+                title="Voice call"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleStartCall('VIDEO')}
+                className="p-2 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={!isConnected || isInCall}
+                title="Video call"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                </svg>
+              </button>
+            </>
+          )}
+          <label
+            className="flex items-center text-sm text-gray-500"
+            title="Disappearing messages: new messages are deleted for everyone after this time"
+          >
+            <span className="mr-1">⏱</span>
+            <select
+              value={activeConversation?.messageTtlSeconds || ''}
+              onChange={handleMessageTtlChange}
+              className="px-1 py-1 bg-transparent border border-gray-200 rounded text-sm"
+              aria-label="Disappearing messages"
+            >
+              {MESSAGE_TTL_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          {activeConversation?.isGroup && (
+            <button
+              type="button"
+              onClick={() => setShowGroupSettings(!showGroupSettings)}
+              className="p-2 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+              title="Group info"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+              </svg>
+            </button>
+          )}
         </div>
       </div>
 
+      {showGroupSettings && activeConversation?.isGroup && (
+        <GroupSettings
+          conversation={activeConversation}
+          onClose={() => setShowGroupSettings(false)}
+        />
+      )}
+
+      {/* Pinned Messages */}
+      <PinnedBanner key={activeConversationId} conversationId={activeConversationId} />
+
       {/* Error Display */}
       {error && (
         <div className="px-6 py-3 bg-red-50 border-b border-red-200">
@@ -126,6 +241,7 @@ const ChatWindow = () => {
 
       {/* Message Input */}
       <div className="border-t border-gray-200 bg-white">
+        <ScheduledMessages conversationId={activeConversationId} />
         <MessageInput conversationId={activeConversationId} />
       </div>
     </div>
@@ -4,10 +4,12 @@ import { fetchContacts, removeContact, clearError } from '../store/slices/contac
 import ErrorMessage from './ErrorMessage';
 import LoadingSpinner from './LoadingSpinner';
 import { useRetry } from '../hooks/useRetry';
+import { formatLastSeen } from '../utils/presence';
 
 const ContactsList = () => {
   const dispatch = useDispatch();
   const { contacts = [], isLoading, error } = useSelector(state => state.contacts);
+  const presence = useSelector(state => state.presence.users);
   const [removingContactId, setRemovingContactId] = useState(null);
   const { executeWithRetry } = useRetry();
 
@@ -97,8 +99,16 @@ const ContactsList = () => {
             <div key={contact.id} className="p-4 hover:bg-gray-50 transition-colors">
               <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-3">
-                  <div className="avatar avatar-md bg-blue-600">
-                    {contact.contact.username.charAt(0).toUpperCase()}
+                  <div className="relative">
+                    <div className="avatar avatar-md bg-blue-600">
+                      {contact.contact.username.charAt(0).toUpperCase()}
+                    </div>
+                    {presence[contact.contact.id]?.isOnline && (
+                      <span
+                        className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white rounded-full"
+                        title="Online"
+                      />
+                    )}
                   </div>
                   <div className="min-w-0 flex-1">
                     <h3 className="text-sm font-medium text-gray-900 text-truncate">
@@ -107,6 +117,11 @@ const ContactsList = () => {
                     <p className="text-xs text-gray-500 text-truncate">
                       {contact.contact.email}
                     </p>
+                    <p className={`text-xs text-truncate ${
+                      presence[contact.contact.id]?.isOnline ? 'text-green-600' : 'text-gray-400'
+                    }`}>
+                      {formatLastSeen(presence[contact.contact.id])}
+                    </p>
                   </div>
                 </div>
                 <button
@@ -9,6 +9,7 @@ import {
   clearError,
 } from '../store/slices/dashboardSlice';
 import StatCard from './StatCard';
+import ActiveSessions from './ActiveSessions';
 
 const Dashboard = () => {
   const dispatch = useDispatch();
@@ -149,6 +150,8 @@ const Dashboard = () => {
           </div>
         </div>
       )}
+
+      <ActiveSessions />
     </div>
   );
 };
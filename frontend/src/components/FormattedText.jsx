@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../utils/markdown';
+import { highlightCode } from '../utils/highlight';
+
+const renderInline = (nodes, mentions) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, mentions)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, mentions)}</em>;
+    case 'code':
+      return <code key={index} className="message-inline-code">{node.text}</code>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow" className="message-link">
+          {node.text}
+        </a>
+      );
+    case 'mention':
+      // Only names the server matched to a participant
+      return mentions?.has(node.username)
+        ? <span key={index} className="message-mention">{node.text}</span>
+        : <React.Fragment key={index}>{node.text}</React.Fragment>;
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+// Message content in the MARKDOWN format; `mentions` is a Set of the usernames it mentions
+const FormattedText = ({ content, mentions = null }) => {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+
+  return blocks.map((block, index) => {
+    if (block.type === 'code') {
+      return (
+        <pre key={index} className="message-code-block">
+          {block.language && <span className="message-code-language">{block.language}</span>}
+          <code>
+            {highlightCode(block.code, block.language).map((token, tokenIndex) => (
+              token.type === 'plain'
+                ? <React.Fragment key={tokenIndex}>{token.text}</React.Fragment>
+                : <span key={tokenIndex} className={`code-${token.type}`}>{token.text}</span>
+            ))}
+          </code>
+        </pre>
+      );
+    }
+
+    return <div key={index} className="message-paragraph">{renderInline(block.children, mentions)}</div>;
+  });
+};
+
+export default FormattedText;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { forwardMessages } from '../store/slices/chatSlice';
+import { describeVoiceNote } from '../utils/voiceNotes';
+
+// Matches the server's limit on conversations per forward
+const MAX_TARGETS = 10;
+
+const ForwardDialog = ({ message, onClose }) => {
+  const dispatch = useDispatch();
+  const { conversations } = useSelector((state) => state.chat);
+  const { user } = useSelector((state) => state.auth);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isForwarding, setIsForwarding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const getConversationName = (conversation) => {
+    if (conversation.isGroup) {
+      return conversation.name || 'Group Chat';
+    }
+    const other = conversation.participants?.find((p) => p.id !== user?.id);
+    return other?.username || 'Direct message';
+  };
+
+  const handleToggle = (conversationId) => {
+    setSelectedIds((ids) => (ids.includes(conversationId)
+      ? ids.filter((id) => id !== conversationId)
+      : [...ids, conversationId]));
+  };
+
+  const handleForward = async () => {
+    setIsForwarding(true);
+    setError(null);
+    try {
+      await dispatch(forwardMessages({
+        messageIds: [message.id],
+        conversationIds: selectedIds
+      })).unwrap();
+      onClose();
+    } catch (err) {
+      setError(err);
+      setIsForwarding(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="fixed inset-0 bg-black bg-opacity-50 transition-opacity" onClick={onClose}></div>
+
+      <div className="relative bg-white rounded-lg shadow-xl max-w-md w-full max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Forward message</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="px-6 py-3 border-b border-gray-200 text-sm text-gray-600 truncate">
+          {message.type === 'VOICE' ? describeVoiceNote(message) : message.content || '📎 Attachment'}
+        </div>
+
+        <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+          {conversations.map((conversation) => {
+            const isSelected = selectedIds.includes(conversation.id);
+            return (
+              <li key={conversation.id}>
+                <label className="flex items-center gap-3 px-6 py-3 cursor-pointer hover:bg-gray-50">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={!isSelected && selectedIds.length >= MAX_TARGETS}
+                    onChange={() => handleToggle(conversation.id)}
+                  />
+                  <span className="text-sm text-gray-900">{getConversationName(conversation)}</span>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+
+        {error && <div className="px-6 pt-3 text-sm text-red-600">{error}</div>}
+
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-gray-700 rounded-md hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleForward}
+            disabled={selectedIds.length === 0 || isForwarding}
+            className="px-4 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            {isForwarding ? 'Forwarding...' : 'Forward'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardDialog;
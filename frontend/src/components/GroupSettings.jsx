@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  renameConversation,
+  addParticipants,
+  removeParticipant,
+  updateParticipantRole,
+  leaveConversation
+} from '../store/slices/chatSlice';
+import { fetchContacts } from '../store/slices/contactsSlice';
+
+const ROLE_LABELS = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin',
+  MEMBER: 'Member'
+};
+
+const GroupSettings = ({ conversation, onClose }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { contacts = [], isLoading: isLoadingContacts, error: contactsError } = useSelector((state) => state.contacts);
+  const [name, setName] = useState(conversation.name || '');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const participants = conversation.participants || [];
+  const currentRole = participants.find((p) => p.id === user?.id)?.role;
+  const canManage = currentRole === 'OWNER' || currentRole === 'ADMIN';
+  const participantIds = new Set(participants.map((p) => p.id));
+  const addableContacts = contacts.filter((c) => !participantIds.has(c.contact.id));
+
+  // Keep the form in sync when someone else renames the group
+  useEffect(() => {
+    setName(conversation.name || '');
+  }, [conversation.name]);
+
+  useEffect(() => {
+    // Contacts are the pool new members are picked from
+    if (canManage && contacts.length === 0 && !isLoadingContacts && !contactsError) {
+      dispatch(fetchContacts());
+    }
+  }, [dispatch, canManage, contacts.length, isLoadingContacts, contactsError]);
+
+  const runAction = async (key, action) => {
+    setPendingAction(key);
+    try {
+      await dispatch(action).unwrap();
+    } catch (error) {
+      // Error is handled by the slice
+      console.error('Group update failed:', error);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === conversation.name) {
+      return;
+    }
+    runAction('rename', renameConversation({ conversationId: conversation.id, name: trimmed }));
+  };
+
+  const handleRemove = (participant) => {
+    if (!window.confirm(`Remove ${participant.username} from the group?`)) {
+      return;
+    }
+    runAction(`remove-${participant.id}`, removeParticipant({
+      conversationId: conversation.id,
+      userId: participant.id
+    }));
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm('Leave this group?')) {
+      return;
+    }
+    runAction('leave', leaveConversation(conversation.id));
+  };
+
+  const canRemove = (participant) => {
+    if (participant.id === user?.id || participant.role === 'OWNER') return false;
+    return currentRole === 'OWNER' || (currentRole === 'ADMIN' && participant.role === 'MEMBER');
+  };
+
+  return (
+    <div className="absolute inset-y-0 right-0 z-10 w-80 flex flex-col bg-white border-l border-gray-200 shadow-lg">
+      <div className="flex items-center justify-between px-4 py-4 border-b border-gray-200">
+        <h4 className="text-base font-semibold text-gray-900">Group info</h4>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close group info"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4 space-y-6">
+        {canManage && (
+          <form onSubmit={handleRename} className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Group name</label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!name.trim() || name.trim() === conversation.name || pendingAction === 'rename'}
+                className="px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div>
+          <h5 className="text-sm font-medium text-gray-700 mb-2">
+            {participants.length} participants
+          </h5>
+          <ul className="space-y-2">
+            {participants.map((participant) => (
+              <li key={participant.id} className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="text-sm text-gray-900 text-truncate">
+                    {participant.username}{participant.id === user?.id && ' (you)'}
+                  </div>
+                  <div className="text-xs text-gray-500">{ROLE_LABELS[participant.role] || 'Member'}</div>
+                </div>
+                <div className="flex items-center space-x-2 text-xs">
+                  {currentRole === 'OWNER' && participant.role !== 'OWNER' && (
+                    <button
+                      type="button"
+                      onClick={() => runAction(`role-${participant.id}`, updateParticipantRole({
+                        conversationId: conversation.id,
+                        userId: participant.id,
+                        role: participant.role === 'ADMIN' ? 'MEMBER' : 'ADMIN'
+                      }))}
+                      disabled={pendingAction === `role-${participant.id}`}
+                      className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                    >
+                      {participant.role === 'ADMIN' ? 'Remove admin' : 'Make admin'}
+                    </button>
+                  )}
+                  {canRemove(participant) && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(participant)}
+                      disabled={pendingAction === `remove-${participant.id}`}
+                      className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {canManage && (
+          <div>
+            <h5 className="text-sm font-medium text-gray-700 mb-2">Add from contacts</h5>
+            {addableContacts.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                {isLoadingContacts ? 'Loading contacts...' : 'All your contacts are already in this group'}
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {addableContacts.map((contact) => (
+                  <li key={contact.id} className="flex items-center justify-between">
+                    <span className="text-sm text-gray-900 text-truncate">{contact.contact.username}</span>
+                    <button
+                      type="button"
+                      onClick={() => runAction(`add-${contact.contact.id}`, addParticipants({
+                        conversationId: conversation.id,
+                        userIds: [contact.contact.id]
+                      }))}
+                      disabled={pendingAction === `add-${contact.contact.id}`}
+                      className="text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                    >
+                      Add
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="px-4 py-4 border-t border-gray-200">
+        <button
+          type="button"
+          onClick={handleLeave}
+          disabled={pendingAction === 'leave'}
+          className="w-full px-3 py-2 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+        >
+          Leave group
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettings;
@@ -3,6 +3,7 @@ import { Outlet } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import Sidebar from './Sidebar';
 import Topbar from './Topbar';
+import CallOverlay from './CallOverlay';
 
 const Layout = () => {
   const { sidebarOpen } = useSelector((state) => state.ui);
@@ -20,6 +21,7 @@ const Layout = () => {
           <Outlet />
         </main>
       </div>
+      <CallOverlay />
     </div>
   );
 };
@@ -1,6 +1,54 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  editMessage,
+  deleteMessage,
+  fetchMessageRevisions,
+  toggleReaction,
+  jumpToMessage,
+  setReplyingTo,
+  setThreadReplyingTo,
+  openThread,
+  pinMessage,
+  unpinMessage
+} from '../store/slices/chatSlice';
+import { retryOutboxMessage, discardOutboxMessage } from '../store/slices/outboxSlice';
+import MessageAttachment from './MessageAttachment';
+import ForwardDialog from './ForwardDialog';
+import FormattedText from './FormattedText';
+import PollMessage from './PollMessage';
+import VoiceMessage from './VoiceMessage';
+import { getMessageFormat } from '../utils/markdown';
+import { getMentionedUsernames, isMentioned, splitMentions } from '../utils/mentions';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Status line of a message still in the outbox
+const OUTBOX_STATUS_TEXT = {
+  pending: 'Waiting to send',
+  sending: 'Sending...',
+  failed: 'Not sent'
+};
+
+const Message = ({ message, isOwn, showAvatar = true, showTimestamp = true, receipt = null, isGroup = false, isHighlighted = false, inThread = false }) => {
+  const dispatch = useDispatch();
+  const revisions = useSelector((state) => state.chat.messageRevisions[message.id]);
+  const currentUserId = useSelector((state) => state.auth.user?.id);
+  const isPinned = useSelector((state) =>
+    state.chat.pins[message.conversationId]?.some((pin) => pin.messageId === message.id) || false
+  );
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const [showForwardDialog, setShowForwardDialog] = useState(false);
+
+  // Set while the message is still in the outbox: { status, error }
+  const { outbox } = message;
+  const isPoll = message.type === 'POLL' && Boolean(message.poll);
+  const isVoice = message.type === 'VOICE';
+  const mentionsMe = !isOwn && !message.deletedAt && isMentioned(message, currentUserId);
 
-const Message = ({ message, isOwn, showAvatar = true, showTimestamp = true }) => {
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { 
@@ -24,8 +72,163 @@ const Message = ({ message, isOwn, showAvatar = true, showTimestamp = true }) =>
     }
   };
 
+  const renderReceipt = () => {
+    const { readBy, deliveredTo } = receipt;
+    const isRead = readBy.length > 0 && deliveredTo.length === 0;
+    const details = [
+      readBy.length > 0 && `Read by ${readBy.join(', ')}`,
+      deliveredTo.length > 0 && `Delivered to ${deliveredTo.join(', ')}`
+    ].filter(Boolean).join('\n');
+
+    return (
+      <span
+        className={`message-receipt ${isRead ? 'read' : ''}`}
+        title={details || 'Delivered'}
+      >
+        {readBy.length > 0 ? '✓✓' : '✓'}
+        {isGroup && readBy.length > 0 && !isRead && (
+          <span className="message-receipt-count">{readBy.length}/{readBy.length + deliveredTo.length}</span>
+        )}
+      </span>
+    );
+  };
+
+  const handleStartEdit = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  const handleCancelEdit = () => {
+    setIsEditing(false);
+    setDraft(message.content);
+  };
+
+  const handleSaveEdit = async () => {
+    const content = draft.trim();
+    if (!content || content === message.content) {
+      handleCancelEdit();
+      return;
+    }
+
+    try {
+      await dispatch(editMessage({
+        conversationId: message.conversationId,
+        messageId: message.id,
+        content,
+        format: getMessageFormat(content)
+      })).unwrap();
+      setIsEditing(false);
+    } catch (error) {
+      // Error is handled by the slice
+      console.error('Failed to edit message:', error);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSaveEdit();
+    } else if (e.key === 'Escape') {
+      handleCancelEdit();
+    }
+  };
+
+  const handleDelete = (scope) => {
+    const prompt = scope === 'everyone'
+      ? 'Delete this message for everyone?'
+      : 'Delete this message for you?';
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    dispatch(deleteMessage({
+      conversationId: message.conversationId,
+      messageId: message.id,
+      scope
+    }));
+  };
+
+  const handleToggleRevisions = () => {
+    if (!showRevisions && !revisions) {
+      dispatch(fetchMessageRevisions({
+        conversationId: message.conversationId,
+        messageId: message.id
+      }));
+    }
+    setShowRevisions(!showRevisions);
+  };
+
+  const handleReact = (emoji) => {
+    setShowReactionPicker(false);
+    dispatch(toggleReaction({
+      conversationId: message.conversationId,
+      messageId: message.id,
+      emoji
+    }));
+  };
+
+  const handleReply = () => {
+    dispatch(inThread ? setThreadReplyingTo(message) : setReplyingTo(message));
+  };
+
+  const handleTogglePin = () => {
+    const action = isPinned ? unpinMessage : pinMessage;
+    dispatch(action({ conversationId: message.conversationId, messageId: message.id }));
+  };
+
+  const handleOpenThread = () => {
+    dispatch(openThread({ conversationId: message.conversationId, threadId: message.id }));
+  };
+
+  // Quotes in the main list lead back to the quoted message
+  const handleQuoteClick = () => {
+    if (!inThread && !message.replyTo.deletedAt) {
+      dispatch(jumpToMessage({ conversationId: message.conversationId, messageId: message.replyTo.id }));
+    }
+  };
+
+  const renderQuote = () => {
+    const { replyTo } = message;
+    let preview = replyTo.content;
+    if (replyTo.deletedAt) {
+      preview = 'This message was deleted';
+    } else if (replyTo.type === 'VOICE') {
+      preview = '🎤 Voice note';
+    } else if (!preview) {
+      preview = '📎 Attachment';
+    }
+
+    return (
+      <button type="button" className="message-quote" onClick={handleQuoteClick}>
+        <span className="message-quote-sender">{replyTo.sender?.username || 'Unknown User'}</span>
+        <span className="message-quote-text">{preview}</span>
+      </button>
+    );
+  };
+
+  // Tooltip text, e.g. "You and alice reacted with 👍"
+  const describeReactors = ({ emoji, users }) => {
+    const names = users.map(user => (user.id === currentUserId ? 'You' : user.username));
+    const list = names.length > 1
+      ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+      : names[0];
+    return `${list} reacted with ${emoji}`;
+  };
+
+  if (message.type === 'SYSTEM') {
+    return (
+      <div className="message-system">
+        <span>{message.content}</span>
+        {showTimestamp && <span className="message-system-time">{formatTime(message.createdAt)}</span>}
+      </div>
+    );
+  }
+
   return (
-    <div className={`message ${isOwn ? 'own' : 'other'}`}>
+    <div
+      className={`message ${isOwn ? 'own' : 'other'} ${isHighlighted ? 'highlighted' : ''} ${mentionsMe ? 'mentioned' : ''} ${outbox ? `unsent ${outbox.status}` : ''}`}
+      data-message-id={message.id}
+    >
       {showAvatar && !isOwn && (
         <div className="message-avatar">
           <div className="avatar">
@@ -40,18 +243,182 @@ const Message = ({ message, isOwn, showAvatar = true, showTimestamp = true }) =>
           </div>
         )}
         <div className="message-bubble">
-          <div className="message-text">
-            {message.content}
-          </div>
-          {showTimestamp && (
+          {message.metadata?.forwardedFrom && !message.deletedAt && (
+            <div className="message-forwarded">
+              ↪ Forwarded from {message.metadata.forwardedFrom.username || 'Unknown User'}
+            </div>
+          )}
+          {message.replyTo && !message.deletedAt && renderQuote()}
+          {message.deletedAt ? (
+            <div className="message-text message-deleted">
+              This message was deleted
+            </div>
+          ) : isEditing ? (
+            <div className="message-edit">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                className="message-edit-input"
+                maxLength={1000}
+                rows={2}
+                autoFocus
+              />
+              <div className="message-edit-actions">
+                <button type="button" onClick={handleCancelEdit}>Cancel</button>
+                <button type="button" onClick={handleSaveEdit} disabled={!draft.trim()}>Save</button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {isVoice ? (
+                <VoiceMessage message={message} />
+              ) : message.attachments?.length > 0 && (
+                <div className="message-attachments">
+                  {message.attachments.map((attachment) => (
+                    <MessageAttachment
+                      key={attachment.id}
+                      attachment={attachment}
+                      conversationId={message.conversationId}
+                    />
+                  ))}
+                </div>
+              )}
+              {isPoll ? (
+                <PollMessage message={message} isOwn={isOwn} />
+              ) : message.content && (
+                <div className="message-text">
+                  {message.format === 'MARKDOWN'
+                    ? <FormattedText content={message.content} mentions={getMentionedUsernames(message)} />
+                    : splitMentions(message.content, message.mentions).map((part, index) => (
+                      part.type === 'mention'
+                        ? <span key={index} className="message-mention">{part.text}</span>
+                        : <React.Fragment key={index}>{part.text}</React.Fragment>
+                    ))}
+                </div>
+              )}
+            </>
+          )}
+          {(showTimestamp || message.editedAt || receipt || outbox) && (
             <div className="message-timestamp">
-              {formatTime(message.createdAt)}
+              {message.editedAt && !message.deletedAt && (
+                <button
+                  type="button"
+                  className="message-edited-marker"
+                  onClick={handleToggleRevisions}
+                  title="View edit history"
+                >
+                  edited
+                </button>
+              )}
+              {message.expiresAt && (
+                <span
+                  className="message-expiry"
+                  title={`Disappears ${formatDate(message.expiresAt)} ${formatTime(message.expiresAt)}`}
+                >
+                  ⏱
+                </span>
+              )}
+              {showTimestamp && formatTime(message.createdAt)}
+              {receipt && renderReceipt()}
+              {outbox && (
+                <span className={`message-outbox-status ${outbox.status}`}>
+                  {OUTBOX_STATUS_TEXT[outbox.status]}
+                </span>
+              )}
             </div>
           )}
         </div>
+        {message.reactions?.length > 0 && !message.deletedAt && (
+          <div className="message-reactions">
+            {message.reactions.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                type="button"
+                className={`reaction-chip ${reaction.users.some(user => user.id === currentUserId) ? 'mine' : ''}`}
+                onClick={() => handleReact(reaction.emoji)}
+                title={describeReactors(reaction)}
+              >
+                <span className="reaction-emoji">{reaction.emoji}</span>
+                <span className="reaction-count">{reaction.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {!inThread && message.threadReplyCount > 0 && (
+          <button type="button" className="message-thread-summary" onClick={handleOpenThread}>
+            {message.threadReplyCount === 1 ? '1 reply' : `${message.threadReplyCount} replies`}
+            {message.threadLastReplyAt && (
+              <span className="message-thread-time">
+                Last reply {formatDate(message.threadLastReplyAt)} {formatTime(message.threadLastReplyAt)}
+              </span>
+            )}
+          </button>
+        )}
+        {showReactionPicker && (
+          <div className="reaction-picker">
+            {QUICK_REACTIONS.map((emoji) => (
+              <button key={emoji} type="button" onClick={() => handleReact(emoji)}>
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+        {outbox?.status === 'failed' && (
+          <div className="message-outbox-actions">
+            {outbox.error && <span className="message-outbox-error">{outbox.error}</span>}
+            <button type="button" onClick={() => dispatch(retryOutboxMessage(message.clientMessageId))}>Retry</button>
+            <button type="button" onClick={() => dispatch(discardOutboxMessage(message.clientMessageId))}>Discard</button>
+          </div>
+        )}
+        {!isEditing && !outbox && (
+          <div className="message-actions">
+            {!message.deletedAt && (
+              <button type="button" onClick={() => setShowReactionPicker(!showReactionPicker)}>React</button>
+            )}
+            {!message.deletedAt && (
+              <button type="button" onClick={handleReply}>Reply</button>
+            )}
+            {!inThread && !message.deletedAt && (
+              <button type="button" onClick={handleOpenThread}>Reply in thread</button>
+            )}
+            {!message.deletedAt && !isPoll && (
+              <button type="button" onClick={() => setShowForwardDialog(true)}>Forward</button>
+            )}
+            {!message.deletedAt && (
+              <button type="button" onClick={handleTogglePin}>{isPinned ? 'Unpin' : 'Pin'}</button>
+            )}
+            {isOwn && !message.deletedAt && message.content && !isPoll && (
+              <button type="button" onClick={handleStartEdit}>Edit</button>
+            )}
+            <button type="button" onClick={() => handleDelete('me')}>Delete for me</button>
+            {isOwn && !message.deletedAt && (
+              <button type="button" onClick={() => handleDelete('everyone')}>Delete for everyone</button>
+            )}
+          </div>
+        )}
+        {showRevisions && (
+          <div className="message-revisions">
+            {!revisions ? (
+              <div className="message-revision">Loading history...</div>
+            ) : (
+              revisions.map((revision) => (
+                <div key={revision.id} className="message-revision">
+                  <span className="message-revision-time">
+                    {formatDate(revision.createdAt)} {formatTime(revision.createdAt)}
+                  </span>
+                  <span className="message-revision-text">{revision.content}</span>
+                </div>
+              ))
+            )}
+          </div>
+        )}
       </div>
+      {showForwardDialog && (
+        <ForwardDialog message={message} onClose={() => setShowForwardDialog(false)} />
+      )}
     </div>
   );
 };
 
-export default Message;
\ No newline at end of file
+export default Message;
@@ -0,0 +1,72 @@
+import React from 'react';
+import useAttachmentUrl from '../hooks/useAttachmentUrl';
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  } else if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  } else {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+};
+
+const MessageAttachment = ({ attachment, conversationId }) => {
+  const isImage = attachment.mimeType.startsWith('image/');
+  const { url, isLoading, error, load } = useAttachmentUrl(conversationId, attachment.id, {
+    autoLoad: isImage
+  });
+
+  const handleDownload = async () => {
+    const href = url || await load();
+    if (!href) {
+      return;
+    }
+
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = attachment.fileName;
+    link.click();
+  };
+
+  if (isImage && !error) {
+    return (
+      <button
+        type="button"
+        className="message-attachment-image"
+        onClick={() => url && window.open(url, '_blank', 'noopener')}
+        title={attachment.fileName}
+      >
+        {url ? (
+          <img src={url} alt={attachment.fileName} />
+        ) : (
+          <span className="message-attachment-placeholder">Loading image...</span>
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <div className="message-attachment-file">
+      <div className="message-attachment-icon">📄</div>
+      <div className="message-attachment-info">
+        <div className="message-attachment-name" title={attachment.fileName}>
+          {attachment.fileName}
+        </div>
+        <div className="message-attachment-meta">
+          {error || formatFileSize(attachment.size)}
+        </div>
+      </div>
+      <button
+        type="button"
+        className="message-attachment-download"
+        onClick={handleDownload}
+        disabled={isLoading}
+      >
+        {isLoading ? '...' : 'Download'}
+      </button>
+    </div>
+  );
+};
+
+export default MessageAttachment;
@@ -1,19 +1,97 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { sendSocketMessage } from '../store/slices/chatSlice';
+import {
+  uploadAttachment,
+  fetchMessages,
+  clearHighlightedMessage,
+  setReplyingTo,
+  setThreadReplyingTo
+} from '../store/slices/chatSlice';
+import { scheduleMessage } from '../store/slices/scheduledSlice';
+import { enqueueMessage } from '../store/slices/outboxSlice';
 import useSocket from '../hooks/useSocket';
+import { validateFile, ATTACHMENT_RULES } from '../utils/validation';
+import { getDefaultSendAt, toDateTimeLocal } from '../utils/schedule';
+import { getMessageFormat } from '../utils/markdown';
+import { getMentionQuery } from '../utils/mentions';
+import FormattedText from './FormattedText';
+import PollComposer from './PollComposer';
+import VoiceRecorder from './VoiceRecorder';
+import { canRecordVoiceNotes, describeVoiceNote } from '../utils/voiceNotes';
 
-const MessageInput = ({ conversationId }) => {
+const MAX_LENGTH = 1000;
+
+// Markers the toolbar wraps the selection in
+const FORMATS = [
+  { key: 'bold', label: 'B', title: 'Bold (Ctrl+B)', before: '**', after: '**', className: 'font-bold' },
+  { key: 'italic', label: 'I', title: 'Italic (Ctrl+I)', before: '_', after: '_', className: 'italic' },
+  { key: 'code', label: '</>', title: 'Inline code', before: '`', after: '`', className: 'font-mono' },
+  { key: 'codeBlock', label: '```', title: 'Code block', before: '```\n', after: '\n```', className: 'font-mono', block: true }
+];
+
+const SHORTCUTS = { b: 'bold', i: 'italic' };
+
+const MAX_MENTION_SUGGESTIONS = 5;
+
+// Composer for a conversation, or for a thread when threadId is given
+const MessageInput = ({ conversationId, threadId = null }) => {
   const [message, setMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [scheduleAt, setScheduleAt] = useState(null); // datetime-local value while scheduling
+  const [scheduleError, setScheduleError] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null); // { start, query } while typing an @mention
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [isComposingPoll, setIsComposingPoll] = useState(false);
+  const [isRecordingVoice, setIsRecordingVoice] = useState(false);
   const dispatch = useDispatch();
-  const { isSendingMessage } = useSelector((state) => state.chat);
+  const { isUploadingAttachment } = useSelector((state) => state.chat);
+  // An older window of history is shown (e.g. after opening a search result)
+  const isViewingHistory = useSelector((state) =>
+    !threadId && Boolean(state.chat.messagePagination[conversationId]?.hasNewer)
+  );
+  const replyingTo = useSelector((state) => {
+    const target = threadId ? state.chat.activeThread?.replyingTo : state.chat.replyingTo;
+    return target?.conversationId === conversationId ? target : null;
+  });
+  const currentUserId = useSelector((state) => state.auth.user?.id);
+  const participants = useSelector((state) =>
+    state.chat.conversations.find((conversation) => conversation.id === conversationId)?.participants
+  );
   const { isConnected, startTyping, stopTyping } = useSocket();
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
 
+  // Scheduled messages are text only
+  const canSend = scheduleAt !== null
+    ? Boolean(message.trim() && scheduleAt) && attachments.length === 0
+    : (message.trim() || attachments.length > 0) && !isUploadingAttachment;
+  // With nothing typed, the send button records a voice note instead
+  const canRecordVoice = scheduleAt === null && !message.trim() && attachments.length === 0 &&
+    !isUploadingAttachment && canRecordVoiceNotes();
+
+  // Other participants whose username starts with the @mention being typed
+  const mentionSuggestions = mentionQuery
+    ? (participants || [])
+      .filter((participant) =>
+        participant.id !== currentUserId &&
+        participant.username.toLowerCase().startsWith(mentionQuery.query.toLowerCase())
+      )
+      .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
   useEffect(() => {
-    // Focus input when conversation changes
+    // Focus input and drop unsent uploads when conversation changes
+    setAttachments([]);
+    setAttachmentError(null);
+    setScheduleAt(null);
+    setScheduleError(null);
+    setIsPreviewing(false);
+    setMentionQuery(null);
+    setIsComposingPoll(false);
     if (inputRef.current) {
       inputRef.current.focus();
     }
@@ -22,8 +100,14 @@ const MessageInput = ({ conversationId }) => {
   const handleInputChange = (e) => {
     const value = e.target.value;
     setMessage(value);
+    setMentionQuery(getMentionQuery(value, e.target.selectionStart));
+    setMentionIndex(0);
+
+    // Handle typing indicators (shown for the conversation, not in threads)
+    if (threadId) {
+      return;
+    }
 
-    // Handle typing indicators
     if (value.trim() && !isTyping && isConnected && conversationId) {
       setIsTyping(true);
       startTyping(conversationId);
@@ -43,16 +127,134 @@ const MessageInput = ({ conversationId }) => {
     }, 1000);
   };
 
-  const handleSubmit = async (e) => {
+  const handleFileChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    setAttachmentError(null);
+
+    for (const file of files) {
+      const validationError = validateFile(file, ATTACHMENT_RULES);
+      if (validationError) {
+        setAttachmentError(`${file.name}: ${validationError}`);
+        continue;
+      }
+
+      try {
+        const attachment = await dispatch(uploadAttachment({ conversationId, file })).unwrap();
+        setAttachments((prev) => [...prev, attachment]);
+      } catch (error) {
+        setAttachmentError(`${file.name}: ${error}`);
+      }
+    }
+  };
+
+  const handleRemoveAttachment = (attachmentId) => {
+    setAttachments((prev) => prev.filter((attachment) => attachment.id !== attachmentId));
+  };
+
+  // Wrap the selected text (or insert an empty pair at the cursor) in a format's markers
+  const handleFormat = (key) => {
+    const format = FORMATS.find((candidate) => candidate.key === key);
+    const input = inputRef.current;
+    if (!format || !input) {
+      return;
+    }
+
+    const { selectionStart: start, selectionEnd: end } = input;
+    // Code blocks need the fences on lines of their own
+    const before = format.block && start > 0 && message[start - 1] !== '\n' ? `\n${format.before}` : format.before;
+    const after = format.block && end < message.length && message[end] !== '\n' ? `${format.after}\n` : format.after;
+    const value = message.slice(0, start) + before + message.slice(start, end) + after + message.slice(end);
+    if (value.length > MAX_LENGTH) {
+      return;
+    }
+
+    setMessage(value);
+    // Keep the same text selected once the new value is rendered
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(start + before.length, end + before.length);
+    });
+  };
+
+  // The cursor moved, e.g. by clicking or with the arrow keys
+  const handleSelectionChange = (e) => {
+    const query = getMentionQuery(e.target.value, e.target.selectionStart);
+    if (query?.start !== mentionQuery?.start || query?.query !== mentionQuery?.query) {
+      setMentionQuery(query);
+      setMentionIndex(0);
+    }
+  };
+
+  // Replace the @mention being typed with the chosen username
+  const handleSelectMention = (username) => {
+    const input = inputRef.current;
+    const mention = `@${username} `;
+    const value = message.slice(0, mentionQuery.start) + mention +
+      message.slice(mentionQuery.start + mentionQuery.query.length + 1);
+    if (value.length > MAX_LENGTH) {
+      return;
+    }
+
+    const cursor = mentionQuery.start + mention.length;
+    setMessage(value);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  const handleCancelReply = () => {
+    dispatch(threadId ? setThreadReplyingTo(null) : setReplyingTo(null));
+  };
+
+  const handleToggleSchedule = () => {
+    setScheduleError(null);
+    setScheduleAt(scheduleAt === null ? getDefaultSendAt() : null);
+  };
+
+  const handleSchedule = async () => {
+    const content = message.trim();
+    setScheduleError(null);
+
+    try {
+      await dispatch(scheduleMessage({
+        conversationId,
+        content,
+        format: getMessageFormat(content),
+        sendAt: new Date(scheduleAt).toISOString()
+      })).unwrap();
+      setMessage('');
+      setScheduleAt(null);
+      setIsPreviewing(false);
+    } catch (error) {
+      setScheduleError(error);
+    }
+  };
+
+  const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (!message.trim() || !conversationId || isSendingMessage) {
+    if (!canSend || !conversationId) {
+      return;
+    }
+
+    if (scheduleAt !== null) {
+      handleSchedule();
       return;
     }
 
     const messageContent = message.trim();
+    const messageAttachments = attachments;
     setMessage('');
+    setAttachments([]);
     setIsTyping(false);
+    setIsPreviewing(false);
+    setMentionQuery(null);
+    if (replyingTo) {
+      handleCancelReply();
+    }
 
     // Clear typing timeout and stop typing indicator
     if (typingTimeoutRef.current) {
@@ -63,31 +265,59 @@ const MessageInput = ({ conversationId }) => {
       stopTyping(conversationId);
     }
 
-    try {
-      // Use socket for real-time messaging if connected, fallback to HTTP
-      if (isConnected) {
-        await dispatch(sendSocketMessage({ 
-          conversationId, 
-          content: messageContent 
-        })).unwrap();
-      } else {
-        // Fallback to HTTP API when socket is not connected
-        const { sendMessage } = await import('../store/slices/chatSlice');
-        await dispatch(sendMessage({ 
-          conversationId, 
-          content: messageContent 
-        })).unwrap();
-      }
-    } catch (error) {
-      // Error is handled by the slice
-      console.error('Failed to send message:', error);
-      // Optionally restore the message content
-      setMessage(messageContent);
+    // Go back to the latest messages so the sent one is visible
+    if (isViewingHistory) {
+      dispatch(clearHighlightedMessage());
+      dispatch(fetchMessages(conversationId));
+    }
+
+    // Shown right away; the outbox sends it now or once the connection is back
+    dispatch(enqueueMessage({
+      conversationId,
+      threadId,
+      content: messageContent,
+      format: getMessageFormat(messageContent),
+      attachments: messageAttachments,
+      replyTo: replyingTo
+    }));
+  };
+
+  const handleVoiceNoteSent = () => {
+    setIsRecordingVoice(false);
+    if (replyingTo) {
+      handleCancelReply();
+    }
+    if (isViewingHistory) {
+      dispatch(clearHighlightedMessage());
+      dispatch(fetchMessages(conversationId));
     }
   };
 
   const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex((mentionIndex + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        handleSelectMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)].username);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
+    const shortcut = (e.ctrlKey || e.metaKey) && SHORTCUTS[e.key.toLowerCase()];
+    if (shortcut) {
+      e.preventDefault();
+      handleFormat(shortcut);
+    } else if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
     }
@@ -108,46 +338,225 @@ const MessageInput = ({ conversationId }) => {
 
   return (
     <div className="p-4">
-      <form onSubmit={handleSubmit} className="flex items-end space-x-3">
-        <div className="flex-1 relative">
-          <textarea
-            ref={inputRef}
-            value={message}
-            onChange={handleInputChange}
-            onKeyDown={handleKeyPress}
-            placeholder="Type a message..."
-            className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-2xl resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed"
-            rows={1}
-            disabled={isSendingMessage}
-            maxLength={1000}
-            style={{ minHeight: '48px', maxHeight: '120px' }}
-          />
-          <div className="absolute bottom-2 right-2 text-xs text-gray-400">
-            {message.length}/1000
+      {replyingTo && (
+        <div className="mb-2 flex items-start justify-between px-3 py-2 bg-gray-50 border-l-4 border-blue-500 rounded">
+          <div className="min-w-0">
+            <p className="text-xs font-medium text-blue-600">
+              Replying to {replyingTo.sender?.username || 'Unknown User'}
+            </p>
+            <p className="text-sm text-gray-600 truncate">
+              {replyingTo.type === 'VOICE'
+                ? describeVoiceNote(replyingTo)
+                : replyingTo.content || (replyingTo.attachments?.length > 0 ? '📎 Attachment' : '')}
+            </p>
           </div>
+          <button
+            type="button"
+            onClick={handleCancelReply}
+            className="ml-2 text-gray-400 hover:text-gray-600"
+            aria-label="Cancel reply"
+          >
+            ×
+          </button>
         </div>
-        
+      )}
+      {(attachments.length > 0 || isUploadingAttachment || attachmentError) && (
+        <div className="mb-2 flex flex-wrap items-center gap-2">
+          {attachments.map((attachment) => (
+            <span
+              key={attachment.id}
+              className="inline-flex items-center max-w-xs px-3 py-1 bg-gray-100 rounded-full text-sm text-gray-700"
+            >
+              <span className="truncate">📎 {attachment.fileName}</span>
+              <button
+                type="button"
+                onClick={() => handleRemoveAttachment(attachment.id)}
+                className="ml-2 text-gray-400 hover:text-gray-600"
+                aria-label={`Remove ${attachment.fileName}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {isUploadingAttachment && (
+            <span className="text-sm text-gray-500">Uploading...</span>
+          )}
+          {attachmentError && (
+            <span className="text-sm text-red-600">{attachmentError}</span>
+          )}
+        </div>
+      )}
+      {scheduleAt !== null && (
+        <div className="mb-2 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          <label htmlFor={`schedule-${conversationId}`}>Send at</label>
+          <input
+            id={`schedule-${conversationId}`}
+            type="datetime-local"
+            value={scheduleAt}
+            min={toDateTimeLocal(new Date())}
+            onChange={(e) => setScheduleAt(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          />
+          {attachments.length > 0 && (
+            <span className="text-gray-500">Remove attachments to schedule this message</span>
+          )}
+          {scheduleError && <span className="text-red-600">{scheduleError}</span>}
+        </div>
+      )}
+      {isComposingPoll && (
+        <PollComposer conversationId={conversationId} onClose={() => setIsComposingPoll(false)} />
+      )}
+      {isPreviewing && message.trim() && (
+        <div className="mb-2 px-4 py-3 max-h-48 overflow-y-auto bg-gray-50 border border-gray-200 rounded-2xl text-sm text-gray-800">
+          <FormattedText content={message.trim()} />
+        </div>
+      )}
+      <div className="mb-2 flex items-center gap-1 text-sm">
+        {FORMATS.map((format) => (
+          <button
+            key={format.key}
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => handleFormat(format.key)}
+            className={`px-2 py-1 rounded text-gray-600 hover:bg-gray-100 hover:text-gray-800 ${format.className}`}
+            title={format.title}
+          >
+            {format.label}
+          </button>
+        ))}
+        {!threadId && (
+          <button
+            type="button"
+            onClick={() => setIsComposingPoll(!isComposingPoll)}
+            className={`px-2 py-1 rounded ${
+              isComposingPoll ? 'bg-blue-100 text-blue-600' : 'text-gray-600 hover:bg-gray-100 hover:text-gray-800'
+            }`}
+            title="Create a poll"
+          >
+            📊 Poll
+          </button>
+        )}
         <button
-          type="submit"
-          className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center transition-all duration-200 ${
-            message.trim() && !isSendingMessage
-              ? 'bg-blue-600 hover:bg-blue-700 text-white shadow-md'
-              : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+          type="button"
+          onClick={() => setIsPreviewing(!isPreviewing)}
+          className={`ml-auto px-2 py-1 rounded ${
+            isPreviewing ? 'bg-blue-100 text-blue-600' : 'text-gray-600 hover:bg-gray-100 hover:text-gray-800'
           }`}
-          disabled={!message.trim() || isSendingMessage}
+          title={isPreviewing ? 'Hide preview' : 'Preview formatting'}
         >
-          {isSendingMessage ? (
-            <svg className="animate-spin w-5 h-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-          ) : (
+          Preview
+        </button>
+      </div>
+      {isRecordingVoice ? (
+        <VoiceRecorder
+          conversationId={conversationId}
+          threadId={threadId}
+          replyToId={replyingTo?.id || null}
+          onSent={handleVoiceNoteSent}
+          onCancel={() => setIsRecordingVoice(false)}
+        />
+      ) : (
+        <form onSubmit={handleSubmit} className="flex items-end space-x-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_RULES.allowedTypes.join(',')}
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50"
+            disabled={isUploadingAttachment}
+            title="Attach files"
+          >
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
             </svg>
+          </button>
+          <div className="flex-1 relative">
+            {mentionSuggestions.length > 0 && (
+              <ul className="absolute bottom-full left-0 mb-2 w-64 py-1 bg-white border border-gray-200 rounded-lg shadow-lg z-10" role="listbox">
+                {mentionSuggestions.map((participant, index) => (
+                  <li key={participant.id} role="option" aria-selected={index === mentionIndex}>
+                    <button
+                      type="button"
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => handleSelectMention(participant.username)}
+                      className={`w-full px-3 py-2 text-left text-sm ${
+                        index === mentionIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      @{participant.username}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <textarea
+              ref={inputRef}
+              value={message}
+              onChange={handleInputChange}
+              onSelect={handleSelectionChange}
+              onKeyDown={handleKeyPress}
+              placeholder={threadId ? 'Reply in thread...' : 'Type a message...'}
+              className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-2xl resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed"
+              rows={1}
+              maxLength={MAX_LENGTH}
+              style={{ minHeight: '48px', maxHeight: '120px' }}
+            />
+            <div className="absolute bottom-2 right-2 text-xs text-gray-400">
+              {message.length}/{MAX_LENGTH}
+            </div>
+          </div>
+
+          {!threadId && (
+            <button
+              type="button"
+              onClick={handleToggleSchedule}
+              className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center transition-colors duration-200 ${
+                scheduleAt !== null
+                  ? 'bg-blue-100 text-blue-600'
+                  : 'text-gray-500 hover:bg-gray-100 hover:text-gray-700'
+              }`}
+              title={scheduleAt !== null ? 'Send now instead' : 'Schedule message'}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </button>
           )}
-        </button>
-      </form>
+        
+          {canRecordVoice ? (
+            <button
+              type="button"
+              onClick={() => setIsRecordingVoice(true)}
+              className="flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white shadow-md transition-all duration-200"
+              title="Record a voice note"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+              </svg>
+            </button>
+          ) : (
+            <button
+              type="submit"
+              className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center transition-all duration-200 ${
+                canSend
+                  ? 'bg-blue-600 hover:bg-blue-700 text-white shadow-md'
+                  : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+              }`}
+              disabled={!canSend}
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+              </svg>
+            </button>
+          )}
+        </form>
+      )}
     </div>
   );
 };
@@ -1,21 +1,111 @@
-import React, { useEffect, useRef } from 'react';
-import { useSelector } from 'react-redux';
+import React, { useEffect, useLayoutEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchOlderMessages, fetchNewerMessages, clearHighlightedMessage } from '../store/slices/chatSlice';
+import { getOutboxMessages } from '../store/slices/outboxSlice';
 import Message from './Message';
 
+// Start loading older (newer) messages when scrolled this close to the top (bottom) (px)
+const LOAD_OLDER_THRESHOLD = 80;
+const LOAD_NEWER_THRESHOLD = 80;
+
+// How long a message opened from search stays highlighted (ms)
+const HIGHLIGHT_DURATION = 4000;
+
 const MessageList = ({ conversationId }) => {
+  const dispatch = useDispatch();
+  const listRef = useRef(null);
   const messagesEndRef = useRef(null);
-  const { messages, isLoadingMessages } = useSelector((state) => state.chat);
+  const scrollAnchorRef = useRef(null);
+  const highlightedIdRef = useRef(null);
+  const skipAutoScrollRef = useRef(false);
+  const {
+    messages,
+    conversations,
+    messagePagination,
+    highlightedMessage,
+    isLoadingMessages,
+    isLoadingOlderMessages,
+    isLoadingNewerMessages
+  } = useSelector((state) => state.chat);
   const { user } = useSelector((state) => state.auth);
-  
-  const conversationMessages = messages[conversationId] || [];
+  const outboxItems = useSelector((state) => state.outbox.items);
+
+  const storedMessages = messages[conversationId] || [];
+  // Messages not sent yet follow the ones the server has
+  const conversationMessages = [
+    ...storedMessages,
+    ...getOutboxMessages(outboxItems, { conversationId, sender: user, delivered: storedMessages })
+  ];
+  const conversation = conversations.find((c) => c.id === conversationId);
+  const otherParticipants = conversation?.participants?.filter((p) => p.id !== user?.id) || [];
+  const pagination = messagePagination[conversationId];
+  const firstMessageId = conversationMessages[0]?.id;
+  const lastMessageId = conversationMessages[conversationMessages.length - 1]?.id;
+  const highlightedMessageId = highlightedMessage?.conversationId === conversationId
+    ? highlightedMessage.messageId
+    : null;
 
-  // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
-    scrollToBottom();
-  }, [conversationMessages]);
+    highlightedIdRef.current = highlightedMessageId;
+  }, [highlightedMessageId]);
 
-  const scrollToBottom = () => {
+  // Auto-scroll to bottom when a new message arrives at the end, but not when
+  // a window around a highlighted message or a page of newer history loads
+  useEffect(() => {
+    if (highlightedIdRef.current || skipAutoScrollRef.current) {
+      skipAutoScrollRef.current = false;
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastMessageId]);
+
+  // Bring a message opened from search into view, then let the highlight fade
+  useEffect(() => {
+    if (!highlightedMessageId || isLoadingMessages) {
+      return undefined;
+    }
+
+    listRef.current
+      ?.querySelector(`[data-message-id="${highlightedMessageId}"]`)
+      ?.scrollIntoView({ block: 'center' });
+
+    const timer = setTimeout(() => dispatch(clearHighlightedMessage()), HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [dispatch, highlightedMessageId, isLoadingMessages]);
+
+  // Keep the viewport on the same message after older history is prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const list = listRef.current;
+    if (anchor && list) {
+      list.scrollTop = list.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+      scrollAnchorRef.current = null;
+    }
+  }, [firstMessageId]);
+
+  const handleScroll = (e) => {
+    const list = e.currentTarget;
+    const distanceFromBottom = list.scrollHeight - list.scrollTop - list.clientHeight;
+
+    if (distanceFromBottom < LOAD_NEWER_THRESHOLD && pagination?.hasNewer && !isLoadingNewerMessages) {
+      skipAutoScrollRef.current = true;
+      dispatch(fetchNewerMessages(conversationId));
+      return;
+    }
+
+    if (list.scrollTop > LOAD_OLDER_THRESHOLD || !pagination?.hasMore || isLoadingOlderMessages) {
+      return;
+    }
+
+    scrollAnchorRef.current = {
+      scrollHeight: list.scrollHeight,
+      scrollTop: list.scrollTop
+    };
+    dispatch(fetchOlderMessages(conversationId)).then((action) => {
+      if (fetchOlderMessages.rejected.match(action)) {
+        scrollAnchorRef.current = null;
+      }
+    });
   };
 
   const shouldShowAvatar = (currentMessage, previousMessage) => {
@@ -34,6 +124,23 @@ const MessageList = ({ conversationId }) => {
     return timeDiff > 5 * 60 * 1000;
   };
 
+  // Split the other participants into who has and hasn't read a message yet
+  const getReceipt = (message) => {
+    const sentAt = new Date(message.createdAt);
+    const readBy = [];
+    const deliveredTo = [];
+
+    otherParticipants.forEach((participant) => {
+      if (participant.lastReadAt && new Date(participant.lastReadAt) >= sentAt) {
+        readBy.push(participant.username);
+      } else {
+        deliveredTo.push(participant.username);
+      }
+    });
+
+    return { readBy, deliveredTo };
+  };
+
   const shouldShowDateSeparator = (currentMessage, previousMessage) => {
     if (!previousMessage) return true;
     
@@ -94,8 +201,14 @@ const MessageList = ({ conversationId }) => {
   }
 
   return (
-    <div className="message-list">
+    <div ref={listRef} className="message-list h-full overflow-y-auto" onScroll={handleScroll}>
       <div className="messages-container">
+        {isLoadingOlderMessages && (
+          <div className="loading-older">Loading earlier messages...</div>
+        )}
+        {pagination && !pagination.hasMore && (
+          <div className="history-start">Beginning of conversation</div>
+        )}
         {conversationMessages.map((message, index) => {
           const previousMessage = conversationMessages[index - 1];
           const nextMessage = conversationMessages[index + 1];
@@ -118,10 +231,16 @@ const MessageList = ({ conversationId }) => {
                 isOwn={isOwn}
                 showAvatar={showAvatar}
                 showTimestamp={showTimestamp}
+                receipt={isOwn && !message.deletedAt && !message.outbox ? getReceipt(message) : null}
+                isGroup={conversation?.isGroup}
+                isHighlighted={message.id === highlightedMessageId}
               />
             </React.Fragment>
           );
         })}
+        {isLoadingNewerMessages && (
+          <div className="loading-older">Loading newer messages...</div>
+        )}
         <div ref={messagesEndRef} />
       </div>
     </div>
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchPins, unpinMessage, jumpToMessage, openThread } from '../store/slices/chatSlice';
+import { describeVoiceNote } from '../utils/voiceNotes';
+
+const PinnedBanner = ({ conversationId }) => {
+  const dispatch = useDispatch();
+  const pins = useSelector((state) => state.chat.pins[conversationId]);
+  const [position, setPosition] = useState(0);
+
+  useEffect(() => {
+    dispatch(fetchPins(conversationId));
+  }, [dispatch, conversationId]);
+
+  if (!pins?.length) {
+    return null;
+  }
+
+  // Pins can disappear while the banner is shown
+  const index = position % pins.length;
+  const pin = pins[index];
+  const { message } = pin;
+
+  // Jump to the shown pin, then show the next one so repeated clicks cycle through them
+  const handleClick = () => {
+    dispatch(jumpToMessage({ conversationId, messageId: message.threadId || message.id }));
+    if (message.threadId) {
+      dispatch(openThread({ conversationId, threadId: message.threadId }));
+    }
+    setPosition((index + 1) % pins.length);
+  };
+
+  const handleUnpin = () => {
+    dispatch(unpinMessage({ conversationId, messageId: pin.messageId }));
+  };
+
+  return (
+    <div className="flex items-center px-6 py-2 border-b border-gray-200 bg-blue-50">
+      <button
+        type="button"
+        onClick={handleClick}
+        className="flex-1 min-w-0 text-left"
+        title={pins.length > 1 ? 'Go to message and show the next pin' : 'Go to message'}
+      >
+        <div className="text-xs font-medium text-blue-700">
+          📌 Pinned message{pins.length > 1 ? ` ${index + 1} of ${pins.length}` : ''}
+        </div>
+        <div className="text-sm text-gray-700 truncate">
+          <span className="font-medium">{message.sender?.username || 'Unknown User'}:</span>{' '}
+          {message.type === 'VOICE' ? describeVoiceNote(message) : message.content || '📎 Attachment'}
+        </div>
+      </button>
+      <button
+        type="button"
+        onClick={handleUnpin}
+        className="ml-3 p-1 rounded-full text-gray-500 hover:bg-blue-100 hover:text-gray-700"
+        title="Unpin message"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default PinnedBanner;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { createPoll } from '../store/slices/chatSlice';
+import { toDateTimeLocal } from '../utils/schedule';
+
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// Form for posting a poll to a conversation
+const PollComposer = ({ conversationId, onClose }) => {
+  const dispatch = useDispatch();
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowsMultiple, setAllowsMultiple] = useState(false);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [closesAt, setClosesAt] = useState(''); // datetime-local value; '' = stays open
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const filledOptions = options.map((option) => option.trim()).filter(Boolean);
+  const hasDuplicates = new Set(filledOptions.map((option) => option.toLowerCase())).size !== filledOptions.length;
+  const canSubmit = Boolean(question.trim()) && filledOptions.length >= MIN_OPTIONS && !hasDuplicates && !isSubmitting;
+
+  const handleOptionChange = (index, value) => {
+    setOptions(options.map((option, i) => (i === index ? value : option)));
+  };
+
+  const handleRemoveOption = (index) => {
+    setOptions(options.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) {
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await dispatch(createPoll({
+        conversationId,
+        question: question.trim(),
+        options: filledOptions,
+        allowsMultiple,
+        isAnonymous,
+        closesAt: closesAt ? new Date(closesAt).toISOString() : null
+      })).unwrap();
+      onClose();
+    } catch (submitError) {
+      setError(submitError);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-2 p-3 space-y-2 bg-gray-50 border border-gray-200 rounded-2xl text-sm">
+      <input
+        type="text"
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        placeholder="Ask a question"
+        maxLength={MAX_QUESTION_LENGTH}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        autoFocus
+      />
+      {options.map((option, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={option}
+            onChange={(e) => handleOptionChange(index, e.target.value)}
+            placeholder={`Option ${index + 1}`}
+            maxLength={MAX_OPTION_LENGTH}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {options.length > MIN_OPTIONS && (
+            <button
+              type="button"
+              onClick={() => handleRemoveOption(index)}
+              className="text-gray-400 hover:text-gray-600"
+              aria-label={`Remove option ${index + 1}`}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      {options.length < MAX_OPTIONS && (
+        <button
+          type="button"
+          onClick={() => setOptions([...options, ''])}
+          className="text-blue-600 hover:text-blue-700"
+        >
+          + Add option
+        </button>
+      )}
+      <div className="flex flex-wrap items-center gap-4 text-gray-700">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={allowsMultiple} onChange={(e) => setAllowsMultiple(e.target.checked)} />
+          Allow multiple answers
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={isAnonymous} onChange={(e) => setIsAnonymous(e.target.checked)} />
+          Anonymous
+        </label>
+        <label className="flex items-center gap-1">
+          Closes
+          <input
+            type="datetime-local"
+            value={closesAt}
+            min={toDateTimeLocal(new Date())}
+            onChange={(e) => setClosesAt(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+      </div>
+      {hasDuplicates && <div className="text-red-600">Options must be different from each other</div>}
+      {error && <div className="text-red-600">{error}</div>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-3 py-1.5 text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Posting...' : 'Post poll'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PollComposer;
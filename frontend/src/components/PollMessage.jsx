@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { votePoll, closePoll } from '../store/slices/chatSlice';
+import { formatSendAt } from '../utils/schedule';
+
+// Results of a POLL message, with voting while the poll is open
+const PollMessage = ({ message, isOwn }) => {
+  const dispatch = useDispatch();
+  const currentUserId = useSelector((state) => state.auth.user?.id);
+  const [isVoting, setIsVoting] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const { poll } = message;
+
+  // Re-render when the close time passes, so the poll shows as closed without waiting for another update
+  useEffect(() => {
+    const remaining = poll.closesAt ? new Date(poll.closesAt).getTime() - Date.now() : 0;
+    if (remaining <= 0) {
+      return undefined;
+    }
+    // Longer timeouts than ~24.8 days fire at once, so wait at most a day at a time
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(remaining, 24 * 60 * 60 * 1000));
+    return () => clearTimeout(timer);
+  }, [poll.closesAt, now]);
+
+  const isClosed = poll.isClosed || (Boolean(poll.closesAt) && new Date(poll.closesAt).getTime() <= now);
+  // Votes arriving from other users leave out our own; voters are listed unless the poll is anonymous
+  const myVotes = poll.myVotes ?? poll.options
+    .filter((option) => option.voters?.some((voter) => voter.id === currentUserId))
+    .map((option) => option.id);
+  const hasVoted = myVotes.length > 0;
+  const canVote = !isClosed && !message.deletedAt && !isVoting;
+
+  const handleVote = async (optionId) => {
+    if (!canVote) {
+      return;
+    }
+
+    let optionIds;
+    if (myVotes.includes(optionId)) {
+      optionIds = myVotes.filter((id) => id !== optionId);
+    } else {
+      optionIds = poll.allowsMultiple ? [...myVotes, optionId] : [optionId];
+    }
+
+    setIsVoting(true);
+    try {
+      await dispatch(votePoll({ conversationId: message.conversationId, messageId: message.id, optionIds })).unwrap();
+    } catch (error) {
+      // Error is handled by the slice
+      console.error('Failed to vote:', error);
+    } finally {
+      setIsVoting(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (window.confirm('Close this poll? No more votes will be accepted.')) {
+      dispatch(closePoll({ conversationId: message.conversationId, messageId: message.id }));
+    }
+  };
+
+  const details = [
+    poll.allowsMultiple ? 'Choose one or more' : 'Choose one',
+    poll.isAnonymous && 'Anonymous',
+    isClosed ? 'Closed' : poll.closesAt && `Closes ${formatSendAt(poll.closesAt)}`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="message-poll">
+      <div className="poll-question">📊 {poll.question}</div>
+      <div className="poll-details">{details}</div>
+      <ul className="poll-options">
+        {poll.options.map((option) => {
+          const isMine = myVotes.includes(option.id);
+          const percent = poll.totalVoters > 0 ? Math.round((option.voteCount / poll.totalVoters) * 100) : 0;
+          return (
+            <li key={option.id}>
+              <button
+                type="button"
+                className={`poll-option ${isMine ? 'mine' : ''}`}
+                onClick={() => handleVote(option.id)}
+                disabled={!canVote}
+                title={option.voters?.length > 0 ? option.voters.map((voter) => voter.username).join(', ') : undefined}
+                aria-pressed={isMine}
+              >
+                <span className="poll-option-bar" style={{ width: `${(hasVoted || isClosed) ? percent : 0}%` }} />
+                <span className="poll-option-text">
+                  {poll.allowsMultiple ? (isMine ? '☑' : '☐') : (isMine ? '◉' : '○')} {option.text}
+                </span>
+                {(hasVoted || isClosed) && (
+                  <span className="poll-option-count">{option.voteCount} · {percent}%</span>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="poll-footer">
+        <span>{poll.totalVoters} {poll.totalVoters === 1 ? 'voter' : 'voters'}</span>
+        {isOwn && !isClosed && !message.deletedAt && (
+          <button type="button" className="poll-close" onClick={handleClose}>Close poll</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollMessage;
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} from '../store/slices/scheduledSlice';
+import { toDateTimeLocal, formatSendAt } from '../utils/schedule';
+import { getMessageFormat } from '../utils/markdown';
+import FormattedText from './FormattedText';
+
+// The user's scheduled messages for a conversation, shown above the composer
+const ScheduledMessages = ({ conversationId }) => {
+  const dispatch = useDispatch();
+  const { items, isLoaded, isLoading } = useSelector((state) => state.scheduled);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, content, sendAt }
+  const [error, setError] = useState(null);
+
+  const scheduledMessages = items.filter((item) => item.conversationId === conversationId);
+
+  useEffect(() => {
+    if (!isLoaded && !isLoading) {
+      dispatch(fetchScheduledMessages());
+    }
+  }, [dispatch, isLoaded, isLoading]);
+
+  if (scheduledMessages.length === 0) {
+    return null;
+  }
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await dispatch(action).unwrap();
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    }
+  };
+
+  const handleSave = async () => {
+    const content = editing.content.trim();
+    if (!content || !editing.sendAt) {
+      return;
+    }
+    const saved = await runAction(updateScheduledMessage({
+      id: editing.id,
+      content,
+      format: getMessageFormat(content),
+      sendAt: new Date(editing.sendAt).toISOString()
+    }));
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const handleCancel = (scheduledMessage) => {
+    if (!window.confirm('Cancel this scheduled message?')) {
+      return;
+    }
+    runAction(cancelScheduledMessage(scheduledMessage.id));
+  };
+
+  return (
+    <div className="px-4 pt-3">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        🕒 {scheduledMessages.length === 1 ? '1 scheduled message' : `${scheduledMessages.length} scheduled messages`}
+        {scheduledMessages.some((item) => item.status === 'FAILED') && (
+          <span className="ml-2 text-red-600">(failed to send)</span>
+        )}
+      </button>
+
+      {isExpanded && (
+        <ul className="mt-2 space-y-2 max-h-48 overflow-y-auto">
+          {scheduledMessages.map((scheduledMessage) => (
+            <li key={scheduledMessage.id} className="px-3 py-2 bg-gray-50 rounded border border-gray-200 text-sm">
+              {editing?.id === scheduledMessage.id ? (
+                <div className="space-y-2">
+                  <textarea
+                    value={editing.content}
+                    onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 rounded resize-none"
+                    maxLength={1000}
+                    rows={2}
+                  />
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="datetime-local"
+                      value={editing.sendAt}
+                      min={toDateTimeLocal(new Date())}
+                      onChange={(e) => setEditing({ ...editing, sendAt: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded"
+                    />
+                    <button type="button" onClick={handleSave} className="text-blue-600 hover:text-blue-800">
+                      Save
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="text-xs text-gray-500">
+                      {scheduledMessage.status === 'SENDING' ? 'Sending...' : formatSendAt(scheduledMessage.sendAt)}
+                    </div>
+                    <div className="text-gray-800 break-words">
+                      {scheduledMessage.format === 'MARKDOWN'
+                        ? <FormattedText content={scheduledMessage.content} />
+                        : scheduledMessage.content}
+                    </div>
+                    {scheduledMessage.status === 'FAILED' && (
+                      <div className="text-xs text-red-600">
+                        Not sent{scheduledMessage.error ? `: ${scheduledMessage.error}` : ''}. Edit it to try again.
+                      </div>
+                    )}
+                  </div>
+                  {scheduledMessage.status !== 'SENDING' && (
+                    <div className="flex-shrink-0 space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setEditing({
+                          id: scheduledMessage.id,
+                          content: scheduledMessage.content,
+                          sendAt: toDateTimeLocal(scheduledMessage.sendAt)
+                        })}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleCancel(scheduledMessage)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <div className="mt-1 text-sm text-red-600">{error}</div>}
+    </div>
+  );
+};
+
+export default ScheduledMessages;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { searchMessages, loadMoreSearchResults, clearSearch } from '../store/slices/searchSlice';
+import { jumpToMessage, openThread } from '../store/slices/chatSlice';
+
+// Split a snippet into plain text and <mark>ed matches (rendered as text, never as HTML)
+const renderSnippet = (snippet, highlights) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(({ start, end }, index) => {
+    if (start > position) {
+      parts.push(snippet.slice(position, start));
+    }
+    parts.push(<mark key={index}>{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+
+  if (position < snippet.length) {
+    parts.push(snippet.slice(position));
+  }
+
+  return parts;
+};
+
+const SearchPanel = ({ onClose }) => {
+  const dispatch = useDispatch();
+  const { results, hasMore, isSearching, error, criteria } = useSelector((state) => state.search);
+  const { conversations, highlightedMessage } = useSelector((state) => state.chat);
+  const { user } = useSelector((state) => state.auth);
+  const [query, setQuery] = useState(criteria?.query || '');
+  const [filters, setFilters] = useState({
+    conversationId: criteria?.conversationId || '',
+    senderId: criteria?.senderId || '',
+    from: criteria?.from || '',
+    to: criteria?.to || ''
+  });
+
+  // Senders to filter by: members of the chosen conversation, or of any conversation
+  const senderOptions = (() => {
+    const scope = filters.conversationId
+      ? conversations.filter((c) => c.id === filters.conversationId)
+      : conversations;
+    const senders = new Map();
+    scope.forEach((conversation) => {
+      conversation.participants?.forEach((participant) => {
+        senders.set(participant.id, participant.username);
+      });
+    });
+    return Array.from(senders, ([id, username]) => ({ id, username }));
+  })();
+
+  const getConversationName = (conversation) => {
+    if (conversation.isGroup) {
+      return conversation.name || 'Group Chat';
+    }
+    const known = conversations.find((c) => c.id === conversation.id);
+    const other = known?.participants?.find((p) => p.id !== user?.id);
+    return other?.username || 'Direct message';
+  };
+
+  const runSearch = (nextFilters = filters) => {
+    if (!query.trim()) return;
+    dispatch(searchMessages({ query: query.trim(), ...nextFilters }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const handleFilterChange = (name, value) => {
+    const nextFilters = { ...filters, [name]: value };
+    // A sender from another conversation would match nothing
+    if (name === 'conversationId') {
+      nextFilters.senderId = '';
+    }
+    setFilters(nextFilters);
+    runSearch(nextFilters);
+  };
+
+  // Thread replies are shown in their thread, next to the thread's root message
+  const handleResultClick = (message, conversation, threadId) => {
+    dispatch(jumpToMessage({ conversationId: conversation.id, messageId: threadId || message.id }));
+    if (threadId) {
+      dispatch(openThread({ conversationId: conversation.id, threadId, highlightedMessageId: message.id }));
+    }
+  };
+
+  const handleClose = () => {
+    dispatch(clearSearch());
+    onClose();
+  };
+
+  return (
+    <div className="search-panel">
+      <div className="search-panel-header">
+        <h3>Search messages</h3>
+        <button type="button" className="search-panel-close" onClick={handleClose} title="Close search">
+          ✕
+        </button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search messages..."
+          maxLength={200}
+          autoFocus
+        />
+        <div className="search-filters">
+          <select
+            value={filters.conversationId}
+            onChange={(e) => handleFilterChange('conversationId', e.target.value)}
+          >
+            <option value="">All conversations</option>
+            {conversations.map((conversation) => (
+              <option key={conversation.id} value={conversation.id}>
+                {getConversationName(conversation)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.senderId}
+            onChange={(e) => handleFilterChange('senderId', e.target.value)}
+          >
+            <option value="">Anyone</option>
+            {senderOptions.map((sender) => (
+              <option key={sender.id} value={sender.id}>
+                {sender.id === user?.id ? 'Me' : sender.username}
+              </option>
+            ))}
+          </select>
+          <label>
+            From
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+            />
+          </label>
+        </div>
+      </form>
+
+      <div className="search-results">
+        {error && <div className="error-message">{error}</div>}
+
+        {!isSearching && criteria && results.length === 0 && !error && (
+          <div className="search-empty">No messages found</div>
+        )}
+
+        {results.map(({ message, conversation, threadId, snippet, highlights }) => (
+          <button
+            key={message.id}
+            type="button"
+            className={`search-result ${highlightedMessage?.messageId === message.id ? 'active' : ''}`}
+            onClick={() => handleResultClick(message, conversation, threadId)}
+          >
+            <div className="search-result-meta">
+              <span className="search-result-conversation">{getConversationName(conversation)}</span>
+              <span className="search-result-time">{new Date(message.createdAt).toLocaleDateString()}</span>
+            </div>
+            <div className="search-result-sender">{message.sender?.username}</div>
+            <div className="search-snippet">{renderSnippet(snippet, highlights)}</div>
+          </button>
+        ))}
+
+        {isSearching && <div className="loading-spinner">Searching...</div>}
+
+        {hasMore && !isSearching && (
+          <button
+            type="button"
+            className="search-load-more"
+            onClick={() => dispatch(loadMoreSearchResults())}
+          >
+            Load more results
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,154 @@
+import React, { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchThread, fetchOlderThreadMessages, closeThread, clearThreadHighlight } from '../store/slices/chatSlice';
+import { getOutboxMessages } from '../store/slices/outboxSlice';
+import socketService from '../services/socketService';
+import useSocket from '../hooks/useSocket';
+import Message from './Message';
+import MessageInput from './MessageInput';
+
+// How long a reply opened from search stays highlighted (ms)
+const HIGHLIGHT_DURATION = 4000;
+
+const ThreadPanel = () => {
+  const dispatch = useDispatch();
+  const { activeThread, isLoadingThread } = useSelector((state) => state.chat);
+  const { user } = useSelector((state) => state.auth);
+  const outboxItems = useSelector((state) => state.outbox.items);
+  const { isConnected } = useSocket();
+  const listRef = useRef(null);
+  const bottomRef = useRef(null);
+  const highlightedIdRef = useRef(null);
+
+  const conversationId = activeThread?.conversationId;
+  const threadId = activeThread?.threadId;
+  const pendingReplies = activeThread
+    ? getOutboxMessages(outboxItems, { conversationId, threadId, sender: user, delivered: activeThread.messages })
+    : [];
+  const replyCount = (activeThread?.messages.length || 0) + pendingReplies.length;
+  const highlightedMessageId = activeThread?.highlightedMessageId || null;
+  const hasHighlightedReply = Boolean(highlightedMessageId)
+    && activeThread.messages.some((message) => message.id === highlightedMessageId);
+  const isLoaded = Boolean(activeThread?.isLoaded);
+  const hasMore = Boolean(activeThread?.hasMore);
+
+  useEffect(() => {
+    highlightedIdRef.current = highlightedMessageId;
+  }, [highlightedMessageId]);
+
+  // Load the thread, and follow its replies while it is open
+  useEffect(() => {
+    if (!conversationId || !threadId) return;
+
+    dispatch(fetchThread({ conversationId, threadId }));
+  }, [dispatch, conversationId, threadId]);
+
+  useEffect(() => {
+    if (!conversationId || !threadId || !isConnected) return;
+
+    socketService.joinThread(conversationId, threadId);
+    return () => socketService.leaveThread(conversationId, threadId);
+  }, [conversationId, threadId, isConnected]);
+
+  // Keep the newest reply in view, unless one opened from search is highlighted
+  useEffect(() => {
+    if (highlightedIdRef.current) return;
+
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replyCount]);
+
+  // Bring a reply opened from search into view, loading earlier replies until
+  // it turns up, then let the highlight fade
+  useEffect(() => {
+    if (!highlightedMessageId || !isLoaded || isLoadingThread) {
+      return undefined;
+    }
+
+    if (!hasHighlightedReply) {
+      if (!hasMore) {
+        dispatch(clearThreadHighlight());
+        return undefined;
+      }
+
+      dispatch(fetchOlderThreadMessages()).then((action) => {
+        if (fetchOlderThreadMessages.rejected.match(action)) {
+          dispatch(clearThreadHighlight());
+        }
+      });
+      return undefined;
+    }
+
+    listRef.current
+      ?.querySelector(`[data-message-id="${highlightedMessageId}"]`)
+      ?.scrollIntoView({ block: 'center' });
+
+    const timer = setTimeout(() => dispatch(clearThreadHighlight()), HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [dispatch, highlightedMessageId, hasHighlightedReply, hasMore, isLoaded, isLoadingThread]);
+
+  if (!activeThread) {
+    return null;
+  }
+
+  const { root, messages } = activeThread;
+
+  return (
+    <aside className="w-96 flex flex-col border-l border-gray-200 bg-white">
+      <div className="flex items-center justify-between px-4 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900">Thread</h3>
+        <button
+          type="button"
+          onClick={() => dispatch(closeThread())}
+          className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+          title="Close thread"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto px-4 py-3">
+        {root ? (
+          <Message message={root} isOwn={root.senderId === user?.id} inThread />
+        ) : (
+          <div className="text-sm text-gray-500">Loading thread...</div>
+        )}
+
+        <div className="my-3 flex items-center text-xs text-gray-500">
+          <span className="flex-1 border-t border-gray-200" />
+          <span className="px-2">
+            {root?.threadReplyCount === 1 ? '1 reply' : `${root?.threadReplyCount || 0} replies`}
+          </span>
+          <span className="flex-1 border-t border-gray-200" />
+        </div>
+
+        {hasMore && (
+          <button
+            type="button"
+            onClick={() => dispatch(fetchOlderThreadMessages())}
+            className="w-full mb-2 text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            disabled={isLoadingThread}
+          >
+            {isLoadingThread ? 'Loading...' : 'Show earlier replies'}
+          </button>
+        )}
+
+        {[...messages, ...pendingReplies].map((message) => (
+          <Message
+            key={message.id}
+            message={message}
+            isOwn={message.senderId === user?.id}
+            isHighlighted={message.id === highlightedMessageId}
+            inThread
+          />
+        ))}
+        <div ref={bottomRef} />
+      </div>
+
+      <div className="border-t border-gray-200">
+        <MessageInput key={threadId} conversationId={conversationId} threadId={threadId} />
+      </div>
+    </aside>
+  );
+};
+
+export default ThreadPanel;
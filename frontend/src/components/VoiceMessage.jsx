@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import chatService from '../services/chatService';
+import { formatDuration } from '../utils/voiceNotes';
+
+// Player for a VOICE message. Playback is authenticated, so the recording is
+// fetched as a blob the first time it is played.
+const VoiceMessage = ({ message }) => {
+  const recording = message.attachments?.[0];
+  const durationMs = recording?.durationMs || 0;
+  const [url, setUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0); // ms played
+  const audioRef = useRef(null);
+  const playOnLoadRef = useRef(false);
+
+  // Release the blob when the message goes away
+  useEffect(() => {
+    return () => {
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [url]);
+
+  const handleTogglePlayback = async () => {
+    if (url) {
+      const audio = audioRef.current;
+      if (audio.paused) {
+        audio.play().catch(() => setIsPlaying(false));
+      } else {
+        audio.pause();
+      }
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await chatService.getVoiceNote(message.conversationId, message.id);
+      playOnLoadRef.current = true;
+      setUrl(URL.createObjectURL(response.data));
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'Voice note not found' : 'Failed to load voice note');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Recordings often carry no length of their own, so seeking uses the one sent with the message
+  const handleSeek = (e) => {
+    const audio = audioRef.current;
+    if (!audio || !durationMs) {
+      return;
+    }
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - bounds.left) / bounds.width));
+    audio.currentTime = (fraction * durationMs) / 1000;
+    setPosition(fraction * durationMs);
+  };
+
+  const progress = durationMs ? Math.min(1, position / durationMs) : 0;
+
+  return (
+    <div className="message-voice">
+      <button
+        type="button"
+        onClick={handleTogglePlayback}
+        className="message-voice-play"
+        disabled={isLoading}
+        aria-label={isPlaying ? 'Pause voice note' : 'Play voice note'}
+      >
+        {isLoading ? '…' : isPlaying ? '❚❚' : '▶'}
+      </button>
+      <div className="message-voice-body">
+        <div
+          className="message-voice-track"
+          onClick={handleSeek}
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(durationMs / 1000)}
+          aria-valuenow={Math.round(position / 1000)}
+        >
+          <div className="message-voice-progress" style={{ width: `${progress * 100}%` }} />
+        </div>
+        <div className="message-voice-time">
+          {error || (isPlaying || position > 0
+            ? `${formatDuration(position)} / ${formatDuration(durationMs)}`
+            : formatDuration(durationMs))}
+        </div>
+      </div>
+      {url && (
+        <audio
+          ref={audioRef}
+          src={url}
+          onCanPlay={(e) => {
+            if (playOnLoadRef.current) {
+              playOnLoadRef.current = false;
+              e.currentTarget.play().catch(() => setIsPlaying(false));
+            }
+          }}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => {
+            setIsPlaying(false);
+            setPosition(0);
+          }}
+          onTimeUpdate={(e) => setPosition(e.currentTarget.currentTime * 1000)}
+          className="hidden"
+        />
+      )}
+    </div>
+  );
+};
+
+export default VoiceMessage;
@@ -0,0 +1,285 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { sendVoiceNote } from '../store/slices/chatSlice';
+import { VOICE_NOTE_RULES } from '../utils/validation';
+import { createClientMessageId } from '../utils/clientMessageId';
+import { getRecordingMimeType, formatDuration, toWaveformBars } from '../utils/voiceNotes';
+
+const BAR_COUNT = 48;
+const SAMPLE_INTERVAL = 100; // ms between waveform samples
+
+// Loudness (0-1) of the audio the analyser currently hears
+const readLevel = (analyser, buffer) => {
+  analyser.getByteTimeDomainData(buffer);
+  let sum = 0;
+  for (const value of buffer) {
+    const sample = (value - 128) / 128;
+    sum += sample * sample;
+  }
+  // Speech rarely gets near full scale, so boost it to fill the bars
+  return Math.min(1, Math.sqrt(sum / buffer.length) * 4);
+};
+
+// Records a voice note from the microphone as soon as it is shown, with a live
+// waveform; the recording can then be played back, sent or thrown away
+const VoiceRecorder = ({ conversationId, threadId = null, replyToId = null, onSent, onCancel }) => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState('starting'); // starting | recording | recorded | sending | failed
+  const [error, setError] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [levels, setLevels] = useState([]);
+  const [recording, setRecording] = useState(null); // { blob, url, durationMs }
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [progress, setProgress] = useState(0); // 0-1 while playing back
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const audioContextRef = useRef(null);
+  const samplerRef = useRef(null);
+  const audioRef = useRef(null);
+  const sendOnStopRef = useRef(false);
+  const sendRef = useRef(null);
+  // Kept for the whole recording, so sending again after a failure cannot post it twice
+  const clientMessageIdRef = useRef(createClientMessageId());
+
+  const releaseMicrophone = useCallback(() => {
+    clearInterval(samplerRef.current);
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    audioContextRef.current?.close().catch(() => {});
+    streamRef.current = null;
+    audioContextRef.current = null;
+  }, []);
+
+  const send = useCallback(async (voiceNote) => {
+    if (voiceNote.durationMs < VOICE_NOTE_RULES.minDuration) {
+      setError('Voice note is too short');
+      setStatus('recorded');
+      return;
+    }
+
+    setError(null);
+    setStatus('sending');
+    try {
+      await dispatch(sendVoiceNote({
+        conversationId,
+        threadId,
+        replyToId,
+        recording: voiceNote.blob,
+        clientMessageId: clientMessageIdRef.current
+      })).unwrap();
+      onSent();
+    } catch (sendError) {
+      setError(sendError);
+      setStatus('recorded');
+    }
+  }, [dispatch, conversationId, threadId, replyToId, onSent]);
+
+  // The recording outlives re-renders of the parent, so it sends through a ref
+  useEffect(() => {
+    sendRef.current = send;
+  }, [send]);
+
+  // Start recording on mount; the microphone is released when the recorder closes
+  useEffect(() => {
+    let isCancelled = false;
+
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (isCancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+
+        const mimeType = getRecordingMimeType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+          if (event.data.size > 0) {
+            chunks.push(event.data);
+          }
+        };
+
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+        audioContextRef.current = audioContext;
+        const buffer = new Uint8Array(analyser.fftSize);
+
+        const startedAt = Date.now();
+        recorder.onstop = () => {
+          releaseMicrophone();
+          if (isCancelled) {
+            return;
+          }
+
+          const blob = new Blob(chunks, { type: recorder.mimeType || chunks[0]?.type || 'audio/webm' });
+          const voiceNote = { blob, url: URL.createObjectURL(blob), durationMs: Date.now() - startedAt };
+          setRecording(voiceNote);
+          setElapsed(voiceNote.durationMs);
+          setStatus('recorded');
+
+          if (sendOnStopRef.current) {
+            sendRef.current(voiceNote);
+          }
+        };
+
+        recorder.start();
+        recorderRef.current = recorder;
+        setStatus('recording');
+
+        samplerRef.current = setInterval(() => {
+          const duration = Date.now() - startedAt;
+          setElapsed(duration);
+          setLevels((previous) => [...previous, readLevel(analyser, buffer)]);
+          if (duration >= VOICE_NOTE_RULES.maxDuration && recorder.state === 'recording') {
+            recorder.stop();
+          }
+        }, SAMPLE_INTERVAL);
+      } catch (startError) {
+        releaseMicrophone();
+        if (!isCancelled) {
+          setError(startError.name === 'NotAllowedError'
+            ? 'Microphone access was denied'
+            : 'Could not start recording');
+          setStatus('failed');
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      isCancelled = true;
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.stop();
+      }
+      releaseMicrophone();
+    };
+  }, [releaseMicrophone]);
+
+  // Release the preview when the recording is replaced or the recorder closes
+  useEffect(() => {
+    return () => {
+      if (recording) {
+        URL.revokeObjectURL(recording.url);
+      }
+    };
+  }, [recording]);
+
+  const handleStop = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  };
+
+  const handleSend = () => {
+    if (status === 'recording') {
+      sendOnStopRef.current = true;
+      handleStop();
+    } else if (recording) {
+      send(recording);
+    }
+  };
+
+  const handleTogglePlayback = () => {
+    const audio = audioRef.current;
+    if (!audio) {
+      return;
+    }
+    if (audio.paused) {
+      audio.play().catch(() => setIsPlaying(false));
+    } else {
+      audio.pause();
+    }
+  };
+
+  // Live: the latest samples scroll by; recorded: the whole recording squeezed to fit
+  const bars = status === 'recording' ? levels.slice(-BAR_COUNT) : toWaveformBars(levels, BAR_COUNT);
+  const playedBars = Math.round(progress * bars.length);
+
+  return (
+    <div className="flex items-center gap-3">
+      <button
+        type="button"
+        onClick={onCancel}
+        className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+        disabled={status === 'sending'}
+        title="Discard voice note"
+        aria-label="Discard voice note"
+      >
+        ✕
+      </button>
+
+      {status === 'recording' ? (
+        <button
+          type="button"
+          onClick={handleStop}
+          className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50 bg-red-500 text-white hover:bg-red-600 animate-pulse"
+          title="Stop recording"
+          aria-label="Stop recording"
+        >
+          ■
+        </button>
+      ) : (
+        <button
+          type="button"
+          onClick={handleTogglePlayback}
+          className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50 text-blue-600 hover:bg-blue-50"
+          disabled={!recording}
+          title={isPlaying ? 'Pause' : 'Play back'}
+          aria-label={isPlaying ? 'Pause' : 'Play back'}
+        >
+          {isPlaying ? '❚❚' : '▶'}
+        </button>
+      )}
+
+      <div className="flex-1 flex items-center gap-0.5 h-10 overflow-hidden" aria-hidden="true">
+        {bars.map((level, index) => (
+          <span
+            key={index}
+            className={`w-1 flex-shrink-0 rounded-full ${
+              status === 'recording' || index < playedBars ? 'bg-blue-500' : 'bg-gray-300'
+            }`}
+            style={{ height: `${Math.max(8, level * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <span className="flex-shrink-0 text-sm tabular-nums text-gray-600">
+        {status === 'starting' ? 'Starting...' : formatDuration(elapsed)}
+      </span>
+      {error && <span className="text-sm text-red-600">{error}</span>}
+
+      {recording && (
+        <audio
+          ref={audioRef}
+          src={recording.url}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => {
+            setIsPlaying(false);
+            setProgress(0);
+          }}
+          onTimeUpdate={(e) => setProgress(e.currentTarget.currentTime * 1000 / recording.durationMs)}
+          className="hidden"
+        />
+      )}
+
+      <button
+        type="button"
+        onClick={handleSend}
+        className="flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white shadow-md transition-all duration-200 disabled:bg-gray-200 disabled:text-gray-400 disabled:cursor-not-allowed disabled:shadow-none"
+        disabled={status === 'sending' || (status !== 'recording' && !recording)}
+        title="Send voice note"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+        </svg>
+      </button>
+    </div>
+  );
+};
+
+export default VoiceRecorder;
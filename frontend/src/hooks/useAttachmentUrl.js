@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import chatService from '../services/chatService';
+
+// Downloads are authenticated, so attachments are fetched as blobs and exposed
+// through object URLs instead of pointing <img>/<a> at the API directly
+export const useAttachmentUrl = (conversationId, attachmentId, { autoLoad = false } = {}) => {
+  const [url, setUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await chatService.downloadAttachment(conversationId, attachmentId);
+      const objectUrl = URL.createObjectURL(response.data);
+      setUrl(objectUrl);
+      return objectUrl;
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'Attachment not found' : 'Failed to load attachment');
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [conversationId, attachmentId]);
+
+  useEffect(() => {
+    if (autoLoad) {
+      load();
+    }
+  }, [autoLoad, load]);
+
+  // Release the blob when the attachment goes away
+  useEffect(() => {
+    return () => {
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [url]);
+
+  return {
+    url,
+    isLoading,
+    error,
+    load
+  };
+};
+
+export default useAttachmentUrl;
@@ -0,0 +1,39 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { loadOutbox, flushOutbox } from '../store/slices/outboxSlice';
+import { useNetworkStatus } from './useNetworkStatus';
+
+// Restore the signed-in user's unsent messages and send them whenever the
+// browser or the socket reports connectivity again, or a retry falls due
+export const useOutbox = () => {
+  const dispatch = useDispatch();
+  const userId = useSelector((state) => state.auth.user?.id);
+  const { isConnected } = useSelector((state) => state.ui);
+  const isLoaded = useSelector((state) => Boolean(userId) && state.outbox.userId === userId);
+  const retryAt = useSelector((state) => state.outbox.retryAt);
+  const { isOnline } = useNetworkStatus();
+
+  useEffect(() => {
+    if (userId) {
+      dispatch(loadOutbox(userId));
+    }
+  }, [dispatch, userId]);
+
+  useEffect(() => {
+    if (isLoaded && (isOnline || isConnected)) {
+      dispatch(flushOutbox());
+    }
+  }, [dispatch, isLoaded, isOnline, isConnected]);
+
+  // Sends that went unanswered while connected are retried with backoff
+  useEffect(() => {
+    if (!isLoaded || !retryAt || !isConnected) {
+      return;
+    }
+
+    const timer = setTimeout(() => dispatch(flushOutbox()), Math.max(0, retryAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [dispatch, isLoaded, retryAt, isConnected]);
+};
+
+export default useOutbox;
@@ -1,16 +1,30 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
 import ChatList from '../components/ChatList';
 import ChatWindow from '../components/ChatWindow';
+import SearchPanel from '../components/SearchPanel';
+import ThreadPanel from '../components/ThreadPanel';
 
 const ChatPage = () => {
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const isThreadOpen = useSelector((state) =>
+    Boolean(state.chat.activeThread) &&
+    state.chat.activeThread.conversationId === state.chat.activeConversationId
+  );
+
   return (
     <div className="flex h-full">
       <div className="w-80 border-r border-gray-200 bg-gray-50">
-        <ChatList />
+        {isSearchOpen ? (
+          <SearchPanel onClose={() => setIsSearchOpen(false)} />
+        ) : (
+          <ChatList onOpenSearch={() => setIsSearchOpen(true)} />
+        )}
       </div>
       <ChatWindow />
+      {isThreadOpen && <ThreadPanel />}
     </div>
   );
 };
 
-export default ChatPage;
\ No newline at end of file
+export default ChatPage;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { retryWithRefreshedToken, clearTokens } from '../utils/apiClient';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -29,9 +30,15 @@ api.interceptors.response.use(
     return response;
   },
   (error) => {
+    // Expired access tokens are refreshed silently and the request retried
+    const retry = retryWithRefreshedToken(api, error);
+    if (retry) {
+      return retry;
+    }
+
     if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
+      // Token invalid, or the session could not be refreshed
+      clearTokens();
       window.location.href = '/login';
     }
     return Promise.reject(error);
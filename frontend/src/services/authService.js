@@ -1,4 +1,4 @@
-import apiClient, { apiCall } from '../utils/apiClient';
+import apiClient, { apiCall, clearTokens } from '../utils/apiClient';
 
 const authService = {
   login: async (credentials) => {
@@ -19,10 +19,29 @@ const authService = {
     return result.data ? { data: result.data.data } : result;
   },
 
-  logout: () => {
-    if (typeof window !== 'undefined' && window.localStorage) {
-      localStorage.removeItem('token');
-    }
+  // Revoke the session on the server, then forget the tokens locally
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    const result = refreshToken
+      ? await apiCall(() => apiClient.post('/api/auth/logout', { refreshToken }))
+      : { data: null, error: null };
+    clearTokens();
+    return result;
+  },
+
+  getSessions: async () => {
+    const result = await apiCall(() => apiClient.get('/api/auth/sessions'));
+    return result.data ? { data: result.data.data } : result;
+  },
+
+  revokeSession: async (sessionId) => {
+    const result = await apiCall(() => apiClient.delete(`/api/auth/sessions/${sessionId}`));
+    return result.data ? { data: result.data.data } : result;
+  },
+
+  revokeOtherSessions: async () => {
+    const result = await apiCall(() => apiClient.delete('/api/auth/sessions'));
+    return result.data ? { data: result.data.data } : result;
   },
 };
 
@@ -0,0 +1,142 @@
+import { getIceServers } from '../utils/calls';
+
+// Media and the WebRTC connection of the call this device is on. Streams cannot
+// be kept in the store, so components subscribe to them here; the call itself
+// lives in callSlice, which drives this.
+class CallManager {
+  constructor() {
+    this.localStream = null;
+    this.remoteStream = null;
+    this.connection = null;
+    this.pendingCandidates = []; // ICE candidates that arrived before the remote description
+    this.listeners = new Set();
+  }
+
+  // Listen for stream changes; the listener is called right away and returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStreams());
+    return () => this.listeners.delete(listener);
+  }
+
+  getStreams() {
+    return { localStream: this.localStream, remoteStream: this.remoteStream };
+  }
+
+  notify() {
+    const streams = this.getStreams();
+    this.listeners.forEach((listener) => listener(streams));
+  }
+
+  // Open the microphone (and camera, for video calls)
+  async openMedia(media) {
+    if (!this.localStream) {
+      this.localStream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+        video: media === 'VIDEO'
+      });
+      this.notify();
+    }
+    return this.localStream;
+  }
+
+  // Create the peer connection carrying the local media. Local ICE candidates
+  // (null once all are found) and connection state changes go to the callbacks.
+  connect({ onIceCandidate, onConnectionStateChange }) {
+    this.closeConnection();
+
+    const connection = new RTCPeerConnection({ iceServers: getIceServers() });
+    this.localStream?.getTracks().forEach((track) => connection.addTrack(track, this.localStream));
+
+    connection.onicecandidate = (event) => {
+      onIceCandidate(event.candidate ? event.candidate.toJSON() : null);
+    };
+    connection.ontrack = (event) => {
+      this.remoteStream = event.streams[0] || new MediaStream([event.track]);
+      this.notify();
+    };
+    connection.onconnectionstatechange = () => {
+      onConnectionStateChange(connection.connectionState);
+    };
+
+    this.connection = connection;
+  }
+
+  // Caller: describe the local media for the callee
+  async createOffer() {
+    const offer = await this.connection.createOffer();
+    await this.connection.setLocalDescription(offer);
+    return { type: offer.type, sdp: offer.sdp };
+  }
+
+  // Callee: take the caller's offer and describe the local media in reply
+  async acceptOffer(sdp) {
+    await this.connection.setRemoteDescription(sdp);
+    await this.addPendingCandidates();
+    const answer = await this.connection.createAnswer();
+    await this.connection.setLocalDescription(answer);
+    return { type: answer.type, sdp: answer.sdp };
+  }
+
+  // Caller: take the callee's answer
+  async acceptAnswer(sdp) {
+    await this.connection.setRemoteDescription(sdp);
+    await this.addPendingCandidates();
+  }
+
+  // Add a route to the other browser; null means the other side found them all
+  async addIceCandidate(candidate) {
+    if (!this.connection) {
+      return;
+    }
+    if (!this.connection.remoteDescription) {
+      this.pendingCandidates.push(candidate);
+      return;
+    }
+    await this.connection.addIceCandidate(candidate || undefined);
+  }
+
+  async addPendingCandidates() {
+    const candidates = this.pendingCandidates.splice(0);
+    for (const candidate of candidates) {
+      await this.connection.addIceCandidate(candidate || undefined);
+    }
+  }
+
+  setMuted(isMuted) {
+    this.localStream?.getAudioTracks().forEach((track) => {
+      track.enabled = !isMuted;
+    });
+  }
+
+  setCameraOff(isCameraOff) {
+    this.localStream?.getVideoTracks().forEach((track) => {
+      track.enabled = !isCameraOff;
+    });
+  }
+
+  closeConnection() {
+    if (this.connection) {
+      this.connection.onicecandidate = null;
+      this.connection.ontrack = null;
+      this.connection.onconnectionstatechange = null;
+      this.connection.close();
+      this.connection = null;
+    }
+    this.pendingCandidates = [];
+  }
+
+  // Hang up locally: close the connection and release the microphone and camera
+  close() {
+    this.closeConnection();
+    this.localStream?.getTracks().forEach((track) => track.stop());
+    this.localStream = null;
+    this.remoteStream = null;
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const callManager = new CallManager();
+
+export default callManager;
@@ -5,12 +5,146 @@ const chatService = {
     return await api.get('/chats');
   },
 
-  getMessages: async (conversationId) => {
-    return await api.get(`/chats/${conversationId}/messages`);
+  getMessages: async (conversationId, { before, after, around, limit } = {}) => {
+    return await api.get(`/chats/${conversationId}/messages`, {
+      params: { before, after, around, limit }
+    });
   },
 
-  sendMessage: async (conversationId, content) => {
-    return await api.post(`/chats/${conversationId}/messages`, { content });
+  searchMessages: async ({ q, conversationId, senderId, from, to, before, limit } = {}) => {
+    return await api.get('/chats/search', {
+      params: { q, conversationId, senderId, from, to, before, limit }
+    });
+  },
+
+  sendMessage: async (conversationId, content, attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN') => {
+    return await api.post(`/chats/${conversationId}/messages`, { content, attachmentIds, replyToId, clientMessageId, format });
+  },
+
+  getThread: async (conversationId, threadId, { before, limit } = {}) => {
+    return await api.get(`/chats/${conversationId}/messages/${threadId}/thread`, {
+      params: { before, limit }
+    });
+  },
+
+  sendThreadReply: async (conversationId, threadId, content, attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN') => {
+    return await api.post(`/chats/${conversationId}/messages/${threadId}/thread`, {
+      content,
+      attachmentIds,
+      replyToId,
+      clientMessageId,
+      format
+    });
+  },
+
+  forwardMessages: async (messageIds, conversationIds) => {
+    return await api.post('/chats/forward', { messageIds, conversationIds });
+  },
+
+  uploadAttachment: async (conversationId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return await api.post(`/chats/${conversationId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+
+  downloadAttachment: async (conversationId, attachmentId) => {
+    return await api.get(`/chats/${conversationId}/attachments/${attachmentId}`, {
+      responseType: 'blob'
+    });
+  },
+
+  sendVoiceNote: async (conversationId, recording, { clientMessageId = null, replyToId = null, threadId = null } = {}) => {
+    const formData = new FormData();
+    // Fields before the file, so they are parsed by the time the upload is checked
+    if (clientMessageId) formData.append('clientMessageId', clientMessageId);
+    if (replyToId) formData.append('replyToId', replyToId);
+    if (threadId) formData.append('threadId', threadId);
+    formData.append('file', recording, 'voice-note');
+    return await api.post(`/chats/${conversationId}/voice-notes`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+
+  getVoiceNote: async (conversationId, messageId) => {
+    return await api.get(`/chats/${conversationId}/messages/${messageId}/voice`, {
+      responseType: 'blob'
+    });
+  },
+
+  editMessage: async (conversationId, messageId, content, format = 'PLAIN') => {
+    return await api.patch(`/chats/${conversationId}/messages/${messageId}`, { content, format });
+  },
+
+  deleteMessage: async (conversationId, messageId, scope = 'me') => {
+    return await api.delete(`/chats/${conversationId}/messages/${messageId}`, { params: { scope } });
+  },
+
+  toggleReaction: async (conversationId, messageId, emoji) => {
+    return await api.post(`/chats/${conversationId}/messages/${messageId}/reactions`, { emoji });
+  },
+
+  removeReaction: async (conversationId, messageId, emoji) => {
+    return await api.delete(`/chats/${conversationId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`);
+  },
+
+  createPoll: async (conversationId, poll) => {
+    return await api.post(`/chats/${conversationId}/polls`, poll);
+  },
+
+  votePoll: async (conversationId, messageId, optionIds) => {
+    return await api.put(`/chats/${conversationId}/messages/${messageId}/poll/votes`, { optionIds });
+  },
+
+  closePoll: async (conversationId, messageId) => {
+    return await api.post(`/chats/${conversationId}/messages/${messageId}/poll/close`);
+  },
+
+  getPins: async (conversationId) => {
+    return await api.get(`/chats/${conversationId}/pins`);
+  },
+
+  pinMessage: async (conversationId, messageId) => {
+    return await api.post(`/chats/${conversationId}/messages/${messageId}/pin`);
+  },
+
+  unpinMessage: async (conversationId, messageId) => {
+    return await api.delete(`/chats/${conversationId}/messages/${messageId}/pin`);
+  },
+
+  markRead: async (conversationId, messageId) => {
+    return await api.post(`/chats/${conversationId}/read`, { messageId });
+  },
+
+  getMessageRevisions: async (conversationId, messageId) => {
+    return await api.get(`/chats/${conversationId}/messages/${messageId}/revisions`);
+  },
+
+  renameConversation: async (conversationId, name) => {
+    return await api.patch(`/chats/${conversationId}`, { name });
+  },
+
+  setMessageTtl: async (conversationId, messageTtlSeconds) => {
+    return await api.put(`/chats/${conversationId}/message-ttl`, { messageTtlSeconds });
+  },
+
+  addParticipants: async (conversationId, userIds) => {
+    return await api.post(`/chats/${conversationId}/participants`, { userIds });
+  },
+
+  removeParticipant: async (conversationId, userId) => {
+    return await api.delete(`/chats/${conversationId}/participants/${userId}`);
+  },
+
+  updateParticipantRole: async (conversationId, userId, role) => {
+    return await api.patch(`/chats/${conversationId}/participants/${userId}`, { role });
+  },
+
+  leaveConversation: async (conversationId) => {
+    return await api.post(`/chats/${conversationId}/leave`);
   },
 
   createConversation: async (participantIds) => {
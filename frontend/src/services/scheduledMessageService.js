@@ -0,0 +1,23 @@
+import api from './api';
+
+const scheduledMessageService = {
+  getScheduledMessages: async (conversationId = null) => {
+    return await api.get('/scheduled-messages', {
+      params: { conversationId: conversationId || undefined }
+    });
+  },
+
+  scheduleMessage: async (conversationId, content, sendAt, format = 'PLAIN') => {
+    return await api.post('/scheduled-messages', { conversationId, content, sendAt, format });
+  },
+
+  updateScheduledMessage: async (scheduledMessageId, changes) => {
+    return await api.patch(`/scheduled-messages/${scheduledMessageId}`, changes);
+  },
+
+  cancelScheduledMessage: async (scheduledMessageId) => {
+    return await api.delete(`/scheduled-messages/${scheduledMessageId}`);
+  },
+};
+
+export default scheduledMessageService;
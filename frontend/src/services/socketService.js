@@ -1,7 +1,55 @@
 import { io } from 'socket.io-client';
 import { store } from '../store';
-import { addMessage, updateTypingUsers, setOnlineUsers } from '../store/slices/chatSlice';
+import {
+  fetchConversations,
+  fetchMessages,
+  fetchThread,
+  syncReceived,
+  clearJoinedRooms,
+  addMessage,
+  messageEdited,
+  messageDeleted,
+  messagesExpired,
+  pinsUpdated,
+  reactionsUpdated,
+  pollUpdated,
+  threadMessageReceived,
+  threadUpdated,
+  readReceiptReceived,
+  incrementUnreadCount,
+  updateTypingUsers,
+  conversationUpdated,
+  conversationRemoved
+} from '../store/slices/chatSlice';
 import { setConnectionStatus, addNotification } from '../store/slices/uiSlice';
+import { scheduledMessageUpdated } from '../store/slices/scheduledSlice';
+import { setOnlineUsers, presenceUpdated } from '../store/slices/presenceSlice';
+import {
+  callIncoming,
+  callRinging,
+  callDropped,
+  receiveCallAccepted,
+  receiveCallEnded,
+  receiveCallSignal
+} from '../store/slices/callSlice';
+import callManager from './callManager';
+import { refreshAccessToken, clearTokens } from '../utils/apiClient';
+import { isMentioned } from '../utils/mentions';
+
+// How long to wait for the server to confirm a sent message
+const SEND_ACK_TIMEOUT = 10000;
+
+// How long to wait for the server to answer a sync after reconnecting
+const SYNC_ACK_TIMEOUT = 15000;
+
+// Error from sending over the socket; `unconfirmed` means the message may or
+// may not have reached the server, so it is safe to retry with the same client message ID
+const createSendError = (code, message, unconfirmed = false) => {
+  const error = new Error(message);
+  error.code = code;
+  error.unconfirmed = unconfirmed;
+  return error;
+};
 
 class SocketService {
   constructor() {
@@ -10,6 +58,7 @@ class SocketService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
+    this.hasConnected = false; // A later connect is a reconnect that needs a sync
   }
 
   connect() {
@@ -29,9 +78,8 @@ class SocketService {
     store.dispatch(setConnectionStatus('connecting'));
 
     this.socket = io(serverUrl, {
-      auth: {
-        token: token
-      },
+      // Read on every (re)connection so refreshed access tokens are picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
       transports: ['websocket', 'polling'],
       timeout: 10000,
       forceNew: true
@@ -49,6 +97,12 @@ class SocketService {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       store.dispatch(setConnectionStatus('connected'));
+
+      // Events sent while disconnected were lost
+      if (this.hasConnected) {
+        this.resync();
+      }
+      this.hasConnected = true;
       store.dispatch(addNotification({
         type: 'success',
         message: 'Connected to chat server',
@@ -60,6 +114,13 @@ class SocketService {
       console.log('Socket disconnected:', reason);
       this.isConnected = false;
       store.dispatch(setConnectionStatus('disconnected'));
+      // Rooms belong to the old socket; they are joined again once reconnected
+      store.dispatch(clearJoinedRooms());
+      // So does a call, which the server hangs up
+      if (store.getState().call.current) {
+        callManager.close();
+        store.dispatch(callDropped());
+      }
       
       if (reason === 'io server disconnect') {
         // Server initiated disconnect, don't reconnect automatically
@@ -76,14 +137,25 @@ class SocketService {
       this.isConnected = false;
       store.dispatch(setConnectionStatus('error'));
       
-      if (error.message.includes('Authentication')) {
+      if (error.message === 'Token expired') {
+        // Reconnect with a fresh access token; the refresh fails if the session was revoked
+        refreshAccessToken()
+          .then(() => this.connect())
+          .catch(() => {
+            if (!localStorage.getItem('refreshToken')) {
+              window.location.href = '/login';
+            } else {
+              this.handleReconnection();
+            }
+          });
+      } else if (error.message.includes('Authentication') || error.message === 'Session revoked') {
         store.dispatch(addNotification({
           type: 'error',
           message: 'Authentication failed. Please login again.',
           duration: 5000
         }));
         // Redirect to login or handle auth error
-        localStorage.removeItem('token');
+        clearTokens();
         window.location.href = '/login';
       } else {
         this.handleReconnection();
@@ -98,17 +170,146 @@ class SocketService {
         message: message
       }));
       
-      // Show notification if not in active conversation
+      // Show notification and count it as unread if not in active conversation
+      const state = store.getState();
+      if (state.chat.activeConversationId !== message.conversationId && message.type !== 'SYSTEM') {
+        if (message.senderId !== state.auth.user?.id) {
+          store.dispatch(incrementUnreadCount(message.conversationId));
+        }
+        // A mention gets its own notification from the mentioned event
+        if (!isMentioned(message, state.auth.user?.id)) {
+          store.dispatch(addNotification({
+            type: 'info',
+            message: `New message from ${message.sender.username}`,
+            duration: 4000
+          }));
+        }
+      }
+    });
+
+    // Sent to mentioned users whether or not they have joined the conversation's room
+    this.socket.on('mentioned', (message) => {
+      console.log('Mentioned in message:', message);
       const state = store.getState();
-      if (state.chat.activeConversationId !== message.conversationId) {
+      const { activeConversationId, activeThread, joinedRooms, conversations } = state.chat;
+
+      // Outside the room the message does not arrive as message_received
+      if (!message.threadId && !joinedRooms.includes(message.conversationId)) {
+        store.dispatch(addMessage({
+          conversationId: message.conversationId,
+          message: message
+        }));
+        if (activeConversationId !== message.conversationId) {
+          store.dispatch(incrementUnreadCount(message.conversationId));
+        }
+      }
+
+      const isOpen = message.threadId
+        ? activeThread?.threadId === message.threadId
+        : activeConversationId === message.conversationId;
+      if (!isOpen) {
+        const name = conversations.find(c => c.id === message.conversationId)?.name;
+        store.dispatch(addNotification({
+          type: 'info',
+          message: `${message.sender.username} mentioned you${name ? ` in ${name}` : ''}`,
+          duration: 6000
+        }));
+      }
+    });
+
+    this.socket.on('message_edited', (message) => {
+      console.log('Message edited:', message);
+      store.dispatch(messageEdited(message));
+    });
+
+    this.socket.on('message_deleted', (deletion) => {
+      console.log('Message deleted:', deletion);
+      store.dispatch(messageDeleted(deletion));
+    });
+
+    // Thread events
+    this.socket.on('thread_message_received', (message) => {
+      console.log('Thread reply received:', message);
+      store.dispatch(threadMessageReceived(message));
+    });
+
+    this.socket.on('thread_updated', (update) => {
+      store.dispatch(threadUpdated(update));
+    });
+
+    this.socket.on('messages_expired', (update) => {
+      console.log('Messages expired:', update);
+      store.dispatch(messagesExpired(update));
+    });
+
+    this.socket.on('scheduled_message_updated', (scheduledMessage) => {
+      console.log('Scheduled message updated:', scheduledMessage);
+      store.dispatch(scheduledMessageUpdated(scheduledMessage));
+    });
+
+    this.socket.on('pins_updated', (update) => {
+      console.log('Pins updated:', update);
+      store.dispatch(pinsUpdated(update));
+    });
+
+    this.socket.on('reactions_updated', (update) => {
+      console.log('Reactions updated:', update);
+      store.dispatch(reactionsUpdated(update));
+    });
+
+    this.socket.on('poll_updated', (update) => {
+      console.log('Poll updated:', update);
+      store.dispatch(pollUpdated(update));
+    });
+
+    // Read receipt events
+    this.socket.on('read_receipt', (receipt) => {
+      console.log('Read receipt:', receipt);
+      store.dispatch(readReceiptReceived({
+        ...receipt,
+        isOwn: receipt.userId === store.getState().auth.user?.id
+      }));
+    });
+
+    // Group administration events
+    this.socket.on('conversation_updated', ({ conversation }) => {
+      console.log('Conversation updated:', conversation);
+      store.dispatch(conversationUpdated(conversation));
+    });
+
+    this.socket.on('participant_added', ({ conversation, userIds, addedBy }) => {
+      console.log('Participants added:', { conversationId: conversation.id, userIds });
+      store.dispatch(conversationUpdated(conversation));
+
+      const currentUserId = store.getState().auth.user?.id;
+      if (userIds.includes(currentUserId) && addedBy !== currentUserId) {
         store.dispatch(addNotification({
           type: 'info',
-          message: `New message from ${message.sender.username}`,
+          message: `You were added to ${conversation.name || 'a group'}`,
           duration: 4000
         }));
       }
     });
 
+    this.socket.on('participant_removed', ({ conversationId, userId, removedBy, conversation }) => {
+      console.log('Participant removed:', { conversationId, userId, removedBy });
+      const currentUserId = store.getState().auth.user?.id;
+
+      if (userId === currentUserId) {
+        const name = store.getState().chat.conversations.find(c => c.id === conversationId)?.name;
+        store.dispatch(conversationRemoved(conversationId));
+        if (removedBy !== currentUserId) {
+          store.dispatch(addNotification({
+            type: 'info',
+            message: `You were removed from ${name || 'a group'}`,
+            duration: 4000
+          }));
+        }
+      } else if (conversation) {
+        store.dispatch(conversationUpdated(conversation));
+      }
+    });
+
     // Typing events
     this.socket.on('typing_indicator', ({ userId, conversationId, isTyping, username }) => {
       console.log('Typing indicator:', { userId, conversationId, isTyping, username });
@@ -143,6 +344,59 @@ class SocketService {
       store.dispatch(setOnlineUsers(users));
     });
 
+    this.socket.on('presence_update', (presence) => {
+      console.log('Presence updated:', presence);
+      store.dispatch(presenceUpdated(presence));
+    });
+
+    // Calls
+    this.socket.on('call_incoming', ({ call }) => {
+      console.log('Incoming call:', call.id);
+      store.dispatch(callIncoming(call));
+
+      // Let the caller know this device is ringing
+      if (store.getState().call.current?.id === call.id) {
+        this.sendCallEvent('call_ring', { callId: call.id })
+          .catch((error) => console.error('Failed to report ringing:', error));
+      }
+    });
+
+    this.socket.on('call_ringing', ({ call }) => {
+      store.dispatch(callRinging(call));
+    });
+
+    this.socket.on('call_accepted', ({ call }) => {
+      store.dispatch(receiveCallAccepted(call));
+    });
+
+    this.socket.on('call_ended', ({ call }) => {
+      console.log('Call ended:', call.id, call.outcome);
+      const { auth, call: callState } = store.getState();
+      store.dispatch(receiveCallEnded(call));
+
+      // Calls that never rang on this device still deserve a mention
+      const missed = call.calleeId === auth.user?.id && ['MISSED', 'BUSY', 'CANCELLED'].includes(call.outcome);
+      if (missed && callState.current?.id !== call.id) {
+        store.dispatch(addNotification({
+          type: 'info',
+          message: `Missed ${call.media === 'VIDEO' ? 'video' : 'voice'} call from ${call.caller?.username || 'a contact'}`,
+          duration: 8000
+        }));
+      }
+    });
+
+    this.socket.on('call_offer', (signal) => {
+      store.dispatch(receiveCallSignal({ kind: 'offer', ...signal }));
+    });
+
+    this.socket.on('call_answer', (signal) => {
+      store.dispatch(receiveCallSignal({ kind: 'answer', ...signal }));
+    });
+
+    this.socket.on('call_ice_candidate', (signal) => {
+      store.dispatch(receiveCallSignal({ kind: 'ice_candidate', ...signal }));
+    });
+
     // Error events
     this.socket.on('error', (error) => {
       console.error('Socket error:', error);
@@ -194,23 +448,113 @@ class SocketService {
     }
   }
 
-  // Message sending
-  sendMessage(conversationId, content) {
+  joinThread(conversationId, threadId) {
     if (this.socket && this.isConnected) {
-      console.log('Sending message:', { conversationId, content });
-      this.socket.emit('send_message', {
+      this.socket.emit('join_thread', { conversationId, threadId });
+    }
+  }
+
+  leaveThread(conversationId, threadId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('leave_thread', { conversationId, threadId });
+    }
+  }
+
+  // Message sending (replyToId quotes a message, threadId replies in a thread).
+  // Resolves with the stored message once the server acknowledges it.
+  sendMessage(conversationId, content, attachmentIds = [], { replyToId = null, threadId = null, clientMessageId = null, format = 'PLAIN' } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        reject(createSendError('NOT_CONNECTED', 'Not connected to chat server', true));
+        return;
+      }
+
+      console.log('Sending message:', { conversationId, content, format, attachmentIds, replyToId, threadId, clientMessageId });
+      this.socket.timeout(SEND_ACK_TIMEOUT).emit('send_message', {
         conversationId,
-        content
+        content,
+        format,
+        attachmentIds,
+        replyToId,
+        threadId,
+        clientMessageId
+      }, (err, response) => {
+        if (err) {
+          reject(createSendError('SEND_TIMEOUT', 'Chat server did not confirm the message', true));
+        } else if (!response?.success) {
+          reject(createSendError(
+            response?.error?.code || 'MESSAGE_SEND_ERROR',
+            response?.error?.message || 'Failed to send message'
+          ));
+        } else {
+          resolve(response.data);
+        }
       });
+    });
+  }
+
+  // Reactions
+  reactMessage(conversationId, messageId, emoji) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('react_message', { conversationId, messageId, emoji });
+      return true;
+    }
+    return false;
+  }
+
+  // Vote in a poll; resolves with the poll once the server confirms, including the user's own votes
+  votePoll(conversationId, messageId, optionIds) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        reject(createSendError('NOT_CONNECTED', 'Not connected to chat server', true));
+        return;
+      }
+
+      this.socket.timeout(SEND_ACK_TIMEOUT).emit('poll_vote', { conversationId, messageId, optionIds }, (err, response) => {
+        if (err) {
+          reject(createSendError('SEND_TIMEOUT', 'Chat server did not confirm the vote', true));
+        } else if (!response?.success) {
+          reject(createSendError(
+            response?.error?.code || 'POLL_ERROR',
+            response?.error?.message || 'Failed to vote'
+          ));
+        } else {
+          resolve(response.data);
+        }
+      });
+    });
+  }
+
+  // Calls: invite, ring, accept, decline, hang up and WebRTC signals, confirmed by the server
+  sendCallEvent(event, data) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        reject(createSendError('NOT_CONNECTED', 'Not connected to chat server'));
+        return;
+      }
+
+      this.socket.timeout(SEND_ACK_TIMEOUT).emit(event, data, (err, response) => {
+        if (err) {
+          reject(createSendError('SEND_TIMEOUT', 'Chat server did not respond', true));
+        } else if (!response?.success) {
+          reject(createSendError(
+            response?.error?.code || 'CALL_ERROR',
+            response?.error?.message || 'Call signaling failed'
+          ));
+        } else {
+          resolve(response.data);
+        }
+      });
+    });
+  }
+
+  // Read receipts
+  markRead(conversationId, messageId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('mark_read', { conversationId, messageId });
       return true;
-    } else {
-      store.dispatch(addNotification({
-        type: 'error',
-        message: 'Not connected to chat server',
-        duration: 3000
-      }));
-      return false;
     }
+    return false;
   }
 
   // Typing indicators
@@ -227,6 +571,41 @@ class SocketService {
   }
 
   // Connection management
+  // Ask the server for the conversation list and the messages sent after the last
+  // one held for each loaded conversation, then reload what could not be patched in
+  resync() {
+    const { messages, messagePagination } = store.getState().chat;
+    const conversations = Object.entries(messages)
+      // An older window of history catches up by scrolling down
+      .filter(([conversationId]) => !messagePagination[conversationId]?.hasNewer)
+      .map(([conversationId, conversationMessages]) => {
+        const lastMessage = conversationMessages[conversationMessages.length - 1];
+        return {
+          conversationId,
+          lastMessageId: lastMessage?.id || null,
+          lastMessageAt: lastMessage?.createdAt || null
+        };
+      });
+
+    this.socket.timeout(SYNC_ACK_TIMEOUT).emit('sync', { conversations }, (err, response) => {
+      if (err || !response?.success) {
+        console.error('Sync failed:', err || response?.error);
+        store.dispatch(fetchConversations());
+        return;
+      }
+
+      store.dispatch(syncReceived(response.data));
+
+      const { activeConversationId, activeThread, messages: syncedMessages } = store.getState().chat;
+      if (activeConversationId && !syncedMessages[activeConversationId]) {
+        store.dispatch(fetchMessages(activeConversationId));
+      }
+      if (activeThread) {
+        store.dispatch(fetchThread({ conversationId: activeThread.conversationId, threadId: activeThread.threadId }));
+      }
+    });
+  }
+
   disconnect() {
     if (this.socket) {
       console.log('Disconnecting socket');
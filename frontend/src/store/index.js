@@ -5,6 +5,11 @@ import contactsSlice from './slices/contactsSlice';
 import friendRequestSlice from './slices/friendRequestSlice';
 import uiSlice from './slices/uiSlice';
 import dashboardSlice from './slices/dashboardSlice';
+import presenceSlice from './slices/presenceSlice';
+import searchSlice from './slices/searchSlice';
+import scheduledSlice from './slices/scheduledSlice';
+import outboxSlice from './slices/outboxSlice';
+import callSlice from './slices/callSlice';
 
 export const store = configureStore({
   reducer: {
@@ -14,6 +19,11 @@ export const store = configureStore({
     friendRequests: friendRequestSlice,
     ui: uiSlice,
     dashboard: dashboardSlice,
+    presence: presenceSlice,
+    search: searchSlice,
+    scheduled: scheduledSlice,
+    outbox: outboxSlice,
+    call: callSlice,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
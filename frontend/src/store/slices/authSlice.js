@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import authService from '../../services/authService';
+import { storeTokens, clearTokens } from '../../utils/apiClient';
 
 // Async thunks
 export const loginUser = createAsyncThunk(
@@ -47,12 +48,56 @@ export const getCurrentUser = createAsyncThunk(
   }
 );
 
+// Revokes the session server-side; the user is logged out locally even if that fails
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async () => {
+    await authService.logout();
+  }
+);
+
+export const fetchSessions = createAsyncThunk(
+  'auth/fetchSessions',
+  async (_, { rejectWithValue }) => {
+    const response = await authService.getSessions();
+    if (response.error) {
+      return rejectWithValue(response.error.message || 'Failed to load sessions');
+    }
+    return response.data.sessions;
+  }
+);
+
+export const revokeSession = createAsyncThunk(
+  'auth/revokeSession',
+  async (sessionId, { rejectWithValue }) => {
+    const response = await authService.revokeSession(sessionId);
+    if (response.error) {
+      return rejectWithValue(response.error.message || 'Failed to revoke session');
+    }
+    return sessionId;
+  }
+);
+
+export const revokeOtherSessions = createAsyncThunk(
+  'auth/revokeOtherSessions',
+  async (_, { rejectWithValue }) => {
+    const response = await authService.revokeOtherSessions();
+    if (response.error) {
+      return rejectWithValue(response.error.message || 'Failed to revoke sessions');
+    }
+    return response.data.revokedCount;
+  }
+);
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
   isLoading: false,
   isAuthenticated: false,
   error: null,
+  sessions: [],
+  isLoadingSessions: false,
+  sessionsError: null,
 };
 
 const authSlice = createSlice({
@@ -64,7 +109,7 @@ const authSlice = createSlice({
       state.token = null;
       state.isAuthenticated = false;
       state.error = null;
-      localStorage.removeItem('token');
+      clearTokens();
     },
     clearError: (state) => {
       state.error = null;
@@ -91,7 +136,7 @@ const authSlice = createSlice({
           state.user = data.user;
           state.token = data.token;
           state.isAuthenticated = true;
-          localStorage.setItem('token', data.token);
+          storeTokens(data);
         } else {
           console.log('Missing user or token in data:', data);
         }
@@ -116,7 +161,7 @@ const authSlice = createSlice({
           state.user = data.user;
           state.token = data.token;
           state.isAuthenticated = true;
-          localStorage.setItem('token', data.token);
+          storeTokens(data);
         } else {
           console.log('Missing user or token in data:', data);
         }
@@ -141,7 +186,40 @@ const authSlice = createSlice({
         state.error = action.payload;
         state.isAuthenticated = false;
         state.token = null;
-        localStorage.removeItem('token');
+        clearTokens();
+      })
+      // Logout: leave the app straight away, authService clears the stored tokens
+      .addCase(logoutUser.pending, (state) => {
+        state.user = null;
+        state.token = null;
+        state.isAuthenticated = false;
+        state.error = null;
+        state.sessions = [];
+      })
+      // Sessions
+      .addCase(fetchSessions.pending, (state) => {
+        state.isLoadingSessions = true;
+        state.sessionsError = null;
+      })
+      .addCase(fetchSessions.fulfilled, (state, action) => {
+        state.isLoadingSessions = false;
+        state.sessions = action.payload;
+      })
+      .addCase(fetchSessions.rejected, (state, action) => {
+        state.isLoadingSessions = false;
+        state.sessionsError = action.payload;
+      })
+      .addCase(revokeSession.fulfilled, (state, action) => {
+        state.sessions = state.sessions.filter(session => session.id !== action.payload);
+      })
+      .addCase(revokeSession.rejected, (state, action) => {
+        state.sessionsError = action.payload;
+      })
+      .addCase(revokeOtherSessions.fulfilled, (state) => {
+        state.sessions = state.sessions.filter(session => session.current);
+      })
+      .addCase(revokeOtherSessions.rejected, (state, action) => {
+        state.sessionsError = action.payload;
       });
   },
 });
@@ -0,0 +1,301 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import callManager from '../../services/callManager';
+
+// Import socketService dynamically to avoid circular dependency
+const getSocketService = async () => (await import('../../services/socketService')).default;
+
+// Message for a failed getUserMedia call
+const describeMediaError = (error, media) => {
+  if (error.name === 'NotAllowedError') {
+    return media === 'VIDEO' ? 'Camera or microphone access was denied' : 'Microphone access was denied';
+  }
+  return media === 'VIDEO' ? 'Could not open the camera or microphone' : 'Could not open the microphone';
+};
+
+// Start the peer connection of a call; local ICE candidates are sent to the other user as they are found
+const connectCall = (socketService, callId, dispatch) => {
+  callManager.connect({
+    onIceCandidate: (candidate) => {
+      socketService.sendCallEvent('call_ice_candidate', { callId, candidate })
+        .catch((error) => console.error('Failed to send ICE candidate:', error));
+    },
+    onConnectionStateChange: (connectionState) => {
+      dispatch(callConnectionChanged({ callId, connectionState }));
+      if (connectionState === 'failed') {
+        dispatch(hangUpCall());
+      }
+    }
+  });
+};
+
+export const startCall = createAsyncThunk(
+  'call/startCall',
+  async ({ conversationId, calleeId, media = 'AUDIO' }, { rejectWithValue }) => {
+    try {
+      await callManager.openMedia(media);
+    } catch (error) {
+      return rejectWithValue(describeMediaError(error, media));
+    }
+
+    try {
+      const socketService = await getSocketService();
+      const call = await socketService.sendCallEvent('call_invite', { conversationId, calleeId, media });
+      // Busy or offline callees end the call straight away
+      if (call.status === 'ENDED') {
+        callManager.close();
+      }
+      return call;
+    } catch (error) {
+      callManager.close();
+      return rejectWithValue(error.message || 'Failed to start the call');
+    }
+  },
+  {
+    // One call at a time
+    condition: (_, { getState }) => {
+      const { current, isStarting } = getState().call;
+      return !isStarting && (!current || current.status === 'ENDED');
+    }
+  }
+);
+
+export const acceptCall = createAsyncThunk(
+  'call/acceptCall',
+  async (_, { getState, dispatch, rejectWithValue }) => {
+    const call = getState().call.current;
+
+    try {
+      await callManager.openMedia(call.media);
+    } catch (error) {
+      return rejectWithValue(describeMediaError(error, call.media));
+    }
+
+    try {
+      const socketService = await getSocketService();
+      // Ready for the caller's offer, which follows the answer right away
+      connectCall(socketService, call.id, dispatch);
+      return await socketService.sendCallEvent('call_accept', { callId: call.id });
+    } catch (error) {
+      callManager.close();
+      return rejectWithValue(error.message || 'Failed to answer the call');
+    }
+  }
+);
+
+export const declineCall = createAsyncThunk(
+  'call/declineCall',
+  async (_, { getState, rejectWithValue }) => {
+    const call = getState().call.current;
+    callManager.close();
+
+    try {
+      const socketService = await getSocketService();
+      return await socketService.sendCallEvent('call_decline', { callId: call.id });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to decline the call');
+    }
+  }
+);
+
+export const hangUpCall = createAsyncThunk(
+  'call/hangUpCall',
+  async (_, { getState, rejectWithValue }) => {
+    const call = getState().call.current;
+    callManager.close();
+
+    try {
+      const socketService = await getSocketService();
+      return await socketService.sendCallEvent('call_hangup', { callId: call.id });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to hang up');
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { current } = getState().call;
+      return Boolean(current) && current.status !== 'ENDED';
+    }
+  }
+);
+
+// The callee answered: the caller sends its offer. Other devices of the callee stop ringing.
+export const receiveCallAccepted = createAsyncThunk(
+  'call/receiveCallAccepted',
+  async (call, { getState, dispatch, rejectWithValue }) => {
+    const { current, role } = getState().call;
+    if (current?.id !== call.id || role !== 'caller') {
+      return call;
+    }
+
+    try {
+      const socketService = await getSocketService();
+      connectCall(socketService, call.id, dispatch);
+      const sdp = await callManager.createOffer();
+      await socketService.sendCallEvent('call_offer', { callId: call.id, sdp });
+      return call;
+    } catch (error) {
+      dispatch(hangUpCall());
+      return rejectWithValue(error.message || 'Failed to connect the call');
+    }
+  }
+);
+
+export const receiveCallEnded = createAsyncThunk(
+  'call/receiveCallEnded',
+  async (call, { getState }) => {
+    if (getState().call.current?.id === call.id) {
+      callManager.close();
+    }
+    return call;
+  }
+);
+
+// An offer, answer or ICE candidate from the other user of the call
+export const receiveCallSignal = createAsyncThunk(
+  'call/receiveCallSignal',
+  async ({ kind, callId, sdp, candidate }, { getState, dispatch, rejectWithValue }) => {
+    // Signals reach all of a user's devices; only the one on the call handles them
+    if (getState().call.current?.id !== callId) {
+      return;
+    }
+
+    try {
+      if (kind === 'offer') {
+        const answer = await callManager.acceptOffer(sdp);
+        const socketService = await getSocketService();
+        await socketService.sendCallEvent('call_answer', { callId, sdp: answer });
+      } else if (kind === 'answer') {
+        await callManager.acceptAnswer(sdp);
+      } else {
+        await callManager.addIceCandidate(candidate);
+      }
+    } catch (error) {
+      console.error(`Failed to handle call ${kind}:`, error);
+      if (kind !== 'ice_candidate') {
+        dispatch(hangUpCall());
+      }
+      return rejectWithValue(error.message || 'Failed to connect the call');
+    }
+  }
+);
+
+// Replace the current call with a newer copy of it from the server
+const applyCall = (state, call) => {
+  if (state.current?.id === call.id) {
+    state.current = call;
+  }
+};
+
+const initialState = {
+  current: null, // The call on this device, as last sent by the server
+  role: null, // 'caller' or 'callee'
+  isStarting: false,
+  isAnswering: false,
+  connectionState: 'new', // RTCPeerConnection state once the call is answered
+  isMuted: false,
+  isCameraOff: false,
+  error: null,
+};
+
+const callSlice = createSlice({
+  name: 'call',
+  initialState,
+  reducers: {
+    callIncoming: (state, action) => {
+      if (state.current && state.current.status !== 'ENDED') {
+        return;
+      }
+      return { ...initialState, current: action.payload, role: 'callee' };
+    },
+    callRinging: (state, action) => {
+      applyCall(state, action.payload);
+    },
+    callConnectionChanged: (state, action) => {
+      if (state.current?.id === action.payload.callId) {
+        state.connectionState = action.payload.connectionState;
+      }
+    },
+    // The socket went away, and with it the call (the server hangs it up)
+    callDropped: (state) => {
+      if (state.current && state.current.status !== 'ENDED') {
+        state.current = { ...state.current, status: 'ENDED', outcome: null };
+        state.error = 'Call dropped: connection to the chat server was lost';
+      }
+    },
+    setCallMuted: (state, action) => {
+      state.isMuted = action.payload;
+    },
+    setCallCameraOff: (state, action) => {
+      state.isCameraOff = action.payload;
+    },
+    callDismissed: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(startCall.pending, () => ({ ...initialState, isStarting: true }))
+      .addCase(startCall.fulfilled, (state, action) => {
+        state.isStarting = false;
+        state.current = action.payload;
+        state.role = 'caller';
+      })
+      .addCase(startCall.rejected, (state, action) => {
+        state.isStarting = false;
+        state.error = action.payload;
+      })
+      .addCase(acceptCall.pending, (state) => {
+        state.isAnswering = true;
+        state.error = null;
+      })
+      .addCase(acceptCall.fulfilled, (state, action) => {
+        state.isAnswering = false;
+        applyCall(state, action.payload);
+        state.connectionState = 'connecting';
+      })
+      .addCase(acceptCall.rejected, (state, action) => {
+        state.isAnswering = false;
+        state.error = action.payload;
+      })
+      .addCase(declineCall.fulfilled, (state, action) => {
+        applyCall(state, action.payload);
+      })
+      .addCase(declineCall.rejected, () => initialState)
+      .addCase(hangUpCall.fulfilled, (state, action) => {
+        applyCall(state, action.payload);
+      })
+      .addCase(hangUpCall.rejected, (state) => {
+        if (state.current) {
+          state.current = { ...state.current, status: 'ENDED' };
+        }
+      })
+      .addCase(receiveCallAccepted.pending, (state, action) => {
+        const call = action.meta.arg;
+        if (state.current?.id !== call.id) {
+          return;
+        }
+        // The server announces the answer before confirming it to the device that answered
+        if (state.role === 'callee' && !state.isAnswering && state.current.status !== 'ACTIVE') {
+          // Answered on another device
+          return initialState;
+        }
+        state.current = call;
+        state.connectionState = 'connecting';
+      })
+      .addCase(receiveCallAccepted.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(receiveCallEnded.fulfilled, (state, action) => {
+        applyCall(state, action.payload);
+      });
+  },
+});
+
+export const {
+  callIncoming,
+  callRinging,
+  callConnectionChanged,
+  callDropped,
+  setCallMuted,
+  setCallCameraOff,
+  callDismissed,
+} = callSlice.actions;
+export default callSlice.reducer;
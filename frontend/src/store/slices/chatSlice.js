@@ -23,7 +23,13 @@ export const fetchMessages = createAsyncThunk(
   async (conversationId, { rejectWithValue }) => {
     try {
       const response = await chatService.getMessages(conversationId);
-      return { conversationId, messages: response.data };
+      const { data, pagination } = response.data;
+      return {
+        conversationId,
+        messages: data,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 
                           error.response?.data?.message || 
@@ -31,38 +37,416 @@ export const fetchMessages = createAsyncThunk(
                           'Failed to fetch messages';
       return rejectWithValue(errorMessage);
     }
+  },
+  {
+    // A jump to a message loads its own window of this conversation
+    condition: (conversationId, { getState }) => {
+      return getState().chat.highlightedMessage?.conversationId !== conversationId;
+    },
+  }
+);
+
+export const fetchOlderMessages = createAsyncThunk(
+  'chat/fetchOlderMessages',
+  async (conversationId, { getState, rejectWithValue }) => {
+    try {
+      const { nextCursor } = getState().chat.messagePagination[conversationId];
+      const response = await chatService.getMessages(conversationId, { before: nextCursor });
+      const { data, pagination } = response.data;
+      return {
+        conversationId,
+        messages: data,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to fetch older messages';
+      return rejectWithValue(errorMessage);
+    }
+  },
+  {
+    // Only one scroll-back request at a time, and only while history remains
+    condition: (conversationId, { getState }) => {
+      const { isLoadingOlderMessages, messagePagination } = getState().chat;
+      return !isLoadingOlderMessages && Boolean(messagePagination[conversationId]?.hasMore);
+    },
+  }
+);
+
+export const fetchNewerMessages = createAsyncThunk(
+  'chat/fetchNewerMessages',
+  async (conversationId, { getState, rejectWithValue }) => {
+    try {
+      const { newerCursor } = getState().chat.messagePagination[conversationId];
+      const response = await chatService.getMessages(conversationId, { after: newerCursor });
+      const { data, pagination } = response.data;
+      return {
+        conversationId,
+        messages: data,
+        hasNewer: pagination.hasMore,
+        newerCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to fetch newer messages';
+      return rejectWithValue(errorMessage);
+    }
+  },
+  {
+    // Only while an older window (e.g. a search result) is shown
+    condition: (conversationId, { getState }) => {
+      const { isLoadingNewerMessages, messagePagination } = getState().chat;
+      return !isLoadingNewerMessages && Boolean(messagePagination[conversationId]?.hasNewer);
+    },
+  }
+);
+
+// Open a conversation at a specific message, with the messages around it loaded
+export const jumpToMessage = createAsyncThunk(
+  'chat/jumpToMessage',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.getMessages(conversationId, { around: messageId });
+      const { data, pagination } = response.data;
+      return {
+        conversationId,
+        messageId,
+        messages: data,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor,
+        hasNewer: pagination.hasNewer,
+        newerCursor: pagination.newerCursor
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to open message';
+      return rejectWithValue(errorMessage);
+    }
   }
 );
 
 export const sendMessage = createAsyncThunk(
   'chat/sendMessage',
-  async ({ conversationId, content }, { rejectWithValue }) => {
+  async ({ conversationId, content, attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN' }, { rejectWithValue }) => {
     try {
-      const response = await chatService.sendMessage(conversationId, content);
-      return response.data;
+      const response = await chatService.sendMessage(conversationId, content, attachmentIds, replyToId, clientMessageId, format);
+      return response.data.data;
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 
+      const errorMessage = error.response?.data?.error?.message || 
                           error.response?.data?.message || 
                           error.message || 
                           'Failed to send message';
-      return rejectWithValue(errorMessage);
+      // meta.unconfirmed: no response, so the message may or may not have been stored
+      return rejectWithValue(errorMessage, { unconfirmed: !error.response });
     }
   }
 );
 
 export const sendSocketMessage = createAsyncThunk(
   'chat/sendSocketMessage',
-  async ({ conversationId, content }, { rejectWithValue }) => {
+  async ({ conversationId, content, attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN' }, { rejectWithValue }) => {
+    try {
+      // Import socketService dynamically to avoid circular dependency
+      const { default: socketService } = await import('../../services/socketService');
+      return await socketService.sendMessage(conversationId, content, attachmentIds, { replyToId, clientMessageId, format });
+    } catch (error) {
+      // meta.unconfirmed: the message may have arrived, so retry it with the same clientMessageId
+      return rejectWithValue(error.message || 'Failed to send message', { unconfirmed: Boolean(error.unconfirmed) });
+    }
+  }
+);
+
+export const createPoll = createAsyncThunk(
+  'chat/createPoll',
+  async ({ conversationId, question, options, allowsMultiple = false, isAnonymous = false, closesAt = null }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.createPoll(conversationId, { question, options, allowsMultiple, isAnonymous, closesAt });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to create poll');
+    }
+  }
+);
+
+export const sendVoiceNote = createAsyncThunk(
+  'chat/sendVoiceNote',
+  async ({ conversationId, recording, clientMessageId, replyToId = null, threadId = null }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.sendVoiceNote(conversationId, recording, { clientMessageId, replyToId, threadId });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to send voice note');
+    }
+  }
+);
+
+export const votePoll = createAsyncThunk(
+  'chat/votePoll',
+  async ({ conversationId, messageId, optionIds }, { rejectWithValue }) => {
+    try {
+      // Import socketService dynamically to avoid circular dependency
+      const { default: socketService } = await import('../../services/socketService');
+      try {
+        const poll = await socketService.votePoll(conversationId, messageId, optionIds);
+        return { conversationId, messageId, poll };
+      } catch (error) {
+        if (!error.unconfirmed) {
+          throw error;
+        }
+      }
+
+      // Fallback to HTTP API; a vote replaces the earlier one, so sending it again is safe
+      const response = await chatService.votePoll(conversationId, messageId, optionIds);
+      return { conversationId, messageId, poll: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to vote');
+    }
+  }
+);
+
+export const closePoll = createAsyncThunk(
+  'chat/closePoll',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.closePoll(conversationId, messageId);
+      return { conversationId, messageId, poll: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to close poll');
+    }
+  }
+);
+
+export const forwardMessages = createAsyncThunk(
+  'chat/forwardMessages',
+  async ({ messageIds, conversationIds }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.forwardMessages(messageIds, conversationIds);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to forward messages');
+    }
+  }
+);
+
+export const fetchThread = createAsyncThunk(
+  'chat/fetchThread',
+  async ({ conversationId, threadId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.getThread(conversationId, threadId);
+      const { data, pagination } = response.data;
+      return {
+        threadId,
+        root: data.root,
+        messages: data.messages,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to load thread';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const fetchOlderThreadMessages = createAsyncThunk(
+  'chat/fetchOlderThreadMessages',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { conversationId, threadId, nextCursor } = getState().chat.activeThread;
+      const response = await chatService.getThread(conversationId, threadId, { before: nextCursor });
+      const { data, pagination } = response.data;
+      return {
+        threadId,
+        messages: data.messages,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to load older replies';
+      return rejectWithValue(errorMessage);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { activeThread, isLoadingThread } = getState().chat;
+      return !isLoadingThread && Boolean(activeThread?.hasMore);
+    },
+  }
+);
+
+export const sendThreadReply = createAsyncThunk(
+  'chat/sendThreadReply',
+  async ({ conversationId, threadId, content, attachmentIds = [], replyToId = null, clientMessageId = null, format = 'PLAIN' }, { rejectWithValue }) => {
+    try {
+      // Import socketService dynamically to avoid circular dependency
+      const { default: socketService } = await import('../../services/socketService');
+      try {
+        return await socketService.sendMessage(conversationId, content, attachmentIds, { replyToId, threadId, clientMessageId, format });
+      } catch (error) {
+        if (!error.unconfirmed) {
+          throw error;
+        }
+      }
+
+      // Fallback to HTTP API when the socket is down or never confirmed the reply;
+      // the same clientMessageId keeps a reply that did arrive from being stored twice
+      const response = await chatService.sendThreadReply(conversationId, threadId, content, attachmentIds, replyToId, clientMessageId, format);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to send reply';
+      // Socket errors say whether the reply may have arrived; HTTP ones did if there was a response
+      return rejectWithValue(errorMessage, { unconfirmed: error.unconfirmed ?? !error.response });
+    }
+  }
+);
+
+export const uploadAttachment = createAsyncThunk(
+  'chat/uploadAttachment',
+  async ({ conversationId, file }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.uploadAttachment(conversationId, file);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to upload attachment';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const editMessage = createAsyncThunk(
+  'chat/editMessage',
+  async ({ conversationId, messageId, content, format = 'PLAIN' }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.editMessage(conversationId, messageId, content, format);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to edit message';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const deleteMessage = createAsyncThunk(
+  'chat/deleteMessage',
+  async ({ conversationId, messageId, scope }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.deleteMessage(conversationId, messageId, scope);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to delete message';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const fetchMessageRevisions = createAsyncThunk(
+  'chat/fetchMessageRevisions',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.getMessageRevisions(conversationId, messageId);
+      return { messageId, revisions: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to fetch message revisions';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const toggleReaction = createAsyncThunk(
+  'chat/toggleReaction',
+  async ({ conversationId, messageId, emoji }, { rejectWithValue }) => {
     try {
       // Import socketService dynamically to avoid circular dependency
       const { default: socketService } = await import('../../services/socketService');
-      const success = socketService.sendMessage(conversationId, content);
-      if (!success) {
-        throw new Error('Failed to send message via socket');
+      if (socketService.reactMessage(conversationId, messageId, emoji)) {
+        // The updated reactions arrive via the reactions_updated event
+        return { conversationId, messageId };
       }
-      return { conversationId, content };
+
+      // Fallback to HTTP API when socket is not connected
+      const response = await chatService.toggleReaction(conversationId, messageId, emoji);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to update reaction';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const fetchPins = createAsyncThunk(
+  'chat/fetchPins',
+  async (conversationId, { rejectWithValue }) => {
+    try {
+      const response = await chatService.getPins(conversationId);
+      return { conversationId, pins: response.data.data };
     } catch (error) {
-      return rejectWithValue(error.message || 'Failed to send message');
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to fetch pinned messages');
+    }
+  }
+);
+
+export const pinMessage = createAsyncThunk(
+  'chat/pinMessage',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.pinMessage(conversationId, messageId);
+      return { conversationId, pins: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to pin message');
+    }
+  }
+);
+
+export const unpinMessage = createAsyncThunk(
+  'chat/unpinMessage',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.unpinMessage(conversationId, messageId);
+      return { conversationId, pins: response.data.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to unpin message');
+    }
+  }
+);
+
+export const markConversationRead = createAsyncThunk(
+  'chat/markConversationRead',
+  async ({ conversationId, messageId }, { rejectWithValue }) => {
+    try {
+      // Import socketService dynamically to avoid circular dependency
+      const { default: socketService } = await import('../../services/socketService');
+      if (socketService.markRead(conversationId, messageId)) {
+        return { conversationId, unreadCount: 0 };
+      }
+
+      // Fallback to HTTP API when socket is not connected
+      const response = await chatService.markRead(conversationId, messageId);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to mark conversation as read';
+      return rejectWithValue(errorMessage);
     }
   }
 );
@@ -83,16 +467,305 @@ export const createConversation = createAsyncThunk(
   }
 );
 
+export const renameConversation = createAsyncThunk(
+  'chat/renameConversation',
+  async ({ conversationId, name }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.renameConversation(conversationId, name);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to rename conversation';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const setMessageTtl = createAsyncThunk(
+  'chat/setMessageTtl',
+  async ({ conversationId, messageTtlSeconds }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.setMessageTtl(conversationId, messageTtlSeconds);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to change disappearing messages';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const addParticipants = createAsyncThunk(
+  'chat/addParticipants',
+  async ({ conversationId, userIds }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.addParticipants(conversationId, userIds);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to add participants';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const removeParticipant = createAsyncThunk(
+  'chat/removeParticipant',
+  async ({ conversationId, userId }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.removeParticipant(conversationId, userId);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to remove participant';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const updateParticipantRole = createAsyncThunk(
+  'chat/updateParticipantRole',
+  async ({ conversationId, userId, role }, { rejectWithValue }) => {
+    try {
+      const response = await chatService.updateParticipantRole(conversationId, userId, role);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to update participant role';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+export const leaveConversation = createAsyncThunk(
+  'chat/leaveConversation',
+  async (conversationId, { rejectWithValue }) => {
+    try {
+      const response = await chatService.leaveConversation(conversationId);
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 
+                          error.message || 
+                          'Failed to leave conversation';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
+// Merge changes into a stored message and the conversation preview
+const updateStoredMessage = (state, conversationId, messageId, changes) => {
+  const message = state.messages[conversationId]?.find(m => m.id === messageId);
+  if (message) {
+    Object.assign(message, changes);
+  }
+
+  // The open thread holds its own copies of its root and replies
+  const thread = state.activeThread;
+  if (thread?.conversationId === conversationId) {
+    if (thread.root?.id === messageId) {
+      Object.assign(thread.root, changes);
+    }
+    const reply = thread.messages.find(m => m.id === messageId);
+    if (reply) {
+      Object.assign(reply, changes);
+    }
+  }
+
+  const pin = state.pins[conversationId]?.find(p => p.messageId === messageId);
+  if (pin) {
+    Object.assign(pin.message, changes);
+  }
+
+  const conversation = state.conversations.find(c => c.id === conversationId);
+  if (conversation?.lastMessage?.id === messageId) {
+    Object.assign(conversation.lastMessage, changes);
+  }
+};
+
+// Apply new poll tallies. Broadcasts leave out the viewer's own votes, so the
+// ones already known are kept.
+const updatePoll = (state, conversationId, messageId, poll) => {
+  const stored = state.messages[conversationId]?.find(m => m.id === messageId);
+  const myVotes = poll.myVotes ?? stored?.poll?.myVotes;
+  updateStoredMessage(state, conversationId, messageId, { poll: myVotes ? { ...poll, myVotes } : poll });
+};
+
+// Refresh the quoted copy of a message in the replies that quote it
+const updateQuotes = (state, conversationId, messageId, changes) => {
+  const lists = [state.messages[conversationId] || []];
+  if (state.activeThread?.conversationId === conversationId) {
+    lists.push(state.activeThread.messages);
+  }
+
+  lists.forEach(list => list.forEach(message => {
+    if (message.replyTo?.id === messageId) {
+      Object.assign(message.replyTo, changes);
+    }
+  }));
+};
+
+// Drop a message hidden for this user, or turn one deleted for everyone into a tombstone
+const applyMessageDeletion = (state, { id, conversationId, scope, deletedAt }) => {
+  delete state.messageRevisions[id];
+
+  if (scope === 'everyone') {
+    updateStoredMessage(state, conversationId, id, { content: '', deletedAt, reactions: [] });
+    updateQuotes(state, conversationId, id, { content: '', deletedAt });
+    // The server unpins messages deleted for everyone
+    if (state.pins[conversationId]) {
+      state.pins[conversationId] = state.pins[conversationId].filter(p => p.messageId !== id);
+    }
+    return;
+  }
+
+  const conversationMessages = state.messages[conversationId];
+  if (conversationMessages) {
+    state.messages[conversationId] = conversationMessages.filter(m => m.id !== id);
+  }
+
+  if (state.activeThread?.conversationId === conversationId) {
+    state.activeThread.messages = state.activeThread.messages.filter(m => m.id !== id);
+  }
+
+  const conversation = state.conversations.find(c => c.id === conversationId);
+  if (conversation?.lastMessage?.id === id) {
+    const remaining = state.messages[conversationId];
+    conversation.lastMessage = remaining?.length ? remaining[remaining.length - 1] : null;
+  }
+};
+
+// Drop messages whose disappearing timer ran out from everywhere they are shown
+const removeExpiredMessages = (state, { conversationId, messageIds }) => {
+  const expired = new Set(messageIds);
+  messageIds.forEach(id => delete state.messageRevisions[id]);
+
+  const conversationMessages = state.messages[conversationId];
+  if (conversationMessages) {
+    state.messages[conversationId] = conversationMessages.filter(m => !expired.has(m.id));
+  }
+
+  const thread = state.activeThread;
+  if (thread?.conversationId === conversationId) {
+    if (expired.has(thread.threadId)) {
+      state.activeThread = null;
+    } else {
+      thread.messages = thread.messages.filter(m => !expired.has(m.id));
+      if (thread.replyingTo && expired.has(thread.replyingTo.id)) {
+        thread.replyingTo = null;
+      }
+    }
+  }
+
+  // Quotes of a purged message have nothing left to show (the server unlinks them too)
+  const lists = [state.messages[conversationId] || []];
+  if (state.activeThread?.conversationId === conversationId) {
+    lists.push(state.activeThread.messages);
+  }
+  lists.forEach(list => list.forEach(message => {
+    if (message.replyTo && expired.has(message.replyTo.id)) {
+      message.replyTo = null;
+      message.replyToId = null;
+    }
+  }));
+
+  if (state.pins[conversationId]) {
+    state.pins[conversationId] = state.pins[conversationId].filter(p => !expired.has(p.messageId));
+  }
+
+  if (state.replyingTo && expired.has(state.replyingTo.id)) {
+    state.replyingTo = null;
+  }
+
+  if (state.highlightedMessage && expired.has(state.highlightedMessage.messageId)) {
+    state.highlightedMessage = null;
+  }
+
+  const conversation = state.conversations.find(c => c.id === conversationId);
+  if (conversation?.lastMessage && expired.has(conversation.lastMessage.id)) {
+    const remaining = state.messages[conversationId];
+    conversation.lastMessage = remaining?.length ? remaining[remaining.length - 1] : null;
+  }
+};
+
+// Insert or refresh a conversation's details, keeping its preview and unread count
+const upsertConversation = (state, conversation) => {
+  const existing = state.conversations.find(c => c.id === conversation.id);
+  if (existing) {
+    Object.assign(existing, conversation);
+  } else {
+    state.conversations.unshift({ ...conversation, lastMessage: null, unreadCount: 0 });
+  }
+};
+
+// Forget a conversation the user is no longer part of
+const removeConversation = (state, conversationId) => {
+  state.conversations = state.conversations.filter(c => c.id !== conversationId);
+  delete state.messages[conversationId];
+  delete state.messagePagination[conversationId];
+  delete state.typingUsers[conversationId];
+  delete state.pins[conversationId];
+  state.joinedRooms = state.joinedRooms.filter(id => id !== conversationId);
+  if (state.activeConversationId === conversationId) {
+    state.activeConversationId = null;
+  }
+  if (state.activeThread?.conversationId === conversationId) {
+    state.activeThread = null;
+  }
+};
+
+// Add a message to its conversation unless it is already there, and make it the preview
+const appendMessage = (state, conversationId, message) => {
+  if (!state.messages[conversationId]) {
+    state.messages[conversationId] = [];
+  }
+  // While an older window is shown the message arrives when scrolling down to it
+  const messages = state.messages[conversationId];
+  if (!state.messagePagination[conversationId]?.hasNewer && !messages.some(m => m.id === message.id)) {
+    messages.push(message);
+  }
+
+  // Update last message in conversation; a late acknowledgement may carry an older one
+  const conversation = state.conversations.find(c => c.id === conversationId);
+  const lastMessage = conversation?.lastMessage;
+  if (conversation && (!lastMessage || lastMessage.id === message.id ||
+      new Date(message.createdAt) >= new Date(lastMessage.createdAt))) {
+    conversation.lastMessage = message;
+    conversation.updatedAt = message.createdAt;
+  }
+};
+
+// Add a reply to the open thread unless it is already there
+const addThreadReply = (state, message) => {
+  const thread = state.activeThread;
+  if (thread?.threadId === message.threadId && !thread.messages.some(m => m.id === message.id)) {
+    thread.messages.push(message);
+  }
+};
+
 const initialState = {
   conversations: [],
   messages: {}, // { conversationId: [messages] }
+  messageRevisions: {}, // { messageId: [revisions] }
+  messagePagination: {}, // { conversationId: { hasMore, nextCursor, hasNewer?, newerCursor? } }
+  pins: {}, // { conversationId: [{ id, messageId, pinnedBy, pinnedAt, message }] }, newest pin first
   activeConversationId: null,
+  highlightedMessage: null, // { conversationId, messageId } after jumping to a message
+  replyingTo: null, // Message quoted by the next message in the main list
+  activeThread: null, // { conversationId, threadId, root, messages, hasMore, nextCursor, isLoaded, replyingTo, highlightedMessageId }
+  isLoadingThread: false,
   isLoading: false,
   isLoadingMessages: false,
+  isLoadingOlderMessages: false,
+  isLoadingNewerMessages: false,
   isSendingMessage: false,
+  isUploadingAttachment: false,
   error: null,
   typingUsers: {}, // { conversationId: [userIds] }
-  onlineUsers: [],
   joinedRooms: [], // Track which rooms we've joined
 };
 
@@ -105,16 +778,52 @@ const chatSlice = createSlice({
     },
     addMessage: (state, action) => {
       const { conversationId, message } = action.payload;
-      if (!state.messages[conversationId]) {
-        state.messages[conversationId] = [];
-      }
-      state.messages[conversationId].push(message);
-      
-      // Update last message in conversation
+      appendMessage(state, conversationId, message);
+    },
+    messageEdited: (state, action) => {
+      const { id, conversationId, content, format, editedAt } = action.payload;
+      updateStoredMessage(state, conversationId, id, { content, format, editedAt });
+      updateQuotes(state, conversationId, id, { content });
+      // Cached history is stale once another revision exists
+      delete state.messageRevisions[id];
+    },
+    messageDeleted: (state, action) => {
+      applyMessageDeletion(state, action.payload);
+    },
+    messagesExpired: (state, action) => {
+      removeExpiredMessages(state, action.payload);
+    },
+    pinsUpdated: (state, action) => {
+      const { conversationId, pins } = action.payload;
+      state.pins[conversationId] = pins;
+    },
+    pollUpdated: (state, action) => {
+      const { conversationId, messageId, poll } = action.payload;
+      updatePoll(state, conversationId, messageId, poll);
+    },
+    reactionsUpdated: (state, action) => {
+      const { conversationId, messageId, reactions } = action.payload;
+      updateStoredMessage(state, conversationId, messageId, { reactions });
+    },
+    readReceiptReceived: (state, action) => {
+      const { conversationId, userId, lastReadMessageId, lastReadAt, unreadCount, isOwn } = action.payload;
       const conversation = state.conversations.find(c => c.id === conversationId);
+      if (!conversation) return;
+
+      const participant = conversation.participants?.find(p => p.id === userId);
+      if (participant) {
+        participant.lastReadMessageId = lastReadMessageId;
+        participant.lastReadAt = lastReadAt;
+      }
+
+      if (isOwn) {
+        conversation.unreadCount = unreadCount ?? 0;
+      }
+    },
+    incrementUnreadCount: (state, action) => {
+      const conversation = state.conversations.find(c => c.id === action.payload);
       if (conversation) {
-        conversation.lastMessage = message;
-        conversation.updatedAt = message.createdAt;
+        conversation.unreadCount = (conversation.unreadCount || 0) + 1;
       }
     },
     updateTypingUsers: (state, action) => {
@@ -133,12 +842,59 @@ const chatSlice = createSlice({
         );
       }
     },
-    setOnlineUsers: (state, action) => {
-      state.onlineUsers = action.payload;
-    },
     clearError: (state) => {
       state.error = null;
     },
+    clearHighlightedMessage: (state) => {
+      state.highlightedMessage = null;
+    },
+    setReplyingTo: (state, action) => {
+      state.replyingTo = action.payload;
+    },
+    setThreadReplyingTo: (state, action) => {
+      if (state.activeThread) {
+        state.activeThread.replyingTo = action.payload;
+      }
+    },
+    // highlightedMessageId picks out a reply to bring into view, e.g. one opened from search
+    openThread: (state, action) => {
+      const { conversationId, threadId, highlightedMessageId = null } = action.payload;
+      if (state.activeThread?.threadId === threadId) {
+        state.activeThread.highlightedMessageId = highlightedMessageId;
+        return;
+      }
+
+      const root = state.messages[conversationId]?.find(m => m.id === threadId) || null;
+      state.activeThread = {
+        conversationId,
+        threadId,
+        root,
+        messages: [],
+        hasMore: false,
+        nextCursor: null,
+        isLoaded: false,
+        replyingTo: null,
+        highlightedMessageId
+      };
+    },
+    clearThreadHighlight: (state) => {
+      if (state.activeThread) {
+        state.activeThread.highlightedMessageId = null;
+      }
+    },
+    closeThread: (state) => {
+      state.activeThread = null;
+    },
+    threadMessageReceived: (state, action) => {
+      addThreadReply(state, action.payload);
+    },
+    threadUpdated: (state, action) => {
+      const { conversationId, threadId, replyCount, lastReplyAt } = action.payload;
+      updateStoredMessage(state, conversationId, threadId, {
+        threadReplyCount: replyCount,
+        threadLastReplyAt: lastReplyAt
+      });
+    },
     joinRoom: (state, action) => {
       const conversationId = action.payload;
       if (!state.joinedRooms.includes(conversationId)) {
@@ -149,12 +905,48 @@ const chatSlice = createSlice({
       const conversationId = action.payload;
       state.joinedRooms = state.joinedRooms.filter(id => id !== conversationId);
     },
+    // A new socket starts in no rooms
+    clearJoinedRooms: (state) => {
+      state.joinedRooms = [];
+    },
+    // Catch up after a reconnect: take the server's conversation list and add the
+    // messages missed meanwhile. A conversation that missed more than the server
+    // sent is dropped from the cache, so it loads afresh.
+    syncReceived: (state, action) => {
+      const { conversations, missed } = action.payload;
+      const currentIds = new Set(conversations.map(c => c.id));
+      state.conversations
+        .filter(c => !currentIds.has(c.id))
+        .map(c => c.id)
+        .forEach(conversationId => removeConversation(state, conversationId));
+      state.conversations = conversations;
+
+      missed.forEach(({ conversationId, messages, hasMore }) => {
+        if (hasMore) {
+          delete state.messages[conversationId];
+          delete state.messagePagination[conversationId];
+        } else {
+          messages.forEach(message => appendMessage(state, conversationId, message));
+        }
+      });
+    },
+    conversationUpdated: (state, action) => {
+      upsertConversation(state, action.payload);
+    },
+    conversationRemoved: (state, action) => {
+      removeConversation(state, action.payload);
+    },
     resetChat: (state) => {
       state.conversations = [];
       state.messages = {};
+      state.messageRevisions = {};
+      state.messagePagination = {};
+      state.pins = {};
       state.activeConversationId = null;
+      state.highlightedMessage = null;
+      state.replyingTo = null;
+      state.activeThread = null;
       state.typingUsers = {};
-      state.onlineUsers = [];
       state.joinedRooms = [];
       state.error = null;
     },
@@ -181,26 +973,267 @@ const chatSlice = createSlice({
       })
       .addCase(fetchMessages.fulfilled, (state, action) => {
         state.isLoadingMessages = false;
-        const { conversationId, messages } = action.payload;
+        const { conversationId, messages, hasMore, nextCursor } = action.payload;
         state.messages[conversationId] = messages;
+        state.messagePagination[conversationId] = { hasMore, nextCursor };
       })
       .addCase(fetchMessages.rejected, (state, action) => {
         state.isLoadingMessages = false;
         state.error = action.payload;
       })
+      // Fetch older messages
+      .addCase(fetchOlderMessages.pending, (state) => {
+        state.isLoadingOlderMessages = true;
+        state.error = null;
+      })
+      .addCase(fetchOlderMessages.fulfilled, (state, action) => {
+        state.isLoadingOlderMessages = false;
+        const { conversationId, messages, hasMore, nextCursor } = action.payload;
+        const existing = state.messages[conversationId] || [];
+        const existingIds = new Set(existing.map(m => m.id));
+        state.messages[conversationId] = [
+          ...messages.filter(m => !existingIds.has(m.id)),
+          ...existing
+        ];
+        state.messagePagination[conversationId] = { hasMore, nextCursor };
+      })
+      .addCase(fetchOlderMessages.rejected, (state, action) => {
+        state.isLoadingOlderMessages = false;
+        state.error = action.payload;
+      })
+      // Fetch newer messages
+      .addCase(fetchNewerMessages.pending, (state) => {
+        state.isLoadingNewerMessages = true;
+        state.error = null;
+      })
+      .addCase(fetchNewerMessages.fulfilled, (state, action) => {
+        state.isLoadingNewerMessages = false;
+        const { conversationId, messages, hasNewer, newerCursor } = action.payload;
+        const existing = state.messages[conversationId] || [];
+        const existingIds = new Set(existing.map(m => m.id));
+        state.messages[conversationId] = [
+          ...existing,
+          ...messages.filter(m => !existingIds.has(m.id))
+        ];
+        state.messagePagination[conversationId] = {
+          ...state.messagePagination[conversationId],
+          hasNewer,
+          newerCursor
+        };
+      })
+      .addCase(fetchNewerMessages.rejected, (state, action) => {
+        state.isLoadingNewerMessages = false;
+        state.error = action.payload;
+      })
+      // Jump to message
+      .addCase(jumpToMessage.pending, (state, action) => {
+        const { conversationId, messageId } = action.meta.arg;
+        state.activeConversationId = conversationId;
+        state.highlightedMessage = { conversationId, messageId };
+        state.isLoadingMessages = true;
+        state.error = null;
+      })
+      .addCase(jumpToMessage.fulfilled, (state, action) => {
+        state.isLoadingMessages = false;
+        const { conversationId, messages, hasMore, nextCursor, hasNewer, newerCursor } = action.payload;
+        state.messages[conversationId] = messages;
+        state.messagePagination[conversationId] = { hasMore, nextCursor, hasNewer, newerCursor };
+      })
+      .addCase(jumpToMessage.rejected, (state, action) => {
+        state.isLoadingMessages = false;
+        state.highlightedMessage = null;
+        state.error = action.payload;
+      })
       // Send message
       .addCase(sendMessage.pending, (state) => {
         state.isSendingMessage = true;
         state.error = null;
       })
-      .addCase(sendMessage.fulfilled, (state) => {
+      .addCase(sendMessage.fulfilled, (state, action) => {
         state.isSendingMessage = false;
-        // Message will be added via socket event or addMessage action
+        // The socket event may also deliver it
+        appendMessage(state, action.payload.conversationId, action.payload);
       })
       .addCase(sendMessage.rejected, (state, action) => {
         state.isSendingMessage = false;
+        // An unconfirmed send stays in the outbox until the connection is back
+        if (!action.meta.unconfirmed) {
+          state.error = action.payload;
+        }
+      })
+      // Forward messages; the copies may also arrive over the socket
+      .addCase(forwardMessages.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(forwardMessages.fulfilled, (state, action) => {
+        action.payload.forEach(message => appendMessage(state, message.conversationId, message));
+      })
+      .addCase(forwardMessages.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Edit message
+      .addCase(editMessage.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(editMessage.fulfilled, (state, action) => {
+        const { id, conversationId, content, format, editedAt } = action.payload;
+        updateStoredMessage(state, conversationId, id, { content, format, editedAt });
+        updateQuotes(state, conversationId, id, { content });
+        delete state.messageRevisions[id];
+      })
+      .addCase(editMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Delete message
+      .addCase(deleteMessage.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(deleteMessage.fulfilled, (state, action) => {
+        applyMessageDeletion(state, action.payload);
+      })
+      .addCase(deleteMessage.rejected, (state, action) => {
         state.error = action.payload;
       })
+      // Threads
+      .addCase(fetchThread.pending, (state) => {
+        state.isLoadingThread = true;
+      })
+      .addCase(fetchThread.fulfilled, (state, action) => {
+        state.isLoadingThread = false;
+        const thread = state.activeThread;
+        // Ignore a thread that was closed or replaced while loading
+        if (thread?.threadId !== action.payload.threadId) return;
+
+        const { root, messages, hasMore, nextCursor } = action.payload;
+        // Keep replies that arrived over the socket while loading
+        const loadedIds = new Set(messages.map(m => m.id));
+        thread.root = root;
+        thread.messages = [...messages, ...thread.messages.filter(m => !loadedIds.has(m.id))];
+        thread.hasMore = hasMore;
+        thread.nextCursor = nextCursor;
+        thread.isLoaded = true;
+      })
+      .addCase(fetchThread.rejected, (state, action) => {
+        state.isLoadingThread = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchOlderThreadMessages.pending, (state) => {
+        state.isLoadingThread = true;
+      })
+      .addCase(fetchOlderThreadMessages.fulfilled, (state, action) => {
+        state.isLoadingThread = false;
+        const thread = state.activeThread;
+        if (thread?.threadId !== action.payload.threadId) return;
+
+        thread.messages = [...action.payload.messages, ...thread.messages];
+        thread.hasMore = action.payload.hasMore;
+        thread.nextCursor = action.payload.nextCursor;
+      })
+      .addCase(fetchOlderThreadMessages.rejected, (state, action) => {
+        state.isLoadingThread = false;
+        state.error = action.payload;
+      })
+      .addCase(sendThreadReply.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(sendThreadReply.fulfilled, (state, action) => {
+        const message = action.payload;
+
+        // The thread_message_received event may also deliver it
+        addThreadReply(state, message);
+        if (message.threadRoot) {
+          updateStoredMessage(state, message.conversationId, message.threadId, {
+            threadReplyCount: message.threadRoot.threadReplyCount,
+            threadLastReplyAt: message.threadRoot.threadLastReplyAt
+          });
+        }
+      })
+      .addCase(sendThreadReply.rejected, (state, action) => {
+        if (!action.meta.unconfirmed) {
+          state.error = action.payload;
+        }
+      })
+      // Toggle reaction
+      .addCase(toggleReaction.fulfilled, (state, action) => {
+        const { conversationId, messageId, reactions } = action.payload;
+        if (reactions) {
+          updateStoredMessage(state, conversationId, messageId, { reactions });
+        }
+      })
+      .addCase(toggleReaction.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Polls
+      .addCase(createPoll.fulfilled, (state, action) => {
+        // The socket event may also deliver it
+        appendMessage(state, action.payload.conversationId, action.payload);
+      })
+      .addCase(votePoll.fulfilled, (state, action) => {
+        const { conversationId, messageId, poll } = action.payload;
+        updatePoll(state, conversationId, messageId, poll);
+      })
+      .addCase(votePoll.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(closePoll.fulfilled, (state, action) => {
+        const { conversationId, messageId, poll } = action.payload;
+        updatePoll(state, conversationId, messageId, poll);
+      })
+      .addCase(closePoll.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Voice notes
+      .addCase(sendVoiceNote.fulfilled, (state, action) => {
+        const message = action.payload;
+
+        // The socket event may also deliver it
+        if (message.threadId) {
+          addThreadReply(state, message);
+          if (message.threadRoot) {
+            updateStoredMessage(state, message.conversationId, message.threadId, {
+              threadReplyCount: message.threadRoot.threadReplyCount,
+              threadLastReplyAt: message.threadRoot.threadLastReplyAt
+            });
+          }
+        } else {
+          appendMessage(state, message.conversationId, message);
+        }
+      })
+      // Pinned messages
+      .addCase(fetchPins.fulfilled, (state, action) => {
+        const { conversationId, pins } = action.payload;
+        state.pins[conversationId] = pins;
+      })
+      .addCase(pinMessage.fulfilled, (state, action) => {
+        const { conversationId, pins } = action.payload;
+        state.pins[conversationId] = pins;
+      })
+      .addCase(pinMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(unpinMessage.fulfilled, (state, action) => {
+        const { conversationId, pins } = action.payload;
+        state.pins[conversationId] = pins;
+      })
+      .addCase(unpinMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Fetch message revisions
+      .addCase(fetchMessageRevisions.fulfilled, (state, action) => {
+        const { messageId, revisions } = action.payload;
+        state.messageRevisions[messageId] = revisions;
+      })
+      .addCase(fetchMessageRevisions.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Mark conversation read
+      .addCase(markConversationRead.fulfilled, (state, action) => {
+        const { conversationId, unreadCount } = action.payload;
+        const conversation = state.conversations.find(c => c.id === conversationId);
+        if (conversation) {
+          conversation.unreadCount = unreadCount ?? 0;
+        }
+      })
       // Create conversation
       .addCase(createConversation.pending, (state) => {
         state.isLoading = true;
@@ -220,25 +1253,93 @@ const chatSlice = createSlice({
         state.isSendingMessage = true;
         state.error = null;
       })
-      .addCase(sendSocketMessage.fulfilled, (state) => {
+      .addCase(sendSocketMessage.fulfilled, (state, action) => {
         state.isSendingMessage = false;
-        // Message will be added via socket event
+        // The message_received event may also deliver it
+        appendMessage(state, action.payload.conversationId, action.payload);
       })
       .addCase(sendSocketMessage.rejected, (state, action) => {
         state.isSendingMessage = false;
+        // An unconfirmed send is retried over HTTP by the outbox
+        if (!action.meta.unconfirmed) {
+          state.error = action.payload;
+        }
+      })
+      // Upload attachment
+      .addCase(uploadAttachment.pending, (state) => {
+        state.isUploadingAttachment = true;
+        state.error = null;
+      })
+      .addCase(uploadAttachment.fulfilled, (state) => {
+        state.isUploadingAttachment = false;
+        // Pending attachments are held by the composer until the message is sent
+      })
+      .addCase(uploadAttachment.rejected, (state, action) => {
+        state.isUploadingAttachment = false;
         state.error = action.payload;
-      });
+      })
+      // Group administration
+      .addCase(renameConversation.fulfilled, (state, action) => {
+        upsertConversation(state, action.payload);
+      })
+      .addCase(setMessageTtl.fulfilled, (state, action) => {
+        upsertConversation(state, action.payload);
+      })
+      .addCase(addParticipants.fulfilled, (state, action) => {
+        upsertConversation(state, action.payload);
+      })
+      .addCase(removeParticipant.fulfilled, (state, action) => {
+        upsertConversation(state, action.payload);
+      })
+      .addCase(updateParticipantRole.fulfilled, (state, action) => {
+        upsertConversation(state, action.payload);
+      })
+      .addCase(leaveConversation.fulfilled, (state, action) => {
+        removeConversation(state, action.payload.conversationId);
+      })
+      .addMatcher(
+        (action) => [
+          renameConversation.rejected.type,
+          setMessageTtl.rejected.type,
+          addParticipants.rejected.type,
+          removeParticipant.rejected.type,
+          updateParticipantRole.rejected.type,
+          leaveConversation.rejected.type
+        ].includes(action.type),
+        (state, action) => {
+          state.error = action.payload;
+        }
+      );
   },
 });
 
 export const {
   setActiveConversation,
   addMessage,
+  messageEdited,
+  messageDeleted,
+  messagesExpired,
+  pinsUpdated,
+  pollUpdated,
+  reactionsUpdated,
+  readReceiptReceived,
+  incrementUnreadCount,
   updateTypingUsers,
-  setOnlineUsers,
   joinRoom,
   leaveRoom,
+  clearJoinedRooms,
+  syncReceived,
   clearError,
+  clearHighlightedMessage,
+  setReplyingTo,
+  setThreadReplyingTo,
+  openThread,
+  clearThreadHighlight,
+  closeThread,
+  threadMessageReceived,
+  threadUpdated,
+  conversationUpdated,
+  conversationRemoved,
   resetChat,
 } = chatSlice.actions;
 
@@ -7,7 +7,10 @@ export const fetchContacts = createAsyncThunk(
   async (_, { rejectWithValue }) => {
     try {
       const response = await contactService.getContacts();
-      return response.data;
+      if (response.error) {
+        return rejectWithValue(response.error.message || 'Failed to fetch contacts');
+      }
+      return response.data.data.contacts;
     } catch (error) {
       const errorMessage = error.response?.data?.error || 
                           error.response?.data?.message || 
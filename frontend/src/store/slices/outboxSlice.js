@@ -0,0 +1,265 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { sendMessage, sendSocketMessage, sendThreadReply } from './chatSlice';
+import { getOutboxItems, saveOutboxItem, deleteOutboxItem } from '../../utils/outboxStorage';
+import { createClientMessageId } from '../../utils/clientMessageId';
+
+// Sends that got no answer while the socket was connected (a timeout or a server
+// error) are retried with backoff; after this many the message is marked failed
+export const MAX_UNCONFIRMED_ATTEMPTS = 5;
+
+// Wait before retrying after an unconfirmed send: 2s, 4s, 8s... up to a minute
+export const getOutboxRetryDelay = (attempts) => Math.min(2000 * 2 ** (attempts - 1), 60000);
+
+// Storage problems (e.g. private browsing) only cost persistence across reloads
+const persist = async (operation) => {
+  try {
+    await operation();
+  } catch (error) {
+    console.error('Failed to update stored outbox:', error);
+  }
+};
+
+// Send an outbox message over the socket, or over HTTP when the socket is down or
+// never confirmed it. Every attempt uses the message's clientMessageId, so the
+// server stores it once.
+const sendOutboxItem = async (dispatch, item) => {
+  const payload = {
+    conversationId: item.conversationId,
+    content: item.content,
+    format: item.format,
+    attachmentIds: item.attachmentIds,
+    replyToId: item.replyToId,
+    clientMessageId: item.clientMessageId
+  };
+
+  if (item.threadId) {
+    return dispatch(sendThreadReply({ ...payload, threadId: item.threadId }));
+  }
+
+  const socketResult = await dispatch(sendSocketMessage(payload));
+  if (sendSocketMessage.rejected.match(socketResult) && socketResult.meta.unconfirmed) {
+    return dispatch(sendMessage(payload));
+  }
+  return socketResult;
+};
+
+export const loadOutbox = createAsyncThunk(
+  'outbox/loadOutbox',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const items = await getOutboxItems(userId);
+      return { userId, items };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load unsent messages');
+    }
+  }
+);
+
+// Send messages waiting in the outbox, oldest first. A message that cannot reach
+// the server stops the run so later ones are not sent before it; while the socket
+// is connected the run is retried with backoff (see useOutbox) until the message
+// runs out of attempts and is marked failed. A message the server rejects is
+// marked failed and the run carries on.
+export const flushOutbox = createAsyncThunk(
+  'outbox/flushOutbox',
+  async (_, { dispatch, getState }) => {
+    for (;;) {
+      const item = getState().outbox.items.find((outboxItem) => outboxItem.status === 'pending');
+      if (!item) {
+        return;
+      }
+
+      dispatch(outboxItemUpdated({ clientMessageId: item.clientMessageId, status: 'sending', error: null }));
+      const result = await sendOutboxItem(dispatch, item);
+
+      if (!result.error) {
+        dispatch(outboxItemRemoved(item.clientMessageId));
+        await persist(() => deleteOutboxItem(item.clientMessageId));
+      } else if (result.meta.unconfirmed) {
+        // Offline sends wait for connectivity to come back instead
+        if (!getState().ui.isConnected) {
+          dispatch(outboxItemUpdated({ clientMessageId: item.clientMessageId, status: 'pending', error: null }));
+          return;
+        }
+
+        const attempts = (item.attempts || 0) + 1;
+        if (attempts < MAX_UNCONFIRMED_ATTEMPTS) {
+          dispatch(outboxItemUpdated({ clientMessageId: item.clientMessageId, status: 'pending', error: null, attempts }));
+          dispatch(outboxRetryScheduled(Date.now() + getOutboxRetryDelay(attempts)));
+          return;
+        }
+
+        const error = 'Could not reach the server';
+        dispatch(outboxItemUpdated({ clientMessageId: item.clientMessageId, status: 'failed', error, attempts: 0 }));
+        await persist(() => saveOutboxItem({ ...item, status: 'failed', error, attempts: 0 }));
+      } else {
+        const error = typeof result.payload === 'string' ? result.payload : 'Failed to send message';
+        dispatch(outboxItemUpdated({ clientMessageId: item.clientMessageId, status: 'failed', error }));
+        await persist(() => saveOutboxItem({ ...item, status: 'failed', error }));
+      }
+    }
+  },
+  {
+    // One run at a time keeps messages in order
+    condition: (_, { getState }) => {
+      const { isFlushing, userId } = getState().outbox;
+      return !isFlushing && Boolean(userId);
+    },
+  }
+);
+
+// Queue a message from the composer and start sending it
+export const enqueueMessage = createAsyncThunk(
+  'outbox/enqueueMessage',
+  async ({ conversationId, threadId = null, content, format = 'PLAIN', attachments = [], replyTo = null }, { dispatch, getState }) => {
+    const item = {
+      clientMessageId: createClientMessageId(),
+      senderId: getState().auth.user.id,
+      conversationId,
+      threadId,
+      content,
+      format,
+      attachmentIds: attachments.map((attachment) => attachment.id),
+      attachments,
+      replyToId: replyTo?.id || null,
+      // Enough of the quoted message to render the pending message
+      replyTo: replyTo && {
+        id: replyTo.id,
+        content: replyTo.content,
+        type: replyTo.type,
+        senderId: replyTo.senderId,
+        threadId: replyTo.threadId || null,
+        deletedAt: replyTo.deletedAt || null,
+        sender: replyTo.sender && { id: replyTo.sender.id, username: replyTo.sender.username }
+      },
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      error: null
+    };
+
+    dispatch(outboxItemAdded(item));
+    await persist(() => saveOutboxItem(item));
+    dispatch(flushOutbox());
+    return item;
+  }
+);
+
+export const retryOutboxMessage = createAsyncThunk(
+  'outbox/retryOutboxMessage',
+  async (clientMessageId, { dispatch, getState }) => {
+    const item = getState().outbox.items.find((outboxItem) => outboxItem.clientMessageId === clientMessageId);
+    if (!item || item.status !== 'failed') {
+      return;
+    }
+
+    dispatch(outboxItemUpdated({ clientMessageId, status: 'pending', error: null, attempts: 0 }));
+    await persist(() => saveOutboxItem({ ...item, status: 'pending', error: null, attempts: 0 }));
+    dispatch(flushOutbox());
+  }
+);
+
+export const discardOutboxMessage = createAsyncThunk(
+  'outbox/discardOutboxMessage',
+  async (clientMessageId, { dispatch }) => {
+    dispatch(outboxItemRemoved(clientMessageId));
+    await persist(() => deleteOutboxItem(clientMessageId));
+  }
+);
+
+// Outbox messages of a conversation (or one of its threads) shaped like sent
+// messages, leaving out any the server has already delivered to the list
+export const getOutboxMessages = (items, { conversationId, threadId = null, sender, delivered = [] }) => {
+  const deliveredIds = new Set(delivered.map((message) => message.clientMessageId).filter(Boolean));
+
+  return items
+    .filter((item) =>
+      item.conversationId === conversationId &&
+      item.threadId === threadId &&
+      !deliveredIds.has(item.clientMessageId)
+    )
+    .map((item) => ({
+      id: item.clientMessageId,
+      clientMessageId: item.clientMessageId,
+      conversationId: item.conversationId,
+      threadId: item.threadId,
+      senderId: item.senderId,
+      sender,
+      type: 'TEXT',
+      content: item.content,
+      // Stored before formatting existed
+      format: item.format || 'PLAIN',
+      attachments: item.attachments,
+      replyToId: item.replyToId,
+      replyTo: item.replyTo,
+      reactions: [],
+      createdAt: item.createdAt,
+      outbox: { status: item.status, error: item.error }
+    }));
+};
+
+const initialState = {
+  items: [], // Unsent messages, oldest first: { clientMessageId, conversationId, threadId, content, status, error, attempts, ... }
+  userId: null, // Whose outbox is loaded
+  isFlushing: false,
+  retryAt: null, // When to try an unconfirmed message again (ms timestamp)
+};
+
+const outboxSlice = createSlice({
+  name: 'outbox',
+  initialState,
+  reducers: {
+    outboxItemAdded: (state, action) => {
+      state.items.push(action.payload);
+    },
+    outboxItemUpdated: (state, action) => {
+      const { clientMessageId, ...changes } = action.payload;
+      const item = state.items.find((outboxItem) => outboxItem.clientMessageId === clientMessageId);
+      if (item) {
+        Object.assign(item, changes);
+      }
+    },
+    outboxItemRemoved: (state, action) => {
+      state.items = state.items.filter((item) => item.clientMessageId !== action.payload);
+    },
+    outboxRetryScheduled: (state, action) => {
+      state.retryAt = action.payload;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadOutbox.pending, (state, action) => {
+        // Another user signed in on this browser
+        if (state.userId && state.userId !== action.meta.arg) {
+          state.items = [];
+          state.userId = null;
+        }
+      })
+      .addCase(loadOutbox.fulfilled, (state, action) => {
+        const { userId, items } = action.payload;
+        // Keep messages queued while loading
+        const queued = state.items.filter((item) =>
+          !items.some((stored) => stored.clientMessageId === item.clientMessageId)
+        );
+        state.items = [...items, ...queued];
+        state.userId = userId;
+      })
+      .addCase(loadOutbox.rejected, (state, action) => {
+        // Without storage the outbox still works for this session
+        state.userId = action.meta.arg;
+      })
+      .addCase(flushOutbox.pending, (state) => {
+        state.isFlushing = true;
+        state.retryAt = null;
+      })
+      .addCase(flushOutbox.fulfilled, (state) => {
+        state.isFlushing = false;
+      })
+      .addCase(flushOutbox.rejected, (state) => {
+        state.isFlushing = false;
+      });
+  },
+});
+
+export const { outboxItemAdded, outboxItemUpdated, outboxItemRemoved, outboxRetryScheduled } = outboxSlice.actions;
+
+export default outboxSlice.reducer;
@@ -0,0 +1,54 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { fetchContacts } from './contactsSlice';
+
+const initialState = {
+  users: {}, // { userId: { isOnline, lastSeenAt } }
+};
+
+const presenceSlice = createSlice({
+  name: 'presence',
+  initialState,
+  reducers: {
+    setOnlineUsers: (state, action) => {
+      // Sent on connect: everyone listed is online, anyone else we knew about is not
+      const onlineIds = new Set(action.payload.map(user => user.id));
+      Object.entries(state.users).forEach(([userId, presence]) => {
+        if (!onlineIds.has(userId)) {
+          presence.isOnline = false;
+        }
+      });
+      action.payload.forEach(({ id, lastSeenAt }) => {
+        state.users[id] = { isOnline: true, lastSeenAt: lastSeenAt || null };
+      });
+    },
+    presenceUpdated: (state, action) => {
+      const { userId, isOnline, lastSeenAt } = action.payload;
+      state.users[userId] = {
+        isOnline,
+        lastSeenAt: lastSeenAt || state.users[userId]?.lastSeenAt || null
+      };
+    },
+    resetPresence: (state) => {
+      state.users = {};
+    },
+  },
+  extraReducers: (builder) => {
+    builder.addCase(fetchContacts.fulfilled, (state, action) => {
+      const contacts = Array.isArray(action.payload) ? action.payload : [];
+      contacts.forEach(({ contact }) => {
+        state.users[contact.id] = {
+          isOnline: !!contact.isOnline,
+          lastSeenAt: contact.lastSeenAt || null
+        };
+      });
+    });
+  },
+});
+
+export const {
+  setOnlineUsers,
+  presenceUpdated,
+  resetPresence,
+} = presenceSlice.actions;
+
+export default presenceSlice.reducer;
@@ -0,0 +1,121 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import scheduledMessageService from '../../services/scheduledMessageService';
+
+// Statuses of scheduled messages that are still waiting to go out (or need attention)
+const OPEN_STATUSES = ['PENDING', 'SENDING', 'FAILED'];
+
+export const fetchScheduledMessages = createAsyncThunk(
+  'scheduled/fetchScheduledMessages',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await scheduledMessageService.getScheduledMessages();
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to fetch scheduled messages');
+    }
+  }
+);
+
+export const scheduleMessage = createAsyncThunk(
+  'scheduled/scheduleMessage',
+  async ({ conversationId, content, format = 'PLAIN', sendAt }, { rejectWithValue }) => {
+    try {
+      const response = await scheduledMessageService.scheduleMessage(conversationId, content, sendAt, format);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to schedule message');
+    }
+  }
+);
+
+export const updateScheduledMessage = createAsyncThunk(
+  'scheduled/updateScheduledMessage',
+  async ({ id, content, format, sendAt }, { rejectWithValue }) => {
+    try {
+      const response = await scheduledMessageService.updateScheduledMessage(id, { content, format, sendAt });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to update scheduled message');
+    }
+  }
+);
+
+export const cancelScheduledMessage = createAsyncThunk(
+  'scheduled/cancelScheduledMessage',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await scheduledMessageService.cancelScheduledMessage(id);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Failed to cancel scheduled message');
+    }
+  }
+);
+
+// Insert, refresh or drop a scheduled message depending on its status, keeping the soonest first
+const applyScheduledMessage = (state, scheduledMessage) => {
+  const items = state.items.filter(item => item.id !== scheduledMessage.id);
+  if (OPEN_STATUSES.includes(scheduledMessage.status)) {
+    items.push(scheduledMessage);
+    items.sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+  }
+  state.items = items;
+};
+
+const initialState = {
+  items: [], // The user's open scheduled messages across conversations, soonest first
+  isLoaded: false,
+  isLoading: false,
+  error: null,
+};
+
+const scheduledSlice = createSlice({
+  name: 'scheduled',
+  initialState,
+  reducers: {
+    scheduledMessageUpdated: (state, action) => {
+      applyScheduledMessage(state, action.payload);
+    },
+    clearScheduledError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchScheduledMessages.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchScheduledMessages.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.isLoaded = true;
+        state.items = action.payload;
+      })
+      .addCase(fetchScheduledMessages.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(scheduleMessage.fulfilled, (state, action) => {
+        applyScheduledMessage(state, action.payload);
+      })
+      .addCase(scheduleMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateScheduledMessage.fulfilled, (state, action) => {
+        applyScheduledMessage(state, action.payload);
+      })
+      .addCase(updateScheduledMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(cancelScheduledMessage.fulfilled, (state, action) => {
+        applyScheduledMessage(state, action.payload);
+      })
+      .addCase(cancelScheduledMessage.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { scheduledMessageUpdated, clearScheduledError } = scheduledSlice.actions;
+
+export default scheduledSlice.reducer;
@@ -0,0 +1,117 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import chatService from '../../services/chatService';
+
+// Filters are sent as-is; empty values are dropped by axios
+const buildParams = ({ query, conversationId, senderId, from, to }) => ({
+  q: query,
+  conversationId: conversationId || undefined,
+  senderId: senderId || undefined,
+  // Date inputs give days; include the whole "to" day
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+});
+
+export const searchMessages = createAsyncThunk(
+  'search/searchMessages',
+  async (criteria, { rejectWithValue }) => {
+    try {
+      const response = await chatService.searchMessages(buildParams(criteria));
+      const { data, pagination } = response.data;
+      return {
+        results: data,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Search failed');
+    }
+  }
+);
+
+export const loadMoreSearchResults = createAsyncThunk(
+  'search/loadMoreSearchResults',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { criteria, nextCursor } = getState().search;
+      const response = await chatService.searchMessages({
+        ...buildParams(criteria),
+        before: nextCursor
+      });
+      const { data, pagination } = response.data;
+      return {
+        results: data,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor
+      };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.error?.message || error.message || 'Search failed');
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { isSearching, hasMore } = getState().search;
+      return !isSearching && hasMore;
+    },
+  }
+);
+
+const initialState = {
+  criteria: null, // { query, conversationId, senderId, from, to } of the current results
+  requestId: null, // Latest search, so slower earlier responses are ignored
+  results: [], // [{ message, conversation, threadId, snippet, highlights }]
+  hasMore: false,
+  nextCursor: null,
+  isSearching: false,
+  error: null,
+};
+
+const searchSlice = createSlice({
+  name: 'search',
+  initialState,
+  reducers: {
+    clearSearch: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(searchMessages.pending, (state, action) => {
+        state.criteria = action.meta.arg;
+        state.requestId = action.meta.requestId;
+        state.results = [];
+        state.hasMore = false;
+        state.nextCursor = null;
+        state.isSearching = true;
+        state.error = null;
+      })
+      .addCase(searchMessages.fulfilled, (state, action) => {
+        // Ignore responses to a search that has since been replaced
+        if (state.requestId !== action.meta.requestId) return;
+        state.isSearching = false;
+        state.results = action.payload.results;
+        state.hasMore = action.payload.hasMore;
+        state.nextCursor = action.payload.nextCursor;
+      })
+      .addCase(searchMessages.rejected, (state, action) => {
+        if (state.requestId !== action.meta.requestId) return;
+        state.isSearching = false;
+        state.error = action.payload;
+      })
+      .addCase(loadMoreSearchResults.pending, (state) => {
+        state.isSearching = true;
+        state.error = null;
+      })
+      .addCase(loadMoreSearchResults.fulfilled, (state, action) => {
+        state.isSearching = false;
+        state.results = [...state.results, ...action.payload.results];
+        state.hasMore = action.payload.hasMore;
+        state.nextCursor = action.payload.nextCursor;
+      })
+      .addCase(loadMoreSearchResults.rejected, (state, action) => {
+        state.isSearching = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearSearch } = searchSlice.actions;
+
+export default searchSlice.reducer;
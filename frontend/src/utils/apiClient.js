@@ -1,15 +1,125 @@
 import axios from 'axios';
 import { formatError, logError, ERROR_TYPES } from './errorHandler';
 
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5002';
+
 // Create axios instance
 const apiClient = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5002',
+  baseURL: API_BASE_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Persist the access token and the refresh token that renews it
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+export const isTokenExpiredError = (error) =>
+  error.response?.status === 401 && error.response?.data?.error?.code === 'TOKEN_EXPIRED';
+
+const redirectToLogin = () => {
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/login';
+  }
+};
+
+// Shared by every caller so concurrent 401s trigger a single refresh
+let refreshPromise = null;
+
+// Tabs share the stored tokens, so only one of them may rotate the refresh token at a time
+const REFRESH_LOCK_NAME = 'auth-token-refresh';
+
+const withRefreshLock = (callback) => (navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK_NAME, callback)
+  : Promise.resolve().then(callback));
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Refresh tokens rotate, so the new refresh token is stored as well. If
+ * another tab rotated it first, the tokens that tab stored are used instead.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleRefreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = withRefreshLock(() => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      // Another tab refreshed while this one waited for the lock
+      if (refreshToken && refreshToken !== staleRefreshToken) {
+        return localStorage.getItem('token');
+      }
+
+      return (refreshToken
+        ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken }, { timeout: 10000 })
+        : Promise.reject(new Error('No refresh token'))
+      )
+        .then((response) => {
+          const { token, refreshToken: nextRefreshToken } = response.data.data;
+          storeTokens({ token, refreshToken: nextRefreshToken });
+          return token;
+        })
+        .catch((error) => {
+          // Without Web Locks another tab may have rotated the token we sent
+          const storedRefreshToken = localStorage.getItem('refreshToken');
+          if (refreshToken && storedRefreshToken && storedRefreshToken !== refreshToken) {
+            return localStorage.getItem('token');
+          }
+
+          // Keep the session if the server could not be reached, drop it if it was rejected
+          if (error.response || !refreshToken) {
+            clearTokens();
+          }
+          throw error;
+        });
+    })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Retry a request that failed because the access token expired, after
+ * refreshing it once. Sends the user to the login page if that fails.
+ * @param {object} client - Axios instance the request was made with
+ * @param {object} error - Axios error
+ * @returns {Promise<object>|null} The retried request, or null if it should not be retried
+ */
+export const retryWithRefreshedToken = (client, error) => {
+  const config = error.config;
+  if (!config || config._retried || !isTokenExpiredError(error)) {
+    return null;
+  }
+
+  config._retried = true;
+  return refreshAccessToken()
+    .then((token) => {
+      config.headers.Authorization = `Bearer ${token}`;
+      return client(config);
+    })
+    .catch(() => {
+      // The refresh token was rejected (and cleared) rather than the server being unreachable
+      if (!localStorage.getItem('refreshToken')) {
+        redirectToLogin();
+      }
+      return Promise.reject(error);
+    });
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
   (config) => {
@@ -29,6 +139,15 @@ apiClient.interceptors.request.use(
 apiClient.interceptors.response.use(
   (response) => response,
   (error) => {
+    // Expired access tokens are refreshed silently and the request retried
+    const retry = retryWithRefreshedToken(apiClient, error);
+    if (retry) {
+      return retry.catch((retryError) => {
+        retryError.formattedError = retryError.formattedError || formatError(retryError);
+        return Promise.reject(retryError);
+      });
+    }
+
     const formattedError = formatError(error);
     
     // Log the error
@@ -36,13 +155,11 @@ apiClient.interceptors.response.use(
     
     // Handle authentication errors
     if (formattedError.type === ERROR_TYPES.AUTHENTICATION) {
-      // Clear invalid token
-      localStorage.removeItem('token');
+      // Clear invalid tokens
+      clearTokens();
       
       // Redirect to login if not already there
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/login';
-      }
+      redirectToLogin();
     }
     
     // Attach formatted error to the error object
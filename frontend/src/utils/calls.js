@@ -0,0 +1,54 @@
+// Voice and video calls: placed and answered over the socket (see
+// store/slices/callSlice), with media sent directly between the browsers.
+import { formatDuration } from './voiceNotes';
+
+// Whether this browser can place and answer calls
+export const canMakeCalls = () =>
+  typeof window !== 'undefined' &&
+  typeof window.RTCPeerConnection !== 'undefined' &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Servers used to find a route between the two browsers. VITE_ICE_SERVERS can
+// hold a JSON array of RTCIceServer entries, e.g. to add a TURN server.
+export const getIceServers = () => {
+  const configured = import.meta.env.VITE_ICE_SERVERS;
+  if (configured) {
+    try {
+      const servers = JSON.parse(configured);
+      if (Array.isArray(servers)) {
+        return servers;
+      }
+    } catch {
+      console.warn('VITE_ICE_SERVERS is not a JSON array; using the default STUN server');
+    }
+  }
+  return [{ urls: 'stun:stun.l.google.com:19302' }];
+};
+
+// The other user of a call
+export const getCallPeer = (call, userId) =>
+  call.callerId === userId ? call.callee : call.caller;
+
+// Whether a call is still waiting to be answered
+export const isCallRinging = (call) => call.status === 'INVITED' || call.status === 'RINGING';
+
+// How an ended call went, from the point of view of the given user
+export const describeCallOutcome = (call, userId) => {
+  const isCaller = call.callerId === userId;
+  switch (call.outcome) {
+    case 'COMPLETED':
+      return call.durationSeconds != null
+        ? `Call ended · ${formatDuration(call.durationSeconds * 1000)}`
+        : 'Call ended';
+    case 'DECLINED':
+      return isCaller ? 'Call declined' : 'You declined the call';
+    case 'CANCELLED':
+      return isCaller ? 'Call cancelled' : 'Missed call';
+    case 'MISSED':
+      return isCaller ? 'No answer' : 'Missed call';
+    case 'BUSY':
+      return isCaller ? `${call.callee?.username || 'They'} is on another call` : 'Missed call';
+    default:
+      return 'Call ended';
+  }
+};
@@ -0,0 +1,8 @@
+// ID a message is sent with, so the server can recognize a retried send.
+// crypto.randomUUID is only available in secure contexts (HTTPS or localhost).
+export const createClientMessageId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
@@ -0,0 +1,116 @@
+// Lightweight syntax highlighting for code blocks in messages: splits code into
+// comment, string, number and keyword tokens for a handful of common languages.
+// Unknown languages are shown as plain text.
+
+const C_LIKE_COMMENTS = ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'];
+const HASH_COMMENTS = ['#[^\\n]*'];
+const QUOTED_STRINGS = ['"(?:[^"\\\\\\n]|\\\\.)*"', "'(?:[^'\\\\\\n]|\\\\.)*'"];
+
+const LANGUAGES = {
+  javascript: {
+    comments: C_LIKE_COMMENTS,
+    strings: [...QUOTED_STRINGS, '`(?:[^`\\\\]|\\\\[\\s\\S])*`'],
+    keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements'
+  },
+  python: {
+    comments: HASH_COMMENTS,
+    strings: ['"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''", ...QUOTED_STRINGS],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  shell: {
+    comments: HASH_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: 'case do done echo elif else esac exit export fi for function if in local read return then until while'
+  },
+  sql: {
+    comments: ['--[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'],
+    strings: ["'(?:[^']|'')*'"],
+    keywords: 'add all alter and as asc by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where with',
+    caseInsensitive: true
+  },
+  json: {
+    comments: [],
+    strings: ['"(?:[^"\\\\\\n]|\\\\.)*"'],
+    keywords: 'true false null'
+  },
+  c: {
+    comments: C_LIKE_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: 'abstract auto bool break case catch char class const continue default delete do double else enum extends false final finally float for func go if implements import int interface let long match mut namespace new nil null package private protected public return self short static struct super switch this throw true try type typedef unsigned use var void while'
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript', node: 'javascript',
+  py: 'python',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+  postgres: 'sql', postgresql: 'sql', mysql: 'sql',
+  cpp: 'c', 'c++': 'c', h: 'c', java: 'c', cs: 'c', csharp: 'c', go: 'c', rust: 'c', rs: 'c', kotlin: 'c', swift: 'c', php: 'c'
+};
+
+const lexers = {};
+
+const getLexer = (language) => {
+  const name = ALIASES[language] || language;
+  const definition = LANGUAGES[name];
+  if (!definition) {
+    return null;
+  }
+
+  if (!lexers[name]) {
+    const groups = [
+      definition.comments.length > 0 ? `(${definition.comments.join('|')})` : '(?!)',
+      `(${definition.strings.join('|')})`,
+      '(\\b\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[\\da-f]+\\b)',
+      '([A-Za-z_$][\\w$]*)'
+    ];
+    lexers[name] = {
+      pattern: new RegExp(groups.join('|'), 'gi'),
+      keywords: new Set(definition.keywords.split(' ')),
+      caseInsensitive: Boolean(definition.caseInsensitive)
+    };
+  }
+  return lexers[name];
+};
+
+// Tokens of a code block: [{ type: 'plain' | 'comment' | 'string' | 'number' | 'keyword', text }]
+export const highlightCode = (code, language) => {
+  const lexer = language && getLexer(language);
+  if (!lexer) {
+    return [{ type: 'plain', text: code }];
+  }
+
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  const push = (type, text) => {
+    const previous = tokens[tokens.length - 1];
+    if (previous?.type === type) {
+      previous.text += text;
+    } else if (text) {
+      tokens.push({ type, text });
+    }
+  };
+
+  lexer.pattern.lastIndex = 0;
+  while ((match = lexer.pattern.exec(code)) !== null) {
+    const [whole, comment, string, number, word] = match;
+    push('plain', code.slice(lastIndex, match.index));
+    lastIndex = match.index + whole.length;
+
+    if (comment !== undefined) {
+      push('comment', whole);
+    } else if (string !== undefined) {
+      push('string', whole);
+    } else if (number !== undefined) {
+      push('number', whole);
+    } else {
+      const isKeyword = lexer.keywords.has(lexer.caseInsensitive ? word.toLowerCase() : word);
+      push(isKeyword ? 'keyword' : 'plain', whole);
+    }
+  }
+
+  push('plain', code.slice(lastIndex));
+  return tokens;
+};
@@ -0,0 +1,113 @@
+// Markdown-lite for messages: **bold**, *italics* (or _italics_), `inline code`,
+// ``` fenced code blocks ```, auto-linked URLs and @mentions. The parser returns a tree of
+// plain objects that FormattedText renders as React elements, so message
+// content is never inserted as HTML.
+
+const FENCE_OPEN = /^```([\w+#.-]*)[ \t]*$/;
+const FENCE_CLOSE = /^```[ \t]*$/;
+
+// Inline syntax, tried left to right; the first group that matches decides the node
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`', // 1: inline code
+  '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*', // 2: bold
+  '(?<![\\w*])\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*(?![\\w*])', // 3: italics with *
+  '(?<![\\w_])_(?=[^\\s_])([\\s\\S]*?[^\\s_])_(?![\\w_])', // 4: italics with _
+  '\\b((?:https?:\\/\\/|www\\.)[^\\s<>"]*[^\\s<>".,:;!?\'")\\]}])', // 5: URL, without trailing punctuation
+  '(?<![\\w@.])@(\\w{3,30})(?!\\w)', // 6: @username
+].join('|'), 'g');
+
+// Only web links are made clickable
+const toHref = (url) => {
+  try {
+    const parsed = new URL(url.startsWith('www.') ? `https://${url}` : url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Inline nodes: { type: 'text' | 'code', text }, { type: 'strong' | 'em', children }, { type: 'link', href, text },
+// { type: 'mention', username, text }
+export const parseInline = (text) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value) => {
+    if (value) {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  INLINE_PATTERN.lastIndex = 0;
+  while ((match = INLINE_PATTERN.exec(text)) !== null) {
+    const [whole, code, bold, starItalic, underscoreItalic, url, username] = match;
+    const start = match.index;
+    pushText(text.slice(lastIndex, start));
+    lastIndex = start + whole.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (bold !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(bold) });
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(starItalic ?? underscoreItalic) });
+    } else if (username !== undefined) {
+      nodes.push({ type: 'mention', username, text: whole });
+    } else {
+      const href = toHref(url);
+      nodes.push(href ? { type: 'link', href, text: url } : { type: 'text', text: url });
+    }
+
+    // The recursive calls above share the pattern, so put its position back
+    INLINE_PATTERN.lastIndex = lastIndex;
+  }
+
+  pushText(text.slice(lastIndex));
+  return nodes;
+};
+
+// Blocks: { type: 'code', language, code } for fenced code, { type: 'paragraph', children } otherwise.
+// An unclosed fence is kept as text.
+export const parseMarkdown = (source) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(FENCE_OPEN);
+    const closeIndex = open ? lines.findIndex((line, j) => j > i && FENCE_CLOSE.test(line)) : -1;
+
+    if (closeIndex === -1) {
+      paragraph.push(lines[i]);
+      continue;
+    }
+
+    flushParagraph();
+    blocks.push({
+      type: 'code',
+      language: open[1].toLowerCase() || null,
+      code: lines.slice(i + 1, closeIndex).join('\n')
+    });
+    i = closeIndex;
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+// Whether text uses any formatting, i.e. should be sent as MARKDOWN (mentions work in either format)
+export const hasMarkdown = (source) =>
+  parseMarkdown(source).some((block) =>
+    block.type === 'code' || block.children.some((node) => node.type !== 'text' && node.type !== 'mention')
+  );
+
+// Format to send typed text in
+export const getMessageFormat = (content) => (hasMarkdown(content) ? 'MARKDOWN' : 'PLAIN');
@@ -0,0 +1,44 @@
+// @username mentions. The server decides who a message mentions and sends the
+// positions as `mentions: [{ userId, offset, length }]`; these helpers render
+// them and drive composer autocomplete.
+
+// An @ being typed at the end of the text before the cursor
+const MENTION_QUERY_PATTERN = /(?:^|[^\w@.])@(\w{0,30})$/;
+
+// Usernames a message mentions, as they appear in its content
+export const getMentionedUsernames = (message) =>
+  new Set((message.mentions || []).map(({ offset, length }) =>
+    message.content.slice(offset + 1, offset + length)
+  ));
+
+// Whether a message mentions the given user
+export const isMentioned = (message, userId) =>
+  Boolean(userId) && (message.mentions || []).some((mention) => mention.userId === userId);
+
+// Plain content split into [{ type: 'text' | 'mention', text }]
+export const splitMentions = (content, mentions = []) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  [...mentions].sort((a, b) => a.offset - b.offset).forEach(({ offset, length }) => {
+    if (offset < lastIndex || offset + length > content.length) {
+      return;
+    }
+    if (offset > lastIndex) {
+      parts.push({ type: 'text', text: content.slice(lastIndex, offset) });
+    }
+    parts.push({ type: 'mention', text: content.slice(offset, offset + length) });
+    lastIndex = offset + length;
+  });
+
+  if (lastIndex < content.length) {
+    parts.push({ type: 'text', text: content.slice(lastIndex) });
+  }
+  return parts;
+};
+
+// The mention being typed at the cursor: { start, query } (start at the '@'), or null
+export const getMentionQuery = (text, cursor) => {
+  const match = text.slice(0, cursor).match(MENTION_QUERY_PATTERN);
+  return match ? { start: cursor - match[1].length - 1, query: match[1] } : null;
+};
@@ -0,0 +1,53 @@
+// IndexedDB storage for the outbox, so unsent messages survive a reload
+
+const DB_NAME = 'chat-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'messages';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'clientMessageId' });
+        store.createIndex('senderId', 'senderId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allowed storage
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Run one request against the outbox store and resolve with its result once committed
+const runRequest = async (mode, createRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// A user's unsent messages, oldest first
+export const getOutboxItems = async (senderId) => {
+  const items = await runRequest('readonly', (store) => store.index('senderId').getAll(senderId));
+  return items.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export const saveOutboxItem = (item) => runRequest('readwrite', (store) => store.put(item));
+
+export const deleteOutboxItem = (clientMessageId) => runRequest('readwrite', (store) => store.delete(clientMessageId));
@@ -0,0 +1,23 @@
+// Human friendly presence text, e.g. "Online" or "last seen 5 min ago"
+export const formatLastSeen = (presence) => {
+  if (presence?.isOnline) {
+    return 'Online';
+  }
+
+  if (!presence?.lastSeenAt) {
+    return 'Offline';
+  }
+
+  const lastSeen = new Date(presence.lastSeenAt);
+  const diffInMinutes = Math.floor((Date.now() - lastSeen.getTime()) / (1000 * 60));
+
+  if (diffInMinutes < 1) {
+    return 'last seen just now';
+  } else if (diffInMinutes < 60) {
+    return `last seen ${diffInMinutes} min ago`;
+  } else if (diffInMinutes < 24 * 60) {
+    return `last seen ${Math.floor(diffInMinutes / 60)} h ago`;
+  } else {
+    return `last seen ${lastSeen.toLocaleDateString()}`;
+  }
+};
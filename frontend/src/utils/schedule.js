@@ -0,0 +1,31 @@
+const pad = (value) => String(value).padStart(2, '0');
+
+// Value for a datetime-local input, in the user's time zone
+export const toDateTimeLocal = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Suggested send time: tomorrow at 9:00
+export const getDefaultSendAt = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return toDateTimeLocal(date);
+};
+
+// e.g. "Tomorrow 09:00" or "12/24/2025 18:30"
+export const formatSendAt = (sendAt) => {
+  const date = new Date(sendAt);
+  const today = new Date();
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  if (date.toDateString() === today.toDateString()) {
+    return `Today ${time}`;
+  } else if (date.toDateString() === tomorrow.toDateString()) {
+    return `Tomorrow ${time}`;
+  }
+  return `${date.toLocaleDateString()} ${time}`;
+};
@@ -199,6 +199,30 @@ export const sanitizeInput = (input) => {
     .slice(0, 1000); // Limit length
 };
 
+// Files accepted as message attachments (kept in sync with the backend allowlist)
+export const ATTACHMENT_RULES = {
+  maxSize: 10 * 1024 * 1024, // 10MB
+  allowedTypes: [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ]
+};
+
+// Voice note length limits in milliseconds (kept in sync with the backend)
+export const VOICE_NOTE_RULES = {
+  minDuration: 500,
+  maxDuration: 5 * 60 * 1000 // 5 minutes
+};
+
 // Validate file uploads
 export const validateFile = (file, options = {}) => {
   const {
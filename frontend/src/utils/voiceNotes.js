@@ -0,0 +1,42 @@
+// Voice notes: recorded in the browser with MediaRecorder and sent as VOICE
+// messages whose single attachment carries the recording's durationMs.
+
+// Containers the server accepts, in order of preference (Safari only records mp4)
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+// Whether this browser can record voice notes
+export const canRecordVoiceNotes = () =>
+  typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+// MIME type to record in, or '' to let the browser choose
+export const getRecordingMimeType = () =>
+  RECORDING_TYPES.find((type) => window.MediaRecorder.isTypeSupported?.(type)) || '';
+
+// e.g. "0:07" or "4:32"
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// One-line description of a voice message for previews and notifications
+export const describeVoiceNote = (message) => {
+  const durationMs = message.attachments?.[0]?.durationMs;
+  return durationMs ? `🎤 Voice note (${formatDuration(durationMs)})` : '🎤 Voice note';
+};
+
+// Levels (0-1) of a recording reduced to `count` bars for drawing a waveform
+export const toWaveformBars = (levels, count) => {
+  if (levels.length <= count) {
+    return levels;
+  }
+
+  const bars = [];
+  const step = levels.length / count;
+  for (let i = 0; i < count; i++) {
+    const bucket = levels.slice(Math.floor(i * step), Math.floor((i + 1) * step));
+    bars.push(Math.max(...bucket));
+  }
+  return bars;
+};
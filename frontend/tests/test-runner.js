@@ -0,0 +1,35 @@
+/**
+ * Runs the frontend test suites.
+ *
+ *   node tests/test-runner.js                    unit and integration tests
+ *   node tests/test-runner.js --unit-only
+ *   node tests/test-runner.js --integration-only
+ *   node tests/test-runner.js --e2e-only         needs a running app (Playwright)
+ */
+import { spawnSync } from 'child_process';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+const args = process.argv.slice(2);
+
+function getCommand() {
+  if (args.includes('--e2e-only')) {
+    return ['playwright', 'test', 'tests/e2e'];
+  }
+  if (args.includes('--unit-only')) {
+    return ['vitest', '--run', 'tests/unit'];
+  }
+  if (args.includes('--integration-only')) {
+    return ['vitest', '--run', 'tests/integration', '--passWithNoTests'];
+  }
+  return ['vitest', '--run', 'tests/unit', 'tests/integration'];
+}
+
+const result = spawnSync('npx', getCommand(), {
+  cwd: path.join(path.dirname(fileURLToPath(import.meta.url)), '..'),
+  stdio: 'inherit',
+  shell: process.platform === 'win32'
+});
+
+process.exit(result.status === null ? 1 : result.status);
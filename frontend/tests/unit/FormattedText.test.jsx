@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import FormattedText from '../../src/components/FormattedText';
+
+describe('FormattedText', () => {
+  it('opens links in a new tab without giving the page access to the app', () => {
+    const { container } = render(<FormattedText content="see https://example.com" />);
+    const link = container.querySelector('a');
+
+    expect(link).toHaveAttribute('href', 'https://example.com/');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow');
+  });
+
+  it('renders markup in messages as text', () => {
+    const { container } = render(
+      <FormattedText content={'<img src=x onerror=alert(1)> **<b>bold</b>** javascript:alert(1)'} />
+    );
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('b')).toBeNull();
+    expect(container.querySelector('a')).toBeNull();
+    expect(container.querySelector('strong')).toHaveTextContent('<b>bold</b>');
+  });
+
+  it('highlights only the mentions the server matched', () => {
+    const { container } = render(<FormattedText content="@alice and @mallory" mentions={new Set(['alice'])} />);
+
+    expect([...container.querySelectorAll('.message-mention')].map((node) => node.textContent)).toEqual(['@alice']);
+  });
+});
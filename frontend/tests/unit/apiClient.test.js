@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import { refreshAccessToken, storeTokens } from '../../src/utils/apiClient';
+
+const rejected = () => Object.assign(new Error('Request failed with status code 401'), {
+  response: { status: 401, data: { error: { code: 'INVALID_REFRESH_TOKEN' } } },
+});
+
+const refreshed = (token, refreshToken) => ({ data: { data: { token, refreshToken } } });
+
+describe('refreshAccessToken', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    storeTokens({ token: 'token-1', refreshToken: 'refresh-1' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('stores the rotated tokens', async () => {
+    const post = vi.spyOn(axios, 'post').mockResolvedValue(refreshed('token-2', 'refresh-2'));
+
+    await expect(refreshAccessToken()).resolves.toBe('token-2');
+
+    expect(post).toHaveBeenCalledWith(expect.stringContaining('/api/auth/refresh'), { refreshToken: 'refresh-1' }, expect.anything());
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+  });
+
+  it('clears the tokens when the server rejects the refresh token', async () => {
+    vi.spyOn(axios, 'post').mockRejectedValue(rejected());
+
+    await expect(refreshAccessToken()).rejects.toThrow('401');
+
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+
+  it('keeps the tokens another tab rotated while this refresh was rejected', async () => {
+    vi.spyOn(axios, 'post').mockImplementation(async () => {
+      storeTokens({ token: 'token-2', refreshToken: 'refresh-2' });
+      throw rejected();
+    });
+
+    await expect(refreshAccessToken()).resolves.toBe('token-2');
+
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+  });
+
+  it('uses the tokens another tab stored while it held the lock', async () => {
+    const post = vi.spyOn(axios, 'post');
+    vi.stubGlobal('navigator', {
+      ...navigator,
+      locks: {
+        request: vi.fn(async (name, callback) => {
+          storeTokens({ token: 'token-2', refreshToken: 'refresh-2' });
+          return callback();
+        }),
+      },
+    });
+
+    await expect(refreshAccessToken()).resolves.toBe('token-2');
+
+    expect(navigator.locks.request).toHaveBeenCalledWith('auth-token-refresh', expect.any(Function));
+    expect(post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import chatReducer, {
+  openThread,
+  clearThreadHighlight,
+  closeThread,
+  fetchThread,
+} from '../../src/store/slices/chatSlice';
+
+const reply = (id) => ({ id, conversationId: 'conversation-1', threadId: 'root-1', content: `Reply ${id}` });
+
+describe('chatSlice threads', () => {
+  it('opens a thread at a reply picked from search', () => {
+    const state = chatReducer(undefined, openThread({
+      conversationId: 'conversation-1',
+      threadId: 'root-1',
+      highlightedMessageId: 'reply-1',
+    }));
+
+    expect(state.activeThread).toMatchObject({
+      threadId: 'root-1',
+      isLoaded: false,
+      highlightedMessageId: 'reply-1',
+    });
+  });
+
+  it('moves the highlight when the open thread is opened at another reply', () => {
+    let state = chatReducer(undefined, openThread({ conversationId: 'conversation-1', threadId: 'root-1' }));
+    state = chatReducer(state, fetchThread.fulfilled(
+      { threadId: 'root-1', root: { id: 'root-1' }, messages: [reply('reply-1')], hasMore: true, nextCursor: 'reply-1' },
+      'request-1',
+      { conversationId: 'conversation-1', threadId: 'root-1' }
+    ));
+    state = chatReducer(state, openThread({
+      conversationId: 'conversation-1',
+      threadId: 'root-1',
+      highlightedMessageId: 'reply-0',
+    }));
+
+    // The loaded replies are kept
+    expect(state.activeThread.messages).toEqual([reply('reply-1')]);
+    expect(state.activeThread.isLoaded).toBe(true);
+    expect(state.activeThread.highlightedMessageId).toBe('reply-0');
+
+    state = chatReducer(state, clearThreadHighlight());
+    expect(state.activeThread.highlightedMessageId).toBeNull();
+
+    state = chatReducer(state, closeThread());
+    expect(chatReducer(state, clearThreadHighlight()).activeThread).toBeNull();
+  });
+});
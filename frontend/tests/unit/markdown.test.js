@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parseInline, parseMarkdown, hasMarkdown, getMessageFormat } from '../../src/utils/markdown';
+
+const links = (text) => parseInline(text).filter((node) => node.type === 'link');
+
+describe('markdown', () => {
+  describe('links', () => {
+    it('links http(s) URLs', () => {
+      expect(links('see https://example.com/a?b=1#c')).toEqual([
+        { type: 'link', href: 'https://example.com/a?b=1#c', text: 'https://example.com/a?b=1#c' },
+      ]);
+      expect(links('http://example.com')[0].href).toBe('http://example.com/');
+    });
+
+    it('links www. addresses over https', () => {
+      expect(links('go to www.example.com now')).toEqual([
+        { type: 'link', href: 'https://www.example.com/', text: 'www.example.com' },
+      ]);
+    });
+
+    it('leaves trailing punctuation out of the link', () => {
+      expect(links('(see https://example.com/page).')[0].text).toBe('https://example.com/page');
+      expect(links('https://example.com/page, then')[0].text).toBe('https://example.com/page');
+    });
+
+    it('never links script or data URLs', () => {
+      for (const text of [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        '[click](javascript:alert(1))',
+      ]) {
+        expect(links(text)).toEqual([]);
+        expect(parseInline(text).every((node) => node.type !== 'link')).toBe(true);
+      }
+    });
+
+    it('keeps markup-like text as plain text', () => {
+      const text = '<img src=x onerror=alert(1)>';
+
+      expect(parseInline(text)).toEqual([{ type: 'text', text }]);
+    });
+
+    it('does not link URLs inside inline code', () => {
+      expect(parseInline('`https://example.com`')).toEqual([{ type: 'code', text: 'https://example.com' }]);
+    });
+
+    it('does not link URLs inside fenced code blocks', () => {
+      expect(parseMarkdown('```\nhttps://example.com\n```')).toEqual([
+        { type: 'code', language: null, code: 'https://example.com' },
+      ]);
+    });
+  });
+
+  describe('parseInline', () => {
+    it('parses bold, italics, code and mentions', () => {
+      expect(parseInline('**bold** *em* _em_ `code` @alice')).toEqual([
+        { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+        { type: 'text', text: ' ' },
+        { type: 'em', children: [{ type: 'text', text: 'em' }] },
+        { type: 'text', text: ' ' },
+        { type: 'em', children: [{ type: 'text', text: 'em' }] },
+        { type: 'text', text: ' ' },
+        { type: 'code', text: 'code' },
+        { type: 'text', text: ' ' },
+        { type: 'mention', username: 'alice', text: '@alice' },
+      ]);
+    });
+
+    it('parses links inside emphasis', () => {
+      expect(parseInline('**https://example.com**')).toEqual([
+        { type: 'strong', children: [{ type: 'link', href: 'https://example.com/', text: 'https://example.com' }] },
+      ]);
+    });
+
+    it('leaves snake_case words and email addresses alone', () => {
+      expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+      expect(parseInline('mail bob@example.com')).toEqual([{ type: 'text', text: 'mail bob@example.com' }]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('splits fenced code from paragraphs and keeps its language', () => {
+      expect(parseMarkdown('before\n```JS\nconst a = 1;\n```\nafter')).toEqual([
+        { type: 'paragraph', children: [{ type: 'text', text: 'before' }] },
+        { type: 'code', language: 'js', code: 'const a = 1;' },
+        { type: 'paragraph', children: [{ type: 'text', text: 'after' }] },
+      ]);
+    });
+
+    it('keeps an unclosed fence as text', () => {
+      expect(parseMarkdown('```\ncode')).toEqual([
+        { type: 'paragraph', children: [{ type: 'text', text: '```\ncode' }] },
+      ]);
+    });
+  });
+
+  describe('getMessageFormat', () => {
+    it('sends formatted text as MARKDOWN and the rest as PLAIN', () => {
+      expect(hasMarkdown('**hi**')).toBe(true);
+      expect(getMessageFormat('see https://example.com')).toBe('MARKDOWN');
+      expect(getMessageFormat('hi @alice')).toBe('PLAIN');
+      expect(getMessageFormat('just text')).toBe('PLAIN');
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { configureStore } from '@reduxjs/toolkit';
+import outboxReducer, {
+  MAX_UNCONFIRMED_ATTEMPTS,
+  getOutboxRetryDelay,
+  flushOutbox,
+  loadOutbox,
+  retryOutboxMessage,
+  outboxItemAdded,
+  outboxItemUpdated,
+  outboxItemRemoved,
+} from '../../src/store/slices/outboxSlice';
+import { saveOutboxItem, deleteOutboxItem } from '../../src/utils/outboxStorage';
+
+// How the mocked sends answer: { value } to succeed, { error, unconfirmed } to fail
+const sends = vi.hoisted(() => ({ socket: vi.fn(), http: vi.fn() }));
+
+vi.mock('../../src/store/slices/chatSlice', async () => {
+  const { createAsyncThunk } = await import('@reduxjs/toolkit');
+  const answer = (outcome, rejectWithValue) => (outcome.error
+    ? rejectWithValue(outcome.error, { unconfirmed: Boolean(outcome.unconfirmed) })
+    : outcome.value);
+
+  return {
+    sendSocketMessage: createAsyncThunk('chat/sendSocketMessage', (arg, { rejectWithValue }) =>
+      answer(sends.socket(arg), rejectWithValue)),
+    sendMessage: createAsyncThunk('chat/sendMessage', (arg, { rejectWithValue }) =>
+      answer(sends.http(arg), rejectWithValue)),
+    sendThreadReply: createAsyncThunk('chat/sendThreadReply', (arg, { rejectWithValue }) =>
+      answer(sends.socket(arg), rejectWithValue)),
+  };
+});
+
+vi.mock('../../src/utils/outboxStorage', () => ({
+  getOutboxItems: vi.fn(async () => []),
+  saveOutboxItem: vi.fn(async () => {}),
+  deleteOutboxItem: vi.fn(async () => {}),
+}));
+
+const item = (clientMessageId, changes = {}) => ({
+  clientMessageId,
+  senderId: 'user-1',
+  conversationId: 'conversation-1',
+  threadId: null,
+  content: `Message ${clientMessageId}`,
+  format: 'PLAIN',
+  attachmentIds: [],
+  attachments: [],
+  replyToId: null,
+  replyTo: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  status: 'pending',
+  error: null,
+  ...changes,
+});
+
+const createStore = ({ items = [], isConnected = true } = {}) => configureStore({
+  reducer: {
+    outbox: outboxReducer,
+    ui: (state = { isConnected }) => state,
+  },
+  preloadedState: {
+    outbox: { items, userId: 'user-1', isFlushing: false, retryAt: null },
+  },
+});
+
+const unconfirmed = { error: 'Message was not confirmed', unconfirmed: true };
+
+describe('outboxSlice', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getOutboxRetryDelay', () => {
+    it('doubles the delay with every attempt, up to a minute', () => {
+      expect(getOutboxRetryDelay(1)).toBe(2000);
+      expect(getOutboxRetryDelay(2)).toBe(4000);
+      expect(getOutboxRetryDelay(4)).toBe(16000);
+      expect(getOutboxRetryDelay(10)).toBe(60000);
+    });
+  });
+
+  describe('reducer', () => {
+    it('adds, updates and removes items', () => {
+      let state = outboxReducer(undefined, outboxItemAdded(item('a')));
+      state = outboxReducer(state, outboxItemAdded(item('b')));
+      state = outboxReducer(state, outboxItemUpdated({ clientMessageId: 'a', status: 'failed', error: 'Nope' }));
+      state = outboxReducer(state, outboxItemUpdated({ clientMessageId: 'missing', status: 'failed' }));
+      state = outboxReducer(state, outboxItemRemoved('b'));
+
+      expect(state.items).toEqual([item('a', { status: 'failed', error: 'Nope' })]);
+    });
+
+    it('keeps messages queued while the stored outbox was loading', () => {
+      let state = outboxReducer(undefined, loadOutbox.pending('request-1', 'user-1'));
+      state = outboxReducer(state, outboxItemAdded(item('queued')));
+      state = outboxReducer(state, loadOutbox.fulfilled({ userId: 'user-1', items: [item('stored')] }, 'request-1', 'user-1'));
+
+      expect(state.items.map((outboxItem) => outboxItem.clientMessageId)).toEqual(['stored', 'queued']);
+      expect(state.userId).toBe('user-1');
+    });
+
+    it('drops the previous user\'s messages when another user signs in', () => {
+      const state = outboxReducer(
+        { items: [item('a')], userId: 'user-1', isFlushing: false, retryAt: null },
+        loadOutbox.pending('request-2', 'user-2')
+      );
+
+      expect(state.items).toEqual([]);
+      expect(state.userId).toBeNull();
+    });
+  });
+
+  describe('flushOutbox', () => {
+    it('sends pending messages in order and removes them once delivered', async () => {
+      sends.socket.mockReturnValue({ value: { id: 'message-1' } });
+      const store = createStore({ items: [item('a'), item('b')] });
+
+      await store.dispatch(flushOutbox());
+
+      expect(sends.socket.mock.calls.map(([arg]) => arg.clientMessageId)).toEqual(['a', 'b']);
+      expect(store.getState().outbox.items).toEqual([]);
+      expect(deleteOutboxItem).toHaveBeenCalledWith('a');
+      expect(deleteOutboxItem).toHaveBeenCalledWith('b');
+    });
+
+    it('falls back to HTTP when the socket does not confirm a send', async () => {
+      sends.socket.mockReturnValue(unconfirmed);
+      sends.http.mockReturnValue({ value: { id: 'message-1' } });
+      const store = createStore({ items: [item('a')] });
+
+      await store.dispatch(flushOutbox());
+
+      expect(sends.http).toHaveBeenCalledWith(expect.objectContaining({ clientMessageId: 'a' }));
+      expect(store.getState().outbox.items).toEqual([]);
+    });
+
+    it('schedules a retry for an unconfirmed send while connected and holds back later messages', async () => {
+      sends.socket.mockReturnValue(unconfirmed);
+      sends.http.mockReturnValue(unconfirmed);
+      const store = createStore({ items: [item('a'), item('b')] });
+      const before = Date.now();
+
+      await store.dispatch(flushOutbox());
+
+      const { items, retryAt, isFlushing } = store.getState().outbox;
+      expect(items.map(({ clientMessageId, status, attempts }) => ({ clientMessageId, status, attempts }))).toEqual([
+        { clientMessageId: 'a', status: 'pending', attempts: 1 },
+        { clientMessageId: 'b', status: 'pending', attempts: undefined },
+      ]);
+      expect(retryAt).toBeGreaterThanOrEqual(before + getOutboxRetryDelay(1));
+      expect(isFlushing).toBe(false);
+      expect(sends.socket).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks a message failed after its last unconfirmed attempt', async () => {
+      sends.socket.mockReturnValue(unconfirmed);
+      sends.http.mockReturnValue(unconfirmed);
+      const store = createStore({ items: [item('a', { attempts: MAX_UNCONFIRMED_ATTEMPTS - 1 })] });
+
+      await store.dispatch(flushOutbox());
+
+      expect(store.getState().outbox.items[0]).toMatchObject({
+        status: 'failed',
+        error: 'Could not reach the server',
+        attempts: 0,
+      });
+      expect(store.getState().outbox.retryAt).toBeNull();
+      expect(saveOutboxItem).toHaveBeenCalledWith(expect.objectContaining({ clientMessageId: 'a', status: 'failed' }));
+    });
+
+    it('waits for the connection instead of counting attempts while offline', async () => {
+      sends.socket.mockReturnValue(unconfirmed);
+      sends.http.mockReturnValue(unconfirmed);
+      const store = createStore({ items: [item('a')], isConnected: false });
+
+      await store.dispatch(flushOutbox());
+
+      expect(store.getState().outbox.items[0]).toMatchObject({ status: 'pending' });
+      expect(store.getState().outbox.items[0].attempts).toBeUndefined();
+      expect(store.getState().outbox.retryAt).toBeNull();
+    });
+
+    it('marks a rejected message failed and carries on with the next one', async () => {
+      sends.socket
+        .mockReturnValueOnce({ error: 'Message content is too long' })
+        .mockReturnValueOnce({ value: { id: 'message-2' } });
+      const store = createStore({ items: [item('a'), item('b')] });
+
+      await store.dispatch(flushOutbox());
+
+      expect(store.getState().outbox.items).toEqual([
+        item('a', { status: 'failed', error: 'Message content is too long' }),
+      ]);
+    });
+  });
+
+  describe('retryOutboxMessage', () => {
+    it('gives a failed message a fresh set of attempts', async () => {
+      sends.socket.mockReturnValue(unconfirmed);
+      sends.http.mockReturnValue(unconfirmed);
+      const store = createStore({ items: [item('a', { status: 'failed', error: 'Could not reach the server', attempts: 0 })] });
+
+      await store.dispatch(retryOutboxMessage('a'));
+      // The retry starts a flush without waiting for it
+      await vi.waitFor(() => expect(store.getState().outbox.isFlushing).toBe(false));
+
+      expect(store.getState().outbox.items[0]).toMatchObject({ status: 'pending', attempts: 1 });
+    });
+  });
+});